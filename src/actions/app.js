@@ -25,6 +25,14 @@ export function changeSelectedTab(selectedTab: TabSlug): ThunkAction<void> {
   };
 }
 
+export function changeSidebarOpenState(tab: TabSlug, isOpen: boolean): Action {
+  return {
+    type: 'CHANGE_SIDEBAR_OPEN_STATE',
+    tab,
+    isOpen,
+  };
+}
+
 export function profilePublished(hash: string): Action {
   return {
     type: 'PROFILE_PUBLISHED',
@@ -7,28 +7,54 @@ import {
   selectorsForThread,
   selectedThreadSelectors,
   getThreads,
+  applyTransforms,
 } from '../reducers/profile-view';
 import {
   getImplementationFilter,
   getSelectedThreadIndex,
   getThreadOrder,
   getHiddenThreads,
+  getTransformStack,
+  getDisabledTransforms,
 } from '../reducers/url-state';
 import {
   getFriendlyThreadName,
   getCallNodePathFromIndex,
 } from '../profile-logic/profile-data';
+import {
+  removeTransformAndDependents,
+  canToggleTransform,
+  toggleDisabledTransform,
+} from '../profile-logic/transforms';
 import { sendAnalytics } from '../utils/analytics';
 
-import type { ProfileSelection, ImplementationFilter } from '../types/actions';
+import type {
+  ProfileSelection,
+  ImplementationFilter,
+  FunctionListSort,
+  CallTreeColumn,
+  CallTreeSortBy,
+} from '../types/actions';
 import type { Action, ThunkAction } from '../types/store';
-import type { ThreadIndex, IndexIntoMarkersTable } from '../types/profile';
+import type {
+  ThreadIndex,
+  IndexIntoMarkersTable,
+  IndexIntoFuncTable,
+} from '../types/profile';
 import type {
   CallNodePath,
   CallNodeInfo,
   IndexIntoCallNodeTable,
+  IndexIntoTracingMarkers,
 } from '../types/profile-derived';
-import type { Transform } from '../types/transforms';
+import type { StackChartBox } from '../profile-logic/stack-timing';
+import type { State } from '../types/reducers';
+import type {
+  Transform,
+  TransformStack,
+  TransformReplay,
+  IndexIntoTransformStack,
+} from '../types/transforms';
 
 /**
  * The actions that pertain to changing the view on the profile, including searching
@@ -46,6 +72,28 @@ export function changeSelectedCallNode(
   };
 }
 
+/**
+ * Change the function that is shown in the butterfly view, without changing the
+ * selected call node.
+ */
+export function changeSelectedFunction(
+  threadIndex: ThreadIndex,
+  selectedFunction: IndexIntoFuncTable
+): Action {
+  return {
+    type: 'CHANGE_SELECTED_FUNCTION',
+    selectedFunction,
+    threadIndex,
+  };
+}
+
+export function changeFunctionListSort(sort: FunctionListSort): Action {
+  return {
+    type: 'CHANGE_FUNCTION_LIST_SORT',
+    sort,
+  };
+}
+
 export function changeSelectedThread(selectedThread: ThreadIndex): Action {
   return {
     type: 'CHANGE_SELECTED_THREAD',
@@ -225,6 +273,39 @@ export function changeSelectedMarker(
   };
 }
 
+export function changeHoveredCallNode(
+  threadIndex: ThreadIndex,
+  hoveredCallNodePath: CallNodePath
+): Action {
+  return {
+    type: 'CHANGE_HOVERED_CALL_NODE',
+    hoveredCallNodePath,
+    threadIndex,
+  };
+}
+
+export function changeSelectedStackChartBox(
+  threadIndex: ThreadIndex,
+  selectedStackChartBox: StackChartBox | null
+): Action {
+  return {
+    type: 'CHANGE_SELECTED_STACK_CHART_BOX',
+    selectedStackChartBox,
+    threadIndex,
+  };
+}
+
+export function changeSelectedTracingMarker(
+  threadIndex: ThreadIndex,
+  selectedTracingMarker: IndexIntoTracingMarkers | -1
+): Action {
+  return {
+    type: 'CHANGE_SELECTED_TRACING_MARKER',
+    selectedTracingMarker,
+    threadIndex,
+  };
+}
+
 export function changeMarkersSearchString(searchString: string): Action {
   return {
     type: 'CHANGE_MARKER_SEARCH_STRING',
@@ -232,6 +313,20 @@ export function changeMarkersSearchString(searchString: string): Action {
   };
 }
 
+export function changeCallTreeColumns(columns: CallTreeColumn[]): Action {
+  return {
+    type: 'CHANGE_CALL_TREE_COLUMNS',
+    columns,
+  };
+}
+
+export function changeCallTreeSortBy(sortBy: CallTreeSortBy): Action {
+  return {
+    type: 'CHANGE_CALL_TREE_SORT',
+    sortBy,
+  };
+}
+
 export function changeImplementationFilter(
   implementation: ImplementationFilter
 ): ThunkAction<void> {
@@ -337,6 +432,7 @@ export function addTransformToStack(
       type: 'ADD_TRANSFORM_TO_STACK',
       threadIndex,
       transform,
+      transformIndex: getTransformStack(getState(), threadIndex).length,
       transformedThread,
     });
     sendAnalytics({
@@ -360,3 +456,110 @@ export function popTransformsFromStack(
     });
   };
 }
+
+/**
+ * Get the transforms of the stack starting at firstReplayedIndex, along with the
+ * threads they transform when the stack is changed to the given one.
+ */
+function _getTransformReplay(
+  state: State,
+  threadIndex: ThreadIndex,
+  transforms: TransformStack,
+  disabledTransforms: IndexIntoTransformStack[],
+  firstReplayedIndex: IndexIntoTransformStack
+): TransformReplay {
+  const { getThread, getRangeFilteredThread } = selectorsForThread(threadIndex);
+  const rangeFilteredThread = getRangeFilteredThread(state);
+  const { markers } = getThread(state);
+  const enabledTransforms = [];
+  const replay = [];
+  transforms.forEach((transform, transformIndex) => {
+    const isEnabled = !disabledTransforms.includes(transformIndex);
+    if (transformIndex >= firstReplayedIndex) {
+      replay.push({
+        transform,
+        transformedThread: isEnabled
+          ? applyTransforms(rangeFilteredThread, enabledTransforms, markers)
+          : null,
+      });
+    }
+    if (isEnabled) {
+      enabledTransforms.push(transform);
+    }
+  });
+  return replay;
+}
+
+/**
+ * Remove a single transform of the selected thread, the transforms after it are
+ * kept and now apply to the thread without it. The ones that refer to a function
+ * added by a removed collapse transform are removed too.
+ */
+export function removeTransformFromStack(
+  transformIndex: IndexIntoTransformStack
+): ThunkAction<void> {
+  return (dispatch, getState) => {
+    const threadIndex = getSelectedThreadIndex(getState());
+    const transforms = getTransformStack(getState(), threadIndex);
+    const newStack = removeTransformAndDependents(
+      transforms,
+      getDisabledTransforms(getState(), threadIndex),
+      transformIndex
+    );
+    dispatch({
+      type: 'REMOVE_TRANSFORM_FROM_STACK',
+      threadIndex,
+      transformIndex,
+      transforms: newStack.transforms,
+      disabledTransforms: newStack.disabledTransforms,
+      replay: _getTransformReplay(
+        getState(),
+        threadIndex,
+        newStack.transforms,
+        newStack.disabledTransforms,
+        transformIndex
+      ),
+    });
+    sendAnalytics({
+      hitType: 'event',
+      eventCategory: 'profile',
+      eventAction: 'remove transform',
+      eventLabel: transforms[transformIndex].type,
+    });
+  };
+}
+
+/**
+ * Temporarily disable a transform of the selected thread, or enable it again.
+ * Nothing is done for the collapse transforms that can't be toggled.
+ */
+export function toggleTransform(
+  transformIndex: IndexIntoTransformStack
+): ThunkAction<void> {
+  return (dispatch, getState) => {
+    const threadIndex = getSelectedThreadIndex(getState());
+    const transforms = getTransformStack(getState(), threadIndex);
+    if (!canToggleTransform(transforms, transformIndex)) {
+      return;
+    }
+    const disabledTransforms = getDisabledTransforms(getState(), threadIndex);
+    dispatch({
+      type: 'TOGGLE_TRANSFORM',
+      threadIndex,
+      transformIndex,
+      replay: _getTransformReplay(
+        getState(),
+        threadIndex,
+        transforms,
+        toggleDisabledTransform(disabledTransforms, transformIndex),
+        transformIndex
+      ),
+    });
+    sendAnalytics({
+      hitType: 'event',
+      eventCategory: 'profile',
+      eventAction: 'toggle transform',
+      eventLabel: transforms[transformIndex].type,
+    });
+  };
+}
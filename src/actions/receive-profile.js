@@ -10,9 +10,11 @@ import {
 } from '../profile-logic/process-profile';
 import { SymbolStore } from '../profile-logic/symbol-store';
 import { symbolicateProfile } from '../profile-logic/symbolication';
+import { getComparisonProfile } from '../profile-logic/comparison';
 import * as MozillaSymbolicationAPI from '../profile-logic/mozilla-symbolication-api';
-import { decompress } from '../utils/gz';
+import { decompress, isGzip } from '../utils/gz';
 import { TemporaryError } from '../utils/errors';
+import { fileReader } from '../utils/file-reader';
 import JSZip from 'jszip';
 
 import type {
@@ -465,13 +467,21 @@ export async function _fetchProfile(
 function _deduceContentType(
   url: string,
   contentType: string
-): 'application/json' | 'application/zip' | null {
-  if (contentType === 'application/zip' || contentType === 'application/json') {
+): 'application/json' | 'application/zip' | 'application/x-protobuf' | null {
+  if (
+    contentType === 'application/zip' ||
+    contentType === 'application/json' ||
+    contentType === 'application/x-protobuf'
+  ) {
     return contentType;
   }
   if (url.match(/\.zip$/)) {
     return 'application/zip';
   }
+  if (url.match(/\.(pb|pprof)(\.gz)?$/)) {
+    // This is a pprof profile.
+    return 'application/x-protobuf';
+  }
   if (url.match(/\.json/)) {
     return 'application/json';
   }
@@ -496,6 +506,10 @@ async function _extractProfileOrZipFromResponse(
       return {
         zip: await _extractZipFromResponse(response, reportError),
       };
+    case 'application/x-protobuf':
+      return {
+        profile: await _extractBinaryFromResponse(response, reportError),
+      };
     case 'application/json':
     case null:
       // The content type is null if it is unknown, or an unsupported type. Go ahead
@@ -536,6 +550,31 @@ async function _extractZipFromResponse(
   }
 }
 
+/**
+ * Binary profiles are passed as is to unserializeProfileOfArbitraryFormat, once
+ * decompressed if they are gzipped.
+ */
+async function _extractBinaryFromResponse(
+  response: Response,
+  reportError: Function
+): Promise<Uint8Array> {
+  const buffer = new Uint8Array(await response.arrayBuffer());
+  if (!isGzip(buffer)) {
+    return buffer;
+  }
+  try {
+    return await decompress(buffer);
+  } catch (error) {
+    const message = 'Unable to decompress the gzipped profile.';
+    reportError(message);
+    reportError('Error:', error);
+    reportError('Fetch response:', response);
+    throw new Error(
+      `${message} The full error information has been printed out to the DevTool’s console.`
+    );
+  }
+}
+
 /**
  * Don't trust third party responses, try and handle a variety of responses gracefully.
  */
@@ -621,6 +660,48 @@ export function retrieveProfileOrZipFromUrl(
   };
 }
 
+/**
+ * Download two profiles, and view the profile that compares them. See
+ * profile-logic/comparison.js.
+ */
+export function retrieveProfilesToCompare(
+  profileUrls: string[]
+): ThunkAction<Promise<void>> {
+  return async function(dispatch) {
+    dispatch(waitingForProfileFromUrl());
+
+    try {
+      const profiles = await Promise.all(
+        profileUrls.map(async profileUrl => {
+          const response = await _fetchProfile({
+            url: profileUrl,
+            onTemporaryError: (e: TemporaryError) => {
+              dispatch(temporaryErrorReceivingProfileFromUrl(e));
+            },
+          });
+          if (!response.profile) {
+            throw new Error(
+              `Expected to receive a profile from ${profileUrl}, zip files cannot be compared.`
+            );
+          }
+          const profile = unserializeProfileOfArbitraryFormat(response.profile);
+          if (profile === undefined) {
+            throw new Error(`Unable to parse the profile from ${profileUrl}.`);
+          }
+          return profile;
+        })
+      );
+      if (profiles.length !== 2) {
+        throw new Error('Expected two profiles to compare.');
+      }
+      const [baselineProfile, profile] = profiles;
+      dispatch(viewProfile(getComparisonProfile(baselineProfile, profile)));
+    } catch (error) {
+      dispatch(fatalErrorReceivingProfileFromUrl(error));
+    }
+  };
+}
+
 export function waitingForProfileFromFile(): Action {
   return {
     type: 'WAITING_FOR_PROFILE_FROM_FILE',
@@ -634,30 +715,6 @@ export function errorReceivingProfileFromFile(error: Error): Action {
   };
 }
 
-function _fileReader(input) {
-  const reader = new FileReader();
-  const promise = new Promise((resolve, reject) => {
-    // Flow's definition for FileReader doesn't handle the polymorphic nature of
-    // reader.result very well, as its definition is <string | ArrayBuffer>.
-    // Here we ensure type safety by returning the proper Promise type from the
-    // methods below.
-    reader.onload = () => resolve((reader.result: any));
-    reader.onerror = () => reject(reader.error);
-  });
-
-  return {
-    asText(): Promise<string> {
-      reader.readAsText(input);
-      return promise;
-    },
-
-    asArrayBuffer(): Promise<ArrayBuffer> {
-      reader.readAsArrayBuffer(input);
-      return promise;
-    },
-  };
-}
-
 export function retrieveProfileFromFile(
   file: File
 ): ThunkAction<Promise<void>> {
@@ -665,7 +722,7 @@ export function retrieveProfileFromFile(
     dispatch(waitingForProfileFromFile());
 
     try {
-      const text = await _fileReader(file).asText();
+      const text = await fileReader(file).asText();
       const profile = unserializeProfileOfArbitraryFormat(text);
       if (profile === undefined) {
         throw new Error('Unable to parse the profile.');
@@ -678,12 +735,15 @@ export function retrieveProfileFromFile(
     }
 
     try {
-      const buffer = await _fileReader(file).asArrayBuffer();
+      const buffer = await fileReader(file).asArrayBuffer();
       const arrayBuffer = new Uint8Array(buffer);
-      const decompressedArrayBuffer = await decompress(arrayBuffer);
-      const textDecoder = new TextDecoder();
-      const text = await textDecoder.decode(decompressedArrayBuffer);
-      const profile = unserializeProfileOfArbitraryFormat(text);
+      // pprof profiles are usually gzipped, but don't have to be.
+      const decompressedArrayBuffer = isGzip(arrayBuffer)
+        ? await decompress(arrayBuffer)
+        : arrayBuffer;
+      const profile = unserializeProfileOfArbitraryFormat(
+        decompressedArrayBuffer
+      );
       if (profile === undefined) {
         throw new Error('Unable to parse the profile.');
       }
@@ -0,0 +1,65 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// @flow
+import { getZipFileTableOrNull } from '../reducers/zipped-profiles';
+import { findSourceInZip, isSameOriginUrl } from '../profile-logic/sources';
+import { fileReader } from '../utils/file-reader';
+import type { ThunkAction } from '../types/store';
+
+async function _fetchSource(url: string): Promise<string> {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(
+      `Could not fetch the source, the server responded with ${
+        response.status
+      }.`
+    );
+  }
+  return response.text();
+}
+
+function _loadSourceFrom(
+  fileName: string,
+  getSource: () => Promise<string>
+): ThunkAction<Promise<void>> {
+  return async dispatch => {
+    dispatch({ type: 'REQUEST_SOURCE', fileName });
+    try {
+      const source = await getSource();
+      dispatch({ type: 'RECEIVE_SOURCE', fileName, source });
+    } catch (error) {
+      dispatch({ type: 'ERROR_RECEIVING_SOURCE', fileName, error });
+    }
+  };
+}
+
+/**
+ * Look for the source of a file where it can be found without the help of the
+ * user: in the zip file that the profile came from, or on the server that
+ * serves perf.html. Nothing is dispatched when the source can't be found, so
+ * that the user can still provide the file.
+ */
+export function loadSource(fileName: string): ThunkAction<Promise<void>> {
+  return async (dispatch, getState) => {
+    const zipFileTable = getZipFileTableOrNull(getState());
+    const zipFile =
+      zipFileTable === null ? null : findSourceInZip(zipFileTable, fileName);
+    if (zipFile !== null) {
+      await dispatch(_loadSourceFrom(fileName, () => zipFile.async('string')));
+    } else if (isSameOriginUrl(fileName, window.location.origin)) {
+      await dispatch(_loadSourceFrom(fileName, () => _fetchSource(fileName)));
+    }
+  };
+}
+
+/**
+ * Use a local file that the user provided as the source of a file.
+ */
+export function loadSourceFromFile(
+  fileName: string,
+  file: Blob
+): ThunkAction<Promise<void>> {
+  return _loadSourceFrom(fileName, () => fileReader(file).asText());
+}
@@ -10,9 +10,23 @@ import classNames from 'classnames';
 import {
   getProfile,
   getProfileRootRange,
+  getProfileInterval,
+  getSelectionOrDisplayRange,
   getSymbolicationStatus,
+  selectedThreadSelectors,
 } from '../../reducers/profile-view';
-import { getDataSource, getUrlPredictor } from '../../reducers/url-state';
+import {
+  getDataSource,
+  getUrlPredictor,
+  getImplementationFilter,
+  getInvertCallstack,
+  getCallTreeSortBy,
+  getSelectedThreadIndex,
+} from '../../reducers/url-state';
+import {
+  getCategoryColorStrategy,
+  getLabelingStrategy,
+} from '../../reducers/stack-chart';
 import actions from '../../actions';
 import { compress } from '../../utils/gz';
 import { uploadBinaryProfileData } from '../../profile-logic/profile-store';
@@ -20,14 +34,35 @@ import ArrowPanel from '../shared/ArrowPanel';
 import ButtonWithPanel from '../shared/ButtonWithPanel';
 import shortenUrl from '../../utils/shorten-url';
 import { serializeProfile } from '../../profile-logic/process-profile';
+import { getFoldedStacks } from '../../profile-logic/export/folded';
+import { serializeProfileAsChromeTrace } from '../../profile-logic/export/chrome';
+import { getCallTreeAsDelimitedText } from '../../profile-logic/export/call-tree';
+import {
+  getFlameGraphSvg,
+  getStackChartSvg,
+} from '../../profile-logic/export/svg';
+import { hasNetworkMarkers, getHarLog } from '../../profile-logic/export/har';
+import { getCallgrindProfile } from '../../profile-logic/export/callgrind';
+import { getCallTree } from '../../profile-logic/call-tree';
+import { getFlameGraphTiming } from '../../profile-logic/flame-graph';
+import { getStackTimingByDepth } from '../../profile-logic/stack-timing';
+import { computeCallNodeMaxDepth } from '../../profile-logic/profile-data';
 import prettyBytes from '../../utils/pretty-bytes';
 import sha1 from '../../utils/sha1';
 import { sendAnalytics } from '../../utils/analytics';
 import url from 'url';
 
-import type { StartEndRange } from '../../types/units';
-import type { Profile } from '../../types/profile';
-import type { Action, DataSource } from '../../types/actions';
+import type { StartEndRange, Milliseconds } from '../../types/units';
+import type { Profile, Thread, ThreadIndex } from '../../types/profile';
+import type { CallNodeInfo } from '../../types/profile-derived';
+import type { GetCategory } from '../../profile-logic/color-categories';
+import type { GetLabel } from '../../profile-logic/labeling-strategies';
+import type {
+  Action,
+  CallTreeSortBy,
+  DataSource,
+  ImplementationFilter,
+} from '../../types/actions';
 import type { SymbolicationStatus } from '../../types/reducers';
 import type {
   ExplicitConnectOptions,
@@ -333,16 +368,59 @@ function filenameDateString(d: Date): string {
 type ProfileDownloadButtonProps = {
   profile: Profile,
   rootRange: StartEndRange,
+  interval: Milliseconds,
+  // The thread and call node info that the call tree of the selected thread is
+  // computed from.
+  callTreeThread: Thread,
+  callNodeInfo: CallNodeInfo,
+  implementation: ImplementationFilter,
+  invertCallstack: boolean,
+  callTreeSortBy: CallTreeSortBy,
+  // The thread of the stack chart of the selected thread, and its horizontal
+  // viewport, which is the preview selection when there is one.
+  stackChartThread: Thread,
+  stackChartRange: StartEndRange,
+  getCategory: GetCategory,
+  getLabel: GetLabel,
+  threadIndex: ThreadIndex,
+  threadName: string,
 };
 
+/**
+ * A download of the profile, or of a part of it, in another format than the
+ * processed profile format. Its content is only computed when it's downloaded,
+ * as this can take a while for large profiles.
+ */
+type ExportedFile = {|
+  +title: string,
+  +filename: string,
+  +type: string,
+  +getContent: () => string,
+|};
+
 type ProfileDownloadButtonState = {|
   uncompressedBlobUrl: string,
   compressedBlobUrl: string,
   uncompressedSize: number,
   compressedSize: number,
   filename: string,
+  exportedFiles: ExportedFile[],
 |};
 
+function _downloadExportedFile({ filename, type, getContent }: ExportedFile) {
+  const blob = new Blob([getContent()], { type });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  // Firefox only follows the links that are in the document.
+  const { body } = document;
+  if (body) {
+    body.appendChild(link);
+    link.click();
+    body.removeChild(link);
+  }
+}
+
 class ProfileDownloadButton extends PureComponent<
   ProfileDownloadButtonProps,
   ProfileDownloadButtonState
@@ -355,8 +433,133 @@ class ProfileDownloadButton extends PureComponent<
       uncompressedSize: 0,
       compressedSize: 0,
       filename: '',
+      exportedFiles: [],
     };
     (this: any)._onPanelOpen = this._onPanelOpen.bind(this);
+    (this: any)._onExportedFileClick = this._onExportedFileClick.bind(this);
+  }
+
+  _getThreadExportedFiles(filenamePrefix: string): ExportedFile[] {
+    const {
+      interval,
+      callTreeThread,
+      callNodeInfo,
+      implementation,
+      invertCallstack,
+      callTreeSortBy,
+      stackChartThread,
+      stackChartRange,
+      getCategory,
+      getLabel,
+      threadName,
+    } = this.props;
+    // Sorted like the call tree on screen.
+    const getThreadCallTree = () =>
+      getCallTree(
+        callTreeThread,
+        interval,
+        callNodeInfo,
+        implementation,
+        invertCallstack,
+        callTreeSortBy
+      );
+
+    const exportedFiles = [
+      {
+        title: 'Call tree of the selected thread, as comma separated values',
+        filename: `${filenamePrefix} ${threadName}.csv`,
+        type: 'text/csv',
+        getContent: () =>
+          getCallTreeAsDelimitedText(getThreadCallTree(), 'csv'),
+      },
+    ];
+    // The folded stacks and Callgrind formats don't support the negative weights
+    // of the baseline profile of a comparison.
+    if (!callTreeThread.samples.isDifference) {
+      exportedFiles.unshift({
+        title: 'Call tree of the selected thread, in the folded stacks format',
+        filename: `${filenamePrefix} ${threadName}.folded`,
+        type: 'text/plain',
+        getContent: () => getFoldedStacks(callTreeThread, callNodeInfo),
+      });
+      exportedFiles.push({
+        title: 'Call graph of the selected thread, in the Callgrind format',
+        // KCachegrind recognizes the files by this prefix.
+        filename: `callgrind.out.${filenamePrefix} ${threadName}`,
+        type: 'text/plain',
+        getContent: () => getCallgrindProfile(callTreeThread, callNodeInfo),
+      });
+    }
+    // Like in the Flame Graph tab, there is no flame graph for inverted call
+    // stacks.
+    if (!invertCallstack) {
+      exportedFiles.push({
+        title: 'Flame graph of the selected thread, as an SVG image',
+        filename: `${filenamePrefix} ${threadName} flame graph.svg`,
+        type: 'image/svg+xml',
+        getContent: () =>
+          getFlameGraphSvg(
+            `Flame graph of ${threadName}`,
+            callTreeThread,
+            callNodeInfo,
+            getFlameGraphTiming(getThreadCallTree())
+          ),
+      });
+    }
+    exportedFiles.push({
+      title: 'Stack chart of the selected range, as an SVG image',
+      filename: `${filenamePrefix} ${threadName} stack chart.svg`,
+      type: 'image/svg+xml',
+      getContent: () =>
+        getStackChartSvg(
+          `Stack chart of ${threadName}`,
+          stackChartThread,
+          getStackTimingByDepth(
+            stackChartThread,
+            callNodeInfo,
+            computeCallNodeMaxDepth(stackChartThread, callNodeInfo),
+            interval
+          ),
+          getLabel,
+          getCategory,
+          stackChartRange.start,
+          stackChartRange.end
+        ),
+    });
+    return exportedFiles;
+  }
+
+  /**
+   * The network requests are exported for the selected thread, and for all of
+   * the threads when there are several of them. Threads without any network
+   * markers don't result in a file.
+   */
+  _getNetworkExportedFiles(filenamePrefix: string): ExportedFile[] {
+    const { profile, threadIndex, threadName } = this.props;
+    const exportedFiles = [];
+    if (hasNetworkMarkers(profile, [threadIndex])) {
+      exportedFiles.push({
+        title: 'Network requests of the selected thread, in the HAR format',
+        filename: `${filenamePrefix} ${threadName}.har`,
+        type: 'application/json',
+        getContent: () => JSON.stringify(getHarLog(profile, [threadIndex])),
+      });
+    }
+    const allThreadIndexes = profile.threads.map(
+      (thread, threadIndex) => threadIndex
+    );
+    if (
+      profile.threads.length > 1 &&
+      hasNetworkMarkers(profile, allThreadIndexes)
+    ) {
+      exportedFiles.push({
+        title: 'Network requests of all threads, in the HAR format',
+        filename: `${filenamePrefix} network.har`,
+        type: 'application/json',
+        getContent: () => JSON.stringify(getHarLog(profile, allThreadIndexes)),
+      });
+    }
+    return exportedFiles;
   }
 
   _onPanelOpen() {
@@ -367,12 +570,23 @@ class ProfileDownloadButton extends PureComponent<
       type: 'application/octet-binary',
     });
     const blobUrl = URL.createObjectURL(blob);
+    const filenamePrefix = `${profile.meta.product} ${filenameDateString(
+      profileDate
+    )}`;
     this.setState({
-      filename: `${profile.meta.product} ${filenameDateString(
-        profileDate
-      )} profile.sps.json`,
+      filename: `${filenamePrefix} profile.sps.json`,
       uncompressedBlobUrl: blobUrl,
       uncompressedSize: blob.size,
+      exportedFiles: [
+        {
+          title: 'Full profile, in the Chrome trace event format',
+          filename: `${filenamePrefix} trace.json`,
+          type: 'application/json',
+          getContent: () => serializeProfileAsChromeTrace(profile),
+        },
+        ...this._getNetworkExportedFiles(filenamePrefix),
+        ...this._getThreadExportedFiles(filenamePrefix),
+      ],
     });
     compress(serializedProfile).then(data => {
       const blob = new Blob([data], { type: 'application/octet-binary' });
@@ -389,6 +603,18 @@ class ProfileDownloadButton extends PureComponent<
     });
   }
 
+  _onExportedFileClick(e: SyntheticMouseEvent<HTMLButtonElement>) {
+    const index = parseInt(e.currentTarget.dataset.index, 10);
+    const exportedFile = this.state.exportedFiles[index];
+    _downloadExportedFile(exportedFile);
+    sendAnalytics({
+      hitType: 'event',
+      eventCategory: 'profile save locally',
+      eventAction: 'export',
+      eventLabel: exportedFile.type,
+    });
+  }
+
   render() {
     const {
       filename,
@@ -396,6 +622,7 @@ class ProfileDownloadButton extends PureComponent<
       compressedBlobUrl,
       uncompressedSize,
       compressedSize,
+      exportedFiles,
     } = this.state;
     return (
       <ButtonWithPanel
@@ -431,6 +658,21 @@ class ProfileDownloadButton extends PureComponent<
                 </p>
               ) : null}
             </section>
+            {exportedFiles.map(({ title, filename }, index) => (
+              <section key={filename}>
+                <h2 className="profileSharingDownloadSectionTitle">{title}</h2>
+                <p>
+                  <button
+                    type="button"
+                    className="profileSharingDownloadLink profileSharingExportButton"
+                    data-index={index}
+                    onClick={this._onExportedFileClick}
+                  >
+                    {filename}
+                  </button>
+                </p>
+              </section>
+            ))}
           </ArrowPanel>
         }
       />
@@ -441,6 +683,18 @@ class ProfileDownloadButton extends PureComponent<
 type ProfileSharingStateProps = {|
   +profile: Profile,
   +rootRange: StartEndRange,
+  +interval: Milliseconds,
+  +callTreeThread: Thread,
+  +callNodeInfo: CallNodeInfo,
+  +implementation: ImplementationFilter,
+  +invertCallstack: boolean,
+  +callTreeSortBy: CallTreeSortBy,
+  +stackChartThread: Thread,
+  +stackChartRange: StartEndRange,
+  +getCategory: GetCategory,
+  +getLabel: GetLabel,
+  +threadIndex: ThreadIndex,
+  +threadName: string,
   +dataSource: DataSource,
   +symbolicationStatus: SymbolicationStatus,
   +predictUrl: (Action | Action[]) => string,
@@ -459,6 +713,18 @@ type ProfileSharingProps = ConnectedProps<
 const ProfileSharing = ({
   profile,
   rootRange,
+  interval,
+  callTreeThread,
+  callNodeInfo,
+  implementation,
+  invertCallstack,
+  callTreeSortBy,
+  stackChartThread,
+  stackChartRange,
+  getCategory,
+  getLabel,
+  threadIndex,
+  threadName,
   dataSource,
   symbolicationStatus,
   profilePublished,
@@ -472,7 +738,22 @@ const ProfileSharing = ({
       onProfilePublished={profilePublished}
       predictUrl={predictUrl}
     />
-    <ProfileDownloadButton profile={profile} rootRange={rootRange} />
+    <ProfileDownloadButton
+      profile={profile}
+      rootRange={rootRange}
+      interval={interval}
+      callTreeThread={callTreeThread}
+      callNodeInfo={callNodeInfo}
+      implementation={implementation}
+      invertCallstack={invertCallstack}
+      callTreeSortBy={callTreeSortBy}
+      stackChartThread={stackChartThread}
+      stackChartRange={stackChartRange}
+      getCategory={getCategory}
+      getLabel={getLabel}
+      threadIndex={threadIndex}
+      threadName={threadName}
+    />
   </div>
 );
 
@@ -484,6 +765,20 @@ const options: ExplicitConnectOptions<
   mapStateToProps: state => ({
     profile: getProfile(state),
     rootRange: getProfileRootRange(state),
+    interval: getProfileInterval(state),
+    callTreeThread: selectedThreadSelectors.getRangeSelectionFilteredThread(
+      state
+    ),
+    callNodeInfo: selectedThreadSelectors.getCallNodeInfo(state),
+    implementation: getImplementationFilter(state),
+    invertCallstack: getInvertCallstack(state),
+    callTreeSortBy: getCallTreeSortBy(state),
+    stackChartThread: selectedThreadSelectors.getFilteredThread(state),
+    stackChartRange: getSelectionOrDisplayRange(state),
+    getCategory: getCategoryColorStrategy(state),
+    getLabel: getLabelingStrategy(state),
+    threadIndex: getSelectedThreadIndex(state),
+    threadName: selectedThreadSelectors.getFriendlyThreadName(state),
     dataSource: getDataSource(state),
     symbolicationStatus: getSymbolicationStatus(state),
     predictUrl: getUrlPredictor(state),
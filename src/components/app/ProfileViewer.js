@@ -5,6 +5,7 @@
 // @flow
 
 import React, { PureComponent } from 'react';
+import classNames from 'classnames';
 import explicitConnect from '../../utils/connect';
 import TabBar from './TabBar';
 import ProfileCallTreeView from '../calltree/ProfileCallTreeView';
@@ -15,10 +16,21 @@ import SymbolicationStatusOverlay from './SymbolicationStatusOverlay';
 import StackChart from '../stack-chart/';
 import MarkerChart from '../marker-chart/';
 import FlameGraph from '../flame-graph/';
-import { changeSelectedTab, changeTabOrder } from '../../actions/app';
+import Butterfly from '../butterfly/';
+import FunctionList from '../function-list/';
+import selectSidebar from '../sidebar';
+import {
+  changeSelectedTab,
+  changeTabOrder,
+  changeSidebarOpenState,
+} from '../../actions/app';
 import { returnToZipFileList } from '../../actions/zipped-profiles';
 import { getTabOrder } from '../../reducers/profile-view';
-import { getSelectedTab, getProfileName } from '../../reducers/url-state';
+import {
+  getSelectedTab,
+  getProfileName,
+  getIsSidebarOpen,
+} from '../../reducers/url-state';
 import ProfileViewerHeader from '../header/ProfileViewerHeader';
 import CallNodeContextMenu from '../shared/CallNodeContextMenu';
 import MarkerTableContextMenu from '../marker-table/ContextMenu';
@@ -40,11 +52,13 @@ type StateProps = {|
   +selectedTab: TabSlug,
   +profileName: string | null,
   +hasZipFile: boolean,
+  +isSidebarOpen: boolean,
 |};
 
 type DispatchProps = {|
   +changeSelectedTab: typeof changeSelectedTab,
   +changeTabOrder: typeof changeTabOrder,
+  +changeSidebarOpenState: typeof changeSidebarOpenState,
   +returnToZipFileList: typeof returnToZipFileList,
 |};
 
@@ -70,6 +84,14 @@ class ProfileViewer extends PureComponent<Props> {
         name: 'stack-chart',
         title: 'Stack Chart',
       },
+      {
+        name: 'butterfly',
+        title: 'Butterfly',
+      },
+      {
+        name: 'function-list',
+        title: 'Functions',
+      },
       {
         name: 'marker-chart',
         title: 'Marker Chart',
@@ -90,6 +112,11 @@ class ProfileViewer extends PureComponent<Props> {
     changeSelectedTab(tabSlug);
   }
 
+  _onSidebarButtonClick = () => {
+    const { selectedTab, isSidebarOpen, changeSidebarOpenState } = this.props;
+    changeSidebarOpenState(selectedTab, !isSidebarOpen);
+  };
+
   render() {
     const {
       tabOrder,
@@ -98,6 +125,7 @@ class ProfileViewer extends PureComponent<Props> {
       hasZipFile,
       profileName,
       returnToZipFileList,
+      isSidebarOpen,
     } = this.props;
     return (
       <div className="profileViewer">
@@ -123,6 +151,20 @@ class ProfileViewer extends PureComponent<Props> {
           tabOrder={tabOrder}
           onSelectTab={this._onSelectTab}
           onChangeTabOrder={changeTabOrder}
+          extraElements={
+            selectSidebar(selectedTab) === null ? null : (
+              <button
+                type="button"
+                className={classNames('sidebarButton', {
+                  'sidebarButton-open': isSidebarOpen,
+                })}
+                title={isSidebarOpen ? 'Close the sidebar' : 'Open the sidebar'}
+                onClick={this._onSidebarButtonClick}
+              >
+                Sidebar
+              </button>
+            )
+          }
         />
         {
           {
@@ -131,6 +173,8 @@ class ProfileViewer extends PureComponent<Props> {
             'stack-chart': <StackChart />,
             'marker-chart': <MarkerChart />,
             'flame-graph': <FlameGraph />,
+            butterfly: <Butterfly />,
+            'function-list': <FunctionList />,
           }[selectedTab]
         }
         <SymbolicationStatusOverlay />
@@ -148,10 +192,12 @@ const options: ExplicitConnectOptions<{||}, StateProps, DispatchProps> = {
     selectedTab: getSelectedTab(state),
     profileName: getProfileName(state),
     hasZipFile: getHasZipFile(state),
+    isSidebarOpen: getIsSidebarOpen(state),
   }),
   mapDispatchToProps: {
     changeSelectedTab,
     changeTabOrder,
+    changeSidebarOpenState,
     returnToZipFileList,
   },
   component: ProfileViewer,
@@ -9,7 +9,7 @@ import SplitterLayout from 'react-splitter-layout';
 import ProfileViewer from './ProfileViewer';
 import selectSidebar from '../sidebar';
 
-import { getSelectedTab } from '../../reducers/url-state';
+import { getSelectedTab, getIsSidebarOpen } from '../../reducers/url-state';
 import explicitConnect from '../../utils/connect';
 
 import type { TabSlug } from '../../types/actions';
@@ -24,10 +24,11 @@ function dispatchResizeEvent() {
 
 type StateProps = {|
   +selectedTab: TabSlug,
+  +isSidebarOpen: boolean,
 |};
 
-function ProfileViewerContainer({ selectedTab }: StateProps) {
-  const Sidebar = selectSidebar(selectedTab);
+function ProfileViewerContainer({ selectedTab, isSidebarOpen }: StateProps) {
+  const Sidebar = isSidebarOpen ? selectSidebar(selectedTab) : null;
 
   /* Note: we use `primaryMinSize` to control the display of the sidebar, instead
    * of `secondaryInitialSize`, because the component SplitterLayout doesn't react
@@ -50,6 +51,7 @@ function ProfileViewerContainer({ selectedTab }: StateProps) {
 const options: ExplicitConnectOptions<{||}, StateProps, {||}> = {
   mapStateToProps: state => ({
     selectedTab: getSelectedTab(state),
+    isSidebarOpen: getIsSidebarOpen(state),
   }),
   component: ProfileViewerContainer,
 };
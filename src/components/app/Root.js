@@ -11,6 +11,7 @@ import {
   retrieveProfileFromAddon,
   retrieveProfileFromStore,
   retrieveProfileOrZipFromUrl,
+  retrieveProfilesToCompare,
 } from '../../actions/receive-profile';
 import ProfileViewerContainer from './ProfileViewerContainer';
 import ZipFileViewer from './ZipFileViewer';
@@ -21,6 +22,7 @@ import {
   getDataSource,
   getHash,
   getProfileUrl,
+  getProfilesToCompare,
 } from '../../reducers/url-state';
 import UrlManager from './UrlManager';
 import FooterLinks from './FooterLinks';
@@ -41,6 +43,7 @@ const LOADING_MESSAGES: { [string]: string } = Object.freeze({
   local: 'Not implemented yet.',
   public: 'Downloading and processing the profile...',
   'from-url': 'Downloading and processing the profile...',
+  compare: 'Downloading and comparing the profiles...',
 });
 
 const ERROR_MESSAGES: { [string]: string } = Object.freeze({
@@ -49,6 +52,7 @@ const ERROR_MESSAGES: { [string]: string } = Object.freeze({
   local: 'Not implemented yet.',
   public: 'Could not download the profile.',
   'from-url': 'Could not download the profile.',
+  compare: 'Could not download or compare the profiles.',
 });
 
 // TODO Switch to a proper i18n library
@@ -73,6 +77,7 @@ type ProfileViewStateProps = {|
   +dataSource: DataSource,
   +hash: string,
   +profileUrl: string,
+  +profilesToCompare: string[] | null,
   +hasZipFile: boolean,
 |};
 
@@ -80,6 +85,7 @@ type ProfileViewDispatchProps = {|
   +retrieveProfileFromAddon: typeof retrieveProfileFromAddon,
   +retrieveProfileFromStore: typeof retrieveProfileFromStore,
   +retrieveProfileOrZipFromUrl: typeof retrieveProfileOrZipFromUrl,
+  +retrieveProfilesToCompare: typeof retrieveProfilesToCompare,
 |};
 
 type ProfileViewProps = ConnectedProps<
@@ -94,9 +100,11 @@ class ProfileViewWhenReadyImpl extends PureComponent<ProfileViewProps> {
       dataSource,
       hash,
       profileUrl,
+      profilesToCompare,
       retrieveProfileFromAddon,
       retrieveProfileFromStore,
       retrieveProfileOrZipFromUrl,
+      retrieveProfilesToCompare,
     } = this.props;
     switch (dataSource) {
       case 'from-addon':
@@ -113,6 +121,11 @@ class ProfileViewWhenReadyImpl extends PureComponent<ProfileViewProps> {
       case 'from-url':
         retrieveProfileOrZipFromUrl(profileUrl);
         break;
+      case 'compare':
+        if (profilesToCompare) {
+          retrieveProfilesToCompare(profilesToCompare);
+        }
+        break;
       case 'none':
         // nothing to do
         break;
@@ -224,11 +237,13 @@ const options: ExplicitConnectOptions<
     dataSource: getDataSource(state),
     hash: getHash(state),
     profileUrl: getProfileUrl(state),
+    profilesToCompare: getProfilesToCompare(state),
     hasZipFile: getHasZipFile(state),
   }),
   mapDispatchToProps: {
     retrieveProfileFromStore,
     retrieveProfileOrZipFromUrl,
+    retrieveProfilesToCompare,
     retrieveProfileFromAddon,
   },
   component: ProfileViewWhenReadyImpl,
@@ -4,7 +4,7 @@
 
 // @flow
 
-import React, { PureComponent } from 'react';
+import * as React from 'react';
 import classNames from 'classnames';
 import Reorderable from '../shared/Reorderable';
 
@@ -22,9 +22,11 @@ type Props = {
   tabOrder: number[],
   onSelectTab: string => void,
   onChangeTabOrder: (number[]) => Action,
+  // Shown at the end of the tab bar, after the tabs.
+  extraElements?: React.Node,
 };
 
-class TabBar extends PureComponent<Props> {
+class TabBar extends React.PureComponent<Props> {
   constructor(props: Props) {
     super(props);
     (this: any)._mouseDownListener = this._mouseDownListener.bind(this);
@@ -44,6 +46,7 @@ class TabBar extends PureComponent<Props> {
       selectedTabName,
       tabOrder,
       onChangeTabOrder,
+      extraElements,
     } = this.props;
     return (
       <div className={classNames('tabBarContainer', className)}>
@@ -67,6 +70,7 @@ class TabBar extends PureComponent<Props> {
             </li>
           ))}
         </Reorderable>
+        {extraElements}
       </div>
     );
   }
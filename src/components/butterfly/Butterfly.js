@@ -0,0 +1,199 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+// @flow
+
+import * as React from 'react';
+import classNames from 'classnames';
+import explicitConnect from '../../utils/connect';
+import { getSelectedThreadIndex } from '../../reducers/url-state';
+import { selectedThreadSelectors } from '../../reducers/profile-view';
+import { changeSelectedFunction } from '../../actions/profile-view';
+import { getTimingLabels } from '../../profile-logic/call-tree';
+import { getWeightType } from '../../profile-logic/profile-data';
+import { formatNumber, formatPercent } from '../../utils/format-numbers';
+
+import type { Butterfly, ButterflyCall } from '../../profile-logic/butterfly';
+import type {
+  Thread,
+  ThreadIndex,
+  IndexIntoFuncTable,
+} from '../../types/profile';
+import type { State } from '../../types/reducers';
+import type {
+  ExplicitConnectOptions,
+  ConnectedProps,
+} from '../../utils/connect';
+
+import './Butterfly.css';
+
+type StateProps = {|
+  +threadIndex: ThreadIndex,
+  +thread: Thread,
+  +butterfly: Butterfly | null,
+|};
+
+type DispatchProps = {|
+  +changeSelectedFunction: typeof changeSelectedFunction,
+|};
+
+type Props = ConnectedProps<{||}, StateProps, DispatchProps>;
+
+type RowProps = {|
+  +className: string,
+  +func: IndexIntoFuncTable,
+  +funcName: string,
+  +totalTime: number,
+  +selfTime: number | null,
+  +rootTotalTime: number,
+  +onClick?: IndexIntoFuncTable => mixed,
+|};
+
+class ButterflyRow extends React.PureComponent<RowProps> {
+  _onClick = () => {
+    const { onClick, func } = this.props;
+    if (onClick) {
+      onClick(func);
+    }
+  };
+
+  render() {
+    const {
+      className,
+      funcName,
+      totalTime,
+      selfTime,
+      rootTotalTime,
+    } = this.props;
+    return (
+      <tr
+        className={classNames('butterflyRow', className)}
+        onClick={this._onClick}
+      >
+        <td className="butterflyTime">{formatNumber(totalTime)}</td>
+        <td className="butterflyTime">
+          {selfTime ? formatNumber(selfTime) : '—'}
+        </td>
+        <td className="butterflyPercent">
+          {rootTotalTime === 0 ? '—' : formatPercent(totalTime / rootTotalTime)}
+        </td>
+        <td className="butterflyFuncName">{funcName}</td>
+      </tr>
+    );
+  }
+}
+
+/**
+ * Show the selected function with its callers above it, and its callees below
+ * it. Clicking on a caller or a callee selects it.
+ */
+class ButterflyView extends React.PureComponent<Props> {
+  _onSelectFunction = (func: IndexIntoFuncTable) => {
+    const { threadIndex, changeSelectedFunction } = this.props;
+    changeSelectedFunction(threadIndex, func);
+  };
+
+  _getFuncName(func: IndexIntoFuncTable): string {
+    const { funcTable, stringTable } = this.props.thread;
+    return stringTable.getString(funcTable.name[func]);
+  }
+
+  _renderCalls(
+    calls: ButterflyCall[],
+    rootTotalTime: number,
+    emptyMessage: string
+  ): React.Node {
+    if (calls.length === 0) {
+      return (
+        <tr className="butterflyRow butterflyEmptyRow">
+          <td colSpan={4}>{emptyMessage}</td>
+        </tr>
+      );
+    }
+    return calls.map(({ func, totalTime }) => (
+      <ButterflyRow
+        key={func}
+        className="butterflyCall"
+        func={func}
+        funcName={this._getFuncName(func)}
+        totalTime={totalTime}
+        selfTime={null}
+        rootTotalTime={rootTotalTime}
+        onClick={this._onSelectFunction}
+      />
+    ));
+  }
+
+  render() {
+    const { butterfly, thread } = this.props;
+    if (butterfly === null || butterfly.totalTime === 0) {
+      return (
+        <div className="butterflyEmpty">
+          {butterfly === null
+            ? 'Select a function in the call tree to see its callers and callees.'
+            : `“${this._getFuncName(
+                butterfly.func
+              )}” has no samples in the current selection.`}
+        </div>
+      );
+    }
+    const { total, unit } = getTimingLabels(getWeightType(thread.samples));
+    const { func, totalTime, selfTime, rootTotalTime } = butterfly;
+    return (
+      <div className="butterflyContent">
+        <table className="butterflyTable">
+          <thead>
+            <tr>
+              <th className="butterflyTime">{`${total} (${unit})`}</th>
+              <th className="butterflyTime">{`Self (${unit})`}</th>
+              <th className="butterflyPercent" />
+              <th className="butterflyFuncName" />
+            </tr>
+          </thead>
+          <tbody className="butterflyCallers">
+            <tr className="butterflySectionTitle">
+              <th colSpan={4}>Callers</th>
+            </tr>
+            {this._renderCalls(
+              butterfly.callers,
+              rootTotalTime,
+              'This function has no callers.'
+            )}
+          </tbody>
+          <tbody>
+            <ButterflyRow
+              className="butterflySelectedFunction"
+              func={func}
+              funcName={this._getFuncName(func)}
+              totalTime={totalTime}
+              selfTime={selfTime}
+              rootTotalTime={rootTotalTime}
+            />
+          </tbody>
+          <tbody className="butterflyCallees">
+            <tr className="butterflySectionTitle">
+              <th colSpan={4}>Callees</th>
+            </tr>
+            {this._renderCalls(
+              butterfly.callees,
+              rootTotalTime,
+              'This function has no callees.'
+            )}
+          </tbody>
+        </table>
+      </div>
+    );
+  }
+}
+
+const options: ExplicitConnectOptions<{||}, StateProps, DispatchProps> = {
+  mapStateToProps: (state: State) => ({
+    threadIndex: getSelectedThreadIndex(state),
+    thread: selectedThreadSelectors.getRangeSelectionFilteredThread(state),
+    butterfly: selectedThreadSelectors.getButterfly(state),
+  }),
+  mapDispatchToProps: { changeSelectedFunction },
+  component: ButterflyView,
+};
+
+export default explicitConnect(options);
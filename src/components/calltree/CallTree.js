@@ -9,11 +9,14 @@ import TreeView from '../shared/TreeView';
 import EmptyReasons from './EmptyReasons';
 import NodeIcon from './NodeIcon';
 import { getCallNodePathFromIndex } from '../../profile-logic/profile-data';
+import { getTimingLabels } from '../../profile-logic/call-tree';
 import {
   getInvertCallstack,
   getImplementationFilter,
   getSearchStringsAsRegExp,
   getSelectedThreadIndex,
+  getCallTreeColumns,
+  getCallTreeSortBy,
 } from '../../reducers/url-state';
 import {
   selectedThreadSelectors,
@@ -26,18 +29,23 @@ import {
   changeSelectedCallNode,
   changeExpandedCallNodes,
   addTransformToStack,
+  changeCallTreeSortBy,
 } from '../../actions/profile-view';
 
 import type { IconWithClassName, State } from '../../types/reducers';
 import type { CallTree } from '../../profile-logic/call-tree';
-import type { ImplementationFilter } from '../../types/actions';
-import type { ThreadIndex } from '../../types/profile';
+import type {
+  ImplementationFilter,
+  CallTreeColumn,
+  CallTreeSortBy,
+} from '../../types/actions';
+import type { ThreadIndex, WeightType } from '../../types/profile';
 import type {
   CallNodeInfo,
   IndexIntoCallNodeTable,
   CallNodeDisplayData,
 } from '../../types/profile-derived';
-import type { Column } from '../shared/TreeView';
+import type { Column, TreeViewSort } from '../shared/TreeView';
 import type {
   ExplicitConnectOptions,
   ConnectedProps,
@@ -57,18 +65,57 @@ type StateProps = {|
   +implementationFilter: ImplementationFilter,
   +icons: IconWithClassName[],
   +callNodeMaxDepth: number,
+  +columns: CallTreeColumn[],
+  +sortBy: CallTreeSortBy,
 |};
 
 type DispatchProps = {|
   +changeSelectedCallNode: typeof changeSelectedCallNode,
   +changeExpandedCallNodes: typeof changeExpandedCallNodes,
   +addTransformToStack: typeof addTransformToStack,
+  +changeCallTreeSortBy: typeof changeCallTreeSortBy,
 |};
 
 type Props = ConnectedProps<{||}, StateProps, DispatchProps>;
 
+function _getFixedColumns(
+  weightType: WeightType,
+  isDifference: boolean,
+  columns: CallTreeColumn[]
+): Column[] {
+  const { total, unit } = getTimingLabels(weightType);
+  const optionalColumn = (column: CallTreeColumn, title: string) =>
+    columns.includes(column) ? [{ propName: column, title }] : [];
+  // The trees that compare two profiles also have the deltas from the baseline
+  // profile.
+  const differenceColumns = isDifference
+    ? [
+        { propName: 'totalTimeDelta', title: `Δ ${total} (${unit})` },
+        { propName: 'selfTimeDelta', title: `Δ Self (${unit})` },
+        { propName: 'totalTimeDeltaPercent', title: 'Δ (%)' },
+      ]
+    : [];
+  return [
+    ...optionalColumn('totalTimePercent', ''),
+    { propName: 'totalTime', title: `${total} (${unit})`, sortable: true },
+    ...optionalColumn('selfTimePercent', ''),
+    { propName: 'selfTime', title: `Self (${unit})`, sortable: true },
+    ...optionalColumn('samples', 'Samples'),
+    ...differenceColumns,
+    { propName: 'icon', title: '', component: NodeIcon },
+  ];
+}
+
+// The times are sorted with the heaviest first, and the names alphabetically.
+const TREE_VIEW_SORTS: { [CallTreeSortBy]: TreeViewSort } = {
+  totalTime: { propName: 'totalTime', descending: true },
+  selfTime: { propName: 'selfTime', descending: true },
+  name: { propName: 'name', descending: false },
+};
+
 class CallTreeComponent extends PureComponent<Props> {
-  _fixedColumns: Column[];
+  _fixedColumns: Column[] | null = null;
+  _fixedColumnsInputs: [WeightType, boolean, CallTreeColumn[]] | null = null;
   _mainColumn: Column;
   _appendageColumn: Column;
   _appendageButtons: string[];
@@ -77,13 +124,7 @@ class CallTreeComponent extends PureComponent<Props> {
 
   constructor(props: Props) {
     super(props);
-    this._fixedColumns = [
-      { propName: 'totalTimePercent', title: '' },
-      { propName: 'totalTime', title: 'Running Time (ms)' },
-      { propName: 'selfTime', title: 'Self (ms)' },
-      { propName: 'icon', title: '', component: NodeIcon },
-    ];
-    this._mainColumn = { propName: 'name', title: '' };
+    this._mainColumn = { propName: 'name', title: 'Name', sortable: true };
     this._appendageColumn = { propName: 'lib', title: '' };
     this._appendageButtons = ['focusCallstackButton'];
     this._treeView = null;
@@ -166,6 +207,18 @@ class CallTreeComponent extends PureComponent<Props> {
     });
   }
 
+  _onSort = (propName: string) => {
+    switch (propName) {
+      case 'totalTime':
+      case 'selfTime':
+      case 'name':
+        this.props.changeCallTreeSortBy(propName);
+        break;
+      default:
+        throw new Error(`The call tree can't be sorted by ${propName}.`);
+    }
+  };
+
   procureInterestingInitialSelection() {
     // Expand the heaviest callstack up to a certain depth and select the frame
     // at that depth.
@@ -190,6 +243,26 @@ class CallTreeComponent extends PureComponent<Props> {
     this._onSelectedCallNodeChange(currentCallNodeIndex);
   }
 
+  _getFixedColumns(): Column[] {
+    const { tree, columns } = this.props;
+    const weightType = tree.getWeightType();
+    const isDifference = tree.isDifference();
+    const inputs = this._fixedColumnsInputs;
+    // Keep the same columns while their inputs don't change, so that the
+    // TreeView doesn't need to be rendered again.
+    if (
+      this._fixedColumns === null ||
+      inputs === null ||
+      inputs[0] !== weightType ||
+      inputs[1] !== isDifference ||
+      inputs[2] !== columns
+    ) {
+      this._fixedColumns = _getFixedColumns(weightType, isDifference, columns);
+      this._fixedColumnsInputs = [weightType, isDifference, columns];
+    }
+    return this._fixedColumns;
+  }
+
   render() {
     const {
       tree,
@@ -198,6 +271,8 @@ class CallTreeComponent extends PureComponent<Props> {
       searchStringsRegExp,
       disableOverscan,
       callNodeMaxDepth,
+      columns,
+      sortBy,
     } = this.props;
     if (tree.getRoots().length === 0) {
       return <EmptyReasons />;
@@ -205,11 +280,15 @@ class CallTreeComponent extends PureComponent<Props> {
     return (
       <TreeView
         tree={tree}
-        fixedColumns={this._fixedColumns}
+        fixedColumns={this._getFixedColumns()}
         mainColumn={this._mainColumn}
-        appendageColumn={this._appendageColumn}
+        appendageColumn={
+          columns.includes('lib') ? this._appendageColumn : undefined
+        }
         onSelectionChange={this._onSelectedCallNodeChange}
         onExpandedNodesChange={this._onExpandedCallNodesChange}
+        sort={TREE_VIEW_SORTS[sortBy]}
+        onSort={this._onSort}
         selectedNodeId={selectedCallNodeIndex}
         expandedNodeIds={expandedCallNodeIndexes}
         highlightRegExp={searchStringsRegExp}
@@ -246,11 +325,14 @@ const options: ExplicitConnectOptions<{||}, StateProps, DispatchProps> = {
     implementationFilter: getImplementationFilter(state),
     icons: getIconsWithClassNames(state),
     callNodeMaxDepth: selectedThreadSelectors.getCallNodeMaxDepth(state),
+    columns: getCallTreeColumns(state),
+    sortBy: getCallTreeSortBy(state),
   }),
   mapDispatchToProps: {
     changeSelectedCallNode,
     changeExpandedCallNodes,
     addTransformToStack,
+    changeCallTreeSortBy,
   },
   options: { withRef: true },
   component: CallTreeComponent,
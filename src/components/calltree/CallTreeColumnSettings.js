@@ -0,0 +1,94 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+// @flow
+
+import React, { PureComponent } from 'react';
+import explicitConnect from '../../utils/connect';
+import ButtonWithPanel from '../shared/ButtonWithPanel';
+import ArrowPanel from '../shared/ArrowPanel';
+import { CALL_TREE_COLUMNS } from '../../profile-logic/call-tree';
+import { getCallTreeColumns } from '../../reducers/url-state';
+import { changeCallTreeColumns } from '../../actions/profile-view';
+
+import type { CallTreeColumn } from '../../types/actions';
+import type { State } from '../../types/reducers';
+import type {
+  ExplicitConnectOptions,
+  ConnectedProps,
+} from '../../utils/connect';
+
+import './CallTreeColumnSettings.css';
+
+const COLUMN_LABELS: { [CallTreeColumn]: string } = {
+  samples: 'Sample count',
+  selfTimePercent: 'Self percentage',
+  totalTimePercent: 'Total percentage',
+  lib: 'Library',
+};
+
+type StateProps = {|
+  +columns: CallTreeColumn[],
+|};
+
+type DispatchProps = {|
+  +changeCallTreeColumns: typeof changeCallTreeColumns,
+|};
+
+type Props = ConnectedProps<{||}, StateProps, DispatchProps>;
+
+/**
+ * A button with a panel to show or hide the optional columns of the call tree.
+ */
+class CallTreeColumnSettings extends PureComponent<Props> {
+  _onColumnChange = (e: SyntheticEvent<HTMLInputElement>) => {
+    const { columns, changeCallTreeColumns } = this.props;
+    const { value, checked } = e.currentTarget;
+    // Keep the columns in the same order, whatever the order of the clicks.
+    changeCallTreeColumns(
+      CALL_TREE_COLUMNS.filter(
+        column => (column === value ? checked : columns.includes(column))
+      )
+    );
+  };
+
+  render() {
+    const { columns } = this.props;
+    return (
+      <ButtonWithPanel
+        className="callTreeColumnSettings"
+        label="Columns"
+        panel={
+          <ArrowPanel className="callTreeColumnSettingsPanel">
+            <ul className="callTreeColumnSettingsList">
+              {CALL_TREE_COLUMNS.map(column => (
+                <li className="callTreeColumnSettingsListItem" key={column}>
+                  <label className="callTreeColumnSettingsLabel">
+                    <input
+                      type="checkbox"
+                      className="callTreeColumnSettingsCheckbox"
+                      value={column}
+                      checked={columns.includes(column)}
+                      onChange={this._onColumnChange}
+                    />
+                    {` ${COLUMN_LABELS[column]}`}
+                  </label>
+                </li>
+              ))}
+            </ul>
+          </ArrowPanel>
+        }
+      />
+    );
+  }
+}
+
+const options: ExplicitConnectOptions<{||}, StateProps, DispatchProps> = {
+  mapStateToProps: (state: State) => ({
+    columns: getCallTreeColumns(state),
+  }),
+  mapDispatchToProps: { changeCallTreeColumns },
+  component: CallTreeColumnSettings,
+};
+
+export default explicitConnect(options);
@@ -6,14 +6,19 @@
 
 import React from 'react';
 import CallTree from './CallTree';
+import CallTreeColumnSettings from './CallTreeColumnSettings';
 import StackSettings from '../shared/StackSettings';
 import TransformNavigator from '../shared/TransformNavigator';
+import SourceView from '../source-view/SourceView';
 
 const ProfileCallTreeView = () => (
   <div className="treeAndSidebarWrapper">
-    <StackSettings />
+    <StackSettings>
+      <CallTreeColumnSettings />
+    </StackSettings>
     <TransformNavigator />
     <CallTree />
+    <SourceView />
   </div>
 );
 
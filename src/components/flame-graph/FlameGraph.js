@@ -19,6 +19,7 @@ import ContextMenuTrigger from '../shared/ContextMenuTrigger';
 import { getCallNodePathFromIndex } from '../../profile-logic/profile-data';
 import {
   changeSelectedCallNode,
+  changeHoveredCallNode,
   changeInvertCallstack,
 } from '../../actions/profile-view';
 
@@ -56,6 +57,7 @@ type StateProps = {|
 |};
 type DispatchProps = {|
   +changeSelectedCallNode: typeof changeSelectedCallNode,
+  +changeHoveredCallNode: typeof changeHoveredCallNode,
   +changeInvertCallstack: typeof changeInvertCallstack,
 |};
 type Props = ConnectedProps<{||}, StateProps, DispatchProps>;
@@ -71,6 +73,20 @@ class FlameGraph extends React.PureComponent<Props> {
     );
   };
 
+  _onHoveredCallNodeChange = (callNodeIndex: IndexIntoCallNodeTable | null) => {
+    const { callNodeInfo, threadIndex, changeHoveredCallNode } = this.props;
+    changeHoveredCallNode(
+      threadIndex,
+      getCallNodePathFromIndex(callNodeIndex, callNodeInfo.callNodeTable)
+    );
+  };
+
+  componentWillUnmount() {
+    // The sidebar shouldn't keep the box that was hovered when leaving the tab.
+    const { threadIndex, changeHoveredCallNode } = this.props;
+    changeHoveredCallNode(threadIndex, []);
+  }
+
   _onSwithToNormalCallstackClick = () => {
     this.props.changeInvertCallstack(false);
   };
@@ -139,6 +155,7 @@ class FlameGraph extends React.PureComponent<Props> {
               selectedCallNodeIndex,
               stackFrameHeight: STACK_FRAME_HEIGHT,
               onSelectionChange: this._onSelectedCallNodeChange,
+              onHoveredCallNodeChange: this._onHoveredCallNodeChange,
               disableTooltips: isCallNodeContextMenuVisible,
             }}
           />
@@ -180,6 +197,7 @@ const options: ExplicitConnectOptions<{||}, StateProps, DispatchProps> = {
   },
   mapDispatchToProps: {
     changeSelectedCallNode,
+    changeHoveredCallNode,
     changeInvertCallstack,
   },
   component: FlameGraph,
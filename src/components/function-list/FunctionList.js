@@ -0,0 +1,182 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+// @flow
+
+import React, { PureComponent } from 'react';
+import explicitConnect from '../../utils/connect';
+import TreeView from '../shared/TreeView';
+import EmptyReasons from '../calltree/EmptyReasons';
+import NodeIcon from '../calltree/NodeIcon';
+import { getTimingLabels } from '../../profile-logic/call-tree';
+import {
+  getSearchStringsAsRegExp,
+  getSelectedThreadIndex,
+} from '../../reducers/url-state';
+import {
+  selectedThreadSelectors,
+  getProfileViewOptions,
+  getFunctionListSort,
+} from '../../reducers/profile-view';
+import { getIconsWithClassNames } from '../../reducers/icons';
+import {
+  changeSelectedFunction,
+  changeFunctionListSort,
+  addTransformToStack,
+} from '../../actions/profile-view';
+
+import type { IconWithClassName, State } from '../../types/reducers';
+import type { FunctionList } from '../../profile-logic/function-list';
+import type { FunctionListSort } from '../../types/actions';
+import type {
+  ThreadIndex,
+  IndexIntoFuncTable,
+  WeightType,
+} from '../../types/profile';
+import type { Column, TreeViewSort } from '../shared/TreeView';
+import type {
+  ExplicitConnectOptions,
+  ConnectedProps,
+} from '../../utils/connect';
+
+type StateProps = {|
+  +threadIndex: ThreadIndex,
+  +functionList: FunctionList,
+  +selectedFunction: IndexIntoFuncTable | null,
+  +sort: FunctionListSort,
+  +searchStringsRegExp: RegExp | null,
+  +disableOverscan: boolean,
+  +icons: IconWithClassName[],
+|};
+
+type DispatchProps = {|
+  +changeSelectedFunction: typeof changeSelectedFunction,
+  +changeFunctionListSort: typeof changeFunctionListSort,
+  +addTransformToStack: typeof addTransformToStack,
+|};
+
+type Props = ConnectedProps<{||}, StateProps, DispatchProps>;
+
+function _getFixedColumns(weightType: WeightType): Column[] {
+  const { total, unit } = getTimingLabels(weightType);
+  return [
+    { propName: 'totalTimePercent', title: '' },
+    { propName: 'totalTime', title: `${total} (${unit})`, sortable: true },
+    { propName: 'selfTime', title: `Self (${unit})`, sortable: true },
+    { propName: 'icon', title: '', component: NodeIcon },
+  ];
+}
+
+// The function list has no expanded rows.
+const NO_EXPANDED_NODES = [];
+
+/**
+ * A flat list of the functions of the thread, sorted by their total time or
+ * their self time. Double clicking on a function focuses on it.
+ */
+class FunctionListComponent extends PureComponent<Props> {
+  _fixedColumnsTime: Column[] = _getFixedColumns('samples');
+  _fixedColumnsSize: Column[] = _getFixedColumns('bytes');
+  _mainColumn: Column = { propName: 'name', title: '' };
+  _appendageColumn: Column = { propName: 'lib', title: '' };
+  _treeViewSort: TreeViewSort | null = null;
+
+  _onSelectionChange = (funcIndex: IndexIntoFuncTable) => {
+    const { threadIndex, changeSelectedFunction } = this.props;
+    changeSelectedFunction(threadIndex, funcIndex);
+  };
+
+  _onExpandedNodesChange = () => {};
+
+  _focusFunction = (funcIndex: IndexIntoFuncTable) => {
+    const { threadIndex, addTransformToStack } = this.props;
+    addTransformToStack(threadIndex, { type: 'focus-function', funcIndex });
+  };
+
+  _onSort = (propName: string) => {
+    const { sort, changeFunctionListSort } = this.props;
+    if (propName !== 'totalTime' && propName !== 'selfTime') {
+      throw new Error(`The function list can't be sorted by ${propName}.`);
+    }
+    // Clicking on the sorted column reverses the order.
+    changeFunctionListSort({
+      column: propName,
+      descending: sort.column === propName ? !sort.descending : true,
+    });
+  };
+
+  _getTreeViewSort(): TreeViewSort {
+    const { column, descending } = this.props.sort;
+    const treeViewSort = this._treeViewSort;
+    // Keep the same object, so that the TreeView doesn't need to be rendered
+    // again.
+    if (
+      treeViewSort !== null &&
+      treeViewSort.propName === column &&
+      treeViewSort.descending === descending
+    ) {
+      return treeViewSort;
+    }
+    this._treeViewSort = { propName: column, descending };
+    return this._treeViewSort;
+  }
+
+  render() {
+    const {
+      functionList,
+      selectedFunction,
+      searchStringsRegExp,
+      disableOverscan,
+      icons,
+    } = this.props;
+    if (functionList.getRoots().length === 0) {
+      return <EmptyReasons />;
+    }
+    return (
+      <TreeView
+        tree={functionList}
+        fixedColumns={
+          functionList.getWeightType() === 'bytes'
+            ? this._fixedColumnsSize
+            : this._fixedColumnsTime
+        }
+        mainColumn={this._mainColumn}
+        appendageColumn={this._appendageColumn}
+        onSelectionChange={this._onSelectionChange}
+        onExpandedNodesChange={this._onExpandedNodesChange}
+        onDoubleClick={this._focusFunction}
+        onEnterKey={this._focusFunction}
+        sort={this._getTreeViewSort()}
+        onSort={this._onSort}
+        selectedNodeId={selectedFunction}
+        expandedNodeIds={NO_EXPANDED_NODES}
+        highlightRegExp={searchStringsRegExp}
+        disableOverscan={disableOverscan}
+        maxNodeDepth={0}
+        icons={icons}
+        rowHeight={16}
+        indentWidth={10}
+      />
+    );
+  }
+}
+
+const options: ExplicitConnectOptions<{||}, StateProps, DispatchProps> = {
+  mapStateToProps: (state: State) => ({
+    threadIndex: getSelectedThreadIndex(state),
+    functionList: selectedThreadSelectors.getFunctionList(state),
+    selectedFunction: selectedThreadSelectors.getSelectedFunction(state),
+    sort: getFunctionListSort(state),
+    searchStringsRegExp: getSearchStringsAsRegExp(state),
+    disableOverscan: getProfileViewOptions(state).selection.isModifying,
+    icons: getIconsWithClassNames(state),
+  }),
+  mapDispatchToProps: {
+    changeSelectedFunction,
+    changeFunctionListSort,
+    addTransformToStack,
+  },
+  component: FunctionListComponent,
+};
+
+export default explicitConnect(options);
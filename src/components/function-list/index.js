@@ -0,0 +1,19 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// @flow
+import * as React from 'react';
+import StackSettings from '../shared/StackSettings';
+import TransformNavigator from '../shared/TransformNavigator';
+import FunctionList from './FunctionList';
+
+const FunctionListView = () => (
+  <div className="treeAndSidebarWrapper">
+    <StackSettings hideInvertCallstack={true} />
+    <TransformNavigator />
+    <FunctionList />
+  </div>
+);
+
+export default FunctionListView;
@@ -7,7 +7,10 @@ import React, { PureComponent } from 'react';
 import classNames from 'classnames';
 import bisection from 'bisection';
 import { timeCode } from '../../utils/time-code';
-import { getSampleCallNodes } from '../../profile-logic/profile-data';
+import {
+  getSampleCallNodes,
+  getWeightType,
+} from '../../profile-logic/profile-data';
 import { BLUE_70, BLUE_40 } from 'photon-colors';
 
 import type { Thread } from '../../types/profile';
@@ -140,11 +143,20 @@ class ThreadStackGraph extends PureComponent<Props> {
     const regularSamples = {
       height: [],
       xPos: [],
+      width: [],
     };
     const highlightedSamples = {
       height: [],
       xPos: [],
+      width: [],
     };
+    // Samples that are weighted by a traced duration are drawn as wide as this
+    // duration, instead of the interval. The durations of the baseline profile
+    // of a comparison are negated, see profile-logic/comparison.js.
+    const tracedDurations =
+      getWeightType(thread.samples) === 'tracing-ms'
+        ? thread.samples.weight
+        : null;
     // Enforce a minimum distance so that we don't draw more than 4 samples per
     // pixel.
     const minGapMs = 0.25 / xPixelsPerMs;
@@ -160,12 +172,17 @@ class ThreadStackGraph extends PureComponent<Props> {
       }
       const height = callNodeTable.depth[callNodeIndex] * yPixelsPerDepth;
       const xPos = (sampleTime - range[0]) * xPixelsPerMs;
+      const width = tracedDurations
+        ? Math.max(0.8, Math.abs(tracedDurations[i]) * xPixelsPerMs)
+        : drawnIntervalWidth;
       if (hasSelectedCallNodePrefix(callNodeIndex)) {
         highlightedSamples.height.push(height);
         highlightedSamples.xPos.push(xPos);
+        highlightedSamples.width.push(width);
       } else {
         regularSamples.height.push(height);
         regularSamples.xPos.push(xPos);
+        regularSamples.width.push(width);
       }
       nextMinTime = sampleTime + minGapMs;
     }
@@ -178,14 +195,14 @@ class ThreadStackGraph extends PureComponent<Props> {
       const height = regularSamples.height[i];
       const startY = canvas.height - height;
       const xPos = regularSamples.xPos[i];
-      ctx.fillRect(xPos, startY, drawnIntervalWidth, height);
+      ctx.fillRect(xPos, startY, regularSamples.width[i], height);
     }
     ctx.fillStyle = BLUE_70;
     for (let i = 0; i < highlightedSamples.height.length; i++) {
       const height = highlightedSamples.height[i];
       const startY = canvas.height - height;
       const xPos = highlightedSamples.xPos[i];
-      ctx.fillRect(xPos, startY, drawnIntervalWidth, height);
+      ctx.fillRect(xPos, startY, highlightedSamples.width[i], height);
     }
   }
 
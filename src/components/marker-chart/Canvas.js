@@ -24,6 +24,7 @@ import type {
   TracingMarker,
   MarkerTimingRows,
   IndexIntoMarkerTiming,
+  IndexIntoTracingMarkers,
 } from '../../types/profile-derived';
 import type { Viewport } from '../shared/chart/Viewport';
 
@@ -43,6 +44,8 @@ type OwnProps = {|
   +markers: TracingMarker[],
   +threadIndex: ThreadIndex,
   +updateProfileSelection: typeof updateProfileSelection,
+  +selectedTracingMarker: IndexIntoTracingMarkers | -1,
+  +onSelectedTracingMarkerChange: (IndexIntoTracingMarkers | -1) => void,
 |};
 
 type Props = {|
@@ -67,6 +70,7 @@ class MarkerChartCanvas extends React.PureComponent<Props, State> {
   constructor(props: Props) {
     super(props);
     (this: any).onDoubleClickMarker = this.onDoubleClickMarker.bind(this);
+    (this: any).onMouseDown = this.onMouseDown.bind(this);
     (this: any).getHoveredMarkerInfo = this.getHoveredMarkerInfo.bind(this);
     (this: any).drawCanvas = this.drawCanvas.bind(this);
     (this: any).hitTest = this.hitTest.bind(this);
@@ -163,6 +167,7 @@ class MarkerChartCanvas extends React.PureComponent<Props, State> {
       rangeEnd,
       markerTimingRows,
       rowHeight,
+      selectedTracingMarker,
       viewport: { containerWidth, viewportLeft, viewportRight, viewportTop },
     } = this.props;
 
@@ -213,6 +218,17 @@ class MarkerChartCanvas extends React.PureComponent<Props, State> {
           const text = markerTiming.label[i];
           if (isHovered) {
             hoveredElement = { x, y, w, h, text };
+          } else if (selectedTracingMarker === tracingMarkerIndex) {
+            this.drawOneMarker(
+              ctx,
+              x,
+              y,
+              w,
+              h,
+              text,
+              'Highlight',
+              'HighlightText'
+            );
           } else {
             this.drawOneMarker(ctx, x, y, w, h, text);
           }
@@ -319,6 +335,14 @@ class MarkerChartCanvas extends React.PureComponent<Props, State> {
     return null;
   }
 
+  onMouseDown(markerIndex: IndexIntoMarkerTiming | null) {
+    // Select the clicked marker for the sidebar, or deselect when clicking
+    // outside of the markers.
+    this.props.onSelectedTracingMarkerChange(
+      markerIndex === null ? -1 : markerIndex
+    );
+  }
+
   onDoubleClickMarker(markerIndex: IndexIntoMarkerTiming | null) {
     if (markerIndex === null) {
       return;
@@ -369,6 +393,7 @@ class MarkerChartCanvas extends React.PureComponent<Props, State> {
         containerHeight={containerHeight}
         isDragging={isDragging}
         onDoubleClickItem={this.onDoubleClickMarker}
+        onMouseDown={this.onMouseDown}
         getHoveredItemInfo={this.getHoveredMarkerInfo}
         drawCanvas={this.drawCanvas}
         hitTest={this.hitTest}
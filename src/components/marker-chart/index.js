@@ -13,11 +13,15 @@ import {
   getProfileViewOptions,
 } from '../../reducers/profile-view';
 import { getSelectedThreadIndex } from '../../reducers/url-state';
-import { updateProfileSelection } from '../../actions/profile-view';
+import {
+  updateProfileSelection,
+  changeSelectedTracingMarker,
+} from '../../actions/profile-view';
 
 import type {
   TracingMarker,
   MarkerTimingRows,
+  IndexIntoTracingMarkers,
 } from '../../types/profile-derived';
 import type {
   Milliseconds,
@@ -35,6 +39,7 @@ const ROW_HEIGHT = 16;
 
 type DispatchProps = {|
   +updateProfileSelection: typeof updateProfileSelection,
+  +changeSelectedTracingMarker: typeof changeSelectedTracingMarker,
 |};
 
 type StateProps = {|
@@ -47,6 +52,7 @@ type StateProps = {|
   +selection: ProfileSelection,
   +threadName: string,
   +processDetails: string,
+  +selectedTracingMarker: IndexIntoTracingMarkers | -1,
 |};
 
 type Props = ConnectedProps<{||}, StateProps, DispatchProps>;
@@ -60,6 +66,13 @@ class MarkerChart extends React.PureComponent<Props> {
     return interval / (end - start);
   }
 
+  _onSelectedTracingMarkerChange = (
+    selectedTracingMarker: IndexIntoTracingMarkers | -1
+  ) => {
+    const { threadIndex, changeSelectedTracingMarker } = this.props;
+    changeSelectedTracingMarker(threadIndex, selectedTracingMarker);
+  };
+
   render() {
     const {
       maxMarkerRows,
@@ -71,6 +84,7 @@ class MarkerChart extends React.PureComponent<Props> {
       threadName,
       processDetails,
       updateProfileSelection,
+      selectedTracingMarker,
     } = this.props;
 
     // The viewport needs to know about the height of what it's drawing, calculate
@@ -99,6 +113,8 @@ class MarkerChart extends React.PureComponent<Props> {
             rangeEnd: timeRange.end,
             rowHeight: ROW_HEIGHT,
             threadIndex,
+            selectedTracingMarker,
+            onSelectedTracingMarkerChange: this._onSelectedTracingMarkerChange,
           }}
         />
       </div>
@@ -130,9 +146,11 @@ const options: ExplicitConnectOptions<{||}, StateProps, DispatchProps> = {
       selection: getProfileViewOptions(state).selection,
       threadName,
       processDetails: selectedThreadSelectors.getThreadProcessDetails(state),
+      selectedTracingMarker: selectedThreadSelectors.getViewOptions(state)
+        .selectedTracingMarker,
     };
   },
-  mapDispatchToProps: { updateProfileSelection },
+  mapDispatchToProps: { updateProfileSelection, changeSelectedTracingMarker },
   component: MarkerChart,
 };
 export default explicitConnect(options);
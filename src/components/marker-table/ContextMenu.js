@@ -6,17 +6,22 @@
 import React, { PureComponent } from 'react';
 import { ContextMenu, MenuItem } from 'react-contextmenu';
 import explicitConnect from '../../utils/connect';
-import { updateProfileSelection } from '../../actions/profile-view';
+import {
+  updateProfileSelection,
+  addTransformToStack,
+} from '../../actions/profile-view';
 import {
   selectedThreadSelectors,
   getProfileViewOptions,
   getDisplayRange,
 } from '../../reducers/profile-view';
+import { getSelectedThreadIndex } from '../../reducers/url-state';
 import copy from 'copy-to-clipboard';
 
 import type { StartEndRange } from '../../types/units';
 import type {
   Thread,
+  ThreadIndex,
   IndexIntoMarkersTable,
   MarkersTable,
 } from '../../types/profile';
@@ -28,6 +33,7 @@ import type {
 
 type StateProps = {|
   +thread: Thread,
+  +threadIndex: ThreadIndex,
   +markers: MarkersTable,
   +selection: ProfileSelection,
   +displayRange: StartEndRange,
@@ -36,6 +42,7 @@ type StateProps = {|
 
 type DispatchProps = {|
   +updateProfileSelection: typeof updateProfileSelection,
+  +addTransformToStack: typeof addTransformToStack,
 |};
 
 type Props = ConnectedProps<{||}, StateProps, DispatchProps>;
@@ -102,9 +109,39 @@ class MarkersContextMenu extends PureComponent<Props> {
     );
   }
 
+  /**
+   * The search string finding the markers like the selected one, e.g. the
+   * DOMEvents of the same type rather than all of them.
+   */
+  _getMarkerSearchString(): string {
+    const { thread, selectedMarker, markers } = this.props;
+    const data = markers.data[selectedMarker];
+    if (data && data.type === 'DOMEvent') {
+      return data.eventType;
+    }
+    if (data && data.type === 'UserTiming') {
+      return data.name;
+    }
+    return thread.stringTable.getString(markers.name[selectedMarker]);
+  }
+
+  filterSamplesByMarker() {
+    const { addTransformToStack, threadIndex } = this.props;
+    addTransformToStack(threadIndex, {
+      type: 'filter-samples-by-marker',
+      searchString: this._getMarkerSearchString(),
+    });
+  }
+
   handleClick(
     event: SyntheticEvent<>,
-    data: { type: 'setStartRange' | 'setEndRange' | 'copyMarkerJSON' }
+    data: {
+      type:
+        | 'setStartRange'
+        | 'setEndRange'
+        | 'copyMarkerJSON'
+        | 'filterSamplesByMarker',
+    }
   ): void {
     switch (data.type) {
       case 'setStartRange':
@@ -116,12 +153,18 @@ class MarkersContextMenu extends PureComponent<Props> {
       case 'copyMarkerJSON':
         this.copyMarkerJSON();
         break;
+      case 'filterSamplesByMarker':
+        this.filterSamplesByMarker();
+        break;
       default:
         throw new Error(`Unknown type ${data.type}`);
     }
   }
 
   render() {
+    const { selectedMarker, markers } = this.props;
+    const hasSelectedMarker =
+      selectedMarker !== -1 && selectedMarker < markers.length;
     return (
       <ContextMenu id={'MarkersContextMenu'}>
         <MenuItem onClick={this.handleClick} data={{ type: 'setStartRange' }}>
@@ -133,6 +176,17 @@ class MarkersContextMenu extends PureComponent<Props> {
         <MenuItem onClick={this.handleClick} data={{ type: 'copyMarkerJSON' }}>
           Copy marker JSON
         </MenuItem>
+        {hasSelectedMarker ? (
+          <MenuItem
+            onClick={this.handleClick}
+            data={{ type: 'filterSamplesByMarker' }}
+          >
+            Only keep the samples during the markers matching{' '}
+            <span className="markerContextMenuLabel">
+              {this._getMarkerSearchString()}
+            </span>
+          </MenuItem>
+        ) : null}
       </ContextMenu>
     );
   }
@@ -141,13 +195,14 @@ class MarkersContextMenu extends PureComponent<Props> {
 const options: ExplicitConnectOptions<{||}, StateProps, DispatchProps> = {
   mapStateToProps: state => ({
     thread: selectedThreadSelectors.getThread(state),
+    threadIndex: getSelectedThreadIndex(state),
     markers: selectedThreadSelectors.getSearchFilteredMarkers(state),
     selection: getProfileViewOptions(state).selection,
     displayRange: getDisplayRange(state),
     selectedMarker: selectedThreadSelectors.getViewOptions(state)
       .selectedMarker,
   }),
-  mapDispatchToProps: { updateProfileSelection },
+  mapDispatchToProps: { updateProfileSelection, addTransformToStack },
   component: MarkersContextMenu,
 };
 export default explicitConnect(options);
@@ -4,12 +4,19 @@
 
 // @flow
 import React, { PureComponent, Fragment } from 'react';
-import { ContextMenu, MenuItem } from 'react-contextmenu';
+import { ContextMenu, MenuItem, SubMenu } from 'react-contextmenu';
+import classNames from 'classnames';
 import explicitConnect from '../../utils/connect';
 import { selectedThreadSelectors } from '../../reducers/profile-view';
-import { funcHasRecursiveCall } from '../../profile-logic/transforms';
+import {
+  funcHasRecursiveCall,
+  getRegExpForPattern,
+} from '../../profile-logic/transforms';
 import { getFunctionName } from '../../profile-logic/function-info';
+import { implementationCategories } from '../../profile-logic/color-categories';
+import { getCallTreeAsDelimitedText } from '../../profile-logic/export/call-tree';
 import copy from 'copy-to-clipboard';
+import escapeStringRegexp from 'escape-string-regexp';
 import {
   addTransformToStack,
   expandAllCallNodeDescendants,
@@ -33,7 +40,8 @@ import type {
   CallNodeInfo,
   CallNodePath,
 } from '../../types/profile-derived';
-import type { Thread, ThreadIndex } from '../../types/profile';
+import type { Thread, ThreadIndex, IndexIntoLibs } from '../../types/profile';
+import type { CallTree } from '../../profile-logic/call-tree';
 import type {
   ExplicitConnectOptions,
   ConnectedProps,
@@ -52,6 +60,8 @@ type StateProps = {|
   +selectedCallNodePath: CallNodePath,
   +selectedCallNodeIndex: IndexIntoCallNodeTable | null,
   +selectedTab: TabSlug,
+  +callTree: CallTree,
+  +expandedCallNodeIndexes: Array<IndexIntoCallNodeTable | null>,
 |};
 
 type DispatchProps = {|
@@ -62,8 +72,21 @@ type DispatchProps = {|
 
 type Props = ConnectedProps<OwnProps, StateProps, DispatchProps>;
 
+/**
+ * The panel asking for the pattern of the functions to merge. It's opened from
+ * the menu, and stays where the menu was once the menu is hidden.
+ */
+type MergePatternPanel = {|
+  +threadIndex: ThreadIndex,
+  +pattern: string,
+  +x: number,
+  +y: number,
+|};
+
 type State = {|
   isShown: boolean,
+  menuPosition: {| +x: number, +y: number |},
+  mergePatternPanel: MergePatternPanel | null,
 |};
 
 require('./CallNodeContextMenu.css');
@@ -73,12 +96,14 @@ class CallNodeContextMenu extends PureComponent<Props, State> {
     super(props);
     this.state = {
       isShown: Boolean(this.props.forceOpenForTests),
+      menuPosition: { x: 0, y: 0 },
+      mergePatternPanel: null,
     };
   }
 
-  _showMenu = () => {
+  _showMenu = (event: { detail: { position: {| x: number, y: number |} } }) => {
     this.props.setCallNodeContextMenuVisibility(true);
-    this.setState({ isShown: true });
+    this.setState({ isShown: true, menuPosition: event.detail.position });
   };
 
   _hideMenu = () => {
@@ -107,6 +132,71 @@ class CallNodeContextMenu extends PureComponent<Props, State> {
     return name;
   }
 
+  /**
+   * Suggest merging the whole namespace or class of the function, e.g.
+   * "^mozilla::detail::" for "mozilla::detail::RunnableFunction::Run".
+   */
+  _getDefaultMergePattern(): string {
+    const name = this._getFunctionName();
+    const namespaceEnd = name.lastIndexOf('::');
+    return (
+      '^' +
+      escapeStringRegexp(
+        namespaceEnd === -1 ? name : name.slice(0, namespaceEnd + 2)
+      )
+    );
+  }
+
+  _openMergePatternPanel(): void {
+    const { threadIndex } = this.props;
+    const { x, y } = this.state.menuPosition;
+    this.setState({
+      mergePatternPanel: {
+        threadIndex,
+        pattern: this._getDefaultMergePattern(),
+        x,
+        y,
+      },
+    });
+  }
+
+  _closeMergePatternPanel = () => {
+    this.setState({ mergePatternPanel: null });
+  };
+
+  _onMergePatternChange = (e: SyntheticEvent<HTMLInputElement>) => {
+    const { mergePatternPanel } = this.state;
+    if (mergePatternPanel !== null) {
+      this.setState({
+        mergePatternPanel: {
+          ...mergePatternPanel,
+          pattern: e.currentTarget.value,
+        },
+      });
+    }
+  };
+
+  _onMergePatternKeyDown = (e: SyntheticKeyboardEvent<HTMLInputElement>) => {
+    if (e.key === 'Escape') {
+      this._closeMergePatternPanel();
+    }
+  };
+
+  _onMergePatternSubmit = (e: SyntheticEvent<HTMLFormElement>) => {
+    e.preventDefault();
+    const { mergePatternPanel } = this.state;
+    if (
+      mergePatternPanel !== null &&
+      getRegExpForPattern(mergePatternPanel.pattern) !== null
+    ) {
+      this.props.addTransformToStack(mergePatternPanel.threadIndex, {
+        type: 'merge-matching-functions',
+        pattern: mergePatternPanel.pattern,
+      });
+      this._closeMergePatternPanel();
+    }
+  };
+
   lookupFunctionOnSearchfox(): void {
     const name = this._getFunctionName();
     window.open(
@@ -168,12 +258,31 @@ class CallNodeContextMenu extends PureComponent<Props, State> {
     copy(stack);
   }
 
-  _handleClick = (event: SyntheticEvent<>, data: { type: string }): void => {
+  /**
+   * Copy the rows of the call tree as tab separated values, which can be pasted
+   * into a spreadsheet. Either only the rows that are currently expanded, or the
+   * full tree.
+   */
+  copyCallTree(onlyExpanded: boolean): void {
+    const { callTree, expandedCallNodeIndexes } = this.props;
+    copy(
+      getCallTreeAsDelimitedText(
+        callTree,
+        'tsv',
+        onlyExpanded ? expandedCallNodeIndexes : null
+      )
+    );
+  }
+
+  _handleClick = (
+    event: SyntheticEvent<>,
+    data: { type: string, category?: string }
+  ): void => {
     const { type } = data;
 
     const transformType = convertToTransformType(type);
     if (transformType) {
-      this.addTransformToStack(transformType);
+      this.addTransformToStack(transformType, data.category);
       return;
     }
 
@@ -193,12 +302,18 @@ class CallNodeContextMenu extends PureComponent<Props, State> {
       case 'expand-all':
         this.expandAll();
         break;
+      case 'copy-expanded-call-tree':
+        this.copyCallTree(true);
+        break;
+      case 'copy-full-call-tree':
+        this.copyCallTree(false);
+        break;
       default:
         throw new Error(`Unknown type ${type}`);
     }
   };
 
-  addTransformToStack(type: TransformType): void {
+  addTransformToStack(type: TransformType, category?: string): void {
     const {
       addTransformToStack,
       threadIndex,
@@ -237,12 +352,26 @@ class CallNodeContextMenu extends PureComponent<Props, State> {
           funcIndex: selectedFunc,
         });
         break;
+      case 'merge-matching-functions':
+        // The context menu has no room for a text field, the panel adds the
+        // transform once the pattern is entered.
+        this._openMergePatternPanel();
+        break;
       case 'drop-function':
         addTransformToStack(threadIndex, {
           type: 'drop-function',
           funcIndex: selectedFunc,
         });
         break;
+      case 'focus-category':
+        if (category === undefined) {
+          throw new Error('The category to focus on must be given.');
+        }
+        addTransformToStack(threadIndex, {
+          type: 'focus-category',
+          category,
+        });
+        break;
       case 'collapse-resource': {
         const { funcTable } = thread;
         const resourceIndex = funcTable.resource[selectedFunc];
@@ -257,6 +386,22 @@ class CallNodeContextMenu extends PureComponent<Props, State> {
         });
         break;
       }
+      case 'collapse-lib': {
+        const libIndex = this.getLibIndexForSelectedFunc();
+        if (libIndex === null) {
+          throw new Error(
+            'The library of the selected function is needed to collapse it.'
+          );
+        }
+        addTransformToStack(threadIndex, {
+          type: 'collapse-lib',
+          libIndex,
+          // Like for the resources, the collapsed func is inserted at the end.
+          collapsedFuncIndex: thread.funcTable.length,
+          implementation,
+        });
+        break;
+      }
       case 'collapse-direct-recursion': {
         addTransformToStack(threadIndex, {
           type: 'collapse-direct-recursion',
@@ -272,6 +417,10 @@ class CallNodeContextMenu extends PureComponent<Props, State> {
         });
         break;
       }
+      case 'filter-samples-by-marker':
+        throw new Error(
+          'The samples are filtered by marker from the marker context menu.'
+        );
       default:
         assertExhaustiveCheck(type);
     }
@@ -320,12 +469,26 @@ class CallNodeContextMenu extends PureComponent<Props, State> {
       return null;
     }
     const libIndex = resourceTable.lib[resourceIndex];
-    if (libIndex === undefined || libIndex === null || libIndex === -1) {
+    if (libIndex === null) {
       return null;
     }
     return libs[libIndex].name;
   }
 
+  getLibIndexForSelectedFunc(): IndexIntoLibs | null {
+    const {
+      selectedCallNodePath,
+      thread: { funcTable, resourceTable },
+    } = this.props;
+
+    const funcIndex = selectedCallNodePath[selectedCallNodePath.length - 1];
+    if (funcIndex === undefined || funcTable.isJS[funcIndex]) {
+      return null;
+    }
+    const resourceIndex = funcTable.resource[funcIndex];
+    return resourceIndex === -1 ? null : resourceTable.lib[resourceIndex];
+  }
+
   /**
    * Determine if this CallNode represent a recursive function call.
    */
@@ -358,7 +521,7 @@ class CallNodeContextMenu extends PureComponent<Props, State> {
     const {
       selectedCallNodeIndex,
       inverted,
-      thread: { funcTable },
+      thread: { funcTable, libs },
       callNodeInfo: { callNodeTable },
       selectedTab,
     } = this.props;
@@ -371,7 +534,8 @@ class CallNodeContextMenu extends PureComponent<Props, State> {
     const isJS = funcTable.isJS[funcIndex];
     // This could be the C++ library, or the JS filename.
     const nameForResource = this.getNameForSelectedResource();
-    const showExpandAll = selectedTab === 'calltree';
+    const libIndex = this.getLibIndexForSelectedFunc();
+    const isCallTree = selectedTab === 'calltree';
 
     return (
       <Fragment>
@@ -388,6 +552,13 @@ class CallNodeContextMenu extends PureComponent<Props, State> {
           <span className="callNodeContextMenuIcon callNodeContextMenuIconMerge" />
           Merge function into caller across the entire tree
         </MenuItem>
+        <MenuItem
+          onClick={this._handleClick}
+          data={{ type: 'merge-matching-functions' }}
+        >
+          <span className="callNodeContextMenuIcon callNodeContextMenuIconMerge" />
+          Merge all functions matching a pattern…
+        </MenuItem>
         <MenuItem onClick={this._handleClick} data={{ type: 'focus-subtree' }}>
           <span className="callNodeContextMenuIcon callNodeContextMenuIconFocus" />
           Focus on subtree
@@ -405,6 +576,24 @@ class CallNodeContextMenu extends PureComponent<Props, State> {
           <span className="callNodeContextMenuIcon callNodeContextMenuIconCollapse" />
           {'Collapse function’s subtree across the entire tree'}
         </MenuItem>
+        <SubMenu
+          title={
+            <Fragment>
+              <span className="callNodeContextMenuIcon callNodeContextMenuIconFocus" />
+              Focus on the samples spent in
+            </Fragment>
+          }
+        >
+          {implementationCategories.map(({ name }) => (
+            <MenuItem
+              key={name}
+              onClick={this._handleClick}
+              data={{ type: 'focus-category', category: name }}
+            >
+              {name}
+            </MenuItem>
+          ))}
+        </SubMenu>
         {nameForResource ? (
           <MenuItem
             onClick={this._handleClick}
@@ -415,6 +604,15 @@ class CallNodeContextMenu extends PureComponent<Props, State> {
             <span className="callNodeContextMenuLabel">{nameForResource}</span>
           </MenuItem>
         ) : null}
+        {libIndex === null ? null : (
+          <MenuItem onClick={this._handleClick} data={{ type: 'collapse-lib' }}>
+            <span className="callNodeContextMenuIcon callNodeContextMenuIconCollapse" />
+            Collapse the whole library{' '}
+            <span className="callNodeContextMenuLabel">
+              {libs[libIndex].name}
+            </span>
+          </MenuItem>
+        )}
         {this.isRecursiveCall() ? (
           <MenuItem
             onClick={this._handleClick}
@@ -429,7 +627,7 @@ class CallNodeContextMenu extends PureComponent<Props, State> {
           Drop samples with this function
         </MenuItem>
         <div className="react-contextmenu-separator" />
-        {showExpandAll ? (
+        {isCallTree ? (
           <Fragment>
             <MenuItem onClick={this._handleClick} data={{ type: 'expand-all' }}>
               Expand all
@@ -454,24 +652,86 @@ class CallNodeContextMenu extends PureComponent<Props, State> {
         <MenuItem onClick={this._handleClick} data={{ type: 'copy-stack' }}>
           Copy stack
         </MenuItem>
+        {isCallTree ? (
+          <Fragment>
+            <MenuItem
+              onClick={this._handleClick}
+              data={{ type: 'copy-expanded-call-tree' }}
+            >
+              Copy expanded call tree as a table
+            </MenuItem>
+            <MenuItem
+              onClick={this._handleClick}
+              data={{ type: 'copy-full-call-tree' }}
+            >
+              Copy full call tree as a table
+            </MenuItem>
+          </Fragment>
+        ) : null}
       </Fragment>
     );
   }
 
-  render() {
+  renderMergePatternPanel(mergePatternPanel: MergePatternPanel) {
+    const { pattern, x, y } = mergePatternPanel;
+    const isValid = getRegExpForPattern(pattern) !== null;
     return (
-      <ContextMenu
-        id={'CallNodeContextMenu'}
-        onShow={this._showMenu}
-        onHide={this._hideMenu}
+      <form
+        className="callNodeContextMenuPatternPanel"
+        style={{ left: x, top: y }}
+        onSubmit={this._onMergePatternSubmit}
       >
-        {this.state.isShown ? (
-          this.renderContextMenuContents()
-        ) : (
-          // ContextMenu expects at least 1 child.
-          <div />
-        )}
-      </ContextMenu>
+        <label className="callNodeContextMenuPatternLabel">
+          Merge the functions whose name matches this regular expression:
+          <input
+            type="text"
+            className={classNames('callNodeContextMenuPatternInput', {
+              invalid: !isValid,
+            })}
+            value={pattern}
+            autoFocus={true}
+            onChange={this._onMergePatternChange}
+            onKeyDown={this._onMergePatternKeyDown}
+          />
+        </label>
+        <div className="callNodeContextMenuPatternButtons">
+          <input
+            type="button"
+            className="callNodeContextMenuPatternCancelButton"
+            value="Cancel"
+            onClick={this._closeMergePatternPanel}
+          />
+          <input
+            type="submit"
+            className="callNodeContextMenuPatternOkButton"
+            value="Merge"
+            disabled={!isValid}
+          />
+        </div>
+      </form>
+    );
+  }
+
+  render() {
+    const { mergePatternPanel } = this.state;
+    return (
+      <Fragment>
+        <ContextMenu
+          id={'CallNodeContextMenu'}
+          onShow={this._showMenu}
+          onHide={this._hideMenu}
+        >
+          {this.state.isShown ? (
+            this.renderContextMenuContents()
+          ) : (
+            // ContextMenu expects at least 1 child.
+            <div />
+          )}
+        </ContextMenu>
+        {mergePatternPanel === null
+          ? null
+          : this.renderMergePatternPanel(mergePatternPanel)}
+      </Fragment>
     );
   }
 }
@@ -490,6 +750,10 @@ const options: ExplicitConnectOptions<OwnProps, StateProps, DispatchProps> = {
       state
     ),
     selectedTab: getSelectedTab(state),
+    callTree: selectedThreadSelectors.getCallTree(state),
+    expandedCallNodeIndexes: selectedThreadSelectors.getExpandedCallNodeIndexes(
+      state
+    ),
   }),
   mapDispatchToProps: {
     addTransformToStack,
@@ -14,12 +14,43 @@ type Props = {|
   +items: string[],
   +onPop: number => *,
   +selectedItem: number,
+  // The root item can't be toggled nor removed, so these buttons are only
+  // displayed on the other items when the callbacks are provided.
+  +disabledItems?: number[],
+  // The items whose toggle button is disabled.
+  +untoggleableItems?: number[],
+  +onToggle?: number => *,
+  +onRemove?: number => *,
 |};
 
 class FilterNavigatorBar extends PureComponent<Props> {
   constructor(props: Props) {
     super(props);
     (this: any)._onLiClick = this._onLiClick.bind(this);
+    (this: any)._onToggleClick = this._onToggleClick.bind(this);
+    (this: any)._onRemoveClick = this._onRemoveClick.bind(this);
+  }
+
+  _getButtonItemIndex(e: SyntheticMouseEvent<HTMLButtonElement>): number {
+    // The click shouldn't pop the items after the one of this button.
+    e.stopPropagation();
+    return parseInt(e.currentTarget.dataset.index, 10);
+  }
+
+  _onToggleClick(e: SyntheticMouseEvent<HTMLButtonElement>) {
+    const { onToggle } = this.props;
+    const index = this._getButtonItemIndex(e);
+    if (onToggle) {
+      onToggle(index);
+    }
+  }
+
+  _onRemoveClick(e: SyntheticMouseEvent<HTMLButtonElement>) {
+    const { onRemove } = this.props;
+    const index = this._getButtonItemIndex(e);
+    if (onRemove) {
+      onRemove(index);
+    }
   }
 
   _onLiClick(e: SyntheticMouseEvent<HTMLLIElement>) {
@@ -29,33 +60,69 @@ class FilterNavigatorBar extends PureComponent<Props> {
   }
 
   render() {
-    const { className, items, selectedItem } = this.props;
+    const {
+      className,
+      items,
+      selectedItem,
+      disabledItems,
+      untoggleableItems,
+      onToggle,
+      onRemove,
+    } = this.props;
     return (
       <TransitionGroup
         component="ol"
         className={classNames('filterNavigatorBar', className)}
       >
-        {items.map((item, i) => (
-          <CSSTransition
-            key={i}
-            classNames="filterNavigatorBarTransition"
-            timeout={300}
-          >
-            <li
-              data-index={i}
-              className={classNames('filterNavigatorBarItem', {
-                filterNavigatorBarRootItem: i === 0,
-                filterNavigatorBarBeforeSelectedItem: i === selectedItem - 1,
-                filterNavigatorBarSelectedItem: i === selectedItem,
-                filterNavigatorBarLeafItem: i === items.length - 1,
-              })}
-              title={item}
-              onClick={this._onLiClick}
+        {items.map((item, i) => {
+          const isDisabled =
+            disabledItems !== undefined && disabledItems.includes(i);
+          return (
+            <CSSTransition
+              key={i}
+              classNames="filterNavigatorBarTransition"
+              timeout={300}
             >
-              <span className="filterNavigatorBarItemContent">{item}</span>
-            </li>
-          </CSSTransition>
-        ))}
+              <li
+                data-index={i}
+                className={classNames('filterNavigatorBarItem', {
+                  filterNavigatorBarRootItem: i === 0,
+                  filterNavigatorBarBeforeSelectedItem: i === selectedItem - 1,
+                  filterNavigatorBarSelectedItem: i === selectedItem,
+                  filterNavigatorBarLeafItem: i === items.length - 1,
+                  filterNavigatorBarDisabledItem: isDisabled,
+                })}
+                title={item}
+                onClick={this._onLiClick}
+              >
+                <span className="filterNavigatorBarItemContent">{item}</span>
+                {onToggle && i > 0 ? (
+                  <button
+                    type="button"
+                    className="filterNavigatorBarItemButton filterNavigatorBarToggleButton"
+                    data-index={i}
+                    title={isDisabled ? 'Enable' : 'Disable'}
+                    aria-pressed={!isDisabled}
+                    disabled={
+                      untoggleableItems !== undefined &&
+                      untoggleableItems.includes(i)
+                    }
+                    onClick={this._onToggleClick}
+                  />
+                ) : null}
+                {onRemove && i > 0 ? (
+                  <button
+                    type="button"
+                    className="filterNavigatorBarItemButton filterNavigatorBarRemoveButton"
+                    data-index={i}
+                    title="Remove"
+                    onClick={this._onRemoveClick}
+                  />
+                ) : null}
+              </li>
+            </CSSTransition>
+          );
+        })}
       </TransitionGroup>
     );
   }
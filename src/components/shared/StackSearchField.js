@@ -75,7 +75,11 @@ class StackSearchField extends React.PureComponent<Props, State> {
           {'Filter stacks: '}
           <IdleSearchField
             className="stackSearchFieldInput"
-            title="Only display stacks which contain a function whose name matches this substring"
+            title={
+              'Only display stacks which contain a function whose name matches ' +
+              'this substring. Use /regexp/, -term to exclude, and lib:, file: ' +
+              'or origin: to search a single field.'
+            }
             idlePeriod={200}
             defaultValue={currentSearchString}
             onIdleAfterChange={this._onSearchFieldIdleAfterChange}
@@ -4,7 +4,7 @@
 
 // @flow
 
-import React, { PureComponent } from 'react';
+import * as React from 'react';
 import { connect } from 'react-redux';
 import {
   changeImplementationFilter,
@@ -25,11 +25,13 @@ type Props = {|
   +implementationFilter: ImplementationFilter,
   +invertCallstack: boolean,
   +hideInvertCallstack?: boolean,
+  // More settings that are specific to a view, after the search field.
+  +children?: React.Node,
   +changeImplementationFilter: typeof changeImplementationFilter,
   +changeInvertCallstack: typeof changeInvertCallstack,
 |};
 
-class StackSettings extends PureComponent<Props> {
+class StackSettings extends React.PureComponent<Props> {
   constructor(props: Props) {
     super(props);
     (this: any)._onImplementationFilterChange = this._onImplementationFilterChange.bind(
@@ -57,6 +59,7 @@ class StackSettings extends PureComponent<Props> {
       implementationFilter,
       invertCallstack,
       hideInvertCallstack,
+      children,
     } = this.props;
 
     return (
@@ -91,6 +94,7 @@ class StackSettings extends PureComponent<Props> {
           )}
         </ul>
         <StackSearchField className="stackSettingsSearchField" />
+        {children}
       </div>
     );
   }
@@ -7,7 +7,11 @@
 import explicitConnect from '../../utils/connect';
 import { selectedThreadSelectors } from '../../reducers/profile-view';
 import FilterNavigatorBar from './FilterNavigatorBar';
-import { popTransformsFromStack } from '../../actions/profile-view';
+import {
+  popTransformsFromStack,
+  removeTransformFromStack,
+  toggleTransform,
+} from '../../actions/profile-view';
 
 import type { State } from '../../types/reducers';
 import type { ExplicitConnectOptions } from '../../utils/connect';
@@ -18,9 +22,13 @@ import './TransformNavigator.css';
 type Props = ElementProps<typeof FilterNavigatorBar>;
 type DispatchProps = {|
   +onPop: $PropertyType<Props, 'onPop'>,
+  +onToggle: $PropertyType<Props, 'onToggle'>,
+  +onRemove: $PropertyType<Props, 'onRemove'>,
 |};
 type StateProps = $Diff<Props, DispatchProps>;
 
+// The first item is the complete thread, so the item at index i is the
+// transform at index i - 1 in the stack.
 const options: ExplicitConnectOptions<{||}, StateProps, DispatchProps> = {
   mapStateToProps: (state: State) => {
     const items = selectedThreadSelectors.getTransformLabels(state);
@@ -28,9 +36,18 @@ const options: ExplicitConnectOptions<{||}, StateProps, DispatchProps> = {
       className: 'calltreeTransformNavigator',
       items,
       selectedItem: items.length - 1,
+      disabledItems: selectedThreadSelectors.getDisabledTransformItems(state),
+      untoggleableItems: selectedThreadSelectors.getUntoggleableTransformItems(
+        state
+      ),
     };
   },
-  mapDispatchToProps: { onPop: popTransformsFromStack },
+  mapDispatchToProps: dispatch => ({
+    onPop: firstRemovedItem =>
+      dispatch(popTransformsFromStack(firstRemovedItem)),
+    onToggle: item => dispatch(toggleTransform(item - 1)),
+    onRemove: item => dispatch(removeTransformFromStack(item - 1)),
+  }),
   component: FilterNavigatorBar,
 };
 
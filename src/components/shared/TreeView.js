@@ -22,14 +22,65 @@ export type Column = {
   propName: string,
   title: string,
   component?: React.ComponentType<*>,
+  // The rows can be sorted by this column, by clicking on its header.
+  sortable?: boolean,
 };
 
+export type TreeViewSort = {|
+  +propName: string,
+  +descending: boolean,
+|};
+
 type TreeViewHeaderProps = {|
   +fixedColumns: Column[],
   +mainColumn: Column,
+  +sort: TreeViewSort | null,
+  +onSort: ((propName: string) => mixed) | null,
+|};
+
+type TreeViewHeaderColumnProps = {|
+  +column: Column,
+  +className: string,
+  +sort: TreeViewSort | null,
+  +onSort: ((propName: string) => mixed) | null,
 |};
 
-const TreeViewHeader = ({ fixedColumns, mainColumn }: TreeViewHeaderProps) => {
+const TreeViewHeaderColumn = ({
+  column,
+  className,
+  sort,
+  onSort,
+}: TreeViewHeaderColumnProps) => {
+  const isSortable = Boolean(column.sortable && onSort);
+  const isSorted = sort !== null && sort.propName === column.propName;
+  // Only the sortable columns get a click handler.
+  const clickProps =
+    isSortable && onSort ? { onClick: () => onSort(column.propName) } : {};
+  return (
+    <span
+      className={classNames(
+        'treeViewHeaderColumn',
+        className,
+        column.propName,
+        {
+          sortable: isSortable,
+          sorted: isSorted,
+          descending: isSorted && sort && sort.descending,
+        }
+      )}
+      {...clickProps}
+    >
+      {column.title}
+    </span>
+  );
+};
+
+const TreeViewHeader = ({
+  fixedColumns,
+  mainColumn,
+  sort,
+  onSort,
+}: TreeViewHeaderProps) => {
   if (fixedColumns.length === 0 && !mainColumn.title) {
     // If there is nothing to display in the header, do not render it.
     return null;
@@ -37,20 +88,20 @@ const TreeViewHeader = ({ fixedColumns, mainColumn }: TreeViewHeaderProps) => {
   return (
     <div className="treeViewHeader">
       {fixedColumns.map(col => (
-        <span
-          className={`treeViewHeaderColumn treeViewFixedColumn ${col.propName}`}
+        <TreeViewHeaderColumn
+          column={col}
+          className="treeViewFixedColumn"
+          sort={sort}
+          onSort={onSort}
           key={col.propName}
-        >
-          {col.title}
-        </span>
+        />
       ))}
-      <span
-        className={`treeViewHeaderColumn treeViewMainColumn ${
-          mainColumn.propName
-        }`}
-      >
-        {mainColumn.title}
-      </span>
+      <TreeViewHeaderColumn
+        column={mainColumn}
+        className="treeViewMainColumn"
+        sort={sort}
+        onSort={onSort}
+      />
     </div>
   );
 };
@@ -75,6 +126,12 @@ function reactStringWithHighlightedSubstrings(
     if (typedResult === null) {
       break;
     }
+    if (typedResult[0] === '') {
+      // Search regular expressions can match empty strings, step over them so
+      // that the loop ends.
+      regExp.lastIndex++;
+      continue;
+    }
     highlighted.push(string.substring(lastOccurrence, typedResult.index));
     lastOccurrence = regExp.lastIndex;
     highlighted.push(
@@ -329,6 +386,10 @@ type TreeViewProps<NodeIndex, DisplayData> = {|
   +onAppendageButtonClick?: ((NodeIndex | null, string) => mixed) | null,
   +onSelectionChange: NodeIndex => mixed,
   +onEnterKey?: NodeIndex => mixed,
+  // Double clicking on a row toggles it, unless this is provided.
+  +onDoubleClick?: NodeIndex => mixed,
+  +sort?: TreeViewSort | null,
+  +onSort?: (propName: string) => mixed,
   +rowHeight: CssPixels,
   +indentWidth: CssPixels,
 |};
@@ -340,6 +401,7 @@ class TreeView<
   _specialItems: (NodeIndex | null)[];
   _visibleRows: NodeIndex[];
   _expandedNodes: Set<NodeIndex | null>;
+  _columnsVersion: number = 0;
   _list: VirtualList | null;
   _takeListRef = (list: VirtualList | null) => (this._list = list);
 
@@ -377,6 +439,14 @@ class TreeView<
       this._expandedNodes = new Set(nextProps.expandedNodeIds);
       this._visibleRows = this._getAllVisibleRows(nextProps);
     }
+    if (
+      nextProps.fixedColumns !== this.props.fixedColumns ||
+      nextProps.mainColumn !== this.props.mainColumn ||
+      nextProps.appendageColumn !== this.props.appendageColumn
+    ) {
+      // Render the rows of the list again, with the new columns.
+      this._columnsVersion++;
+    }
   }
 
   _renderRow(nodeId: NodeIndex, index: number, columnIndex: number) {
@@ -500,7 +570,12 @@ class TreeView<
     this._select(nodeId);
     if (event.detail === 2 && event.button === 0) {
       // double click
-      this._toggle(nodeId);
+      const { onDoubleClick } = this.props;
+      if (onDoubleClick) {
+        onDoubleClick(nodeId);
+      } else {
+        this._toggle(nodeId);
+      }
     }
   }
 
@@ -621,7 +696,28 @@ class TreeView<
       icons,
       maxNodeDepth,
       rowHeight,
+      sort,
+      onSort,
     } = this.props;
+    const list = (
+      <VirtualList
+        className="treeViewBody"
+        items={this._visibleRows}
+        renderItem={this._renderRow}
+        itemHeight={rowHeight}
+        columnCount={2}
+        focusable={true}
+        onKeyDown={this._onKeyDown}
+        specialItems={this._specialItems}
+        forceRender={this._columnsVersion}
+        disableOverscan={!!disableOverscan}
+        onCopy={this._onCopy}
+        // If there is a deep call node depth, expand the width, or else keep it
+        // at 3000 wide.
+        containerWidth={Math.max(3000, maxNodeDepth * 10 + 2000)}
+        ref={this._takeListRef}
+      />
+    );
     return (
       <div className="treeView">
         {icons &&
@@ -632,28 +728,22 @@ class TreeView<
               key={className}
             />
           ))}
-        <TreeViewHeader fixedColumns={fixedColumns} mainColumn={mainColumn} />
-        <ContextMenuTrigger
-          id={contextMenuId}
-          attributes={{ className: 'treeViewContextMenu' }}
-        >
-          <VirtualList
-            className="treeViewBody"
-            items={this._visibleRows}
-            renderItem={this._renderRow}
-            itemHeight={rowHeight}
-            columnCount={2}
-            focusable={true}
-            onKeyDown={this._onKeyDown}
-            specialItems={this._specialItems}
-            disableOverscan={!!disableOverscan}
-            onCopy={this._onCopy}
-            // If there is a deep call node depth, expand the width, or else keep it
-            // at 3000 wide.
-            containerWidth={Math.max(3000, maxNodeDepth * 10 + 2000)}
-            ref={this._takeListRef}
-          />
-        </ContextMenuTrigger>
+        <TreeViewHeader
+          fixedColumns={fixedColumns}
+          mainColumn={mainColumn}
+          sort={sort || null}
+          onSort={onSort || null}
+        />
+        {contextMenuId ? (
+          <ContextMenuTrigger
+            id={contextMenuId}
+            attributes={{ className: 'treeViewContextMenu' }}
+          >
+            {list}
+          </ContextMenuTrigger>
+        ) : (
+          <div className="treeViewContextMenu">{list}</div>
+        )}
         {contextMenu}
       </div>
     );
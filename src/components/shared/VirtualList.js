@@ -20,6 +20,8 @@ type VirtualListRowProps = {|
   // Items are not used directly, but are needed for strict equality checks so that
   // the components update correctly.
   +items: *,
+  // This is not used directly either, but changing it renders the rows again.
+  +forceRender?: number,
 |};
 
 class VirtualListRow extends React.PureComponent<VirtualListRowProps> {
@@ -37,6 +39,7 @@ type VirtualListInnerChunkProps = {|
   +visibleRangeStart: number,
   +visibleRangeEnd: number,
   +columnIndex: number,
+  +forceRender?: number,
 |};
 
 class VirtualListInnerChunk extends React.PureComponent<
@@ -51,6 +54,7 @@ class VirtualListInnerChunk extends React.PureComponent<
       visibleRangeStart,
       visibleRangeEnd,
       columnIndex,
+      forceRender,
     } = this.props;
 
     return (
@@ -69,6 +73,7 @@ class VirtualListInnerChunk extends React.PureComponent<
               item={item}
               items={items}
               isSpecial={specialItems.includes(item)}
+              forceRender={forceRender}
             />
           );
         })}
@@ -87,6 +92,7 @@ type VirtualListInnerProps = {|
   +visibleRangeEnd: number,
   +columnIndex: number,
   +containerWidth: CssPixels,
+  +forceRender?: number,
 |};
 
 class VirtualListInner extends React.PureComponent<VirtualListInnerProps> {
@@ -114,6 +120,7 @@ class VirtualListInner extends React.PureComponent<VirtualListInnerProps> {
       visibleRangeEnd,
       columnIndex,
       containerWidth,
+      forceRender,
     } = this.props;
 
     const chunkSize = 16;
@@ -152,6 +159,7 @@ class VirtualListInner extends React.PureComponent<VirtualListInnerProps> {
               renderItem={renderItem}
               items={items}
               specialItems={specialItems}
+              forceRender={forceRender}
             />
           );
         })}
@@ -172,6 +180,9 @@ type VirtualListProps = {|
   +disableOverscan: boolean,
   +columnCount: number,
   +containerWidth: CssPixels,
+  // Rows only render again when their item changes, change this number to
+  // render them again when the way they are rendered changes.
+  +forceRender?: number,
 |};
 
 type Geometry = {
@@ -308,6 +319,7 @@ class VirtualList extends React.PureComponent<VirtualListProps> {
       specialItems,
       onKeyDown,
       containerWidth,
+      forceRender,
     } = this.props;
     const columnCount = this.props.columnCount || 1;
     const { visibleRangeStart, visibleRangeEnd } = this.computeVisibleRange();
@@ -332,6 +344,7 @@ class VirtualList extends React.PureComponent<VirtualListProps> {
               items={items}
               specialItems={specialItems}
               columnIndex={columnIndex}
+              forceRender={forceRender}
               containerWidth={containerWidth}
               key={columnIndex}
               ref={columnIndex === 0 ? this._innerCreated : undefined}
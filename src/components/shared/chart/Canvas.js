@@ -16,6 +16,8 @@ type Props<HoveredItem> = {
   className: string,
   onMouseDown?: (HoveredItem | null) => void,
   onDoubleClickItem: (HoveredItem | null) => void,
+  // Called when the hovered item changes, with null when nothing is hovered.
+  onHoverItem?: (HoveredItem | null) => void,
   getHoveredItemInfo: HoveredItem => React.Node,
   drawCanvas: (CanvasRenderingContext2D, HoveredItem | null) => void,
   isDragging: boolean,
@@ -186,12 +188,16 @@ export default class ChartCanvas<HoveredItem> extends React.Component<
     prevProps: Props<HoveredItem>,
     prevState: State<HoveredItem>
   ) {
-    if (
-      prevProps !== this.props ||
-      !hoveredItemsAreEqual(prevState.hoveredItem, this.state.hoveredItem)
-    ) {
+    const hasHoveredItemChanged = !hoveredItemsAreEqual(
+      prevState.hoveredItem,
+      this.state.hoveredItem
+    );
+    if (prevProps !== this.props || hasHoveredItemChanged) {
       this._scheduleDraw();
     }
+    if (hasHoveredItemChanged && this.props.onHoverItem) {
+      this.props.onHoverItem(this.state.hoveredItem);
+    }
   }
 
   render() {
@@ -0,0 +1,188 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// @flow
+
+import * as React from 'react';
+import SidebarDetail from './SidebarDetail';
+import { getFunctionName } from '../../profile-logic/function-info';
+import { getTimingLabels } from '../../profile-logic/call-tree';
+import { formatPercent } from '../../utils/format-numbers';
+
+import type { CallTree } from '../../profile-logic/call-tree';
+import type {
+  CallNodeBreakdown,
+  BreakdownEntry,
+} from '../../profile-logic/call-node-breakdown';
+import type { Thread, IndexIntoFuncTable } from '../../types/profile';
+import type {
+  CallNodeTable,
+  IndexIntoCallNodeTable,
+} from '../../types/profile-derived';
+
+type Props = {|
+  // The class name of the sidebar, which tells which tab it's for.
+  +className: string,
+  +tree: CallTree,
+  +thread: Thread,
+  +callNodeTable: CallNodeTable,
+  +callNodeIndex: IndexIntoCallNodeTable | null,
+  +breakdown: CallNodeBreakdown | null,
+  // Shown when there is no call node.
+  +emptyMessage: string,
+|};
+
+type BreakdownProps = {|
+  +title: string,
+  +entries: BreakdownEntry[],
+  +totalWeight: number,
+|};
+
+function Breakdown({ title, entries, totalWeight }: BreakdownProps) {
+  return (
+    <section className="sidebar-breakdown">
+      <h3 className="sidebar-title2">{title}</h3>
+      {entries.map(({ name, weight }) => {
+        const ratio = totalWeight === 0 ? 0 : weight / totalWeight;
+        return (
+          <div className="sidebar-breakdown-row" key={name}>
+            <span className="sidebar-breakdown-name">{name}</span>
+            <span className="sidebar-breakdown-percent">
+              {formatPercent(ratio)}
+            </span>
+            <span className="sidebar-breakdown-bar">
+              <span
+                className="sidebar-breakdown-bar-inner"
+                style={{ width: `${ratio * 100}%` }}
+              />
+            </span>
+          </div>
+        );
+      })}
+    </section>
+  );
+}
+
+type HistogramProps = {|
+  +histogram: number[],
+|};
+
+/**
+ * When the samples of the call node occurred over the selected range.
+ */
+function Histogram({ histogram }: HistogramProps) {
+  const maxWeight = Math.max(...histogram);
+  return (
+    <section className="sidebar-histogram-section">
+      <h3 className="sidebar-title2">Samples over the range</h3>
+      <div className="sidebar-histogram">
+        {histogram.map((weight, bucket) => (
+          <div
+            className="sidebar-histogram-bar"
+            key={bucket}
+            style={{
+              height: `${maxWeight === 0 ? 0 : weight / maxWeight * 100}%`,
+            }}
+          />
+        ))}
+      </div>
+    </section>
+  );
+}
+
+/**
+ * The details of a call node, with the breakdowns of its samples. They're
+ * shared by the sidebars of the call tree and of the flame graph.
+ */
+export default class CallNodeDetails extends React.PureComponent<Props> {
+  _getFileName(funcIndex: IndexIntoFuncTable): string | null {
+    const { funcTable, stringTable } = this.props.thread;
+    const fileName = funcTable.fileName[funcIndex];
+    if (fileName === null) {
+      return null;
+    }
+    const lineNumber = funcTable.lineNumber[funcIndex];
+    return (
+      stringTable.getString(fileName) +
+      (lineNumber === null ? '' : ':' + lineNumber)
+    );
+  }
+
+  _getOrigin(funcIndex: IndexIntoFuncTable): string | null {
+    const { funcTable, resourceTable, stringTable } = this.props.thread;
+    const resourceName = resourceTable.name[funcTable.resource[funcIndex]];
+    return resourceName === undefined
+      ? null
+      : stringTable.getString(resourceName);
+  }
+
+  render() {
+    const {
+      className,
+      tree,
+      callNodeTable,
+      callNodeIndex,
+      breakdown,
+      emptyMessage,
+    } = this.props;
+    if (callNodeIndex === null) {
+      return <div className={`sidebar ${className}`}>{emptyMessage}</div>;
+    }
+
+    const data = tree.getDisplayData(callNodeIndex);
+    // `data.selfTime` is a string, containing either a number or, if the value
+    // is 0, is '—'. So we we use isNaN on purpose (instead of Number.isNaN), to
+    // force a conversion and decide whether we should add the unit or keep the
+    // character '—'.
+    // We don't compare against '—' to avoid hardcoded values. In the future we
+    // should have a dedicated method in `tree` to recover the values we need in
+    // the format we need.
+    const timingLabels = getTimingLabels(tree.getWeightType());
+    const selfTime = isNaN(data.selfTime)
+      ? data.selfTime
+      : data.selfTime + timingLabels.suffix;
+    const funcIndex = callNodeTable.func[callNodeIndex];
+    const fileName = this._getFileName(funcIndex);
+    const origin = this._getOrigin(funcIndex);
+    return (
+      <aside className={`sidebar ${className}`}>
+        <header className="sidebar-titlegroup">
+          <h2 className="sidebar-title">{getFunctionName(data.name)}</h2>
+          <p className="sidebar-subtitle">{data.lib}</p>
+        </header>
+        <div className="sidebar-details">
+          <SidebarDetail label={timingLabels.total}>
+            {data.totalTime + timingLabels.suffix}
+          </SidebarDetail>
+          <SidebarDetail label={timingLabels.self}>{selfTime}</SidebarDetail>
+          <SidebarDetail label="Sample count">{data.samples}</SidebarDetail>
+          <SidebarDetail label="Percentage of range">
+            {data.totalTimePercent}
+          </SidebarDetail>
+          {fileName === null ? null : (
+            <SidebarDetail label="File">{fileName}</SidebarDetail>
+          )}
+          {origin === null ? null : (
+            <SidebarDetail label="Origin">{origin}</SidebarDetail>
+          )}
+        </div>
+        {breakdown === null ? null : (
+          <React.Fragment>
+            <Breakdown
+              title="Implementation"
+              entries={breakdown.byImplementation}
+              totalWeight={breakdown.weight}
+            />
+            <Breakdown
+              title="Library"
+              entries={breakdown.byLibrary}
+              totalWeight={breakdown.weight}
+            />
+            <Histogram histogram={breakdown.histogram} />
+          </React.Fragment>
+        )}
+      </aside>
+    );
+  }
+}
@@ -7,72 +7,52 @@
 import * as React from 'react';
 import explicitConnect from '../../utils/connect';
 import { selectedThreadSelectors } from '../../reducers/profile-view';
-import { getFunctionName } from '../../profile-logic/function-info';
+import CallNodeDetails from './CallNodeDetails';
 
 import type { ExplicitConnectOptions } from '../../utils/connect';
 import type { CallTree } from '../../profile-logic/call-tree';
-import type { IndexIntoCallNodeTable } from '../../types/profile-derived';
+import type { CallNodeBreakdown } from '../../profile-logic/call-node-breakdown';
+import type { Thread } from '../../types/profile';
+import type {
+  CallNodeTable,
+  IndexIntoCallNodeTable,
+} from '../../types/profile-derived';
 
 type StateProps = {|
   +tree: CallTree,
+  +thread: Thread,
+  +callNodeTable: CallNodeTable,
   +selectedNodeIndex: IndexIntoCallNodeTable | null,
+  +breakdown: CallNodeBreakdown | null,
 |};
 
-type SidebarDetailProps = {|
-  +label: string,
-  +children: React.Node,
-|};
-
-function SidebarDetail({ label, children }: SidebarDetailProps) {
+function CallTreeSidebar({
+  tree,
+  thread,
+  callNodeTable,
+  selectedNodeIndex,
+  breakdown,
+}: StateProps) {
   return (
-    <React.Fragment>
-      <div className="sidebar-label">{label}:</div>
-      {children}
-    </React.Fragment>
+    <CallNodeDetails
+      className="sidebar-calltree"
+      tree={tree}
+      thread={thread}
+      callNodeTable={callNodeTable}
+      callNodeIndex={selectedNodeIndex}
+      breakdown={breakdown}
+      emptyMessage="Select a node to display some information about it."
+    />
   );
 }
 
-class CallTreeSidebar extends React.PureComponent<StateProps> {
-  render() {
-    const { tree, selectedNodeIndex } = this.props;
-    if (selectedNodeIndex === null) {
-      return (
-        <div className="sidebar sidebar-calltree">
-          Select a node to display some information about it.
-        </div>
-      );
-    }
-
-    const data = tree.getDisplayData(selectedNodeIndex);
-    // `data.selfTime` is a string, containing either a number or, if the value
-    // is 0, is '—'. So we we use isNaN on purpose (instead of Number.isNaN), to
-    // force a conversion and decide whether we should add the unit or keep the
-    // character '—'.
-    // We don't compare against '—' to avoid hardcoded values. In the future we
-    // should have a dedicated method in `tree` to recover the values we need in
-    // the format we need.
-    const selfTime = isNaN(data.selfTime)
-      ? data.selfTime
-      : data.selfTime + 'ms';
-    return (
-      <aside className="sidebar sidebar-calltree">
-        <header className="sidebar-titlegroup">
-          <h2 className="sidebar-title">{getFunctionName(data.name)}</h2>
-          <p className="sidebar-subtitle">{data.lib}</p>
-        </header>
-        <div className="sidebar-details">
-          <SidebarDetail label="Running Time">{data.totalTime}ms</SidebarDetail>
-          <SidebarDetail label="Self Time">{selfTime}</SidebarDetail>
-        </div>
-      </aside>
-    );
-  }
-}
-
 const options: ExplicitConnectOptions<{||}, StateProps, {||}> = {
   mapStateToProps: state => ({
     tree: selectedThreadSelectors.getCallTree(state),
+    thread: selectedThreadSelectors.getRangeSelectionFilteredThread(state),
+    callNodeTable: selectedThreadSelectors.getCallNodeInfo(state).callNodeTable,
     selectedNodeIndex: selectedThreadSelectors.getSelectedCallNodeIndex(state),
+    breakdown: selectedThreadSelectors.getSelectedCallNodeBreakdown(state),
   }),
   component: CallTreeSidebar,
 };
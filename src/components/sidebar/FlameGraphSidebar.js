@@ -0,0 +1,67 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// @flow
+
+import * as React from 'react';
+import explicitConnect from '../../utils/connect';
+import { selectedThreadSelectors } from '../../reducers/profile-view';
+import CallNodeDetails from './CallNodeDetails';
+
+import type { ExplicitConnectOptions } from '../../utils/connect';
+import type { CallTree } from '../../profile-logic/call-tree';
+import type { CallNodeBreakdown } from '../../profile-logic/call-node-breakdown';
+import type { Thread } from '../../types/profile';
+import type {
+  CallNodeTable,
+  IndexIntoCallNodeTable,
+} from '../../types/profile-derived';
+
+type StateProps = {|
+  +tree: CallTree,
+  +thread: Thread,
+  +callNodeTable: CallNodeTable,
+  +callNodeIndex: IndexIntoCallNodeTable | null,
+  +breakdown: CallNodeBreakdown | null,
+|};
+
+/**
+ * The flame graph shows the details of the hovered box, and falls back to the
+ * selected one.
+ */
+function FlameGraphSidebar({
+  tree,
+  thread,
+  callNodeTable,
+  callNodeIndex,
+  breakdown,
+}: StateProps) {
+  return (
+    <CallNodeDetails
+      className="sidebar-flamegraph"
+      tree={tree}
+      thread={thread}
+      callNodeTable={callNodeTable}
+      callNodeIndex={callNodeIndex}
+      breakdown={breakdown}
+      emptyMessage="Hover or select a box to display some information about it."
+    />
+  );
+}
+
+const options: ExplicitConnectOptions<{||}, StateProps, {||}> = {
+  mapStateToProps: state => ({
+    tree: selectedThreadSelectors.getCallTree(state),
+    thread: selectedThreadSelectors.getRangeSelectionFilteredThread(state),
+    callNodeTable: selectedThreadSelectors.getCallNodeInfo(state).callNodeTable,
+    callNodeIndex: selectedThreadSelectors.getHoveredOrSelectedCallNodeIndex(
+      state
+    ),
+    breakdown: selectedThreadSelectors.getHoveredOrSelectedCallNodeBreakdown(
+      state
+    ),
+  }),
+  component: FlameGraphSidebar,
+};
+export default explicitConnect(options);
@@ -0,0 +1,61 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// @flow
+
+import * as React from 'react';
+import explicitConnect from '../../utils/connect';
+import {
+  selectedThreadSelectors,
+  getZeroAt,
+} from '../../reducers/profile-view';
+import { getImplementationFilter } from '../../reducers/url-state';
+import MarkerDetails from './MarkerDetails';
+
+import type { ExplicitConnectOptions } from '../../utils/connect';
+import type { Thread } from '../../types/profile';
+import type { TracingMarker } from '../../types/profile-derived';
+import type { Milliseconds } from '../../types/units';
+import type { ImplementationFilter } from '../../types/actions';
+
+type StateProps = {|
+  +marker: TracingMarker | null,
+  +relatedMarkers: TracingMarker[],
+  +thread: Thread,
+  +implementationFilter: ImplementationFilter,
+  +zeroAt: Milliseconds,
+|};
+
+function MarkerChartSidebar({
+  marker,
+  relatedMarkers,
+  thread,
+  implementationFilter,
+  zeroAt,
+}: StateProps) {
+  return (
+    <MarkerDetails
+      className="sidebar-markerchart"
+      marker={marker}
+      relatedMarkers={relatedMarkers}
+      thread={thread}
+      implementationFilter={implementationFilter}
+      zeroAt={zeroAt}
+    />
+  );
+}
+
+const options: ExplicitConnectOptions<{||}, StateProps, {||}> = {
+  mapStateToProps: state => ({
+    marker: selectedThreadSelectors.getSelectedTracingMarker(state),
+    relatedMarkers: selectedThreadSelectors.getSelectedTracingMarkerRelatedMarkers(
+      state
+    ),
+    thread: selectedThreadSelectors.getThread(state),
+    implementationFilter: getImplementationFilter(state),
+    zeroAt: getZeroAt(state),
+  }),
+  component: MarkerChartSidebar,
+};
+export default explicitConnect(options);
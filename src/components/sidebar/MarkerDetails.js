@@ -0,0 +1,144 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// @flow
+
+import * as React from 'react';
+import SidebarDetail from './SidebarDetail';
+import Backtrace from '../shared/Backtrace';
+import { formatMilliseconds } from '../../utils/format-numbers';
+
+import type { Thread } from '../../types/profile';
+import type { TracingMarker } from '../../types/profile-derived';
+import type { Milliseconds } from '../../types/units';
+import type { ImplementationFilter } from '../../types/actions';
+
+// A marker can overlap many others, only the first ones are listed.
+const MAX_RELATED_MARKERS = 20;
+
+type Props = {|
+  // The class name of the sidebar, which tells which tab it's for.
+  +className: string,
+  +marker: TracingMarker | null,
+  +relatedMarkers: TracingMarker[],
+  +thread: Thread,
+  +implementationFilter: ImplementationFilter,
+  +zeroAt: Milliseconds,
+|};
+
+function _formatDuration({ start, dur }: TracingMarker): string {
+  // Tracing markers with no start have a negative start, while the ones with
+  // no end have an infinite duration.
+  return Number.isFinite(dur) && start >= 0
+    ? formatMilliseconds(dur, 9, 3)
+    : 'unknown duration';
+}
+
+/**
+ * All of the information of a marker: its payload, the backtrace of its cause,
+ * and the markers that were running at the same time. It's shared by the
+ * sidebars of the marker chart and of the marker table.
+ */
+export default class MarkerDetails extends React.PureComponent<Props> {
+  _renderCause() {
+    const { marker, thread, implementationFilter } = this.props;
+    if (marker === null || !marker.data) {
+      return null;
+    }
+    const { data } = marker;
+    // Only the style flushes and the tracing markers have a cause.
+    if (data.type !== 'Styles' && data.type !== 'tracing') {
+      return null;
+    }
+    const { cause } = data;
+    if (!cause) {
+      return null;
+    }
+    return (
+      <section className="sidebar-marker-cause">
+        <h3 className="sidebar-title2">
+          Cause, {formatMilliseconds(marker.start - cause.time)} before
+        </h3>
+        <Backtrace
+          cause={cause}
+          thread={thread}
+          implementationFilter={implementationFilter}
+        />
+      </section>
+    );
+  }
+
+  _renderRelatedMarkers() {
+    const { relatedMarkers, zeroAt } = this.props;
+    if (relatedMarkers.length === 0) {
+      return null;
+    }
+    const hiddenCount = relatedMarkers.length - MAX_RELATED_MARKERS;
+    return (
+      <section className="sidebar-related-markers">
+        <h3 className="sidebar-title2">Related markers</h3>
+        <ol className="sidebar-related-markers-list">
+          {relatedMarkers.slice(0, MAX_RELATED_MARKERS).map((marker, i) => (
+            <li className="sidebar-related-marker" key={i}>
+              <span className="sidebar-related-marker-start">
+                {formatMilliseconds(marker.start - zeroAt)}
+              </span>
+              <span className="sidebar-related-marker-name">
+                {marker.title || marker.name}
+              </span>
+              <span className="sidebar-related-marker-duration">
+                {_formatDuration(marker)}
+              </span>
+            </li>
+          ))}
+        </ol>
+        {hiddenCount > 0 ? (
+          <p className="sidebar-related-markers-more">
+            …and {hiddenCount} more.
+          </p>
+        ) : null}
+      </section>
+    );
+  }
+
+  render() {
+    const { className, marker, zeroAt } = this.props;
+    if (marker === null) {
+      return (
+        <div className={`sidebar ${className}`}>
+          Select a marker to display some information about it.
+        </div>
+      );
+    }
+
+    return (
+      <aside className={`sidebar ${className}`}>
+        <header className="sidebar-titlegroup">
+          <h2 className="sidebar-title">{marker.title || marker.name}</h2>
+          <p className="sidebar-subtitle">
+            {marker.data ? marker.data.type : ''}
+          </p>
+        </header>
+        <div className="sidebar-details">
+          <SidebarDetail label="Start">
+            {formatMilliseconds(marker.start - zeroAt, 9, 3)}
+          </SidebarDetail>
+          <SidebarDetail label="Duration">
+            {_formatDuration(marker)}
+          </SidebarDetail>
+        </div>
+        {marker.data ? (
+          <section className="sidebar-marker-payload">
+            <h3 className="sidebar-title2">Payload</h3>
+            <pre className="sidebar-marker-payload-json">
+              {JSON.stringify(marker.data, null, 2)}
+            </pre>
+          </section>
+        ) : null}
+        {this._renderCause()}
+        {this._renderRelatedMarkers()}
+      </aside>
+    );
+  }
+}
@@ -0,0 +1,24 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// @flow
+
+import * as React from 'react';
+
+type Props = {|
+  +label: string,
+  +children: React.Node,
+|};
+
+/**
+ * A label and its value, as a row of the `.sidebar-details` grid.
+ */
+export default function SidebarDetail({ label, children }: Props) {
+  return (
+    <React.Fragment>
+      <div className="sidebar-label">{label}:</div>
+      <div className="sidebar-value">{children}</div>
+    </React.Fragment>
+  );
+}
@@ -0,0 +1,128 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// @flow
+
+import * as React from 'react';
+import explicitConnect from '../../utils/connect';
+import {
+  selectedThreadSelectors,
+  getZeroAt,
+} from '../../reducers/profile-view';
+import { getCategoryColorStrategy } from '../../reducers/stack-chart';
+import { getOriginAnnotationForFunc } from '../../profile-logic/profile-data';
+import { getFunctionName } from '../../profile-logic/function-info';
+import { formatMilliseconds } from '../../utils/format-numbers';
+import SidebarDetail from './SidebarDetail';
+
+import type { ExplicitConnectOptions } from '../../utils/connect';
+import type { Thread } from '../../types/profile';
+import type { Milliseconds } from '../../types/units';
+import type {
+  StackTimingByDepth,
+  StackTimingDepth,
+  IndexIntoStackTiming,
+} from '../../profile-logic/stack-timing';
+import type { GetCategory } from '../../profile-logic/color-categories';
+
+type StateProps = {|
+  +thread: Thread,
+  +stackTimingByDepth: StackTimingByDepth,
+  +selectedDepth: StackTimingDepth | null,
+  +selectedIndex: IndexIntoStackTiming | null,
+  +zeroAt: Milliseconds,
+  +getCategory: GetCategory,
+|};
+
+// The boxes are precisely placed in time, show the times with up to
+// microseconds instead of rounding them like the tooltips.
+function _formatTime(time: Milliseconds): string {
+  return formatMilliseconds(time, 9, 3);
+}
+
+function StackChartSidebar({
+  thread,
+  stackTimingByDepth,
+  selectedDepth,
+  selectedIndex,
+  zeroAt,
+  getCategory,
+}: StateProps) {
+  if (selectedDepth === null || selectedIndex === null) {
+    return (
+      <div className="sidebar sidebar-stackchart">
+        Select a box to display some information about it.
+      </div>
+    );
+  }
+
+  const {
+    stackTable,
+    frameTable,
+    funcTable,
+    resourceTable,
+    stringTable,
+  } = thread;
+  const stackTiming = stackTimingByDepth[selectedDepth];
+  const start = stackTiming.start[selectedIndex];
+  const end = stackTiming.end[selectedIndex];
+  const frameIndex = stackTable.frame[stackTiming.stack[selectedIndex]];
+  const funcIndex = frameTable.func[frameIndex];
+  const category = getCategory(thread, frameIndex);
+  return (
+    <aside className="sidebar sidebar-stackchart">
+      <header className="sidebar-titlegroup">
+        <h2 className="sidebar-title">
+          {getFunctionName(stringTable.getString(funcTable.name[funcIndex]))}
+        </h2>
+        <p className="sidebar-subtitle">
+          {getOriginAnnotationForFunc(
+            funcIndex,
+            funcTable,
+            resourceTable,
+            stringTable
+          )}
+        </p>
+      </header>
+      <div className="sidebar-details">
+        <SidebarDetail label="Start">
+          {_formatTime(start - zeroAt)}
+        </SidebarDetail>
+        <SidebarDetail label="End">{_formatTime(end - zeroAt)}</SidebarDetail>
+        <SidebarDetail label="Duration">
+          {_formatTime(end - start)}
+        </SidebarDetail>
+        <SidebarDetail label="Depth">{selectedDepth}</SidebarDetail>
+        <SidebarDetail label="Category">
+          <span
+            className="sidebar-swatch"
+            style={{ backgroundColor: category.color }}
+          />
+          {category.name}
+        </SidebarDetail>
+      </div>
+    </aside>
+  );
+}
+
+const options: ExplicitConnectOptions<{||}, StateProps, {||}> = {
+  mapStateToProps: state => {
+    const { selectedStackChartBox } = selectedThreadSelectors.getViewOptions(
+      state
+    );
+    return {
+      thread: selectedThreadSelectors.getFilteredThread(state),
+      stackTimingByDepth: selectedThreadSelectors.getStackTimingByDepth(state),
+      selectedDepth:
+        selectedStackChartBox === null ? null : selectedStackChartBox.depth,
+      selectedIndex: selectedThreadSelectors.getSelectedStackChartBoxIndex(
+        state
+      ),
+      zeroAt: getZeroAt(state),
+      getCategory: getCategoryColorStrategy(state),
+    };
+  },
+  component: StackChartSidebar,
+};
+export default explicitConnect(options);
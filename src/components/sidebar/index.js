@@ -3,9 +3,11 @@
  * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
 // @flow
 
-// Disabling the call tree's sidebar until it's useful
-// https://github.com/devtools-html/perf.html/issues/914
-// import CallTreeSidebar from './CallTreeSidebar';
+import CallTreeSidebar from './CallTreeSidebar';
+import FlameGraphSidebar from './FlameGraphSidebar';
+import StackChartSidebar from './StackChartSidebar';
+import MarkerChartSidebar from './MarkerChartSidebar';
+import MarkerTableSidebar from './MarkerTableSidebar';
 
 import type { TabSlug } from '../../types/actions';
 
@@ -15,11 +17,12 @@ export default function selectSidebar(
   selectedTab: TabSlug
 ): React.ComponentType<{||}> | null {
   return {
-    // calltree: CallTreeSidebar,
-    calltree: null,
-    'marker-table': null,
-    'stack-chart': null,
-    'marker-chart': null,
-    'flame-graph': null,
+    calltree: CallTreeSidebar,
+    'marker-table': MarkerTableSidebar,
+    'stack-chart': StackChartSidebar,
+    'marker-chart': MarkerChartSidebar,
+    'flame-graph': FlameGraphSidebar,
+    butterfly: null,
+    'function-list': null,
   }[selectedTab];
 }
@@ -0,0 +1,244 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+// @flow
+
+import * as React from 'react';
+import classNames from 'classnames';
+import explicitConnect from '../../utils/connect';
+import { selectedThreadSelectors } from '../../reducers/profile-view';
+import { getSource } from '../../reducers/sources';
+import { loadSource, loadSourceFromFile } from '../../actions/sources';
+import { formatNumber } from '../../utils/format-numbers';
+
+import type { LineTimings } from '../../profile-logic/line-timings';
+import type { Thread } from '../../types/profile';
+import type { State, SourceState } from '../../types/reducers';
+import type {
+  ExplicitConnectOptions,
+  ConnectedProps,
+} from '../../utils/connect';
+
+import './SourceView.css';
+
+type StateProps = {|
+  +thread: Thread,
+  +hasSelectedCallNode: boolean,
+  +lineTimings: LineTimings | null,
+  +fileName: string | null,
+  +source: SourceState | null,
+|};
+
+type DispatchProps = {|
+  +loadSource: typeof loadSource,
+  +loadSourceFromFile: typeof loadSourceFromFile,
+|};
+
+type Props = ConnectedProps<{||}, StateProps, DispatchProps>;
+
+type SourceLine = {|
+  +line: number,
+  +text: string,
+|};
+
+function _getFileName(state: State): string | null {
+  const func = selectedThreadSelectors.getSelectedCallNodeFunction(state);
+  if (func === null) {
+    return null;
+  }
+  // The function can be added by a collapse transform.
+  const {
+    funcTable,
+    stringTable,
+  } = selectedThreadSelectors.getRangeAndTransformFilteredThread(state);
+  const fileName = funcTable.fileName[func];
+  return fileName === null ? null : stringTable.getString(fileName);
+}
+
+// The weights are sample counts, or e.g. durations for weighted samples.
+function _formatWeight(weight: number): string {
+  return Number.isInteger(weight) ? String(weight) : formatNumber(weight);
+}
+
+/**
+ * Show the lines of the function of the selected call node, with the number
+ * of samples in each of them. The source text comes from the zip file of the
+ * profile, from the server that serves perf.html, or from a local file that
+ * the user opens. Without it, only the lines with samples are listed.
+ */
+class SourceView extends React.PureComponent<Props> {
+  // The source is only looked for once per file, even when nothing is found.
+  _requestedFileName: string | null = null;
+
+  componentDidMount() {
+    this._loadSourceIfNeeded();
+  }
+
+  componentDidUpdate() {
+    this._loadSourceIfNeeded();
+  }
+
+  _loadSourceIfNeeded() {
+    const { fileName, source, loadSource } = this.props;
+    if (
+      fileName !== null &&
+      source === null &&
+      fileName !== this._requestedFileName
+    ) {
+      this._requestedFileName = fileName;
+      loadSource(fileName);
+    }
+  }
+
+  _onFileChange = (e: SyntheticEvent<HTMLInputElement>) => {
+    const { fileName, loadSourceFromFile } = this.props;
+    const { files } = e.currentTarget;
+    if (fileName !== null && files && files.length > 0) {
+      loadSourceFromFile(fileName, files[0]);
+    }
+  };
+
+  _getLines(lineTimings: LineTimings): SourceLine[] {
+    const { thread, source } = this.props;
+    const sampledLines = [...lineTimings.totalWeight.keys()].sort(
+      (a, b) => a - b
+    );
+    if (source === null || source.phase !== 'LOADED') {
+      return sampledLines.map(line => ({ line, text: '' }));
+    }
+
+    // Show the function from its first line, when it's known, to its last line
+    // with samples.
+    const sourceLines = source.source.split('\n');
+    const funcLine = thread.funcTable.lineNumber[lineTimings.func];
+    const firstLine = Math.min(
+      ...(funcLine === null ? sampledLines : [funcLine, ...sampledLines])
+    );
+    const lastLine = Math.min(
+      sampledLines.length === 0 ? firstLine : Math.max(...sampledLines),
+      sourceLines.length
+    );
+    const lines = [];
+    for (let line = Math.max(firstLine, 1); line <= lastLine; line++) {
+      lines.push({ line, text: sourceLines[line - 1] });
+    }
+    return lines;
+  }
+
+  _renderStatus(): string {
+    const { fileName, source } = this.props;
+    if (fileName === null) {
+      return 'The file of this function is unknown.';
+    }
+    if (source === null) {
+      return 'Open the source file to see the source of this function.';
+    }
+    switch (source.phase) {
+      case 'LOADING':
+        return 'Loading the source…';
+      case 'LOADED':
+        return '';
+      case 'ERROR':
+        return `The source couldn’t be loaded: ${source.error.message}`;
+      default:
+        throw new Error(`Unknown source phase ${(source.phase: empty)}`);
+    }
+  }
+
+  _renderLines(lineTimings: LineTimings): React.Node {
+    const lines = this._getLines(lineTimings);
+    if (lines.length === 0) {
+      return (
+        <div className="sourceViewEmpty">
+          There is no line information for this function.
+        </div>
+      );
+    }
+    const { selfWeight, totalWeight } = lineTimings;
+    return (
+      <div className="sourceViewContent">
+        <table className="sourceViewTable">
+          <thead>
+            <tr>
+              <th className="sourceViewLineNumber">Line</th>
+              <th className="sourceViewCount">Self</th>
+              <th className="sourceViewCount">Total</th>
+              <th className="sourceViewText" />
+            </tr>
+          </thead>
+          <tbody>
+            {lines.map(({ line, text }) => {
+              const self = selfWeight.get(line);
+              const total = totalWeight.get(line);
+              return (
+                <tr
+                  key={line}
+                  className={classNames('sourceViewRow', {
+                    sourceViewRowWithSamples: total !== undefined,
+                  })}
+                >
+                  <td className="sourceViewLineNumber">{line}</td>
+                  <td className="sourceViewCount">
+                    {self === undefined ? null : _formatWeight(self)}
+                  </td>
+                  <td className="sourceViewCount">
+                    {total === undefined ? null : _formatWeight(total)}
+                  </td>
+                  <td className="sourceViewText">{text}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    );
+  }
+
+  render() {
+    const { hasSelectedCallNode, lineTimings, fileName } = this.props;
+    if (!hasSelectedCallNode || lineTimings === null) {
+      return null;
+    }
+    return (
+      <div className="sourceView">
+        <div className="sourceViewHeader">
+          <span className="sourceViewFileName">
+            {fileName === null ? 'Unknown file' : fileName}
+          </span>
+          <span className="sourceViewStatus">{this._renderStatus()}</span>
+          {fileName === null ? null : (
+            <label className="sourceViewOpenFile">
+              Open source file…
+              <input
+                type="file"
+                className="sourceViewFileInput"
+                onChange={this._onFileChange}
+              />
+            </label>
+          )}
+        </div>
+        {this._renderLines(lineTimings)}
+      </div>
+    );
+  }
+}
+
+const options: ExplicitConnectOptions<{||}, StateProps, DispatchProps> = {
+  mapStateToProps: (state: State) => {
+    const fileName = _getFileName(state);
+    return {
+      thread: selectedThreadSelectors.getRangeAndTransformFilteredThread(state),
+      hasSelectedCallNode:
+        selectedThreadSelectors.getSelectedCallNodeIndex(state) !== null,
+      lineTimings: selectedThreadSelectors.getSelectedCallNodeLineTimings(
+        state
+      ),
+      fileName,
+      source: fileName === null ? null : getSource(state, fileName),
+    };
+  },
+  mapDispatchToProps: { loadSource, loadSourceFromFile },
+  component: SourceView,
+};
+
+export default explicitConnect(options);
@@ -23,6 +23,7 @@ import type {
   StackTimingByDepth,
   StackTimingDepth,
   IndexIntoStackTiming,
+  StackChartBox,
 } from '../../profile-logic/stack-timing';
 import type { GetCategory } from '../../profile-logic/color-categories';
 import type { GetLabel } from '../../profile-logic/labeling-strategies';
@@ -38,6 +39,8 @@ type OwnProps = {|
   +getCategory: GetCategory,
   +getLabel: GetLabel,
   +updateProfileSelection: typeof updateProfileSelection,
+  +selectedStackChartBox: StackChartBox | null,
+  +onSelectedStackChartBoxChange: (StackChartBox | null) => void,
 |};
 
 type Props = $ReadOnly<{|
@@ -62,6 +65,7 @@ class StackChartCanvas extends React.PureComponent<Props> {
   constructor(props: Props) {
     super(props);
     (this: any)._onDoubleClickStack = this._onDoubleClickStack.bind(this);
+    (this: any)._onMouseDown = this._onMouseDown.bind(this);
     (this: any)._getHoveredStackInfo = this._getHoveredStackInfo.bind(this);
     (this: any)._drawCanvas = this._drawCanvas.bind(this);
     (this: any)._hitTest = this._hitTest.bind(this);
@@ -88,6 +92,7 @@ class StackChartCanvas extends React.PureComponent<Props> {
       stackTimingByDepth,
       stackFrameHeight,
       getCategory,
+      selectedStackChartBox,
       viewport: {
         containerWidth,
         containerHeight,
@@ -169,8 +174,13 @@ class StackChartCanvas extends React.PureComponent<Props> {
             hoveredItem &&
             depth === hoveredItem.depth &&
             i === hoveredItem.stackTableIndex;
+          const isHighlighted =
+            isHovered ||
+            (selectedStackChartBox !== null &&
+              depth === selectedStackChartBox.depth &&
+              stackTiming.start[i] === selectedStackChartBox.start);
 
-          ctx.fillStyle = isHovered ? 'Highlight' : category.color;
+          ctx.fillStyle = isHighlighted ? 'Highlight' : category.color;
           ctx.fillRect(x, y, w, h);
 
           // Ensure spacing between blocks.
@@ -185,7 +195,7 @@ class StackChartCanvas extends React.PureComponent<Props> {
           if (w2 > textMeasurement.minWidth) {
             const fittedText = textMeasurement.getFittedText(text, w2);
             if (fittedText) {
-              ctx.fillStyle = isHovered ? 'HighlightText' : '#000000';
+              ctx.fillStyle = isHighlighted ? 'HighlightText' : '#000000';
               ctx.fillText(fittedText, x2, y + TEXT_OFFSET_TOP);
             }
           }
@@ -276,6 +286,23 @@ class StackChartCanvas extends React.PureComponent<Props> {
     });
   }
 
+  _onMouseDown(hoveredItem: HoveredStackTiming | null) {
+    // Select the clicked box for the sidebar, or deselect when clicking
+    // outside of the boxes.
+    const { stackTimingByDepth, onSelectedStackChartBoxChange } = this.props;
+    onSelectedStackChartBoxChange(
+      hoveredItem === null
+        ? null
+        : {
+            depth: hoveredItem.depth,
+            start:
+              stackTimingByDepth[hoveredItem.depth].start[
+                hoveredItem.stackTableIndex
+              ],
+          }
+    );
+  }
+
   _hitTest(x: CssPixels, y: CssPixels): HoveredStackTiming | null {
     const {
       rangeStart,
@@ -318,6 +345,7 @@ class StackChartCanvas extends React.PureComponent<Props> {
         containerHeight={containerHeight}
         isDragging={isDragging}
         onDoubleClickItem={this._onDoubleClickStack}
+        onMouseDown={this._onMouseDown}
         getHoveredItemInfo={this._getHoveredStackInfo}
         drawCanvas={this._drawCanvas}
         hitTest={this._hitTest}
@@ -17,14 +17,21 @@ import {
   getLabelingStrategy,
 } from '../../reducers/stack-chart';
 import StackSettings from '../shared/StackSettings';
-import { updateProfileSelection } from '../../actions/profile-view';
+import {
+  updateProfileSelection,
+  changeSelectedStackChartBox,
+} from '../../actions/profile-view';
+import { getSelectedThreadIndex } from '../../reducers/url-state';
 
-import type { Thread } from '../../types/profile';
+import type { Thread, ThreadIndex } from '../../types/profile';
 import type {
   Milliseconds,
   UnitIntervalOfProfileRange,
 } from '../../types/units';
-import type { StackTimingByDepth } from '../../profile-logic/stack-timing';
+import type {
+  StackTimingByDepth,
+  StackChartBox,
+} from '../../profile-logic/stack-timing';
 import type { GetCategory } from '../../profile-logic/color-categories';
 import type { GetLabel } from '../../profile-logic/labeling-strategies';
 import type { ProfileSelection } from '../../types/actions';
@@ -48,10 +55,13 @@ type StateProps = {|
   +selection: ProfileSelection,
   +threadName: string,
   +processDetails: string,
+  +threadIndex: ThreadIndex,
+  +selectedStackChartBox: StackChartBox | null,
 |};
 
 type DispatchProps = {|
   +updateProfileSelection: typeof updateProfileSelection,
+  +changeSelectedStackChartBox: typeof changeSelectedStackChartBox,
 |};
 
 type Props = ConnectedProps<{||}, StateProps, DispatchProps>;
@@ -65,6 +75,13 @@ class StackChartGraph extends React.PureComponent<Props> {
     return interval / (end - start);
   }
 
+  _onSelectedStackChartBoxChange = (
+    selectedStackChartBox: StackChartBox | null
+  ) => {
+    const { threadIndex, changeSelectedStackChartBox } = this.props;
+    changeSelectedStackChartBox(threadIndex, selectedStackChartBox);
+  };
+
   render() {
     const {
       thread,
@@ -78,6 +95,7 @@ class StackChartGraph extends React.PureComponent<Props> {
       threadName,
       processDetails,
       updateProfileSelection,
+      selectedStackChartBox,
     } = this.props;
 
     const maxViewportHeight = maxStackDepth * STACK_FRAME_HEIGHT;
@@ -107,6 +125,9 @@ class StackChartGraph extends React.PureComponent<Props> {
               rangeStart: timeRange.start,
               rangeEnd: timeRange.end,
               stackFrameHeight: STACK_FRAME_HEIGHT,
+              selectedStackChartBox,
+              onSelectedStackChartBoxChange: this
+                ._onSelectedStackChartBoxChange,
             }}
           />
         </div>
@@ -132,9 +153,12 @@ const options: ExplicitConnectOptions<{||}, StateProps, DispatchProps> = {
       selection: getProfileViewOptions(state).selection,
       threadName: selectedThreadSelectors.getFriendlyThreadName(state),
       processDetails: selectedThreadSelectors.getThreadProcessDetails(state),
+      threadIndex: getSelectedThreadIndex(state),
+      selectedStackChartBox: selectedThreadSelectors.getViewOptions(state)
+        .selectedStackChartBox,
     };
   },
-  mapDispatchToProps: { updateProfileSelection },
+  mapDispatchToProps: { updateProfileSelection, changeSelectedStackChartBox },
   component: StackChartGraph,
 };
 export default explicitConnect(options);
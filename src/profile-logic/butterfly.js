@@ -0,0 +1,153 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// @flow
+import type { IndexIntoFuncTable } from '../types/profile';
+import type {
+  CallNodeTable,
+  IndexIntoCallNodeTable,
+} from '../types/profile-derived';
+import type { Milliseconds } from '../types/units';
+import type { CallTreeCountsAndTimings } from './call-tree';
+
+/**
+ * The butterfly view shows a single function, with the functions that call it
+ * above, and the functions that it calls below. Unlike the call tree, the times
+ * are aggregated over all of the call paths of the function.
+ *
+ * The call nodes are expected to be the ones of a thread that isn't inverted.
+ */
+
+export type ButterflyCall = {|
+  +func: IndexIntoFuncTable,
+  // The time spent in the call, including the time spent in the functions it
+  // calls.
+  +totalTime: Milliseconds,
+|};
+
+export type Butterfly = {|
+  +func: IndexIntoFuncTable,
+  +totalTime: Milliseconds,
+  +selfTime: Milliseconds,
+  // The total time of the thread, the times are relative to it.
+  +rootTotalTime: Milliseconds,
+  // Both lists are sorted by decreasing total time.
+  +callers: ButterflyCall[],
+  +callees: ButterflyCall[],
+|};
+
+/**
+ * Find out whether a call from callerFunc to calleeFunc is on the call path of
+ * a call node, excluding the call node itself. Recursive calls are nested in
+ * another call between the same functions, and their time is already part of
+ * the outer call.
+ */
+function _isNestedCall(
+  callNodeTable: CallNodeTable,
+  callNodeIndex: IndexIntoCallNodeTable,
+  callerFunc: IndexIntoFuncTable,
+  calleeFunc: IndexIntoFuncTable
+): boolean {
+  const { prefix, func } = callNodeTable;
+  let ancestorIndex = prefix[callNodeIndex];
+  while (ancestorIndex !== -1) {
+    const ancestorPrefix = prefix[ancestorIndex];
+    if (
+      ancestorPrefix !== -1 &&
+      func[ancestorIndex] === calleeFunc &&
+      func[ancestorPrefix] === callerFunc
+    ) {
+      return true;
+    }
+    ancestorIndex = ancestorPrefix;
+  }
+  return false;
+}
+
+function _hasAncestorWithFunc(
+  callNodeTable: CallNodeTable,
+  callNodeIndex: IndexIntoCallNodeTable,
+  func: IndexIntoFuncTable
+): boolean {
+  let ancestorIndex = callNodeTable.prefix[callNodeIndex];
+  while (ancestorIndex !== -1) {
+    if (callNodeTable.func[ancestorIndex] === func) {
+      return true;
+    }
+    ancestorIndex = callNodeTable.prefix[ancestorIndex];
+  }
+  return false;
+}
+
+function _toSortedCalls(
+  timePerFunc: Map<IndexIntoFuncTable, Milliseconds>
+): ButterflyCall[] {
+  return Array.from(timePerFunc)
+    .map(([func, totalTime]) => ({ func, totalTime }))
+    .sort((a, b) => b.totalTime - a.totalTime);
+}
+
+/**
+ * Gather the callers and the callees of a function from the times of the call
+ * nodes, as computed for the call tree. The time of a recursive function is only
+ * counted once.
+ */
+export function getButterfly(
+  callNodeTable: CallNodeTable,
+  { callNodeTimes, rootTotalTime }: CallTreeCountsAndTimings,
+  func: IndexIntoFuncTable
+): Butterfly {
+  let totalTime = 0;
+  let selfTime = 0;
+  const callerTimes: Map<IndexIntoFuncTable, Milliseconds> = new Map();
+  const calleeTimes: Map<IndexIntoFuncTable, Milliseconds> = new Map();
+  for (
+    let callNodeIndex = 0;
+    callNodeIndex < callNodeTable.length;
+    callNodeIndex++
+  ) {
+    const callNodeTotalTime = callNodeTimes.totalTime[callNodeIndex];
+    if (callNodeTotalTime === 0) {
+      continue;
+    }
+    const callNodeFunc = callNodeTable.func[callNodeIndex];
+    const prefix = callNodeTable.prefix[callNodeIndex];
+    const prefixFunc = prefix === -1 ? null : callNodeTable.func[prefix];
+
+    if (callNodeFunc === func) {
+      selfTime += callNodeTimes.selfTime[callNodeIndex];
+      if (!_hasAncestorWithFunc(callNodeTable, callNodeIndex, func)) {
+        totalTime += callNodeTotalTime;
+      }
+      if (
+        prefixFunc !== null &&
+        !_isNestedCall(callNodeTable, callNodeIndex, prefixFunc, func)
+      ) {
+        callerTimes.set(
+          prefixFunc,
+          (callerTimes.get(prefixFunc) || 0) + callNodeTotalTime
+        );
+      }
+    }
+
+    if (
+      prefixFunc === func &&
+      !_isNestedCall(callNodeTable, callNodeIndex, func, callNodeFunc)
+    ) {
+      calleeTimes.set(
+        callNodeFunc,
+        (calleeTimes.get(callNodeFunc) || 0) + callNodeTotalTime
+      );
+    }
+  }
+
+  return {
+    func,
+    totalTime,
+    selfTime,
+    rootTotalTime,
+    callers: _toSortedCalls(callerTimes),
+    callees: _toSortedCalls(calleeTimes),
+  };
+}
@@ -0,0 +1,150 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// @flow
+import type {
+  Thread,
+  IndexIntoStackTable,
+  IndexIntoFrameTable,
+} from '../types/profile';
+import type {
+  CallNodeInfo,
+  IndexIntoCallNodeTable,
+} from '../types/profile-derived';
+import type { StartEndRange } from '../types/units';
+
+export type BreakdownEntry = {|
+  +name: string,
+  +weight: number,
+|};
+
+/**
+ * Where the samples of a call node come from. The weights are the weights of
+ * the samples, or their counts when they aren't weighted, so that they can be
+ * compared to the weight of the call node.
+ */
+export type CallNodeBreakdown = {|
+  +weight: number,
+  // The implementation of the call node's own frame in each sample.
+  +byImplementation: BreakdownEntry[],
+  // The library of the leaf frame of each sample, i.e. where the time is
+  // actually spent below the call node.
+  +byLibrary: BreakdownEntry[],
+  // The weight of the samples in each equal part of the range.
+  +histogram: number[],
+|};
+
+export const HISTOGRAM_BUCKET_COUNT = 50;
+
+function _getImplementationName(
+  { frameTable, funcTable, stringTable }: Thread,
+  frameIndex: IndexIntoFrameTable
+): string {
+  const implementation = frameTable.implementation[frameIndex];
+  if (implementation !== null) {
+    return stringTable.getString(implementation) === 'baseline'
+      ? 'Baseline'
+      : 'Ion';
+  }
+  return funcTable.isJS[frameTable.func[frameIndex]] ? 'Interpreter' : 'C++';
+}
+
+function _getLibraryName(
+  { frameTable, funcTable, resourceTable, stringTable }: Thread,
+  frameIndex: IndexIntoFrameTable
+): string {
+  const resourceIndex = funcTable.resource[frameTable.func[frameIndex]];
+  const resourceName = resourceTable.name[resourceIndex];
+  return resourceName === undefined
+    ? 'Unknown'
+    : stringTable.getString(resourceName);
+}
+
+function _toSortedEntries(weights: Map<string, number>): BreakdownEntry[] {
+  return [...weights]
+    .map(([name, weight]) => ({ name, weight }))
+    .sort((a, b) => b.weight - a.weight);
+}
+
+/**
+ * Break down the samples of a call node by implementation and by library, and
+ * distribute them over the range for a histogram. The thread and the call
+ * nodes are the ones of the call tree, which can be inverted. The difference
+ * threads of a comparison have signed weights that can't be broken down into
+ * proportions, so they aren't passed here.
+ */
+export function getCallNodeBreakdown(
+  thread: Thread,
+  { stackIndexToCallNodeIndex }: CallNodeInfo,
+  callNodeIndex: IndexIntoCallNodeTable,
+  range: StartEndRange,
+  invertCallstack: boolean
+): CallNodeBreakdown {
+  const { stackTable, samples } = thread;
+
+  // The stack of the call node, for each stack that goes through it. A call
+  // node appears at most once in a stack, and a prefix always comes before its
+  // stacks.
+  const callNodeStacks: Array<IndexIntoStackTable | null> = new Array(
+    stackTable.length
+  );
+  // The leaf frame of the samples of each stack. The stacks of an inverted
+  // thread start from the leaf frame.
+  const leafFrames: IndexIntoFrameTable[] = new Array(stackTable.length);
+  for (let stackIndex = 0; stackIndex < stackTable.length; stackIndex++) {
+    const prefix = stackTable.prefix[stackIndex];
+    callNodeStacks[stackIndex] =
+      stackIndexToCallNodeIndex[stackIndex] === callNodeIndex
+        ? stackIndex
+        : prefix === null ? null : callNodeStacks[prefix];
+    leafFrames[stackIndex] =
+      invertCallstack && prefix !== null
+        ? leafFrames[prefix]
+        : stackTable.frame[stackIndex];
+  }
+
+  const byImplementation = new Map();
+  const byLibrary = new Map();
+  const histogram = new Array(HISTOGRAM_BUCKET_COUNT).fill(0);
+  const addWeight = (weights: Map<string, number>, name, weight) =>
+    weights.set(name, (weights.get(name) || 0) + weight);
+  const rangeLength = range.end - range.start;
+  let totalWeight = 0;
+
+  for (let sampleIndex = 0; sampleIndex < samples.length; sampleIndex++) {
+    const stackIndex = samples.stack[sampleIndex];
+    const callNodeStack =
+      stackIndex === null ? null : callNodeStacks[stackIndex];
+    if (stackIndex === null || callNodeStack === null) {
+      continue;
+    }
+    const weight = samples.weight ? samples.weight[sampleIndex] : 1;
+    totalWeight += weight;
+    addWeight(
+      byImplementation,
+      _getImplementationName(thread, stackTable.frame[callNodeStack]),
+      weight
+    );
+    addWeight(
+      byLibrary,
+      _getLibraryName(thread, leafFrames[stackIndex]),
+      weight
+    );
+
+    const time = samples.time[sampleIndex];
+    if (rangeLength > 0 && time >= range.start && time < range.end) {
+      const bucket = Math.floor(
+        (time - range.start) / rangeLength * HISTOGRAM_BUCKET_COUNT
+      );
+      histogram[bucket] += weight;
+    }
+  }
+
+  return {
+    weight: totalWeight,
+    byImplementation: _toSortedEntries(byImplementation),
+    byLibrary: _toSortedEntries(byLibrary),
+    histogram,
+  };
+}
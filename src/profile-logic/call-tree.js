@@ -6,15 +6,18 @@
 import { timeCode } from '../utils/time-code';
 import {
   getSampleCallNodes,
+  getWeightType,
   resourceTypes,
   getOriginAnnotationForFunc,
 } from './profile-data';
+import { splitDifferenceThread } from './comparison';
 import { UniqueStringArray } from '../utils/unique-string-array';
 import type {
   Thread,
   FuncTable,
   ResourceTable,
   IndexIntoFuncTable,
+  WeightType,
 } from '../types/profile';
 import type {
   CallNodeTable,
@@ -24,20 +27,89 @@ import type {
   CallNodeDisplayData,
 } from '../types/profile-derived';
 import type { Milliseconds } from '../types/units';
+import type { CallTreeColumn, CallTreeSortBy } from '../types/actions';
 import ExtensionIcon from '../../res/extension.svg';
 
 type CallNodeChildren = IndexIntoCallNodeTable[];
 type CallNodeTimes = {
   selfTime: Float32Array,
   totalTime: Float32Array,
+  // The number of samples in the call node and its descendants.
+  sampleCount: Uint32Array,
 };
-type CallTreeCountsAndTimings = {
+export type CallTreeCountsAndTimings = {
   callNodeChildCount: Uint32Array,
   callNodeTimes: CallNodeTimes,
+  // The times of the baseline profile, when the thread compares two profiles.
+  // The callNodeTimes are then the times of the other profile.
+  baselineCallNodeTimes: CallNodeTimes | null,
   rootCount: number,
   rootTotalTime: number,
+  baselineRootTotalTime: number,
 };
 
+/**
+ * How the times of a call node changed from the baseline profile to the other
+ * profile, in a call tree that compares two profiles.
+ */
+export type CallNodeDifference = {|
+  +totalTimeDelta: number,
+  +selfTimeDelta: number,
+  // The delta relative to the total time of the baseline profile.
+  +totalTimeDeltaRelative: number,
+  // The total time of the call node in both profiles, relative to the total
+  // time of both profiles.
+  +combinedTotalTimeRelative: number,
+  // From -1 when the call node is only in the baseline profile, to 1 when it
+  // is only in the other profile.
+  +change: number,
+|};
+
+type TimingLabels = {|
+  +total: string,
+  +self: string,
+  +unit: string,
+  // Appended to the values, e.g. "12ms" or "128 bytes".
+  +suffix: string,
+|};
+
+const TIME_LABELS: TimingLabels = {
+  total: 'Running Time',
+  self: 'Self Time',
+  unit: 'ms',
+  suffix: 'ms',
+};
+
+const SIZE_LABELS: TimingLabels = {
+  total: 'Total Size',
+  self: 'Self Size',
+  unit: 'bytes',
+  suffix: ' bytes',
+};
+
+/**
+ * The values of the call tree are durations, unless the samples are weighted by
+ * a size.
+ */
+export function getTimingLabels(weightType: WeightType): TimingLabels {
+  return weightType === 'bytes' ? SIZE_LABELS : TIME_LABELS;
+}
+
+/**
+ * The optional columns of the call tree, in the order in which they are listed
+ * in the column picker, and the ones that are shown by default.
+ */
+export const CALL_TREE_COLUMNS: CallTreeColumn[] = [
+  'samples',
+  'selfTimePercent',
+  'totalTimePercent',
+  'lib',
+];
+export const DEFAULT_CALL_TREE_COLUMNS: CallTreeColumn[] = [
+  'totalTimePercent',
+  'lib',
+];
+
 function extractFaviconFromLibname(libname: string): string | null {
   const url = new URL('/favicon.ico', libname);
   if (url.protocol === 'http:') {
@@ -50,17 +122,24 @@ function extractFaviconFromLibname(libname: string): string | null {
 export class CallTree {
   _callNodeTable: CallNodeTable;
   _callNodeTimes: CallNodeTimes;
+  _baselineCallNodeTimes: CallNodeTimes | null;
+  // The nodes are ordered by their total time in both profiles, when comparing
+  // two profiles.
+  _callNodeCombinedTotalTime: Float32Array;
   _callNodeChildCount: Uint32Array; // A table column matching the callNodeTable
   _funcTable: FuncTable;
   _resourceTable: ResourceTable;
   _stringTable: UniqueStringArray;
   _rootTotalTime: number;
+  _baselineRootTotalTime: number;
   _rootCount: number;
   _displayDataByIndex: Map<IndexIntoCallNodeTable, CallNodeDisplayData>;
   _children: Map<IndexIntoCallNodeTable, CallNodeChildren>;
   _isChildrenCachePreloaded: boolean;
   _jsOnly: boolean;
   _isIntegerInterval: boolean;
+  _weightType: WeightType;
+  _sortBy: CallTreeSortBy;
 
   constructor(
     { funcTable, resourceTable, stringTable }: Thread,
@@ -70,27 +149,97 @@ export class CallTree {
     rootTotalTime: number,
     rootCount: number,
     jsOnly: boolean,
-    isIntegerInterval: boolean
+    isIntegerInterval: boolean,
+    weightType: WeightType,
+    baselineCallNodeTimes: CallNodeTimes | null = null,
+    baselineRootTotalTime: number = 0,
+    sortBy: CallTreeSortBy = 'totalTime'
   ) {
     this._callNodeTable = callNodeTable;
     this._callNodeTimes = callNodeTimes;
+    this._baselineCallNodeTimes = baselineCallNodeTimes;
+    if (baselineCallNodeTimes === null) {
+      this._callNodeCombinedTotalTime = callNodeTimes.totalTime;
+    } else {
+      const baselineTotalTime = baselineCallNodeTimes.totalTime;
+      this._callNodeCombinedTotalTime = callNodeTimes.totalTime.map(
+        (totalTime, callNodeIndex) =>
+          totalTime + baselineTotalTime[callNodeIndex]
+      );
+    }
     this._callNodeChildCount = callNodeChildCount;
     this._funcTable = funcTable;
     this._resourceTable = resourceTable;
     this._stringTable = stringTable;
     this._rootTotalTime = rootTotalTime;
+    this._baselineRootTotalTime = baselineRootTotalTime;
     this._rootCount = rootCount;
     this._displayDataByIndex = new Map();
     this._children = new Map();
     this._isChildrenCachePreloaded = false;
     this._jsOnly = jsOnly;
     this._isIntegerInterval = isIntegerInterval;
+    this._weightType = weightType;
+    this._sortBy = sortBy;
+  }
+
+  getWeightType(): WeightType {
+    return this._weightType;
+  }
+
+  /**
+   * Whether the call tree compares two profiles, see profile-logic/comparison.js.
+   */
+  isDifference(): boolean {
+    return this._baselineCallNodeTimes !== null;
   }
 
   getRoots() {
     return this.getChildren(-1);
   }
 
+  _getCombinedSelfTime(callNodeIndex: IndexIntoCallNodeTable): number {
+    const selfTime = this._callNodeTimes.selfTime[callNodeIndex];
+    const baselineCallNodeTimes = this._baselineCallNodeTimes;
+    return baselineCallNodeTimes === null
+      ? selfTime
+      : selfTime + baselineCallNodeTimes.selfTime[callNodeIndex];
+  }
+
+  _getFuncName(callNodeIndex: IndexIntoCallNodeTable): string {
+    const funcIndex = this._callNodeTable.func[callNodeIndex];
+    return this._stringTable.getString(this._funcTable.name[funcIndex]);
+  }
+
+  /**
+   * Order the siblings by the sorted column, and then by their total time.
+   */
+  _sortSiblings(siblings: CallNodeChildren) {
+    const totalTime = this._callNodeCombinedTotalTime;
+    const compareTotalTimes = (a, b) => totalTime[b] - totalTime[a];
+    switch (this._sortBy) {
+      case 'totalTime':
+        siblings.sort(compareTotalTimes);
+        break;
+      case 'selfTime':
+        siblings.sort(
+          (a, b) =>
+            this._getCombinedSelfTime(b) - this._getCombinedSelfTime(a) ||
+            compareTotalTimes(a, b)
+        );
+        break;
+      case 'name':
+        siblings.sort(
+          (a, b) =>
+            this._getFuncName(a).localeCompare(this._getFuncName(b)) ||
+            compareTotalTimes(a, b)
+        );
+        break;
+      default:
+        throw new Error(`Unknown call tree sort: ${(this._sortBy: empty)}`);
+    }
+  }
+
   /**
    * Preload the internal cache of children so that subsequent calls
    * to getChildren() return in constant time.
@@ -114,7 +263,7 @@ export class CallTree {
         // through the prefix.
         this._children.set(callNodeIndex, []);
 
-        if (this._callNodeTimes.totalTime[callNodeIndex] === 0) {
+        if (this._callNodeCombinedTotalTime[callNodeIndex] === 0) {
           continue;
         }
 
@@ -130,10 +279,9 @@ export class CallTree {
           );
         }
         siblings.push(callNodeIndex);
-        siblings.sort(
-          (a, b) =>
-            this._callNodeTimes.totalTime[b] - this._callNodeTimes.totalTime[a]
-        );
+      }
+      for (const children of this._children.values()) {
+        this._sortSiblings(children);
       }
       this._isChildrenCachePreloaded = true;
     }
@@ -160,15 +308,12 @@ export class CallTree {
       ) {
         if (
           this._callNodeTable.prefix[childCallNodeIndex] === callNodeIndex &&
-          this._callNodeTimes.totalTime[childCallNodeIndex] !== 0
+          this._callNodeCombinedTotalTime[childCallNodeIndex] !== 0
         ) {
           children.push(childCallNodeIndex);
         }
       }
-      children.sort(
-        (a, b) =>
-          this._callNodeTimes.totalTime[b] - this._callNodeTimes.totalTime[a]
-      );
+      this._sortSiblings(children);
       this._children.set(callNodeIndex, children);
     }
     return children;
@@ -211,10 +356,7 @@ export class CallTree {
   }
 
   getNodeData(callNodeIndex: IndexIntoCallNodeTable): CallNodeData {
-    const funcIndex = this._callNodeTable.func[callNodeIndex];
-    const funcName = this._stringTable.getString(
-      this._funcTable.name[funcIndex]
-    );
+    const funcName = this._getFuncName(callNodeIndex);
     const totalTime = this._callNodeTimes.totalTime[callNodeIndex];
     const totalTimeRelative = totalTime / this._rootTotalTime;
     const selfTime = this._callNodeTimes.selfTime[callNodeIndex];
@@ -232,55 +374,161 @@ export class CallTree {
   getTimingDisplayData(callNodeIndex: IndexIntoCallNodeTable) {
     const totalTime = this._callNodeTimes.totalTime[callNodeIndex];
     const selfTime = this._callNodeTimes.selfTime[callNodeIndex];
-    const formatNumber = this._isIntegerInterval
-      ? _formatIntegerNumber
-      : _formatDecimalNumber;
     return {
-      totalTime: `${formatNumber(totalTime)}`,
-      selfTime: selfTime === 0 ? '—' : `${formatNumber(selfTime)}`,
+      totalTime: formatTreeTime(totalTime, this._isIntegerInterval),
+      selfTime:
+        selfTime === 0
+          ? '—'
+          : formatTreeTime(selfTime, this._isIntegerInterval),
+    };
+  }
+
+  /**
+   * Get how the times of a call node changed, or null if the call tree doesn't
+   * compare two profiles.
+   */
+  getNodeDifference(
+    callNodeIndex: IndexIntoCallNodeTable
+  ): CallNodeDifference | null {
+    const baselineCallNodeTimes = this._baselineCallNodeTimes;
+    if (baselineCallNodeTimes === null) {
+      return null;
+    }
+    const totalTime = this._callNodeTimes.totalTime[callNodeIndex];
+    const baselineTotalTime = baselineCallNodeTimes.totalTime[callNodeIndex];
+    const combinedTotalTime = totalTime + baselineTotalTime;
+    const combinedRootTotalTime =
+      this._rootTotalTime + this._baselineRootTotalTime;
+    const totalTimeDelta = totalTime - baselineTotalTime;
+    return {
+      totalTimeDelta,
+      selfTimeDelta:
+        this._callNodeTimes.selfTime[callNodeIndex] -
+        baselineCallNodeTimes.selfTime[callNodeIndex],
+      totalTimeDeltaRelative:
+        this._baselineRootTotalTime === 0
+          ? 0
+          : totalTimeDelta / this._baselineRootTotalTime,
+      combinedTotalTimeRelative:
+        combinedRootTotalTime === 0
+          ? 0
+          : combinedTotalTime / combinedRootTotalTime,
+      change: combinedTotalTime === 0 ? 0 : totalTimeDelta / combinedTotalTime,
+    };
+  }
+
+  getDifferenceDisplayData(
+    callNodeIndex: IndexIntoCallNodeTable
+  ): {|
+    totalTimeDelta: string,
+    selfTimeDelta: string,
+    totalTimeDeltaPercent: string,
+  |} | null {
+    const difference = this.getNodeDifference(callNodeIndex);
+    if (difference === null) {
+      return null;
+    }
+    const {
+      totalTimeDelta,
+      selfTimeDelta,
+      totalTimeDeltaRelative,
+    } = difference;
+    const formatDelta = delta =>
+      delta === 0
+        ? '—'
+        : `${delta > 0 ? '+' : ''}${formatTreeTime(
+            delta,
+            this._isIntegerInterval
+          )}`;
+    return {
+      totalTimeDelta: formatDelta(totalTimeDelta),
+      selfTimeDelta: formatDelta(selfTimeDelta),
+      totalTimeDeltaPercent:
+        totalTimeDeltaRelative === 0
+          ? '—'
+          : `${totalTimeDeltaRelative > 0 ? '+' : ''}${(
+              100 * totalTimeDeltaRelative
+            ).toFixed(1)}%`,
     };
   }
 
   getDisplayData(callNodeIndex: IndexIntoCallNodeTable): CallNodeDisplayData {
     let displayData = this._displayDataByIndex.get(callNodeIndex);
     if (displayData === undefined) {
-      const { funcName, totalTimeRelative } = this.getNodeData(callNodeIndex);
+      const { totalTimeRelative, selfTimeRelative } = this.getNodeData(
+        callNodeIndex
+      );
       const funcIndex = this._callNodeTable.func[callNodeIndex];
-      const resourceIndex = this._funcTable.resource[funcIndex];
-      const resourceType = this._resourceTable.type[resourceIndex];
-      const isJS = this._funcTable.isJS[funcIndex];
-      const libName = this._getOriginAnnotation(funcIndex);
-      const precision = this._isIntegerInterval ? 0 : 1;
-
-      let icon = null;
-      if (resourceType === resourceTypes.webhost) {
-        icon = extractFaviconFromLibname(libName);
-      } else if (resourceType === resourceTypes.addon) {
-        icon = ExtensionIcon;
-      }
-
       displayData = {
         ...this.getTimingDisplayData(callNodeIndex),
-        totalTimePercent: `${(100 * totalTimeRelative).toFixed(precision)}%`,
-        name: funcName,
-        lib: libName,
-        // Dim platform pseudo-stacks.
-        dim: !isJS && this._jsOnly,
-        icon,
+        ...this.getDifferenceDisplayData(callNodeIndex),
+        samples: _formatIntegerNumber(
+          this._callNodeTimes.sampleCount[callNodeIndex]
+        ),
+        totalTimePercent: formatTreePercent(
+          totalTimeRelative,
+          this._isIntegerInterval
+        ),
+        selfTimePercent:
+          selfTimeRelative === 0
+            ? '—'
+            : formatTreePercent(selfTimeRelative, this._isIntegerInterval),
+        ...getFuncDisplayData(
+          funcIndex,
+          this._funcTable,
+          this._resourceTable,
+          this._stringTable,
+          this._jsOnly
+        ),
       };
       this._displayDataByIndex.set(callNodeIndex, displayData);
     }
     return displayData;
   }
+}
 
-  _getOriginAnnotation(funcIndex: IndexIntoFuncTable): string {
-    return getOriginAnnotationForFunc(
-      funcIndex,
-      this._funcTable,
-      this._resourceTable,
-      this._stringTable
-    );
+/**
+ * Get the part of the display data that only depends on the function. It's
+ * shared with the other views that list functions, like the function list.
+ */
+export function getFuncDisplayData(
+  funcIndex: IndexIntoFuncTable,
+  funcTable: FuncTable,
+  resourceTable: ResourceTable,
+  stringTable: UniqueStringArray,
+  jsOnly: boolean
+): {| name: string, lib: string, dim: boolean, icon: string | null |} {
+  const resourceIndex = funcTable.resource[funcIndex];
+  const resourceType = resourceTable.type[resourceIndex];
+  const libName = getOriginAnnotationForFunc(
+    funcIndex,
+    funcTable,
+    resourceTable,
+    stringTable
+  );
+
+  let icon = null;
+  if (resourceType === resourceTypes.webhost) {
+    icon = extractFaviconFromLibname(libName);
+  } else if (resourceType === resourceTypes.addon) {
+    icon = ExtensionIcon;
   }
+
+  return {
+    name: stringTable.getString(funcTable.name[funcIndex]),
+    lib: libName,
+    // Dim platform pseudo-stacks.
+    dim: !funcTable.isJS[funcIndex] && jsOnly,
+    icon,
+  };
+}
+
+/**
+ * Samples are counted in milliseconds, as each of them lasts for the profile
+ * interval. Weights that are durations or sizes are used as is.
+ */
+function _getWeightMultiplier(thread: Thread, interval: Milliseconds): number {
+  return getWeightType(thread.samples) === 'samples' ? interval : 1;
 }
 
 function _getInvertedStackSelfTimes(
@@ -310,6 +558,8 @@ function _getInvertedStackSelfTimes(
   // Calculate the timing information by going through each sample.
   const callNodeSelfTime = new Float32Array(callNodeTable.length);
   const callNodeLeafTime = new Float32Array(callNodeTable.length);
+  const { weight } = thread.samples;
+  const weightMultiplier = _getWeightMultiplier(thread, interval);
   for (
     let sampleIndex = 0;
     sampleIndex < sampleCallNodes.length;
@@ -318,8 +568,11 @@ function _getInvertedStackSelfTimes(
     const callNodeIndex = sampleCallNodes[sampleIndex];
     if (callNodeIndex !== null) {
       const rootIndex = callNodeToRoot[callNodeIndex];
-      callNodeSelfTime[rootIndex] += interval;
-      callNodeLeafTime[callNodeIndex] += interval;
+      const sampleTime = weight
+        ? weight[sampleIndex] * weightMultiplier
+        : weightMultiplier;
+      callNodeSelfTime[rootIndex] += sampleTime;
+      callNodeLeafTime[callNodeIndex] += sampleTime;
     }
   }
 
@@ -339,6 +592,8 @@ function _getStackSelfTimes(
   callNodeLeafTime: Float32Array, // Milliseconds[]
 } {
   const callNodeSelfTime = new Float32Array(callNodeTable.length);
+  const { weight } = thread.samples;
+  const weightMultiplier = _getWeightMultiplier(thread, interval);
 
   for (
     let sampleIndex = 0;
@@ -347,7 +602,9 @@ function _getStackSelfTimes(
   ) {
     const callNodeIndex = sampleCallNodes[sampleIndex];
     if (callNodeIndex !== null) {
-      callNodeSelfTime[callNodeIndex] += interval;
+      callNodeSelfTime[callNodeIndex] += weight
+        ? weight[sampleIndex] * weightMultiplier
+        : weightMultiplier;
     }
   }
 
@@ -355,15 +612,14 @@ function _getStackSelfTimes(
 }
 
 /**
- * This computes all of the count and timing information displayed in the calltree.
- * It takes into account both the normal tree, and the inverted tree.
+ * Compute the self and total times of the call nodes.
  */
-export function computeCallTreeCountsAndTimings(
+function _getCallNodeTimes(
   thread: Thread,
   { callNodeTable, stackIndexToCallNodeIndex }: CallNodeInfo,
   interval: Milliseconds,
   invertCallstack: boolean
-): CallTreeCountsAndTimings {
+): CallNodeTimes {
   const sampleCallNodes = getSampleCallNodes(
     thread.samples,
     stackIndexToCallNodeIndex
@@ -378,10 +634,87 @@ export function computeCallTreeCountsAndTimings(
       )
     : _getStackSelfTimes(thread, callNodeTable, sampleCallNodes, interval);
 
-  // Compute the following variables:
+  // The samples are counted in the same call nodes as the leaf times. The ones
+  // without any weight, e.g. the samples of the other profile of a comparison,
+  // aren't counted.
+  const { weight } = thread.samples;
+  const callNodeSampleCount = new Uint32Array(callNodeTable.length);
+  for (
+    let sampleIndex = 0;
+    sampleIndex < sampleCallNodes.length;
+    sampleIndex++
+  ) {
+    const callNodeIndex = sampleCallNodes[sampleIndex];
+    if (callNodeIndex !== null && (!weight || weight[sampleIndex] !== 0)) {
+      callNodeSampleCount[callNodeIndex]++;
+    }
+  }
+
+  // The prefix of a call node always comes before it, so the total times can be
+  // accumulated with a single pass from the end of the table.
   const callNodeTotalTime = new Float32Array(callNodeTable.length);
+  for (
+    let callNodeIndex = callNodeTable.length - 1;
+    callNodeIndex >= 0;
+    callNodeIndex--
+  ) {
+    callNodeTotalTime[callNodeIndex] += callNodeLeafTime[callNodeIndex];
+    const prefixCallNode = callNodeTable.prefix[callNodeIndex];
+    if (prefixCallNode !== -1) {
+      callNodeTotalTime[prefixCallNode] += callNodeTotalTime[callNodeIndex];
+      callNodeSampleCount[prefixCallNode] += callNodeSampleCount[callNodeIndex];
+    }
+  }
+
+  return {
+    selfTime: callNodeSelfTime,
+    totalTime: callNodeTotalTime,
+    sampleCount: callNodeSampleCount,
+  };
+}
+
+/**
+ * This computes all of the count and timing information displayed in the calltree.
+ * It takes into account both the normal tree, and the inverted tree. When the
+ * thread compares two profiles, the times of both profiles are computed
+ * separately.
+ */
+export function computeCallTreeCountsAndTimings(
+  thread: Thread,
+  callNodeInfo: CallNodeInfo,
+  interval: Milliseconds,
+  invertCallstack: boolean
+): CallTreeCountsAndTimings {
+  const { callNodeTable } = callNodeInfo;
+  let callNodeTimes;
+  let baselineCallNodeTimes = null;
+  if (thread.samples.isDifference) {
+    const splitThreads = splitDifferenceThread(thread);
+    callNodeTimes = _getCallNodeTimes(
+      splitThreads.thread,
+      callNodeInfo,
+      interval,
+      invertCallstack
+    );
+    baselineCallNodeTimes = _getCallNodeTimes(
+      splitThreads.baselineThread,
+      callNodeInfo,
+      interval,
+      invertCallstack
+    );
+  } else {
+    callNodeTimes = _getCallNodeTimes(
+      thread,
+      callNodeInfo,
+      interval,
+      invertCallstack
+    );
+  }
+
+  // Compute the following variables:
   const callNodeChildCount = new Uint32Array(callNodeTable.length);
   let rootTotalTime = 0;
+  let baselineRootTotalTime = 0;
   let rootCount = 0;
 
   for (
@@ -389,27 +722,29 @@ export function computeCallTreeCountsAndTimings(
     callNodeIndex >= 0;
     callNodeIndex--
   ) {
-    callNodeTotalTime[callNodeIndex] += callNodeLeafTime[callNodeIndex];
-    if (callNodeTotalTime[callNodeIndex] === 0) {
+    const totalTime = callNodeTimes.totalTime[callNodeIndex];
+    const baselineTotalTime = baselineCallNodeTimes
+      ? baselineCallNodeTimes.totalTime[callNodeIndex]
+      : 0;
+    if (totalTime === 0 && baselineTotalTime === 0) {
       continue;
     }
     const prefixCallNode = callNodeTable.prefix[callNodeIndex];
     if (prefixCallNode === -1) {
-      rootTotalTime += callNodeTotalTime[callNodeIndex];
+      rootTotalTime += totalTime;
+      baselineRootTotalTime += baselineTotalTime;
       rootCount++;
     } else {
-      callNodeTotalTime[prefixCallNode] += callNodeTotalTime[callNodeIndex];
       callNodeChildCount[prefixCallNode]++;
     }
   }
 
   return {
-    callNodeTimes: {
-      selfTime: callNodeSelfTime,
-      totalTime: callNodeTotalTime,
-    },
+    callNodeTimes,
+    baselineCallNodeTimes,
     callNodeChildCount,
     rootTotalTime,
+    baselineRootTotalTime,
     rootCount,
   };
 }
@@ -424,13 +759,16 @@ export function getCallTree(
   interval: Milliseconds,
   callNodeInfo: CallNodeInfo,
   implementationFilter: string,
-  invertCallstack: boolean
+  invertCallstack: boolean,
+  sortBy: CallTreeSortBy = 'totalTime'
 ): CallTree {
   return timeCode('getCallTree', () => {
     const {
       callNodeTimes,
+      baselineCallNodeTimes,
       callNodeChildCount,
       rootTotalTime,
+      baselineRootTotalTime,
       rootCount,
     } = computeCallTreeCountsAndTimings(
       thread,
@@ -440,8 +778,7 @@ export function getCallTree(
     );
 
     const jsOnly = implementationFilter === 'js';
-    const isIntegerInterval = Math.floor(interval) === interval;
-
+    const weightType = getWeightType(thread.samples);
     return new CallTree(
       thread,
       callNodeInfo.callNodeTable,
@@ -450,7 +787,11 @@ export function getCallTree(
       rootTotalTime,
       rootCount,
       jsOnly,
-      isIntegerInterval
+      isIntegerTime(weightType, interval),
+      weightType,
+      baselineCallNodeTimes,
+      baselineRootTotalTime,
+      sortBy
     );
   });
 }
@@ -466,3 +807,39 @@ function _formatDecimalNumber(number: number): string {
 function _formatIntegerNumber(number: number): string {
   return number.toLocaleString();
 }
+
+/**
+ * The times are integers when the samples are counted with an integer interval,
+ * or when they are sizes. They are then displayed without a decimal part.
+ */
+export function isIntegerTime(
+  weightType: WeightType,
+  interval: Milliseconds
+): boolean {
+  switch (weightType) {
+    case 'samples':
+      return Math.floor(interval) === interval;
+    case 'tracing-ms':
+      return false;
+    case 'bytes':
+      return true;
+    default:
+      throw new Error(`Unknown weight type: ${(weightType: empty)}`);
+  }
+}
+
+export function formatTreeTime(
+  time: number,
+  isIntegerInterval: boolean
+): string {
+  return isIntegerInterval
+    ? _formatIntegerNumber(time)
+    : _formatDecimalNumber(time);
+}
+
+export function formatTreePercent(
+  ratio: number,
+  isIntegerInterval: boolean
+): string {
+  return `${(100 * ratio).toFixed(isIntegerInterval ? 0 : 1)}%`;
+}
@@ -0,0 +1,389 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// @flow
+import { getEmptyProfile, getEmptyThread, getWeightType } from './profile-data';
+
+import type {
+  Profile,
+  Thread,
+  SamplesTable,
+  WeightType,
+  IndexIntoStackTable,
+  IndexIntoFrameTable,
+  IndexIntoFuncTable,
+  IndexIntoResourceTable,
+  IndexIntoLibs,
+} from '../types/profile';
+
+/**
+ * Compare two profiles, e.g. the profiles of the same scenario before and after
+ * a change. The threads of the profiles are paired by process type and name,
+ * and every pair becomes a single thread in the comparison profile. The
+ * functions of both threads are merged by name, file and library, so that the
+ * call nodes of both profiles that have the same function path become a single
+ * call node.
+ *
+ * The samples of both threads are kept, and are weighted by their duration or
+ * size. The weights of the samples of the first profile, the baseline, are
+ * negated, so that the call tree of the thread adds up to the difference between
+ * both profiles. These threads have the `isDifference` flag in their samples
+ * table, and the call tree splits their samples by sign again to show the times
+ * of both profiles alongside their difference.
+ *
+ * The samples of both threads are rebased to start at 0, so that ranges select
+ * the same part of both runs. The markers aren't compared, and are dropped.
+ */
+
+type MergedTables = {|
+  thread: Thread,
+  libKeyToIndex: Map<string, IndexIntoLibs>,
+  resourceKeyToIndex: Map<string, IndexIntoResourceTable>,
+  funcKeyToIndex: Map<string, IndexIntoFuncTable>,
+  frameKeyToIndex: Map<string, IndexIntoFrameTable>,
+  stackKeyToIndex: Map<string, IndexIntoStackTable>,
+|};
+
+type TimedSample = {|
+  stack: IndexIntoStackTable | null,
+  time: number,
+  weight: number,
+|};
+
+function _getLibIndex(
+  tables: MergedTables,
+  sourceThread: Thread,
+  libIndex: IndexIntoLibs | null
+): IndexIntoLibs | null {
+  if (libIndex === null) {
+    return null;
+  }
+  const lib = sourceThread.libs[libIndex];
+  // The libraries of two builds have different breakpad ids, only compare them
+  // by name.
+  let newLibIndex = tables.libKeyToIndex.get(lib.name);
+  if (newLibIndex === undefined) {
+    newLibIndex = tables.thread.libs.length;
+    tables.thread.libs.push(lib);
+    tables.libKeyToIndex.set(lib.name, newLibIndex);
+  }
+  return newLibIndex;
+}
+
+function _getResourceIndex(
+  tables: MergedTables,
+  sourceThread: Thread,
+  resourceIndex: IndexIntoResourceTable | -1
+): IndexIntoResourceTable | -1 {
+  if (resourceIndex === -1) {
+    return -1;
+  }
+  const { resourceTable, stringTable } = sourceThread;
+  const { thread } = tables;
+  const name = resourceTable.name[resourceIndex];
+  const host = resourceTable.host[resourceIndex];
+  const lib = _getLibIndex(
+    tables,
+    sourceThread,
+    resourceTable.lib[resourceIndex]
+  );
+  const newName =
+    name === -1
+      ? -1
+      : thread.stringTable.indexForString(stringTable.getString(name));
+  const newHost =
+    host === undefined
+      ? undefined
+      : thread.stringTable.indexForString(stringTable.getString(host));
+  const type = resourceTable.type[resourceIndex];
+  const resourceKey = `${type}:${newName}:${String(newHost)}:${String(lib)}`;
+  let newResourceIndex = tables.resourceKeyToIndex.get(resourceKey);
+  if (newResourceIndex === undefined) {
+    const newResourceTable = thread.resourceTable;
+    newResourceIndex = newResourceTable.length++;
+    newResourceTable.lib[newResourceIndex] = lib;
+    newResourceTable.name[newResourceIndex] = newName;
+    newResourceTable.host[newResourceIndex] = newHost;
+    newResourceTable.type[newResourceIndex] = type;
+    tables.resourceKeyToIndex.set(resourceKey, newResourceIndex);
+  }
+  return newResourceIndex;
+}
+
+function _getFuncIndex(
+  tables: MergedTables,
+  sourceThread: Thread,
+  funcIndex: IndexIntoFuncTable
+): IndexIntoFuncTable {
+  const { funcTable, stringTable } = sourceThread;
+  const { thread } = tables;
+  const name = thread.stringTable.indexForString(
+    stringTable.getString(funcTable.name[funcIndex])
+  );
+  const fileName = funcTable.fileName[funcIndex];
+  const newFileName =
+    fileName === null
+      ? null
+      : thread.stringTable.indexForString(stringTable.getString(fileName));
+  const resource = _getResourceIndex(
+    tables,
+    sourceThread,
+    funcTable.resource[funcIndex]
+  );
+  const isJS = funcTable.isJS[funcIndex];
+  const funcKey = `${name}:${String(newFileName)}:${resource}:${String(isJS)}`;
+  let newFuncIndex = tables.funcKeyToIndex.get(funcKey);
+  if (newFuncIndex === undefined) {
+    const newFuncTable = thread.funcTable;
+    newFuncIndex = newFuncTable.length++;
+    newFuncTable.address[newFuncIndex] = funcTable.address[funcIndex];
+    newFuncTable.isJS[newFuncIndex] = isJS;
+    newFuncTable.name[newFuncIndex] = name;
+    newFuncTable.resource[newFuncIndex] = resource;
+    newFuncTable.fileName[newFuncIndex] = newFileName;
+    newFuncTable.lineNumber[newFuncIndex] = funcTable.lineNumber[funcIndex];
+    tables.funcKeyToIndex.set(funcKey, newFuncIndex);
+  }
+  return newFuncIndex;
+}
+
+function _getFrameIndex(
+  tables: MergedTables,
+  sourceThread: Thread,
+  frameIndex: IndexIntoFrameTable
+): IndexIntoFrameTable {
+  const { frameTable, stringTable } = sourceThread;
+  const { thread } = tables;
+  const func = _getFuncIndex(tables, sourceThread, frameTable.func[frameIndex]);
+  const implementation = frameTable.implementation[frameIndex];
+  const newImplementation =
+    implementation === null
+      ? null
+      : thread.stringTable.indexForString(
+          stringTable.getString(implementation)
+        );
+  const line = frameTable.line[frameIndex];
+  const frameKey = `${func}:${String(newImplementation)}:${String(line)}`;
+  let newFrameIndex = tables.frameKeyToIndex.get(frameKey);
+  if (newFrameIndex === undefined) {
+    const newFrameTable = thread.frameTable;
+    newFrameIndex = newFrameTable.length++;
+    // The addresses are specific to a build, and aren't needed anymore once
+    // the profile is symbolicated.
+    newFrameTable.address[newFrameIndex] = -1;
+    newFrameTable.category[newFrameIndex] = frameTable.category[frameIndex];
+    newFrameTable.func[newFrameIndex] = func;
+    newFrameTable.implementation[newFrameIndex] = newImplementation;
+    newFrameTable.line[newFrameIndex] = line;
+    newFrameTable.optimizations[newFrameIndex] = null;
+    tables.frameKeyToIndex.set(frameKey, newFrameIndex);
+  }
+  return newFrameIndex;
+}
+
+/**
+ * Merge the stacks of a thread into the tables, and return the mapping from the
+ * stacks of the thread to the merged stacks.
+ */
+function _mergeStacks(
+  tables: MergedTables,
+  sourceThread: Thread
+): IndexIntoStackTable[] {
+  const { stackTable } = sourceThread;
+  const newStackTable = tables.thread.stackTable;
+  const stackMap = new Array(stackTable.length);
+  for (let stackIndex = 0; stackIndex < stackTable.length; stackIndex++) {
+    const prefix = stackTable.prefix[stackIndex];
+    // The prefix of a stack always comes before it.
+    const newPrefix = prefix === null ? null : stackMap[prefix];
+    const frame = _getFrameIndex(
+      tables,
+      sourceThread,
+      stackTable.frame[stackIndex]
+    );
+    const stackKey = `${newPrefix === null ? '' : newPrefix}:${frame}`;
+    let newStackIndex = tables.stackKeyToIndex.get(stackKey);
+    if (newStackIndex === undefined) {
+      newStackIndex = newStackTable.length++;
+      newStackTable.frame[newStackIndex] = frame;
+      newStackTable.prefix[newStackIndex] = newPrefix;
+      tables.stackKeyToIndex.set(stackKey, newStackIndex);
+    }
+    stackMap[stackIndex] = newStackIndex;
+  }
+  return stackMap;
+}
+
+/**
+ * Durations are compared in milliseconds, so samples that are only counted are
+ * converted to their duration using the interval of their profile.
+ */
+function _getComparedWeightType(
+  weightTypeA: WeightType,
+  weightTypeB: WeightType
+): WeightType {
+  const isSizeA = weightTypeA === 'bytes';
+  const isSizeB = weightTypeB === 'bytes';
+  if (isSizeA !== isSizeB) {
+    throw new Error(
+      'Unable to compare a profile of sizes with a profile of durations.'
+    );
+  }
+  return isSizeA ? 'bytes' : 'tracing-ms';
+}
+
+function _getTimedSamples(
+  samples: SamplesTable,
+  stackMap: IndexIntoStackTable[],
+  interval: number,
+  sign: 1 | -1
+): TimedSample[] {
+  const { weight } = samples;
+  const multiplier =
+    getWeightType(samples) === 'samples' ? sign * interval : sign;
+  const startTime = samples.length > 0 ? samples.time[0] : 0;
+  const timedSamples = [];
+  for (let sampleIndex = 0; sampleIndex < samples.length; sampleIndex++) {
+    const stack = samples.stack[sampleIndex];
+    timedSamples.push({
+      stack: stack === null ? null : stackMap[stack],
+      time: samples.time[sampleIndex] - startTime,
+      weight: (weight ? weight[sampleIndex] : 1) * multiplier,
+    });
+  }
+  return timedSamples;
+}
+
+/**
+ * Compute the thread that compares the thread of the baseline profile with the
+ * same thread of the other profile.
+ */
+export function getDifferenceThread(
+  baselineThread: Thread,
+  baselineInterval: number,
+  thread: Thread,
+  interval: number
+): Thread {
+  const tables: MergedTables = {
+    thread: getEmptyThread({
+      processType: thread.processType,
+      name: thread.name,
+      pid: thread.pid,
+      tid: thread.tid,
+    }),
+    libKeyToIndex: new Map(),
+    resourceKeyToIndex: new Map(),
+    funcKeyToIndex: new Map(),
+    frameKeyToIndex: new Map(),
+    stackKeyToIndex: new Map(),
+  };
+  const weightType = _getComparedWeightType(
+    getWeightType(baselineThread.samples),
+    getWeightType(thread.samples)
+  );
+
+  const timedSamples = [
+    ..._getTimedSamples(
+      baselineThread.samples,
+      _mergeStacks(tables, baselineThread),
+      baselineInterval,
+      -1
+    ),
+    ..._getTimedSamples(
+      thread.samples,
+      _mergeStacks(tables, thread),
+      interval,
+      1
+    ),
+  ];
+  // The sort is stable, so that the samples of the baseline come first when
+  // both samples have the same time.
+  timedSamples.sort((a, b) => a.time - b.time);
+
+  const samples: SamplesTable = {
+    responsiveness: timedSamples.map(() => 0),
+    stack: timedSamples.map(sample => sample.stack),
+    time: timedSamples.map(sample => sample.time),
+    rss: timedSamples.map(() => null),
+    uss: timedSamples.map(() => null),
+    weight: timedSamples.map(sample => sample.weight),
+    weightType,
+    isDifference: true,
+    length: timedSamples.length,
+  };
+  tables.thread.samples = samples;
+  return tables.thread;
+}
+
+/**
+ * Compute a profile with a thread for every thread of the second profile that
+ * is also in the baseline profile.
+ */
+export function getComparisonProfile(
+  baselineProfile: Profile,
+  profile: Profile
+): Profile {
+  const comparisonProfile = getEmptyProfile();
+  comparisonProfile.meta = {
+    ...profile.meta,
+    // The samples are rebased to start at 0.
+    startTime: 0,
+  };
+  const pairedBaselineThreads = new Set();
+  for (const thread of profile.threads) {
+    const baselineThread = baselineProfile.threads.find(
+      baselineThread =>
+        !pairedBaselineThreads.has(baselineThread) &&
+        baselineThread.processType === thread.processType &&
+        baselineThread.name === thread.name
+    );
+    if (baselineThread === undefined) {
+      continue;
+    }
+    pairedBaselineThreads.add(baselineThread);
+    comparisonProfile.threads.push(
+      getDifferenceThread(
+        baselineThread,
+        baselineProfile.meta.interval,
+        thread,
+        profile.meta.interval
+      )
+    );
+  }
+  if (comparisonProfile.threads.length === 0) {
+    throw new Error(
+      'The profiles have no thread in common, and cannot be compared.'
+    );
+  }
+  return comparisonProfile;
+}
+
+/**
+ * Split the samples of a thread that compares two profiles by the profile they
+ * come from. Both threads have positive weights, and keep all of the samples so
+ * that the sample indexes are unchanged: the samples of the other profile have a
+ * weight of 0, and aren't counted in the call tree.
+ */
+export function splitDifferenceThread(
+  thread: Thread
+): {| baselineThread: Thread, thread: Thread |} {
+  const { samples } = thread;
+  const weight = samples.weight || [];
+  return {
+    baselineThread: {
+      ...thread,
+      samples: {
+        ...samples,
+        weight: weight.map(sampleWeight => Math.max(0, -sampleWeight)),
+      },
+    },
+    thread: {
+      ...thread,
+      samples: {
+        ...samples,
+        weight: weight.map(sampleWeight => Math.max(0, sampleWeight)),
+      },
+    },
+  };
+}
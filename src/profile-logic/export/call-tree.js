@@ -0,0 +1,96 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// @flow
+import { getTimingLabels } from '../call-tree';
+
+import type { CallTree } from '../call-tree';
+import type { IndexIntoCallNodeTable } from '../../types/profile-derived';
+
+export type DelimitedTextFormat = 'csv' | 'tsv';
+
+/**
+ * Escape a field of a CSV file, following RFC 4180: fields that contain a comma,
+ * a double quote or a line break are enclosed in double quotes, and double quotes
+ * are doubled.
+ */
+function _escapeCsvField(field: string): string {
+  return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+}
+
+/**
+ * TSV has no escaping mechanism, so tabs and line breaks are replaced instead.
+ */
+function _escapeTsvField(field: string): string {
+  return field.replace(/[\t\r\n]/g, ' ');
+}
+
+/**
+ * Times are stored as floating point numbers, round them so that they look like
+ * the ones of the call tree.
+ */
+function _formatNumber(value: number, fractionDigits: number): string {
+  return String(Number(value.toFixed(fractionDigits)));
+}
+
+/**
+ * Serialize a call tree into CSV or TSV, so that it can be pasted into a
+ * spreadsheet. There is one row per call node, in the order of the call tree:
+ * depth first, with the children sorted by running time. When a list of expanded
+ * call nodes is given, only the rows that are visible in the call tree are part
+ * of the output, otherwise the full tree is.
+ */
+export function getCallTreeAsDelimitedText(
+  callTree: CallTree,
+  format: DelimitedTextFormat,
+  expandedCallNodeIndexes: Array<IndexIntoCallNodeTable | null> | null = null
+): string {
+  const escapeField = format === 'csv' ? _escapeCsvField : _escapeTsvField;
+  const separator = format === 'csv' ? ',' : '\t';
+  const expanded =
+    expandedCallNodeIndexes === null ? null : new Set(expandedCallNodeIndexes);
+  const labels = getTimingLabels(callTree.getWeightType());
+
+  const rows = [
+    [
+      'Depth',
+      'Function',
+      'Library',
+      `${labels.total} (${labels.unit})`,
+      `${labels.self} (${labels.unit})`,
+      `${labels.total} (%)`,
+    ],
+  ];
+  // The children are pushed in the reverse order, so that they are popped in
+  // the order of the call tree.
+  const stack = callTree
+    .getRoots()
+    .slice()
+    .reverse();
+  while (stack.length > 0) {
+    const callNodeIndex = stack.pop();
+    const {
+      funcName,
+      totalTime,
+      selfTime,
+      totalTimeRelative,
+    } = callTree.getNodeData(callNodeIndex);
+    rows.push([
+      String(callTree.getDepth(callNodeIndex)),
+      funcName,
+      callTree.getDisplayData(callNodeIndex).lib,
+      _formatNumber(totalTime, 3),
+      _formatNumber(selfTime, 3),
+      _formatNumber(100 * totalTimeRelative, 1),
+    ]);
+    if (expanded === null || expanded.has(callNodeIndex)) {
+      const children = callTree.getChildren(callNodeIndex);
+      for (let i = children.length - 1; i >= 0; i--) {
+        stack.push(children[i]);
+      }
+    }
+  }
+
+  return rows.map(row => row.map(escapeField).join(separator) + '\n').join('');
+}
@@ -0,0 +1,206 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// @flow
+import { getSampleCallNodes, getWeightType } from '../profile-data';
+
+import type { Thread, IndexIntoFuncTable } from '../../types/profile';
+import type { CallNodeInfo } from '../../types/profile-derived';
+
+/**
+ * Serialize the call graph of a thread into the format of Callgrind, which can
+ * be opened in KCachegrind or QCachegrind. The format is described here:
+ * http://valgrind.org/docs/manual/cl-format.html
+ *
+ * Like for the folded stacks, the thread and the call node info are expected to
+ * be the ones the call tree is computed from. Every function gets a block with:
+ *
+ *  - Its exclusive cost, i.e. the cost of the samples where it is the leaf.
+ *  - One call line per function it calls, with the inclusive cost of the calls.
+ *    KCachegrind computes the inclusive cost of the function from these.
+ *
+ * The positions are the line numbers of the functions, and the cost is the
+ * number of samples, or their weight. Callgrind costs are integers, so durations
+ * are expressed in microseconds. KCachegrind doesn't support negative costs, so
+ * the difference threads of a comparison can't be exported.
+ */
+
+type CallEdge = {|
+  calls: number,
+  cost: number,
+|};
+
+/**
+ * Callgrind files can refer to a name that was already used with its id, which
+ * makes them a lot smaller. The first time a name is used, both the id and the
+ * name are written out.
+ */
+class NameCompressor {
+  _ids: Map<string, number> = new Map();
+
+  get(name: string): string {
+    const id = this._ids.get(name);
+    if (id !== undefined) {
+      return `(${id})`;
+    }
+    const newId = this._ids.size + 1;
+    this._ids.set(name, newId);
+    return `(${newId}) ${name.replace(/\n/g, ' ')}`;
+  }
+}
+
+function _getEventName(thread: Thread): string {
+  switch (getWeightType(thread.samples)) {
+    case 'tracing-ms':
+      return 'Time_us';
+    case 'bytes':
+      return 'Bytes';
+    default:
+      return 'Samples';
+  }
+}
+
+export function getCallgrindProfile(
+  thread: Thread,
+  { callNodeTable, stackIndexToCallNodeIndex }: CallNodeInfo
+): string {
+  const { samples, funcTable, resourceTable, stringTable, libs } = thread;
+  if (samples.isDifference) {
+    throw new Error('The call graph of a comparison cannot be exported.');
+  }
+  const { weight } = samples;
+  const costMultiplier = getWeightType(samples) === 'tracing-ms' ? 1000 : 1;
+
+  // Compute the self and total costs, and the sample counts, of the call nodes.
+  // The prefix of a call node always comes before it, so the totals can be
+  // propagated with a single pass from the end of the table.
+  const callNodeSelfCost = new Float64Array(callNodeTable.length);
+  const callNodeTotalCost = new Float64Array(callNodeTable.length);
+  const callNodeSampleCount = new Uint32Array(callNodeTable.length);
+  getSampleCallNodes(samples, stackIndexToCallNodeIndex).forEach(
+    (callNodeIndex, sampleIndex) => {
+      if (callNodeIndex !== null) {
+        callNodeSelfCost[callNodeIndex] += weight ? weight[sampleIndex] : 1;
+        callNodeSampleCount[callNodeIndex]++;
+      }
+    }
+  );
+  callNodeTotalCost.set(callNodeSelfCost);
+  for (
+    let callNodeIndex = callNodeTable.length - 1;
+    callNodeIndex >= 0;
+    callNodeIndex--
+  ) {
+    const prefix = callNodeTable.prefix[callNodeIndex];
+    if (prefix !== -1) {
+      callNodeTotalCost[prefix] += callNodeTotalCost[callNodeIndex];
+      callNodeSampleCount[prefix] += callNodeSampleCount[callNodeIndex];
+    }
+  }
+
+  // Aggregate the call nodes by function. Functions are output in the order
+  // in which they first appear in the call node table.
+  const funcs: IndexIntoFuncTable[] = [];
+  const funcSelfCost: Map<IndexIntoFuncTable, number> = new Map();
+  const funcCallEdges: Map<
+    IndexIntoFuncTable,
+    Map<IndexIntoFuncTable, CallEdge>
+  > = new Map();
+  for (
+    let callNodeIndex = 0;
+    callNodeIndex < callNodeTable.length;
+    callNodeIndex++
+  ) {
+    if (callNodeTotalCost[callNodeIndex] === 0) {
+      continue;
+    }
+    const func = callNodeTable.func[callNodeIndex];
+    const selfCost = funcSelfCost.get(func);
+    if (selfCost === undefined) {
+      funcs.push(func);
+      funcSelfCost.set(func, callNodeSelfCost[callNodeIndex]);
+      funcCallEdges.set(func, new Map());
+    } else {
+      funcSelfCost.set(func, selfCost + callNodeSelfCost[callNodeIndex]);
+    }
+
+    const prefix = callNodeTable.prefix[callNodeIndex];
+    if (prefix !== -1) {
+      const callerEdges = funcCallEdges.get(callNodeTable.func[prefix]);
+      if (callerEdges !== undefined) {
+        const edge = callerEdges.get(func) || { calls: 0, cost: 0 };
+        // The number of calls isn't known, the number of samples is the closest
+        // approximation.
+        edge.calls += callNodeSampleCount[callNodeIndex];
+        edge.cost += callNodeTotalCost[callNodeIndex];
+        callerEdges.set(func, edge);
+      }
+    }
+  }
+
+  const getFileName = (func: IndexIntoFuncTable): string => {
+    const fileName = funcTable.fileName[func];
+    return fileName === null ? '???' : stringTable.getString(fileName);
+  };
+  const getLibName = (func: IndexIntoFuncTable): string | null => {
+    const resourceIndex = funcTable.resource[func];
+    const libIndex =
+      resourceIndex === -1 ? null : resourceTable.lib[resourceIndex];
+    if (libIndex === null) {
+      return null;
+    }
+    return libs[libIndex].name;
+  };
+  // The object (the library) of a function only needs to be specified when
+  // some of the functions have one. In that case it needs to be specified for
+  // all of them, as it carries over from one function to the next.
+  const hasObjects = funcs.some(func => getLibName(func) !== null);
+  const getObjectName = (func: IndexIntoFuncTable): string | null =>
+    hasObjects ? getLibName(func) || '???' : null;
+  const getLine = (func: IndexIntoFuncTable): number =>
+    funcTable.lineNumber[func] || 0;
+  const getCost = (cost: number): number => Math.round(cost * costMultiplier);
+
+  const objectNames = new NameCompressor();
+  const fileNames = new NameCompressor();
+  const funcNames = new NameCompressor();
+  const lines = [
+    '# callgrind format',
+    'version: 1',
+    'creator: perf.html',
+    `cmd: ${thread.name}`,
+    'positions: line',
+    `events: ${_getEventName(thread)}`,
+  ];
+  for (const func of funcs) {
+    lines.push('');
+    const objectName = getObjectName(func);
+    if (objectName !== null) {
+      lines.push(`ob=${objectNames.get(objectName)}`);
+    }
+    lines.push(`fl=${fileNames.get(getFileName(func))}`);
+    lines.push(
+      `fn=${funcNames.get(stringTable.getString(funcTable.name[func]))}`
+    );
+    lines.push(`${getLine(func)} ${getCost(funcSelfCost.get(func) || 0)}`);
+
+    const callEdges = funcCallEdges.get(func);
+    if (callEdges === undefined) {
+      continue;
+    }
+    for (const [callee, { calls, cost }] of callEdges) {
+      const calleeObjectName = getObjectName(callee);
+      if (calleeObjectName !== null) {
+        lines.push(`cob=${objectNames.get(calleeObjectName)}`);
+      }
+      lines.push(`cfi=${fileNames.get(getFileName(callee))}`);
+      lines.push(
+        `cfn=${funcNames.get(stringTable.getString(funcTable.name[callee]))}`
+      );
+      lines.push(`calls=${calls} ${getLine(callee)}`);
+      lines.push(`${getLine(func)} ${getCost(cost)}`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,229 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// @flow
+import { getCallNodeInfo, getTracingMarkers } from '../profile-data';
+
+import type { Profile, Thread, ThreadIndex } from '../../types/profile';
+import type { IndexIntoCallNodeTable } from '../../types/profile-derived';
+import type { Milliseconds, Microseconds } from '../../types/units';
+import type { TraceEvent, CpuProfileNode } from '../import/chrome';
+
+/**
+ * Convert a processed profile into the Chrome trace event format, see
+ * ../import/chrome.js for a description. Every thread results in:
+ *
+ *  - Metadata ("M") events for the thread and process names.
+ *  - A "Profile" event followed by "ProfileChunk" events, that contain the
+ *    samples, as V8 emits them. The nodes of the CPU profile are the call nodes
+ *    of the thread, and every chunk only contains the nodes that weren't part
+ *    of a previous chunk.
+ *  - A complete ("X") event for every marker returned by getTracingMarkers.
+ *    The markers that started before the recording or never ended are clamped
+ *    to the samples of the thread.
+ *
+ * Threads without a pid or tid are given one based on their index.
+ */
+
+// V8 emits a chunk about every 100 samples.
+const SAMPLES_PER_CHUNK = 100;
+
+// The node ids of a CPU profile start at 1, with the root node. The call nodes
+// come after it.
+const ROOT_NODE_ID = 1;
+
+function _toMicroseconds(time: Milliseconds): Microseconds {
+  return Math.round(time * 1000);
+}
+
+function _getThreadEvents(
+  thread: Thread,
+  threadIndex: ThreadIndex,
+  interval: Milliseconds
+): TraceEvent[] {
+  const pid = Number(thread.pid) || 0;
+  const tid = Number(thread.tid) || threadIndex + 1;
+  const events = [
+    {
+      pid,
+      tid,
+      ts: 0,
+      ph: 'M',
+      name: 'thread_name',
+      args: { name: thread.name },
+    },
+    {
+      pid,
+      tid,
+      ts: 0,
+      ph: 'M',
+      name: 'process_name',
+      args: { name: thread.processType },
+    },
+  ];
+
+  const { samples, stackTable, frameTable, funcTable, stringTable } = thread;
+  if (samples.length > 0) {
+    const { callNodeTable, stackIndexToCallNodeIndex } = getCallNodeInfo(
+      stackTable,
+      frameTable,
+      funcTable
+    );
+    const profileId = `0x${(threadIndex + 1).toString(16)}`;
+    const startTime = _toMicroseconds(samples.time[0]);
+    events.push({
+      pid,
+      tid,
+      ts: startTime,
+      ph: 'P',
+      name: 'Profile',
+      id: profileId,
+      args: { data: { startTime } },
+    });
+
+    const getNodeId = (callNodeIndex: IndexIntoCallNodeTable | -1) =>
+      callNodeIndex === -1 ? ROOT_NODE_ID : callNodeIndex + ROOT_NODE_ID + 1;
+    const isNodeAdded = new Uint8Array(callNodeTable.length);
+    let isRootNodeAdded = false;
+
+    let previousTime = startTime;
+    for (
+      let chunkStart = 0;
+      chunkStart < samples.length;
+      chunkStart += SAMPLES_PER_CHUNK
+    ) {
+      const nodes: CpuProfileNode[] = [];
+      const chunkSamples = [];
+      const timeDeltas = [];
+      if (!isRootNodeAdded) {
+        nodes.push({
+          id: ROOT_NODE_ID,
+          callFrame: {
+            functionName: '(root)',
+            url: '',
+            scriptId: 0,
+            lineNumber: -1,
+            columnNumber: -1,
+          },
+        });
+        isRootNodeAdded = true;
+      }
+
+      const chunkEnd = Math.min(samples.length, chunkStart + SAMPLES_PER_CHUNK);
+      for (
+        let sampleIndex = chunkStart;
+        sampleIndex < chunkEnd;
+        sampleIndex++
+      ) {
+        const stackIndex = samples.stack[sampleIndex];
+        const callNodeIndex =
+          stackIndex === null ? -1 : stackIndexToCallNodeIndex[stackIndex];
+
+        // Add the nodes that are missing, the parents before their children.
+        const missingNodes = [];
+        for (
+          let currentIndex = callNodeIndex;
+          currentIndex !== -1 && !isNodeAdded[currentIndex];
+          currentIndex = callNodeTable.prefix[currentIndex]
+        ) {
+          missingNodes.push(currentIndex);
+          isNodeAdded[currentIndex] = 1;
+        }
+        for (let i = missingNodes.length - 1; i >= 0; i--) {
+          const missingNode = missingNodes[i];
+          const funcIndex = callNodeTable.func[missingNode];
+          const fileName = funcTable.fileName[funcIndex];
+          const lineNumber = funcTable.lineNumber[funcIndex];
+          nodes.push({
+            id: getNodeId(missingNode),
+            parent: getNodeId(callNodeTable.prefix[missingNode]),
+            callFrame: {
+              functionName: stringTable.getString(funcTable.name[funcIndex]),
+              url: fileName === null ? '' : stringTable.getString(fileName),
+              scriptId: 0,
+              lineNumber: lineNumber === null ? -1 : lineNumber - 1,
+              columnNumber: -1,
+            },
+          });
+        }
+
+        const time = _toMicroseconds(samples.time[sampleIndex]);
+        chunkSamples.push(getNodeId(callNodeIndex));
+        timeDeltas.push(time - previousTime);
+        previousTime = time;
+      }
+
+      events.push({
+        pid,
+        tid,
+        ts: previousTime,
+        ph: 'P',
+        name: 'ProfileChunk',
+        id: profileId,
+        args: {
+          data: {
+            cpuProfile: { nodes, samples: chunkSamples },
+            timeDeltas,
+          },
+        },
+      });
+    }
+  }
+
+  // Without samples, the markers only keep their known side.
+  const samplesStart = samples.length ? samples.time[0] : Infinity;
+  const samplesEnd = samples.length
+    ? samples.time[samples.length - 1] + interval
+    : -Infinity;
+  for (const marker of getTracingMarkers(thread)) {
+    const { data } = marker;
+    let start = marker.start;
+    let end = marker.start + marker.dur;
+    // getTracingMarkers gives a negative start to the markers that started
+    // before the recording, and an infinite duration to the unfinished ones.
+    if (start < 0) {
+      start = Math.min(samplesStart, end);
+    }
+    if (end === Infinity) {
+      end = Math.max(samplesEnd, start);
+    }
+    let category = 'other';
+    if (data && typeof data.category === 'string') {
+      category = data.category;
+    } else if (data) {
+      category = data.type;
+    }
+    events.push({
+      pid,
+      tid,
+      ts: _toMicroseconds(start),
+      ph: 'X',
+      name: marker.name,
+      cat: category,
+      dur: _toMicroseconds(end - start),
+      args: {},
+    });
+  }
+
+  return events;
+}
+
+/**
+ * Get the events of all the threads. Times are relative to the start time of
+ * the profile.
+ */
+export function getChromeTraceEvents(profile: Profile): TraceEvent[] {
+  // Spreading the events of a big thread into push() would overflow the stack.
+  let events = [];
+  profile.threads.forEach((thread, threadIndex) => {
+    events = events.concat(
+      _getThreadEvents(thread, threadIndex, profile.meta.interval)
+    );
+  });
+  return events;
+}
+
+export function serializeProfileAsChromeTrace(profile: Profile): string {
+  return JSON.stringify({ traceEvents: getChromeTraceEvents(profile) });
+}
@@ -0,0 +1,68 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// @flow
+import { getSampleCallNodes } from '../profile-data';
+
+import type { Thread } from '../../types/profile';
+import type { CallNodeInfo } from '../../types/profile-derived';
+
+/**
+ * Serialize the call tree of a thread into the "collapsed stack" or "folded"
+ * format, see ../import/folded.js for a description. The thread and call node
+ * info are expected to be the ones the call tree is computed from, so that the
+ * transform stack, the implementation filter, the search and the range selection
+ * are all taken into account.
+ *
+ * There is one line per call node that has self samples, with the sum of their
+ * weights. Semicolons are the frame separator of the format, so they are
+ * replaced in the function names. The counts of the format can't be negative,
+ * so the difference threads of a comparison can't be exported.
+ */
+export function getFoldedStacks(
+  thread: Thread,
+  { callNodeTable, stackIndexToCallNodeIndex }: CallNodeInfo
+): string {
+  const { samples, funcTable, stringTable } = thread;
+  if (samples.isDifference) {
+    throw new Error('The folded stacks of a comparison cannot be exported.');
+  }
+  const selfCounts = new Float64Array(callNodeTable.length);
+  getSampleCallNodes(samples, stackIndexToCallNodeIndex).forEach(
+    (callNodeIndex, sampleIndex) => {
+      if (callNodeIndex !== null) {
+        selfCounts[callNodeIndex] += samples.weight
+          ? samples.weight[sampleIndex]
+          : 1;
+      }
+    }
+  );
+
+  const lines = [];
+  for (
+    let callNodeIndex = 0;
+    callNodeIndex < callNodeTable.length;
+    callNodeIndex++
+  ) {
+    // The counts of the format are integers, even for weights in milliseconds.
+    const count = Math.round(selfCounts[callNodeIndex]);
+    if (count === 0) {
+      continue;
+    }
+    const names = [];
+    for (
+      let currentIndex = callNodeIndex;
+      currentIndex !== -1;
+      currentIndex = callNodeTable.prefix[currentIndex]
+    ) {
+      const funcName = stringTable.getString(
+        funcTable.name[callNodeTable.func[currentIndex]]
+      );
+      names.push(funcName.replace(/;/g, ':').replace(/\n/g, ' '));
+    }
+    names.reverse();
+    lines.push(`${names.join(';')} ${count}\n`);
+  }
+  return lines.join('');
+}
@@ -0,0 +1,229 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// @flow
+import type { Profile, Thread, ThreadIndex } from '../../types/profile';
+import type { NetworkPayload } from '../../types/markers';
+import type { Milliseconds } from '../../types/units';
+
+/**
+ * Export the network markers of a profile as an HTTP Archive (HAR), version 1.2:
+ * http://www.softwareishard.com/blog/har-12-spec/
+ *
+ * Gecko adds a marker for every change of the state of a load, e.g.
+ * STATUS_START when the request starts, and STATUS_READING while the response
+ * is being read. All of the markers of a load share the same id, and they
+ * become a single HAR entry. The markers don't contain any information about
+ * the headers, the method or the HTTP status, so these fields are left empty, as
+ * allowed by the specification. The time that is spent in the STATUS_START
+ * phase is reported as waiting time, and the time that is spent in the
+ * reading phases as receiving time.
+ */
+
+type HarTimings = {|
+  blocked: Milliseconds,
+  dns: Milliseconds,
+  connect: Milliseconds,
+  ssl: Milliseconds,
+  send: Milliseconds,
+  wait: Milliseconds,
+  receive: Milliseconds,
+|};
+
+type HarEntry = {|
+  startedDateTime: string,
+  time: Milliseconds,
+  request: {|
+    method: string,
+    url: string,
+    httpVersion: string,
+    cookies: [],
+    headers: [],
+    queryString: Array<{| name: string, value: string |}>,
+    headersSize: -1,
+    bodySize: -1,
+  |},
+  response: {|
+    status: number,
+    statusText: string,
+    httpVersion: string,
+    cookies: [],
+    headers: [],
+    content: {| size: number, mimeType: string |},
+    redirectURL: string,
+    headersSize: -1,
+    bodySize: -1,
+  |},
+  cache: {},
+  timings: HarTimings,
+  // Custom fields need to start with an underscore.
+  _thread: string,
+|};
+
+export type HarLog = {|
+  log: {|
+    version: '1.2',
+    creator: {| name: string, version: string |},
+    entries: HarEntry[],
+  |},
+|};
+
+type NetworkLoad = {|
+  url: string,
+  start: Milliseconds,
+  wait: Milliseconds,
+  receive: Milliseconds,
+|};
+
+function _getQueryString(
+  url: string
+): Array<{| name: string, value: string |}> {
+  const queryStart = url.indexOf('?');
+  if (queryStart === -1) {
+    return [];
+  }
+  const hashStart = url.indexOf('#', queryStart);
+  const query = url.slice(
+    queryStart + 1,
+    hashStart === -1 ? url.length : hashStart
+  );
+  return query
+    .split('&')
+    .filter(parameter => parameter !== '')
+    .map(parameter => {
+      const [name, ...value] = parameter.split('=');
+      return { name, value: value.join('=') };
+    });
+}
+
+/**
+ * Gather the network markers of a thread by load.
+ */
+function _getNetworkLoads(thread: Thread): NetworkLoad[] {
+  const { markers } = thread;
+  const loads: Map<number, NetworkLoad> = new Map();
+  for (let markerIndex = 0; markerIndex < markers.length; markerIndex++) {
+    const data = markers.data[markerIndex];
+    if (!data || data.type !== 'Network') {
+      continue;
+    }
+    const networkData: NetworkPayload = data;
+    const { id, URI, status, startTime, endTime } = networkData;
+    let load = loads.get(id);
+    if (load === undefined) {
+      load = { url: '', start: startTime, wait: 0, receive: 0 };
+      loads.set(id, load);
+    }
+    if (URI && !load.url) {
+      load.url = URI;
+    }
+    load.start = Math.min(load.start, startTime);
+    const duration = Math.max(0, endTime - startTime);
+    if (status === 'STATUS_START') {
+      load.wait += duration;
+    } else if (status.startsWith('STATUS_READ')) {
+      load.receive += duration;
+    }
+  }
+  return [...loads.values()];
+}
+
+function _getHarEntry(
+  profile: Profile,
+  threadName: string,
+  load: NetworkLoad
+): HarEntry {
+  const { url, start, wait, receive } = load;
+  return {
+    startedDateTime: new Date(profile.meta.startTime + start).toISOString(),
+    time: wait + receive,
+    request: {
+      method: '',
+      url,
+      httpVersion: '',
+      cookies: [],
+      headers: [],
+      queryString: _getQueryString(url),
+      headersSize: -1,
+      bodySize: -1,
+    },
+    response: {
+      status: 0,
+      statusText: '',
+      httpVersion: '',
+      cookies: [],
+      headers: [],
+      content: { size: 0, mimeType: '' },
+      redirectURL: '',
+      headersSize: -1,
+      bodySize: -1,
+    },
+    cache: {},
+    timings: {
+      blocked: -1,
+      dns: -1,
+      connect: -1,
+      ssl: -1,
+      send: 0,
+      wait,
+      receive,
+    },
+    _thread: threadName,
+  };
+}
+
+/**
+ * Check if some threads of the profile have network markers, without building
+ * their HAR log.
+ */
+export function hasNetworkMarkers(
+  profile: Profile,
+  threadIndexes: ThreadIndex[]
+): boolean {
+  return threadIndexes.some(threadIndex =>
+    profile.threads[threadIndex].markers.data.some(
+      data => !!data && data.type === 'Network'
+    )
+  );
+}
+
+/**
+ * Get the HAR log of the network markers of some threads of the profile. The
+ * entries of all of the threads are sorted by start time.
+ */
+export function getHarLog(
+  profile: Profile,
+  threadIndexes: ThreadIndex[]
+): HarLog {
+  const loads = [];
+  for (const threadIndex of threadIndexes) {
+    const thread = profile.threads[threadIndex];
+    for (const load of _getNetworkLoads(thread)) {
+      loads.push({ threadName: thread.name, load });
+    }
+  }
+  loads.sort((a, b) => a.load.start - b.load.start);
+
+  return {
+    log: {
+      version: '1.2',
+      // perf.html doesn't have a version number.
+      creator: { name: 'perf.html', version: '' },
+      entries: loads.map(({ threadName, load }) =>
+        _getHarEntry(profile, threadName, load)
+      ),
+    },
+  };
+}
+
+/**
+ * Return the HAR file of the network markers, or null if there are none.
+ */
+export function serializeNetworkMarkersAsHar(
+  profile: Profile,
+  threadIndexes: ThreadIndex[]
+): string | null {
+  const harLog = getHarLog(profile, threadIndexes);
+  return harLog.log.entries.length > 0 ? JSON.stringify(harLog) : null;
+}
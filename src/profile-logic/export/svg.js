@@ -0,0 +1,325 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// @flow
+import {
+  getBackgroundColor,
+  getForegroundColor,
+  getDifferenceBackgroundColor,
+  getDifferenceForegroundColor,
+} from '../flame-graph';
+import { getStackType } from '../transforms';
+import { getWeightType } from '../profile-data';
+import { getTimingLabels } from '../call-tree';
+import { formatNumber } from '../../utils/format-numbers';
+
+import type { Thread } from '../../types/profile';
+import type { CallNodeInfo } from '../../types/profile-derived';
+import type { CssPixels, Milliseconds } from '../../types/units';
+import type { FlameGraphTiming } from '../flame-graph';
+import type { StackTimingByDepth } from '../stack-timing';
+import type { GetCategory } from '../color-categories';
+import type { GetLabel } from '../labeling-strategies';
+
+/**
+ * Render the flame graph and the stack chart into standalone SVG documents, that
+ * can be attached to bugs. The boxes are laid out like in the canvas of the
+ * charts, with the same colors. Each box has a <title> that is shown as a
+ * tooltip, and a small embedded script makes it possible to search for function
+ * names, which highlights the boxes that match, and to zoom into a box by
+ * clicking it, like in the SVGs of flamegraph.pl.
+ */
+
+type SvgBox = {|
+  +x: CssPixels,
+  +y: CssPixels,
+  +width: CssPixels,
+  +background: string,
+  +foreground: string,
+  +label: string,
+  +tooltip: string,
+|};
+
+const SVG_WIDTH = 1200;
+const HEADER_HEIGHT = 24;
+const ROW_HEIGHT = 16;
+const TEXT_OFFSET_START = 3;
+const TEXT_OFFSET_TOP = 11;
+const FONT_SIZE = 10;
+// There is no way to measure the text outside of a document, this is the
+// average width of a character of a sans-serif font, relative to its size.
+const CHARACTER_WIDTH = FONT_SIZE * 0.59;
+// Like in the canvas, boxes that are too narrow to be seen aren't drawn.
+const MIN_BOX_WIDTH = 1;
+const SEARCH_HIGHLIGHT_COLOR = '#ff1ad9';
+
+// The script is written for any SVG viewer, so it doesn't use anything more
+// recent than ES5.
+const SCRIPT = `
+(function () {
+  var searchButton = document.getElementById('search');
+  var matchedLabel = document.getElementById('matched');
+  var unzoomButton = document.getElementById('unzoom');
+  var boxes = document.querySelectorAll('g.box');
+  function getFittedText(text, width) {
+    var maxLength = Math.floor(width / ${CHARACTER_WIDTH});
+    if (text.length <= maxLength) {
+      return text;
+    }
+    return maxLength > 2 ? text.slice(0, maxLength - 1) + '\u2026' : '';
+  }
+  // Stretch the range of x between start and start + width over the whole
+  // width of the document. The boxes of the ancestors are wider than the range,
+  // they are cut at its edges, and the boxes outside of it are hidden.
+  function zoom(start, width) {
+    var scale = ${SVG_WIDTH} / width;
+    for (var i = 0; i < boxes.length; i++) {
+      var box = boxes[i];
+      var boxStart = (parseFloat(box.getAttribute('data-x')) - start) * scale;
+      var boxEnd =
+        boxStart + parseFloat(box.getAttribute('data-width')) * scale;
+      boxStart = Math.max(boxStart, 0);
+      boxEnd = Math.min(boxEnd, ${SVG_WIDTH});
+      if (boxEnd - boxStart < ${MIN_BOX_WIDTH}) {
+        box.style.display = 'none';
+        continue;
+      }
+      box.style.display = '';
+      var rect = box.querySelector('rect');
+      rect.setAttribute('x', boxStart);
+      rect.setAttribute('width', boxEnd - boxStart);
+      var text = box.querySelector('text');
+      text.setAttribute('x', boxStart + ${TEXT_OFFSET_START});
+      text.textContent = getFittedText(
+        box.getAttribute('data-name'),
+        boxEnd - boxStart - ${TEXT_OFFSET_START}
+      );
+    }
+    unzoomButton.style.display = width < ${SVG_WIDTH} ? '' : 'none';
+  }
+  for (var i = 0; i < boxes.length; i++) {
+    boxes[i].addEventListener('click', function (event) {
+      var box = event.currentTarget;
+      zoom(
+        parseFloat(box.getAttribute('data-x')),
+        parseFloat(box.getAttribute('data-width'))
+      );
+    });
+  }
+  unzoomButton.addEventListener('click', function () {
+    zoom(0, ${SVG_WIDTH});
+  });
+  function search(term) {
+    var regExp;
+    try {
+      regExp = new RegExp(term, 'i');
+    } catch (e) {
+      regExp = null;
+    }
+    var matchCount = 0;
+    for (var i = 0; i < boxes.length; i++) {
+      var rect = boxes[i].querySelector('rect');
+      var name = boxes[i].getAttribute('data-name');
+      if (term && regExp && regExp.test(name)) {
+        rect.setAttribute('fill', '${SEARCH_HIGHLIGHT_COLOR}');
+        matchCount++;
+      } else {
+        rect.setAttribute('fill', rect.getAttribute('data-fill'));
+      }
+    }
+    matchedLabel.textContent = term ? 'Matches: ' + matchCount : '';
+    searchButton.textContent = term ? 'Reset search' : 'Search';
+  }
+  function promptForSearch() {
+    var term = window.prompt('Search for a function, as a regular expression:');
+    if (term) {
+      search(term);
+    }
+  }
+  searchButton.addEventListener('click', function () {
+    if (matchedLabel.textContent) {
+      search('');
+    } else {
+      promptForSearch();
+    }
+  });
+  window.addEventListener('keydown', function (event) {
+    if ((event.ctrlKey || event.metaKey) && event.key === 'f') {
+      event.preventDefault();
+      promptForSearch();
+    }
+  });
+})();
+`;
+
+function _escapeXml(text: string): string {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function _round(value: number): number {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Cut the label so that it fits in the box, like TextMeasurement.getFittedText
+ * does for the canvas.
+ */
+function _getFittedText(text: string, width: CssPixels): string {
+  const maxLength = Math.floor(width / CHARACTER_WIDTH);
+  if (text.length <= maxLength) {
+    return text;
+  }
+  return maxLength > 2 ? text.slice(0, maxLength - 1) + '…' : '';
+}
+
+function _renderBox(box: SvgBox): string {
+  const { x, y, width, background, foreground, label, tooltip } = box;
+  const textX = x + TEXT_OFFSET_START;
+  const fittedText = _getFittedText(label, width - TEXT_OFFSET_START);
+  // The text is there even when it's empty, so that it can be filled once the
+  // box is zoomed into.
+  return (
+    `<g class="box" data-name="${_escapeXml(label)}" ` +
+    `data-x="${_round(x)}" data-width="${_round(width)}">` +
+    `<title>${_escapeXml(tooltip)}</title>` +
+    `<rect x="${_round(x)}" y="${y}" width="${_round(width)}" ` +
+    `height="${ROW_HEIGHT - 1}" fill="${background}" ` +
+    `data-fill="${background}"/>` +
+    `<text x="${_round(textX)}" y="${y + TEXT_OFFSET_TOP}" ` +
+    `fill="${foreground}">${_escapeXml(fittedText)}</text>` +
+    '</g>\n'
+  );
+}
+
+function _renderSvg(title: string, rowCount: number, boxes: SvgBox[]): string {
+  const height = HEADER_HEIGHT + rowCount * ROW_HEIGHT;
+  return (
+    '<?xml version="1.0" standalone="no"?>\n' +
+    `<svg version="1.1" xmlns="http://www.w3.org/2000/svg" ` +
+    `width="${SVG_WIDTH}" height="${height}" ` +
+    `viewBox="0 0 ${SVG_WIDTH} ${height}" ` +
+    `font-family="sans-serif" font-size="${FONT_SIZE}">\n` +
+    `<style>#search, #unzoom, g.box { cursor: pointer; } ` +
+    `g.box:hover rect { stroke: #000000; stroke-width: 0.5; }</style>\n` +
+    `<rect x="0" y="0" width="${SVG_WIDTH}" height="${height}" ` +
+    `fill="#ffffff"/>\n` +
+    `<text x="${TEXT_OFFSET_START}" y="16" font-size="12">` +
+    `${_escapeXml(title)}</text>\n` +
+    `<text id="unzoom" x="${SVG_WIDTH / 2}" y="16" text-anchor="middle" ` +
+    `style="display: none">Reset zoom</text>\n` +
+    `<text id="matched" x="${SVG_WIDTH - 100}" y="16" ` +
+    `text-anchor="end"></text>\n` +
+    `<text id="search" x="${SVG_WIDTH - TEXT_OFFSET_START}" y="16" ` +
+    `text-anchor="end">Search</text>\n` +
+    boxes.map(_renderBox).join('') +
+    // The script comes last, so that the elements it looks up already exist
+    // when it runs.
+    `<script type="text/ecmascript"><![CDATA[${SCRIPT}]]></script>\n` +
+    '</svg>\n'
+  );
+}
+
+/**
+ * Render the flame graph of a thread. The thread and the call node info are the
+ * ones that the flame graph timing was computed from.
+ */
+export function getFlameGraphSvg(
+  title: string,
+  thread: Thread,
+  callNodeInfo: CallNodeInfo,
+  flameGraphTiming: FlameGraphTiming
+): string {
+  const { callNodeTable } = callNodeInfo;
+  const { funcTable, stringTable } = thread;
+  const labels = getTimingLabels(getWeightType(thread.samples));
+  const isDifference = Boolean(thread.samples.isDifference);
+  const rowCount = flameGraphTiming.length;
+  const boxes = [];
+  flameGraphTiming.forEach((stackTiming, depth) => {
+    // The flame graph starts at the bottom.
+    const y = HEADER_HEIGHT + (rowCount - depth - 1) * ROW_HEIGHT;
+    for (let i = 0; i < stackTiming.length; i++) {
+      const x = stackTiming.start[i] * SVG_WIDTH;
+      const width = (stackTiming.end[i] - stackTiming.start[i]) * SVG_WIDTH;
+      if (width < MIN_BOX_WIDTH) {
+        continue;
+      }
+      const funcIndex = callNodeTable.func[stackTiming.callNode[i]];
+      const funcName = stringTable.getString(funcTable.name[funcIndex]);
+      const stackType = getStackType(thread, funcIndex);
+      const selfTimeRelative = stackTiming.selfTimeRelative[i];
+      const change = stackTiming.change[i];
+      const { totalTime, selfTime, totalTimeDelta } = stackTiming.display[i];
+      const percentage = 100 * (stackTiming.end[i] - stackTiming.start[i]);
+      let tooltip =
+        `${funcName} (${percentage.toFixed(2)}%)\n` +
+        `${labels.total} (${labels.unit}): ${totalTime}\n` +
+        `Self (${labels.unit}): ${selfTime}`;
+      if (totalTimeDelta !== undefined) {
+        tooltip += `\nΔ ${labels.total} (${labels.unit}): ${totalTimeDelta}`;
+      }
+      boxes.push({
+        x,
+        y,
+        width,
+        background: isDifference
+          ? getDifferenceBackgroundColor(change)
+          : getBackgroundColor(stackType, selfTimeRelative),
+        foreground: isDifference
+          ? getDifferenceForegroundColor(change)
+          : getForegroundColor(stackType, selfTimeRelative),
+        label: funcName,
+        tooltip,
+      });
+    }
+  });
+  return _renderSvg(title, rowCount, boxes);
+}
+
+/**
+ * Render the stack chart of a thread, between two times, e.g. the ones of the
+ * current selection.
+ */
+export function getStackChartSvg(
+  title: string,
+  thread: Thread,
+  stackTimingByDepth: StackTimingByDepth,
+  getLabel: GetLabel,
+  getCategory: GetCategory,
+  rangeStart: Milliseconds,
+  rangeEnd: Milliseconds
+): string {
+  const rangeLength = rangeEnd - rangeStart;
+  const boxes = [];
+  stackTimingByDepth.forEach((stackTiming, depth) => {
+    const y = HEADER_HEIGHT + depth * ROW_HEIGHT;
+    for (let i = 0; i < stackTiming.length; i++) {
+      const start = Math.max(stackTiming.start[i], rangeStart);
+      const end = Math.min(stackTiming.end[i], rangeEnd);
+      const x = (start - rangeStart) / rangeLength * SVG_WIDTH;
+      const width = (end - start) / rangeLength * SVG_WIDTH;
+      if (width < MIN_BOX_WIDTH) {
+        continue;
+      }
+      const stackIndex = stackTiming.stack[i];
+      const frameIndex = thread.stackTable.frame[stackIndex];
+      const label = getLabel(thread, stackIndex);
+      const duration = stackTiming.end[i] - stackTiming.start[i];
+      boxes.push({
+        x,
+        y,
+        width,
+        background: getCategory(thread, frameIndex).color,
+        foreground: '#000000',
+        label,
+        tooltip: `${label} (${formatNumber(duration)}ms)`,
+      });
+    }
+  });
+  return _renderSvg(title, stackTimingByDepth.length, boxes);
+}
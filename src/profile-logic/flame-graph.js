@@ -3,8 +3,13 @@
  * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
 
 // @flow
+import colors from 'photon-colors';
+
 import type { UnitIntervalOfProfileRange } from '../types/units';
-import type { IndexIntoCallNodeTable } from '../types/profile-derived';
+import type {
+  IndexIntoCallNodeTable,
+  StackType,
+} from '../types/profile-derived';
 
 import * as CallTree from './call-tree';
 
@@ -26,6 +31,11 @@ export type IndexIntoFlameGraphTiming = number;
  * selfTimeRelative contains the self time relative to the total time,
  * which is used to color the drawn functions.
  *
+ * When the call tree compares two profiles, the widths of the boxes are the
+ * total times in both profiles, and change contains how the total time changed
+ * from the baseline profile, from -1 to 1. It is used to color the drawn
+ * functions instead of the self time. It is always 0 otherwise.
+ *
  * display contains formatted strings intended to be used for
  * displaying extra information (like in a tooltip) not readily
  * apparent from visual inspection of the boxes in the flame graph.
@@ -34,7 +44,12 @@ export type FlameGraphTiming = Array<{
   start: UnitIntervalOfProfileRange[],
   end: UnitIntervalOfProfileRange[],
   selfTimeRelative: Array<number>,
-  display: Array<{ totalTime: string, selfTime: string }>,
+  change: Array<number>,
+  display: Array<{
+    totalTime: string,
+    selfTime: string,
+    totalTimeDelta?: string,
+  }>,
   callNode: IndexIntoCallNodeTable[],
   length: number,
 }>;
@@ -64,11 +79,16 @@ export function getFlameGraphTiming(
 
   while (stack.length) {
     const { depth, nodeIndex } = stack.pop();
-    const { totalTimeRelative, selfTimeRelative } = callTree.getNodeData(
-      nodeIndex
-    );
+    const nodeData = callTree.getNodeData(nodeIndex);
+    const { selfTimeRelative } = nodeData;
+    const difference = callTree.getNodeDifference(nodeIndex);
+    const totalTimeRelative =
+      difference === null
+        ? nodeData.totalTimeRelative
+        : difference.combinedTotalTimeRelative;
 
     const { totalTime, selfTime } = callTree.getTimingDisplayData(nodeIndex);
+    const differenceDisplayData = callTree.getDifferenceDisplayData(nodeIndex);
 
     // Select an existing row, or create a new one.
     let row = timing[depth];
@@ -77,6 +97,7 @@ export function getFlameGraphTiming(
         start: [],
         end: [],
         selfTimeRelative: [],
+        change: [],
         display: [],
         callNode: [],
         length: 0,
@@ -88,7 +109,16 @@ export function getFlameGraphTiming(
     row.start.push(timeOffset[depth]);
     row.end.push(timeOffset[depth] + totalTimeRelative);
     row.selfTimeRelative.push(selfTimeRelative);
-    row.display.push({ totalTime, selfTime });
+    row.change.push(difference === null ? 0 : difference.change);
+    row.display.push(
+      differenceDisplayData === null
+        ? { totalTime, selfTime }
+        : {
+            totalTime,
+            selfTime,
+            totalTimeDelta: differenceDisplayData.totalTimeDelta,
+          }
+    );
     row.callNode.push(nodeIndex);
     row.length++;
 
@@ -111,3 +141,179 @@ export function getFlameGraphTiming(
   }
   return timing;
 }
+
+function stringToHex(hexString: string): number {
+  if (hexString.length !== 7 || hexString[0] !== '#') {
+    throw new Error('Expect a hex string of the form "#000000"');
+  }
+
+  // Go from a string of the form "#000000" to a number of the form 0x000000.
+  return parseInt(hexString.substr(1), 16);
+}
+
+// stringToHex is needed for interpolated colors
+const NATIVE_START_COLOR = stringToHex('#c1e0ff');
+const NATIVE_END_COLOR = stringToHex(colors.BLUE_50);
+const NATIVE_HOVER_COLOR = colors.BLUE_60;
+const NATIVE_WHITE_TEXT_THRESHOLD = 0.8;
+
+const JS_START_COLOR = stringToHex('#ffd79f');
+const JS_END_COLOR = stringToHex(colors.ORANGE_50);
+const JS_HOVER_COLOR = colors.ORANGE_60;
+
+const UNSYMBOLICATED_START_COLOR = stringToHex(colors.GREY_30);
+const UNSYMBOLICATED_END_COLOR = stringToHex(colors.GREY_50);
+const UNSYMBOLICATED_HOVER_COLOR = colors.GREY_60;
+const UNSYMBOLICATED_WHITE_TEXT_THRESHOLD = 0.66;
+
+const DIFFERENCE_NEUTRAL_COLOR = stringToHex(colors.GREY_20);
+const DIFFERENCE_INCREASE_COLOR = stringToHex(colors.RED_60);
+const DIFFERENCE_DECREASE_COLOR = stringToHex(colors.BLUE_60);
+const DIFFERENCE_WHITE_TEXT_THRESHOLD = 0.5;
+
+/**
+ * Linear interpolation.
+ */
+function lerp(a: number, b: number, t: number): number {
+  return a * (1 - t) + b * t;
+}
+
+function lerpColors(hexColorA: number, hexColorB: number, t: number): string {
+  // Take the hex value, and get R G B values ranged 0-255.
+  const rA = (0xff0000 & hexColorA) >> 16;
+  const gA = (0x00ff00 & hexColorA) >> 8;
+  const bA = 0x0000ff & hexColorA;
+  const rB = (0xff0000 & hexColorB) >> 16;
+  const gB = (0x00ff00 & hexColorB) >> 8;
+  const bB = 0x0000ff & hexColorB;
+  const r = lerp(rA, rB, t);
+  const g = lerp(gA, gB, t);
+  const b = lerp(bA, bB, t);
+
+  // Turn this back into a value like 0x000000, but include an extra bit so it takes the
+  // form 0x1000000 and can keep the leading zeros.
+  const modifiedHex = 0xf000000 | (r << 16) | (g << 8) | b;
+
+  return '#' + modifiedHex.toString(16).substr(1);
+}
+
+/**
+ * Return the background color used to paint a flame graph box. The
+ * passed stack type determines the hue while the self time determines
+ * the lightness of the color. Darker colors indicate higher self
+ * times.
+ */
+export function getBackgroundColor(
+  stackType: StackType,
+  selfTimeRelative: number
+): string {
+  /**
+   * The colors are defined as a range where the starting color is the
+   * color shown when the function has no self time at all, and the
+   * ending color is when all available self time (the total time) in
+   * the flame graph is assigned to a single function. This latter
+   * case occurs when there's only a single box at the top, stretching
+   * over all horizontal space in the graph, covering all boxes below
+   * it. When the self time lies in between these two extremes, the
+   * color is an interpolated value lying between the starting and
+   * ending colors in the range.
+   *
+   * The interpolated color is derived from `selfTimeRelative`, which
+   * is the self time of the frame relative to all available self time
+   * possibly represented in the flame graph. However, using this
+   * value to interpolate to a color linearly will require the value
+   * to be relatively big in order to be able to see the shift in
+   * color, and such large self times would be visually apparent from
+   * the shape of the flame graph anyway. We are better off if we can
+   * discern also small values of self time from the color, and this
+   * is accomplished by changing the linear interpolation to a
+   * logarithmic one instead, with a steep increase in the beginning.
+   *
+   * Below we use the transformation y(x) = log(c * x + 1) / log(c + 1),
+   * where c is a constant. It has the property that y(0) = 0 and
+   * y(1) = 1. The constant has been chosen by visual inspection of
+   * the graph.
+   */
+
+  let backgroundRangeStart;
+  let backgroundRangeEnd;
+
+  const t = Math.log(5000 * selfTimeRelative + 1) / Math.log(5001);
+
+  switch (stackType) {
+    case 'native':
+      backgroundRangeStart = NATIVE_START_COLOR;
+      backgroundRangeEnd = NATIVE_END_COLOR;
+      break;
+    case 'js':
+      backgroundRangeStart = JS_START_COLOR;
+      backgroundRangeEnd = JS_END_COLOR;
+      break;
+    case 'unsymbolicated':
+      backgroundRangeStart = UNSYMBOLICATED_START_COLOR;
+      backgroundRangeEnd = UNSYMBOLICATED_END_COLOR;
+      break;
+    default:
+      throw new Error(`Unknown stack type case "${(stackType: empty)}".`);
+  }
+  return lerpColors(backgroundRangeStart, backgroundRangeEnd, t);
+}
+
+/**
+ * Return the foreground color used to draw text in a flame graph
+ * box. The color matches the background color returned from
+ * `getBackgroundColor` and this function thus expects the same
+ * parameters.
+ */
+export function getForegroundColor(
+  stackType: StackType,
+  selfTimeRelative: number
+): string {
+  const t = Math.log(5000 * selfTimeRelative + 1) / Math.log(5001);
+
+  switch (stackType) {
+    case 'native':
+      return t > NATIVE_WHITE_TEXT_THRESHOLD ? '#ffffff' : colors.BLUE_90;
+    case 'js':
+      return colors.ORANGE_90;
+    case 'unsymbolicated':
+      return t > UNSYMBOLICATED_WHITE_TEXT_THRESHOLD
+        ? '#ffffff'
+        : colors.GREY_90;
+    default:
+      throw new Error(`Unknown stack type case "${(stackType: empty)}".`);
+  }
+}
+
+export function getHoverBackgroundColor(stackType: StackType): string {
+  switch (stackType) {
+    case 'native':
+      return NATIVE_HOVER_COLOR;
+    case 'js':
+      return JS_HOVER_COLOR;
+    case 'unsymbolicated':
+      return UNSYMBOLICATED_HOVER_COLOR;
+    default:
+      throw new Error(`Unknown stack type case "${(stackType: empty)}".`);
+  }
+}
+
+/**
+ * Return the background color of a flame graph box when comparing two profiles.
+ * Functions that take more time than in the baseline profile are red, and the
+ * ones that take less time are blue. The more the time changed relative to the
+ * total time of the function, the darker the color.
+ */
+export function getDifferenceBackgroundColor(change: number): string {
+  return lerpColors(
+    DIFFERENCE_NEUTRAL_COLOR,
+    change > 0 ? DIFFERENCE_INCREASE_COLOR : DIFFERENCE_DECREASE_COLOR,
+    Math.min(1, Math.abs(change))
+  );
+}
+
+export function getDifferenceForegroundColor(change: number): string {
+  return Math.abs(change) > DIFFERENCE_WHITE_TEXT_THRESHOLD
+    ? '#ffffff'
+    : colors.GREY_90;
+}
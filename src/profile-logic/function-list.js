@@ -0,0 +1,199 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// @flow
+import {
+  getFuncDisplayData,
+  isIntegerTime,
+  formatTreeTime,
+  formatTreePercent,
+} from './call-tree';
+import { getWeightType } from './profile-data';
+
+import type { Thread, IndexIntoFuncTable, WeightType } from '../types/profile';
+import type {
+  CallNodeTable,
+  CallNodeDisplayData,
+} from '../types/profile-derived';
+import type { Milliseconds } from '../types/units';
+import type { FunctionListSort } from '../types/actions';
+import type { CallTreeCountsAndTimings } from './call-tree';
+
+/**
+ * The function list is a flat list of all of the functions of a thread, with
+ * their self and total times. The time of a recursive function is only counted
+ * once in its total time.
+ */
+
+export type FunctionTimings = {|
+  // These columns match the funcTable.
+  +selfTime: Float32Array,
+  +totalTime: Float32Array,
+  +rootTotalTime: Milliseconds,
+|};
+
+/**
+ * Aggregate the times of the call nodes, as computed for the call tree, by
+ * function. The call nodes are expected to be the ones of a thread that isn't
+ * inverted.
+ */
+export function computeFunctionTimings(
+  { funcTable }: Thread,
+  callNodeTable: CallNodeTable,
+  { callNodeTimes, rootTotalTime }: CallTreeCountsAndTimings
+): FunctionTimings {
+  const selfTime = new Float32Array(funcTable.length);
+  const totalTime = new Float32Array(funcTable.length);
+  for (
+    let callNodeIndex = 0;
+    callNodeIndex < callNodeTable.length;
+    callNodeIndex++
+  ) {
+    const callNodeTotalTime = callNodeTimes.totalTime[callNodeIndex];
+    if (callNodeTotalTime === 0) {
+      continue;
+    }
+    const func = callNodeTable.func[callNodeIndex];
+    selfTime[func] += callNodeTimes.selfTime[callNodeIndex];
+
+    // The time of a recursive call is already part of the outer call.
+    let isRecursiveCall = false;
+    for (
+      let ancestorIndex = callNodeTable.prefix[callNodeIndex];
+      ancestorIndex !== -1;
+      ancestorIndex = callNodeTable.prefix[ancestorIndex]
+    ) {
+      if (callNodeTable.func[ancestorIndex] === func) {
+        isRecursiveCall = true;
+        break;
+      }
+    }
+    if (!isRecursiveCall) {
+      totalTime[func] += callNodeTotalTime;
+    }
+  }
+  return { selfTime, totalTime, rootTotalTime };
+}
+
+/**
+ * The function list is displayed in a TreeView, so it implements the same
+ * interface as the CallTree, with every function being a root.
+ */
+export class FunctionList {
+  _thread: Thread;
+  _timings: FunctionTimings;
+  _roots: IndexIntoFuncTable[];
+  _displayDataByIndex: Map<IndexIntoFuncTable, CallNodeDisplayData>;
+  _jsOnly: boolean;
+  _isIntegerInterval: boolean;
+  _weightType: WeightType;
+
+  constructor(
+    thread: Thread,
+    timings: FunctionTimings,
+    sort: FunctionListSort,
+    jsOnly: boolean,
+    isIntegerInterval: boolean,
+    weightType: WeightType
+  ) {
+    this._thread = thread;
+    this._timings = timings;
+    this._displayDataByIndex = new Map();
+    this._jsOnly = jsOnly;
+    this._isIntegerInterval = isIntegerInterval;
+    this._weightType = weightType;
+
+    const { totalTime } = timings;
+    const sortedTimes = timings[sort.column];
+    const direction = sort.descending ? -1 : 1;
+    this._roots = [];
+    for (let funcIndex = 0; funcIndex < totalTime.length; funcIndex++) {
+      if (totalTime[funcIndex] !== 0) {
+        this._roots.push(funcIndex);
+      }
+    }
+    this._roots.sort(
+      (a, b) =>
+        direction * (sortedTimes[a] - sortedTimes[b]) ||
+        // Functions with the same time are ordered by their total time.
+        totalTime[b] - totalTime[a]
+    );
+  }
+
+  getWeightType(): WeightType {
+    return this._weightType;
+  }
+
+  getRoots(): IndexIntoFuncTable[] {
+    return this._roots;
+  }
+
+  getChildren(funcIndex: IndexIntoFuncTable | -1): IndexIntoFuncTable[] {
+    return funcIndex === -1 ? this._roots : [];
+  }
+
+  hasChildren(_funcIndex: IndexIntoFuncTable): boolean {
+    return false;
+  }
+
+  getAllDescendants(_funcIndex: IndexIntoFuncTable): Set<IndexIntoFuncTable> {
+    return new Set();
+  }
+
+  getParent(_funcIndex: IndexIntoFuncTable): -1 {
+    return -1;
+  }
+
+  getDepth(_funcIndex: IndexIntoFuncTable): number {
+    return 0;
+  }
+
+  getDisplayData(funcIndex: IndexIntoFuncTable): CallNodeDisplayData {
+    let displayData = this._displayDataByIndex.get(funcIndex);
+    if (displayData === undefined) {
+      const { funcTable, resourceTable, stringTable } = this._thread;
+      const { rootTotalTime } = this._timings;
+      const totalTime = this._timings.totalTime[funcIndex];
+      const selfTime = this._timings.selfTime[funcIndex];
+      displayData = {
+        totalTime: formatTreeTime(totalTime, this._isIntegerInterval),
+        selfTime:
+          selfTime === 0
+            ? '—'
+            : formatTreeTime(selfTime, this._isIntegerInterval),
+        totalTimePercent: formatTreePercent(
+          rootTotalTime === 0 ? 0 : totalTime / rootTotalTime,
+          this._isIntegerInterval
+        ),
+        ...getFuncDisplayData(
+          funcIndex,
+          funcTable,
+          resourceTable,
+          stringTable,
+          this._jsOnly
+        ),
+      };
+      this._displayDataByIndex.set(funcIndex, displayData);
+    }
+    return displayData;
+  }
+}
+
+export function getFunctionList(
+  thread: Thread,
+  interval: Milliseconds,
+  timings: FunctionTimings,
+  sort: FunctionListSort,
+  implementationFilter: string
+): FunctionList {
+  const weightType = getWeightType(thread.samples);
+  return new FunctionList(
+    thread,
+    timings,
+    sort,
+    implementationFilter === 'js',
+    isIntegerTime(weightType, interval),
+    weightType
+  );
+}
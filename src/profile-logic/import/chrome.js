@@ -0,0 +1,544 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// @flow
+import {
+  getEmptyProfile,
+  getEmptyThread,
+  getIntervalFromSamples,
+  resourceTypes,
+} from '../profile-data';
+
+import type {
+  Profile,
+  Thread,
+  IndexIntoFuncTable,
+  IndexIntoResourceTable,
+  IndexIntoStackTable,
+} from '../../types/profile';
+import type { Milliseconds, Microseconds } from '../../types/units';
+
+/**
+ * The Chrome trace event format is used by chrome://tracing, the Chrome DevTools
+ * performance panel, and a variety of other tools that emit traces for the
+ * Catapult trace viewer. The format is documented here:
+ * https://docs.google.com/document/d/1CvAClvFfyA5R-PhYUmn5OOQtYMH4h6I0nSsKchNAySU
+ *
+ * A trace is either a plain array of events, or an object with a "traceEvents"
+ * property holding that array. This file converts such a trace into the most
+ * recent processed profile format:
+ *
+ *  - Complete ("X") and duration ("B"/"E") events become tracing markers.
+ *  - The sampled CPU profiles of V8, stored in "Profile" and "ProfileChunk"
+ *    events, become the samples, stack, frame, func and resource tables.
+ *  - Metadata ("M") events provide the thread and process names.
+ *
+ * Every pid/tid pair in the trace results in its own thread.
+ */
+
+export type TraceEvent = {
+  pid: number,
+  tid: number,
+  ts: Microseconds,
+  ph: string,
+  name: string,
+  cat?: string,
+  dur?: Microseconds,
+  id?: string,
+  args?: Object,
+};
+
+export type CpuProfileCallFrame = {
+  functionName: string,
+  url: string,
+  scriptId?: string | number,
+  // Both the line and column numbers are zero-based.
+  lineNumber: number,
+  columnNumber: number,
+};
+
+/**
+ * A node of the V8 CPU profile tree. The tree is either described through the
+ * "children" property (e.g. in .cpuprofile files), or through the "parent"
+ * property (e.g. in "ProfileChunk" trace events).
+ */
+export type CpuProfileNode = {
+  id: number,
+  callFrame: CpuProfileCallFrame,
+  parent?: number,
+  children?: number[],
+};
+
+export type CpuProfileData = {
+  startTime: Microseconds,
+  nodes: CpuProfileNode[],
+  samples: number[],
+  timeDeltas: Microseconds[],
+};
+
+/**
+ * The information needed to de-duplicate functions and resources when adding
+ * one or several CPU profiles to a thread.
+ */
+export type CpuProfileImportInfo = {|
+  thread: Thread,
+  funcKeyToFuncIndex: Map<string, IndexIntoFuncTable>,
+  originToResourceIndex: Map<string, IndexIntoResourceTable>,
+|};
+
+/**
+ * An interval of time that is turned into a tracing marker. The start or the end
+ * can be missing if they happened outside of the recorded time range.
+ */
+export type TracingInterval = {|
+  name: string,
+  category: string,
+  start: Milliseconds | null,
+  end: Milliseconds | null,
+|};
+
+export function isChromeProfile(json: mixed): boolean {
+  let events;
+  if (Array.isArray(json)) {
+    events = json;
+  } else if (json && typeof json === 'object' && !('meta' in json)) {
+    events = json.traceEvents;
+  }
+  if (!Array.isArray(events) || events.length === 0) {
+    return false;
+  }
+  const event = events[0];
+  return (
+    event !== null &&
+    typeof event === 'object' &&
+    typeof event.ph === 'string' &&
+    'pid' in event
+  );
+}
+
+export function getCpuProfileImportInfo(thread: Thread): CpuProfileImportInfo {
+  return {
+    thread,
+    funcKeyToFuncIndex: new Map(),
+    originToResourceIndex: new Map(),
+  };
+}
+
+/**
+ * Find or create the resource for a script URL. Web URLs are grouped by origin,
+ * other URLs are kept as they are.
+ */
+export function getResourceForUrl(
+  importInfo: CpuProfileImportInfo,
+  scriptUrl: string
+): IndexIntoResourceTable {
+  const { thread: { resourceTable, stringTable } } = importInfo;
+  let origin;
+  let host;
+  try {
+    const url = new URL(scriptUrl);
+    if (!(url.protocol === 'http:' || url.protocol === 'https:')) {
+      throw new Error('not a webhost protocol');
+    }
+    origin = url.origin;
+    host = url.host;
+  } catch (e) {
+    origin = scriptUrl;
+    host = null;
+  }
+
+  let resourceIndex = importInfo.originToResourceIndex.get(origin);
+  if (resourceIndex === undefined) {
+    resourceIndex = resourceTable.length++;
+    importInfo.originToResourceIndex.set(origin, resourceIndex);
+    resourceTable.lib[resourceIndex] = null;
+    resourceTable.name[resourceIndex] = stringTable.indexForString(origin);
+    if (host) {
+      resourceTable.host[resourceIndex] = stringTable.indexForString(host);
+      resourceTable.type[resourceIndex] = resourceTypes.webhost;
+    } else {
+      resourceTable.host[resourceIndex] = undefined;
+      resourceTable.type[resourceIndex] = resourceTypes.url;
+    }
+  }
+  return resourceIndex;
+}
+
+/**
+ * Find or create the function for a call frame. Call frames of the same function
+ * are shared between all of the nodes of the CPU profile tree.
+ */
+function _getFuncForCallFrame(
+  importInfo: CpuProfileImportInfo,
+  callFrame: CpuProfileCallFrame
+): IndexIntoFuncTable {
+  const { functionName, url, lineNumber, columnNumber } = callFrame;
+  const funcKey = `${functionName}:${url}:${lineNumber}:${columnNumber}`;
+  let funcIndex = importInfo.funcKeyToFuncIndex.get(funcKey);
+  if (funcIndex === undefined) {
+    const { thread: { funcTable, frameTable, stringTable } } = importInfo;
+    const line = lineNumber >= 0 ? lineNumber + 1 : null;
+    const name = functionName || '(anonymous)';
+
+    funcIndex = funcTable.length++;
+    funcTable.name[funcIndex] = stringTable.indexForString(name);
+    funcTable.address[funcIndex] = -1;
+    funcTable.isJS[funcIndex] = Boolean(url);
+    funcTable.resource[funcIndex] = url
+      ? getResourceForUrl(importInfo, url)
+      : -1;
+    funcTable.fileName[funcIndex] = url
+      ? stringTable.indexForString(url)
+      : null;
+    funcTable.lineNumber[funcIndex] = line;
+
+    // There is only ever a single frame per function. The frame index is the
+    // same as the func index, which avoids the need of another lookup table.
+    const frameIndex = frameTable.length++;
+    frameTable.address[frameIndex] = -1;
+    frameTable.category[frameIndex] = null;
+    frameTable.func[frameIndex] = funcIndex;
+    frameTable.implementation[frameIndex] = null;
+    frameTable.line[frameIndex] = line;
+    frameTable.optimizations[frameIndex] = null;
+
+    importInfo.funcKeyToFuncIndex.set(funcKey, funcIndex);
+  }
+  return funcIndex;
+}
+
+function _isRootCallFrame({ functionName, url }: CpuProfileCallFrame) {
+  return functionName === '(root)' && !url;
+}
+
+/**
+ * Add the samples of a V8 CPU profile to a thread. The profile's nodes are turned
+ * into stacks, and the sample times are made relative to zeroAt. The samples are
+ * appended, so callers that add several profiles to the same thread need to sort
+ * the samples afterwards, see sortSamplesByTime.
+ */
+export function processCpuProfile(
+  importInfo: CpuProfileImportInfo,
+  cpuProfile: CpuProfileData,
+  zeroAt: Microseconds
+): void {
+  const { thread: { stackTable, samples } } = importInfo;
+  const { nodes, timeDeltas, startTime } = cpuProfile;
+
+  const nodeById: Map<number, CpuProfileNode> = new Map();
+  const parentById: Map<number, number> = new Map();
+  for (const node of nodes) {
+    nodeById.set(node.id, node);
+    if (node.parent !== undefined) {
+      parentById.set(node.id, node.parent);
+    }
+    if (node.children) {
+      for (const childId of node.children) {
+        parentById.set(childId, node.id);
+      }
+    }
+  }
+
+  // The root node of the tree isn't a real function, so it has no stack, like in
+  // the other importers. The samples in this node get a null stack.
+  const stackById: Map<number, IndexIntoStackTable | null> = new Map();
+  const getStackForNode = (nodeId: number): IndexIntoStackTable | null => {
+    // Walk up to the first ancestor that already has a stack, then create the
+    // stacks on the way back down. This avoids recursion for deep trees.
+    const pendingNodes = [];
+    let currentId = nodeId;
+    let prefix = null;
+    while (currentId !== undefined) {
+      const stack = stackById.get(currentId);
+      if (stack !== undefined) {
+        prefix = stack;
+        break;
+      }
+      pendingNodes.push(currentId);
+      currentId = parentById.get(currentId);
+    }
+    for (let i = pendingNodes.length - 1; i >= 0; i--) {
+      const pendingId = pendingNodes[i];
+      const node = nodeById.get(pendingId);
+      if (node === undefined) {
+        // The profile refers to a node that it doesn't contain.
+        return prefix;
+      }
+      if (_isRootCallFrame(node.callFrame)) {
+        stackById.set(pendingId, prefix);
+        continue;
+      }
+      const stackIndex = stackTable.length++;
+      stackTable.frame[stackIndex] = _getFuncForCallFrame(
+        importInfo,
+        node.callFrame
+      );
+      stackTable.prefix[stackIndex] = prefix;
+      stackById.set(pendingId, stackIndex);
+      prefix = stackIndex;
+    }
+    return prefix;
+  };
+
+  let time = startTime;
+  for (let i = 0; i < cpuProfile.samples.length; i++) {
+    time += timeDeltas[i] || 0;
+    const sampleIndex = samples.length++;
+    samples.stack[sampleIndex] = getStackForNode(cpuProfile.samples[i]);
+    samples.time[sampleIndex] = (time - zeroAt) / 1000;
+    samples.responsiveness[sampleIndex] = 0;
+  }
+}
+
+/**
+ * Samples of V8 CPU profiles are not guaranteed to be in order. Sort them by time
+ * while keeping the order of samples with the same time.
+ */
+export function sortSamplesByTime(thread: Thread): void {
+  const { samples } = thread;
+  const indexes = samples.time.map((_, i) => i);
+  indexes.sort((a, b) => samples.time[a] - samples.time[b] || a - b);
+  samples.time = indexes.map(i => samples.time[i]);
+  samples.stack = indexes.map(i => samples.stack[i]);
+  samples.responsiveness = indexes.map(i => samples.responsiveness[i]);
+}
+
+/**
+ * Add the tracing intervals to the marker table of the thread. Each interval
+ * becomes a single marker with both of its times, rather than a pair of "start"
+ * and "end" tracing markers: getTracingMarkers would match these by name, which
+ * swaps the ends of interleaved intervals of the same name.
+ */
+export function addTracingMarkers(
+  thread: Thread,
+  intervals: TracingInterval[]
+) {
+  const { markers, stringTable } = thread;
+  const getTime = ({ start, end }: TracingInterval): Milliseconds => {
+    if (start !== null) {
+      return start;
+    }
+    return end === null ? 0 : end;
+  };
+  const sortedIntervals = intervals
+    .map((interval, intervalIndex) => ({ interval, intervalIndex }))
+    .sort(
+      (a, b) =>
+        getTime(a.interval) - getTime(b.interval) ||
+        a.intervalIndex - b.intervalIndex
+    )
+    .map(({ interval }) => interval);
+
+  for (const interval of sortedIntervals) {
+    const markerIndex = markers.length++;
+    markers.name[markerIndex] = stringTable.indexForString(interval.name);
+    markers.time[markerIndex] = getTime(interval);
+    markers.data[markerIndex] = {
+      type: 'TraceEvent',
+      category: interval.category,
+      startTime: interval.start,
+      endTime: interval.end,
+    };
+  }
+}
+
+/**
+ * Convert a trace in the Chrome trace event format into a processed profile.
+ */
+export function convertChromeProfile(
+  json: TraceEvent[] | { traceEvents: TraceEvent[] }
+): Profile {
+  const events = Array.isArray(json) ? json : json.traceEvents;
+
+  // All times are made relative to the earliest event.
+  let zeroAt = Infinity;
+  for (const event of events) {
+    if (event.ph !== 'M' && typeof event.ts === 'number') {
+      zeroAt = Math.min(zeroAt, event.ts);
+    }
+  }
+  if (!Number.isFinite(zeroAt)) {
+    zeroAt = 0;
+  }
+  const toMilliseconds = (time: Microseconds): Milliseconds =>
+    (time - zeroAt) / 1000;
+
+  const threadNames: Map<string, string> = new Map();
+  const processNames: Map<number, string> = new Map();
+  const intervalsByThread: Map<string, TracingInterval[]> = new Map();
+  const openIntervalsByThread: Map<string, TracingInterval[]> = new Map();
+  const cpuProfilesById: Map<string, CpuProfileData> = new Map();
+  const threadKeyByProfileId: Map<string, string> = new Map();
+  const cpuProfileThreadKeys: string[] = [];
+  const threadKeys: string[] = [];
+  const threadPids: Map<string, number> = new Map();
+  const threadTids: Map<string, number> = new Map();
+
+  const getIntervals = (threadKey: string): TracingInterval[] => {
+    let intervals = intervalsByThread.get(threadKey);
+    if (intervals === undefined) {
+      intervals = [];
+      intervalsByThread.set(threadKey, intervals);
+    }
+    return intervals;
+  };
+
+  const getOpenIntervals = (threadKey: string): TracingInterval[] => {
+    let intervals = openIntervalsByThread.get(threadKey);
+    if (intervals === undefined) {
+      intervals = [];
+      openIntervalsByThread.set(threadKey, intervals);
+    }
+    return intervals;
+  };
+
+  const getCpuProfile = (id: string, startTime: Microseconds) => {
+    let cpuProfile = cpuProfilesById.get(id);
+    if (cpuProfile === undefined) {
+      cpuProfile = { startTime, nodes: [], samples: [], timeDeltas: [] };
+      cpuProfilesById.set(id, cpuProfile);
+    }
+    return cpuProfile;
+  };
+
+  for (const event of events) {
+    const { pid, tid, ph, name, id } = event;
+    const threadKey = `${pid}:${tid}`;
+    const args = event.args || {};
+    if (!threadPids.has(threadKey) && ph !== 'M') {
+      threadKeys.push(threadKey);
+      threadPids.set(threadKey, pid);
+      threadTids.set(threadKey, tid);
+    }
+
+    switch (ph) {
+      case 'M':
+        if (name === 'thread_name' && args.name) {
+          threadNames.set(threadKey, args.name);
+        } else if (name === 'process_name' && args.name) {
+          processNames.set(pid, args.name);
+        }
+        break;
+      case 'X':
+        getIntervals(threadKey).push({
+          name,
+          category: event.cat || 'other',
+          start: toMilliseconds(event.ts),
+          end: toMilliseconds(event.ts + (event.dur || 0)),
+        });
+        break;
+      case 'B': {
+        const interval = {
+          name,
+          category: event.cat || 'other',
+          start: toMilliseconds(event.ts),
+          end: null,
+        };
+        getIntervals(threadKey).push(interval);
+        getOpenIntervals(threadKey).push(interval);
+        break;
+      }
+      case 'E': {
+        const interval = getOpenIntervals(threadKey).pop();
+        if (interval) {
+          interval.end = toMilliseconds(event.ts);
+        } else {
+          // The matching "B" event happened before the trace started.
+          getIntervals(threadKey).push({
+            name,
+            category: event.cat || 'other',
+            start: null,
+            end: toMilliseconds(event.ts),
+          });
+        }
+        break;
+      }
+      case 'P':
+      case 'I':
+      case 'i':
+        if (name === 'Profile' && id !== undefined) {
+          const data = args.data || {};
+          const startTime =
+            typeof data.startTime === 'number' ? data.startTime : event.ts;
+          const cpuProfile = getCpuProfile(id, startTime);
+          cpuProfile.startTime = startTime;
+          threadKeyByProfileId.set(id, threadKey);
+        } else if (name === 'ProfileChunk' && id !== undefined) {
+          const data = args.data || {};
+          const chunk = data.cpuProfile || {};
+          const cpuProfile = getCpuProfile(id, event.ts);
+          if (!threadKeyByProfileId.has(id)) {
+            threadKeyByProfileId.set(id, threadKey);
+          }
+          if (chunk.nodes) {
+            cpuProfile.nodes.push(...chunk.nodes);
+          }
+          if (chunk.samples) {
+            cpuProfile.samples.push(...chunk.samples);
+          }
+          if (data.timeDeltas) {
+            cpuProfile.timeDeltas.push(...data.timeDeltas);
+          }
+        } else if (name === 'CpuProfile' && args.data && args.data.cpuProfile) {
+          // Older versions of the DevTools store the whole profile in one event.
+          const cpuProfile = args.data.cpuProfile;
+          const id = `CpuProfile:${threadKey}:${event.ts}`;
+          cpuProfilesById.set(id, {
+            startTime: cpuProfile.startTime,
+            nodes: cpuProfile.nodes || [],
+            samples: cpuProfile.samples || [],
+            timeDeltas: cpuProfile.timeDeltas || [],
+          });
+          threadKeyByProfileId.set(id, threadKey);
+        }
+        break;
+      default:
+      // Other events, e.g. async, flow or counter events, are not supported.
+    }
+  }
+
+  const importInfoByThread: Map<string, CpuProfileImportInfo> = new Map();
+  const threads = threadKeys.map(threadKey => {
+    const pid = threadPids.get(threadKey);
+    const tid = threadTids.get(threadKey);
+    const thread = getEmptyThread({
+      name: threadNames.get(threadKey) || `Thread ${String(tid)}`,
+      processType: (pid !== undefined && processNames.get(pid)) || 'default',
+      pid,
+      tid,
+    });
+    importInfoByThread.set(threadKey, getCpuProfileImportInfo(thread));
+    return thread;
+  });
+
+  for (const [id, cpuProfile] of cpuProfilesById) {
+    const threadKey = threadKeyByProfileId.get(id);
+    const importInfo =
+      threadKey === undefined ? undefined : importInfoByThread.get(threadKey);
+    if (threadKey !== undefined && importInfo !== undefined) {
+      processCpuProfile(importInfo, cpuProfile, zeroAt);
+      cpuProfileThreadKeys.push(threadKey);
+    }
+  }
+
+  threadKeys.forEach((threadKey, threadIndex) => {
+    const thread = threads[threadIndex];
+    if (cpuProfileThreadKeys.includes(threadKey)) {
+      sortSamplesByTime(thread);
+    }
+    const intervals = intervalsByThread.get(threadKey);
+    if (intervals) {
+      addTracingMarkers(thread, intervals);
+    }
+  });
+
+  const profile = getEmptyProfile();
+  profile.meta.product = 'Chrome';
+  profile.meta.interval = getIntervalFromSamples(threads, 1);
+  // Threads without any samples or markers only consist of metadata.
+  profile.threads = threads.filter(
+    thread => thread.samples.length > 0 || thread.markers.length > 0
+  );
+  return profile;
+}
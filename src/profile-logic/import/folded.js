@@ -0,0 +1,133 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// @flow
+import { getEmptyProfile, getEmptyThread } from '../profile-data';
+
+import type {
+  Profile,
+  IndexIntoFuncTable,
+  IndexIntoStackTable,
+} from '../../types/profile';
+
+/**
+ * The "collapsed stack" or "folded" format was made popular by Brendan Gregg's
+ * FlameGraph scripts, and is output by the stackcollapse-* scripts,
+ * async-profiler, py-spy and others. Each line contains a stack, from the root
+ * to the leaf, with its frames separated by semicolons, followed by the number of
+ * samples that had this stack:
+ *
+ *   main;parse;readFile 12
+ *   main;render 30
+ *
+ * The format doesn't contain any time information. Each line becomes a single
+ * sample weighted by its count, and these samples are laid out one after the
+ * other with an interval of 1ms, in the order of the lines.
+ */
+
+// Given:    "main;parse;readFile 12"
+// Captures:  1^^^^^^^^^^^^^^^^^^ 2^
+const FOLDED_LINE_REGEXP = /^(.*\S)\s+(\d+)$/;
+
+const SYNTHETIC_INTERVAL = 1;
+
+/**
+ * Check the first lines of the text, they all need to be folded stacks. Only the
+ * beginning of the text is looked at, as this is also called for large JSON
+ * profiles.
+ */
+export function isFoldedStackFormat(text: string): boolean {
+  const lines = text
+    .slice(0, 65536)
+    .split('\n')
+    .slice(0, 100)
+    .filter(line => line.trim() !== '');
+  if (text.length > 65536) {
+    // The last line may have been cut in the middle.
+    lines.pop();
+  }
+  return lines.length > 0 && lines.every(line => FOLDED_LINE_REGEXP.test(line));
+}
+
+/**
+ * Convert folded stacks into a processed profile with a single thread.
+ */
+export function convertFoldedStackProfile(text: string): Profile {
+  const thread = getEmptyThread({ name: 'Folded Stacks' });
+  const { samples, stackTable, frameTable, funcTable, stringTable } = thread;
+  const weight = [];
+  samples.weight = weight;
+  samples.weightType = 'samples';
+  const nameToFuncIndex: Map<string, IndexIntoFuncTable> = new Map();
+  const stackKeyToStackIndex: Map<string, IndexIntoStackTable> = new Map();
+
+  // There is only a single frame per func, and the frame index is the same as
+  // the func index.
+  const getFuncIndex = (name: string): IndexIntoFuncTable => {
+    let funcIndex = nameToFuncIndex.get(name);
+    if (funcIndex === undefined) {
+      funcIndex = funcTable.length++;
+      funcTable.name[funcIndex] = stringTable.indexForString(name);
+      funcTable.address[funcIndex] = -1;
+      funcTable.isJS[funcIndex] = false;
+      funcTable.resource[funcIndex] = -1;
+      funcTable.fileName[funcIndex] = null;
+      funcTable.lineNumber[funcIndex] = null;
+
+      const frameIndex = frameTable.length++;
+      frameTable.address[frameIndex] = -1;
+      frameTable.category[frameIndex] = null;
+      frameTable.func[frameIndex] = funcIndex;
+      frameTable.implementation[frameIndex] = null;
+      frameTable.line[frameIndex] = null;
+      frameTable.optimizations[frameIndex] = null;
+
+      nameToFuncIndex.set(name, funcIndex);
+    }
+    return funcIndex;
+  };
+
+  let time = 0;
+  for (const line of text.split('\n')) {
+    const match = FOLDED_LINE_REGEXP.exec(line.trim());
+    if (!match) {
+      continue;
+    }
+    const [, stackString, countString] = match;
+
+    let prefix = null;
+    for (const name of stackString.split(';')) {
+      if (name === '') {
+        continue;
+      }
+      const frameIndex = getFuncIndex(name);
+      const stackKey = `${prefix === null ? '' : prefix}:${frameIndex}`;
+      let stackIndex = stackKeyToStackIndex.get(stackKey);
+      if (stackIndex === undefined) {
+        stackIndex = stackTable.length++;
+        stackTable.frame[stackIndex] = frameIndex;
+        stackTable.prefix[stackIndex] = prefix;
+        stackKeyToStackIndex.set(stackKey, stackIndex);
+      }
+      prefix = stackIndex;
+    }
+
+    const count = parseInt(countString, 10);
+    if (count === 0) {
+      continue;
+    }
+    const sampleIndex = samples.length++;
+    samples.stack[sampleIndex] = prefix;
+    samples.time[sampleIndex] = time;
+    samples.responsiveness[sampleIndex] = 0;
+    weight[sampleIndex] = count;
+    time += SYNTHETIC_INTERVAL;
+  }
+
+  const profile = getEmptyProfile();
+  profile.meta.product = 'Folded Stacks';
+  profile.meta.interval = SYNTHETIC_INTERVAL;
+  profile.threads.push(thread);
+  return profile;
+}
@@ -0,0 +1,264 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// @flow
+import {
+  getEmptyProfile,
+  getEmptyThread,
+  getIntervalFromSamples,
+  resourceTypes,
+} from '../profile-data';
+
+import type {
+  Profile,
+  Thread,
+  IndexIntoFuncTable,
+  IndexIntoResourceTable,
+  IndexIntoStackTable,
+} from '../../types/profile';
+import type { Milliseconds } from '../../types/units';
+
+/**
+ * Linux perf records samples with `perf record -g`, and `perf script` prints them
+ * as text. Each sample starts with a header line, followed by one line per frame
+ * of the call stack, from the innermost to the outermost frame, and ends with an
+ * empty line:
+ *
+ *   firefox  4321/4330 [002] 81536.573431:     250000 cpu-clock:
+ *           ffffffff8e2a1fd5 clear_page_erms ([kernel.kallsyms])
+ *               7f62f2b5e2e0 moz_xmalloc+0x10 (/usr/lib/firefox/libmozglue.so)
+ *               55c2a8e0d1b4 main (/usr/lib/firefox/firefox)
+ *
+ * The pid is only printed along with the tid when requested, e.g. with
+ * `perf script -F +pid`. Every pid/tid pair results in its own thread. The
+ * DSO (dynamic shared object) of each frame becomes a library.
+ */
+
+type ThreadInfo = {|
+  thread: Thread,
+  funcKeyToFuncIndex: Map<string, IndexIntoFuncTable>,
+  dsoToResourceIndex: Map<string, IndexIntoResourceTable>,
+  stackKeyToStackIndex: Map<string, IndexIntoStackTable>,
+|};
+
+type PerfFrame = {|
+  address: string,
+  symbol: string,
+  dso: string,
+|};
+
+// The command name may be padded with spaces on the left.
+// Given:    "firefox  4321/4330 [002] 81536.573431: 250000 cpu-clock:"
+// Captures:  1^^^^^^  2^^^ 3^^^  4^^  5^^^^^^^^^^^
+const SAMPLE_HEADER_REGEXP = /^\s*(\S.*?)\s+(?:(\d+)\/)?(\d+)\s+(?:\[(\d+)\]\s+)?(\d+\.\d+):/;
+
+// Given:    "    7f62f2b5e2e0 moz_xmalloc+0x10 (/usr/lib/firefox/libmozglue.so)"
+// Captures:      1^^^^^^^^^^^ 2^^^^^^^^^^^^^^^  3^^^^^^^^^^^^^^^^^^^^^^^^^^^^^
+const FRAME_REGEXP = /^\s+([0-9a-fA-F]+)\s+(.+?)\s+\(([^()]*)\)\s*$/;
+
+/**
+ * Check the first line that isn't a comment, this is the header of the first
+ * sample. Only the beginning of the text is looked at, as this is also called for
+ * large JSON profiles.
+ */
+export function isPerfScriptFormat(text: string): boolean {
+  const lines = text.slice(0, 65536).split('\n');
+  for (const line of lines) {
+    if (line.trim() !== '' && !line.startsWith('#')) {
+      return SAMPLE_HEADER_REGEXP.test(line);
+    }
+  }
+  return false;
+}
+
+function _basename(path: string): string {
+  return path.slice(path.lastIndexOf('/') + 1);
+}
+
+/**
+ * Find or create the resource of a DSO, and the library it points to.
+ */
+function _getResourceForDso(
+  threadInfo: ThreadInfo,
+  dso: string
+): IndexIntoResourceTable | -1 {
+  if (dso === '' || dso === '[unknown]') {
+    return -1;
+  }
+  let resourceIndex = threadInfo.dsoToResourceIndex.get(dso);
+  if (resourceIndex === undefined) {
+    const { thread: { libs, resourceTable, stringTable } } = threadInfo;
+    const name = _basename(dso);
+    const libIndex = libs.length;
+    libs.push({
+      start: 0,
+      end: 0,
+      offset: 0,
+      arch: '',
+      name,
+      path: dso,
+      debugName: name,
+      debugPath: dso,
+      breakpadId: '',
+    });
+
+    resourceIndex = resourceTable.length++;
+    resourceTable.lib[resourceIndex] = libIndex;
+    resourceTable.name[resourceIndex] = stringTable.indexForString(name);
+    resourceTable.host[resourceIndex] = undefined;
+    resourceTable.type[resourceIndex] = resourceTypes.library;
+    threadInfo.dsoToResourceIndex.set(dso, resourceIndex);
+  }
+  return resourceIndex;
+}
+
+/**
+ * Find or create the func for a frame. There is only a single frame per func, and
+ * the frame index is the same as the func index.
+ */
+function _getFuncForFrame(
+  threadInfo: ThreadInfo,
+  { address, symbol, dso }: PerfFrame
+): IndexIntoFuncTable {
+  // Remove the offset into the function, e.g. "moz_xmalloc+0x10".
+  let name = symbol.replace(/\+0x[0-9a-fA-F]+$/, '');
+  if (name === '[unknown]') {
+    // Without a symbol, at least keep the address to tell the frames apart.
+    name = `0x${address}`;
+  }
+  const funcKey = `${name} ${dso}`;
+  let funcIndex = threadInfo.funcKeyToFuncIndex.get(funcKey);
+  if (funcIndex === undefined) {
+    const { thread: { funcTable, frameTable, stringTable } } = threadInfo;
+    funcIndex = funcTable.length++;
+    funcTable.name[funcIndex] = stringTable.indexForString(name);
+    funcTable.address[funcIndex] = -1;
+    funcTable.isJS[funcIndex] = false;
+    funcTable.resource[funcIndex] = _getResourceForDso(threadInfo, dso);
+    funcTable.fileName[funcIndex] = null;
+    funcTable.lineNumber[funcIndex] = null;
+
+    const frameIndex = frameTable.length++;
+    frameTable.address[frameIndex] = -1;
+    frameTable.category[frameIndex] = null;
+    frameTable.func[frameIndex] = funcIndex;
+    frameTable.implementation[frameIndex] = null;
+    frameTable.line[frameIndex] = null;
+    frameTable.optimizations[frameIndex] = null;
+
+    threadInfo.funcKeyToFuncIndex.set(funcKey, funcIndex);
+  }
+  return funcIndex;
+}
+
+/**
+ * Add a sample to the thread. The frames go from the innermost to the outermost
+ * one, as printed by perf script.
+ */
+function _addSample(
+  threadInfo: ThreadInfo,
+  time: Milliseconds,
+  frames: PerfFrame[]
+) {
+  const { thread: { stackTable, samples }, stackKeyToStackIndex } = threadInfo;
+  let prefix = null;
+  for (let i = frames.length - 1; i >= 0; i--) {
+    const frameIndex = _getFuncForFrame(threadInfo, frames[i]);
+    const stackKey = `${prefix === null ? '' : prefix}:${frameIndex}`;
+    let stackIndex = stackKeyToStackIndex.get(stackKey);
+    if (stackIndex === undefined) {
+      stackIndex = stackTable.length++;
+      stackTable.frame[stackIndex] = frameIndex;
+      stackTable.prefix[stackIndex] = prefix;
+      stackKeyToStackIndex.set(stackKey, stackIndex);
+    }
+    prefix = stackIndex;
+  }
+
+  const sampleIndex = samples.length++;
+  samples.stack[sampleIndex] = prefix;
+  samples.time[sampleIndex] = time;
+  samples.responsiveness[sampleIndex] = 0;
+}
+
+/**
+ * Convert the text output of `perf script` into a processed profile.
+ */
+export function convertPerfScriptProfile(text: string): Profile {
+  const threadInfos: Map<string, ThreadInfo> = new Map();
+  const threads = [];
+  let zeroAt = null;
+
+  // The sample that is currently being parsed.
+  let threadInfo = null;
+  let time = 0;
+  let frames = [];
+
+  const finishSample = () => {
+    if (threadInfo !== null) {
+      _addSample(threadInfo, time, frames);
+    }
+    threadInfo = null;
+    frames = [];
+  };
+
+  for (const line of text.split('\n')) {
+    if (line.startsWith('#')) {
+      continue;
+    }
+    if (line.trim() === '') {
+      finishSample();
+      continue;
+    }
+
+    const headerMatch = SAMPLE_HEADER_REGEXP.exec(line);
+    if (headerMatch) {
+      // Some perf versions don't separate samples without stacks with an empty
+      // line.
+      finishSample();
+
+      const [, comm, pidString, tidString, , timeString] = headerMatch;
+      const threadKey = `${pidString || ''}/${tidString}`;
+      let info = threadInfos.get(threadKey);
+      if (info === undefined) {
+        const thread = getEmptyThread({
+          name: comm,
+          pid: pidString === undefined ? undefined : Number(pidString),
+          tid: Number(tidString),
+        });
+        threads.push(thread);
+        info = {
+          thread,
+          funcKeyToFuncIndex: new Map(),
+          dsoToResourceIndex: new Map(),
+          stackKeyToStackIndex: new Map(),
+        };
+        threadInfos.set(threadKey, info);
+      }
+      threadInfo = info;
+
+      // The time is printed in seconds.
+      const absoluteTime = parseFloat(timeString) * 1000;
+      if (zeroAt === null) {
+        zeroAt = absoluteTime;
+      }
+      time = absoluteTime - zeroAt;
+      continue;
+    }
+
+    const frameMatch = FRAME_REGEXP.exec(line);
+    if (frameMatch && threadInfo !== null) {
+      const [, address, symbol, dso] = frameMatch;
+      frames.push({ address, symbol, dso });
+    }
+    // Other lines, e.g. the source lines printed with "-F +srcline", are ignored.
+  }
+  finishSample();
+
+  const profile = getEmptyProfile();
+  profile.meta.product = 'Linux perf';
+  profile.meta.interval = getIntervalFromSamples(threads, 1);
+  profile.threads = threads;
+  return profile;
+}
@@ -0,0 +1,563 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// @flow
+import {
+  getEmptyProfile,
+  getEmptyThread,
+  resourceTypes,
+} from '../profile-data';
+
+import type {
+  Profile,
+  Thread,
+  Lib,
+  IndexIntoFuncTable,
+  IndexIntoFrameTable,
+  IndexIntoResourceTable,
+  IndexIntoStackTable,
+} from '../../types/profile';
+import type { Milliseconds } from '../../types/units';
+
+/**
+ * pprof is the profiler of Go, and gperftools and other tools for C++ also use
+ * its format. A profile is a protocol buffer message, usually gzipped, that is
+ * described here:
+ * https://github.com/google/pprof/blob/master/proto/profile.proto
+ *
+ * Decompressing is left to the caller, as it's asynchronous. The message itself
+ * is decoded here, without any protobuf library, as only a handful of messages
+ * are needed.
+ *
+ * Each sample has a list of values, one per sample type, e.g. "alloc_objects"
+ * and "alloc_space" for a heap profile. Every sample type becomes a thread, so
+ * that a metric can be chosen by selecting its thread. The values become the
+ * weights of the samples: durations are traced milliseconds, sizes are bytes,
+ * and anything else is a number of samples, that each last for the sampling
+ * period. The samples don't have a time, they are laid out one after the other,
+ * each lasting for its value when the value is a duration, and for a
+ * millisecond otherwise.
+ */
+
+/**
+ * The decoded fields of a message, by field number. Varints are decoded as
+ * numbers, and length-delimited fields are kept as bytes, as they can be
+ * strings, embedded messages or packed repeated fields.
+ */
+type ProtobufFields = Map<number, Array<number | Uint8Array>>;
+
+type PprofValueType = {|
+  type: string,
+  unit: string,
+|};
+
+type PprofMapping = {|
+  memoryStart: number,
+  memoryLimit: number,
+  fileOffset: number,
+  filename: string,
+  buildId: string,
+|};
+
+type PprofLine = {|
+  functionId: number,
+  line: number,
+|};
+
+type PprofLocation = {|
+  mappingId: number,
+  address: number,
+  // The first line is the innermost, inlined, frame.
+  lines: PprofLine[],
+|};
+
+type PprofFunction = {|
+  name: string,
+  filename: string,
+  startLine: number,
+|};
+
+type PprofSample = {|
+  // The first location is the leaf.
+  locationIds: number[],
+  values: number[],
+|};
+
+type PprofProfile = {|
+  sampleTypes: PprofValueType[],
+  samples: PprofSample[],
+  mappings: Map<number, PprofMapping>,
+  locations: Map<number, PprofLocation>,
+  functions: Map<number, PprofFunction>,
+  timeNanos: number,
+  periodType: PprofValueType,
+  period: number,
+  defaultSampleType: string,
+|};
+
+/**
+ * The information needed to add the samples of a sample type to a thread. The
+ * keys of the maps are pprof ids.
+ */
+type ThreadInfo = {|
+  thread: Thread,
+  mappingIdToResourceIndex: Map<number, IndexIntoResourceTable>,
+  funcKeyToFuncIndex: Map<string, IndexIntoFuncTable>,
+  locationIdToFrameIndexes: Map<number, IndexIntoFrameTable[]>,
+  stackKeyToStackIndex: Map<string, IndexIntoStackTable>,
+|};
+
+const WIRE_TYPE_VARINT = 0;
+const WIRE_TYPE_64BIT = 1;
+const WIRE_TYPE_LENGTH_DELIMITED = 2;
+const WIRE_TYPE_32BIT = 5;
+
+const MILLISECONDS_PER_UNIT: { [unit: string]: Milliseconds } = {
+  nanoseconds: 1e-6,
+  microseconds: 1e-3,
+  milliseconds: 1,
+  seconds: 1000,
+};
+
+const SYNTHETIC_INTERVAL: Milliseconds = 1;
+
+/**
+ * Decode a varint starting at `position`. JavaScript numbers can't hold all
+ * 64-bit integers, large values such as kernel addresses lose some precision.
+ * Negative int64 values are encoded as 10-byte varints, and are decoded as large
+ * positive numbers.
+ */
+function _readVarint(
+  bytes: Uint8Array,
+  position: number
+): {| value: number, position: number |} {
+  let value = 0;
+  let multiplier = 1;
+  let byte;
+  do {
+    if (position >= bytes.length) {
+      throw new Error('The protocol buffer ended in the middle of a varint.');
+    }
+    byte = bytes[position++];
+    value += (byte & 0x7f) * multiplier;
+    multiplier *= 128;
+  } while (byte & 0x80);
+  return { value, position };
+}
+
+function _decodeMessage(bytes: Uint8Array): ProtobufFields {
+  const fields = new Map();
+  let position = 0;
+  while (position < bytes.length) {
+    const key = _readVarint(bytes, position);
+    position = key.position;
+    const fieldNumber = Math.floor(key.value / 8);
+    const wireType = key.value & 0x7;
+    let value;
+    switch (wireType) {
+      case WIRE_TYPE_VARINT: {
+        const varint = _readVarint(bytes, position);
+        value = varint.value;
+        position = varint.position;
+        break;
+      }
+      case WIRE_TYPE_LENGTH_DELIMITED: {
+        const length = _readVarint(bytes, position);
+        position = length.position + length.value;
+        if (position > bytes.length) {
+          throw new Error(
+            'A field goes beyond the end of the protocol buffer.'
+          );
+        }
+        value = bytes.subarray(length.position, position);
+        break;
+      }
+      // No field of profile.proto uses fixed-size values, they are skipped.
+      case WIRE_TYPE_64BIT:
+        position += 8;
+        continue;
+      case WIRE_TYPE_32BIT:
+        position += 4;
+        continue;
+      default:
+        throw new Error(`Unsupported protocol buffer wire type: ${wireType}`);
+    }
+    let values = fields.get(fieldNumber);
+    if (values === undefined) {
+      values = [];
+      fields.set(fieldNumber, values);
+    }
+    values.push(value);
+  }
+  return fields;
+}
+
+function _getNumber(fields: ProtobufFields, fieldNumber: number): number {
+  const values = fields.get(fieldNumber);
+  const value = values ? values[values.length - 1] : 0;
+  return typeof value === 'number' ? value : 0;
+}
+
+/**
+ * Repeated numbers can be either packed into a single length-delimited field, or
+ * be a list of varints.
+ */
+function _getNumbers(fields: ProtobufFields, fieldNumber: number): number[] {
+  const numbers = [];
+  for (const value of fields.get(fieldNumber) || []) {
+    if (typeof value === 'number') {
+      numbers.push(value);
+    } else {
+      let position = 0;
+      while (position < value.length) {
+        const varint = _readVarint(value, position);
+        numbers.push(varint.value);
+        position = varint.position;
+      }
+    }
+  }
+  return numbers;
+}
+
+function _getMessages(
+  fields: ProtobufFields,
+  fieldNumber: number
+): ProtobufFields[] {
+  const messages = [];
+  for (const value of fields.get(fieldNumber) || []) {
+    if (typeof value !== 'number') {
+      messages.push(_decodeMessage(value));
+    }
+  }
+  return messages;
+}
+
+function _decodeProfile(bytes: Uint8Array): PprofProfile {
+  const fields = _decodeMessage(bytes);
+
+  const textDecoder = new TextDecoder();
+  const strings = (fields.get(6) || []).map(
+    value => (typeof value === 'number' ? '' : textDecoder.decode(value))
+  );
+  if (strings[0] !== '') {
+    throw new Error('The first string of a pprof profile must be empty.');
+  }
+  const getString = (fields, fieldNumber) =>
+    strings[_getNumber(fields, fieldNumber)] || '';
+  const getValueType = fields => ({
+    type: getString(fields, 1),
+    unit: getString(fields, 2),
+  });
+
+  const mappings = new Map();
+  for (const mapping of _getMessages(fields, 3)) {
+    mappings.set(_getNumber(mapping, 1), {
+      memoryStart: _getNumber(mapping, 2),
+      memoryLimit: _getNumber(mapping, 3),
+      fileOffset: _getNumber(mapping, 4),
+      filename: getString(mapping, 5),
+      buildId: getString(mapping, 6),
+    });
+  }
+
+  const locations = new Map();
+  for (const location of _getMessages(fields, 4)) {
+    locations.set(_getNumber(location, 1), {
+      mappingId: _getNumber(location, 2),
+      address: _getNumber(location, 3),
+      lines: _getMessages(location, 4).map(line => ({
+        functionId: _getNumber(line, 1),
+        line: _getNumber(line, 2),
+      })),
+    });
+  }
+
+  const functions = new Map();
+  for (const func of _getMessages(fields, 5)) {
+    functions.set(_getNumber(func, 1), {
+      name: getString(func, 2) || getString(func, 3),
+      filename: getString(func, 4),
+      startLine: _getNumber(func, 5),
+    });
+  }
+
+  return {
+    sampleTypes: _getMessages(fields, 1).map(getValueType),
+    samples: _getMessages(fields, 2).map(sample => ({
+      locationIds: _getNumbers(sample, 1),
+      values: _getNumbers(sample, 2),
+    })),
+    mappings,
+    locations,
+    functions,
+    timeNanos: _getNumber(fields, 9),
+    periodType: getValueType(_getMessages(fields, 11)[0] || new Map()),
+    period: _getNumber(fields, 12),
+    defaultSampleType: getString(fields, 14),
+  };
+}
+
+// The profiles decoded by isPprofProfile, so that convertPprofProfile doesn't
+// need to decode them again.
+const _decodedProfiles: WeakMap<Uint8Array, PprofProfile> = new WeakMap();
+
+/**
+ * There is no magic number in protocol buffers. Check that the message starts
+ * with a sample type, which is the first field of a profile, and that it can be
+ * decoded.
+ */
+export function isPprofProfile(bytes: Uint8Array): boolean {
+  // Field 1, length-delimited.
+  if (bytes.length === 0 || bytes[0] !== 0x0a) {
+    return false;
+  }
+  try {
+    _decodedProfiles.set(bytes, _decodeProfile(bytes));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function _basename(path: string): string {
+  return path.slice(path.lastIndexOf('/') + 1);
+}
+
+/**
+ * Find or create the resource of a mapping, and the library it points to.
+ */
+function _getResourceForMapping(
+  threadInfo: ThreadInfo,
+  pprof: PprofProfile,
+  mappingId: number
+): IndexIntoResourceTable | -1 {
+  const mapping = pprof.mappings.get(mappingId);
+  if (mapping === undefined || mapping.filename === '') {
+    return -1;
+  }
+  let resourceIndex = threadInfo.mappingIdToResourceIndex.get(mappingId);
+  if (resourceIndex === undefined) {
+    const { thread: { libs, resourceTable, stringTable } } = threadInfo;
+    const name = _basename(mapping.filename);
+    const lib: Lib = {
+      start: mapping.memoryStart,
+      end: mapping.memoryLimit,
+      offset: mapping.fileOffset,
+      arch: '',
+      name,
+      path: mapping.filename,
+      debugName: name,
+      debugPath: mapping.filename,
+      breakpadId: mapping.buildId,
+    };
+    const libIndex = libs.length;
+    libs.push(lib);
+
+    resourceIndex = resourceTable.length++;
+    resourceTable.lib[resourceIndex] = libIndex;
+    resourceTable.name[resourceIndex] = stringTable.indexForString(name);
+    resourceTable.host[resourceIndex] = undefined;
+    resourceTable.type[resourceIndex] = resourceTypes.library;
+    threadInfo.mappingIdToResourceIndex.set(mappingId, resourceIndex);
+  }
+  return resourceIndex;
+}
+
+function _getFunc(
+  threadInfo: ThreadInfo,
+  funcKey: string,
+  name: string,
+  resource: IndexIntoResourceTable | -1,
+  fileName: string,
+  lineNumber: number
+): IndexIntoFuncTable {
+  let funcIndex = threadInfo.funcKeyToFuncIndex.get(funcKey);
+  if (funcIndex === undefined) {
+    const { funcTable, stringTable } = threadInfo.thread;
+    funcIndex = funcTable.length++;
+    funcTable.name[funcIndex] = stringTable.indexForString(name);
+    funcTable.address[funcIndex] = -1;
+    funcTable.isJS[funcIndex] = false;
+    funcTable.resource[funcIndex] = resource;
+    funcTable.fileName[funcIndex] = fileName
+      ? stringTable.indexForString(fileName)
+      : null;
+    funcTable.lineNumber[funcIndex] = lineNumber || null;
+    threadInfo.funcKeyToFuncIndex.set(funcKey, funcIndex);
+  }
+  return funcIndex;
+}
+
+/**
+ * Find or create the frames of a location, from the outermost to the innermost.
+ * A location has several frames when functions were inlined. Locations without
+ * any line information weren't symbolicated, their address is used as the name.
+ */
+function _getFramesForLocation(
+  threadInfo: ThreadInfo,
+  pprof: PprofProfile,
+  locationId: number
+): IndexIntoFrameTable[] {
+  const cachedFrameIndexes = threadInfo.locationIdToFrameIndexes.get(
+    locationId
+  );
+  if (cachedFrameIndexes === undefined) {
+    const frameIndexes = [];
+    const location = pprof.locations.get(locationId);
+    if (location !== undefined) {
+      const { frameTable } = threadInfo.thread;
+      const resource = _getResourceForMapping(
+        threadInfo,
+        pprof,
+        location.mappingId
+      );
+      const addFrame = (funcIndex, line) => {
+        const frameIndex = frameTable.length++;
+        frameTable.address[frameIndex] = location.address || -1;
+        frameTable.category[frameIndex] = null;
+        frameTable.func[frameIndex] = funcIndex;
+        frameTable.implementation[frameIndex] = null;
+        frameTable.line[frameIndex] = line || null;
+        frameTable.optimizations[frameIndex] = null;
+        frameIndexes.push(frameIndex);
+      };
+
+      if (location.lines.length === 0) {
+        const name = `0x${location.address.toString(16)}`;
+        addFrame(
+          _getFunc(
+            threadInfo,
+            `${location.mappingId}:${name}`,
+            name,
+            resource,
+            '',
+            0
+          ),
+          0
+        );
+      }
+      for (let i = location.lines.length - 1; i >= 0; i--) {
+        const { functionId, line } = location.lines[i];
+        const func = pprof.functions.get(functionId) || {
+          name: `Function ${functionId}`,
+          filename: '',
+          startLine: 0,
+        };
+        addFrame(
+          _getFunc(
+            threadInfo,
+            `${location.mappingId}:${functionId}`,
+            func.name,
+            resource,
+            func.filename,
+            func.startLine
+          ),
+          line
+        );
+      }
+    }
+    threadInfo.locationIdToFrameIndexes.set(locationId, frameIndexes);
+    return frameIndexes;
+  }
+  return cachedFrameIndexes;
+}
+
+function _processSampleType(
+  pprof: PprofProfile,
+  sampleTypeIndex: number
+): Thread {
+  const { type, unit } = pprof.sampleTypes[sampleTypeIndex];
+  const thread = getEmptyThread({
+    name: unit ? `${type} (${unit})` : type,
+  });
+  const threadInfo = {
+    thread,
+    mappingIdToResourceIndex: new Map(),
+    funcKeyToFuncIndex: new Map(),
+    locationIdToFrameIndexes: new Map(),
+    stackKeyToStackIndex: new Map(),
+  };
+  const { samples, stackTable } = thread;
+  const millisecondsPerUnit = MILLISECONDS_PER_UNIT[unit];
+  const weight = [];
+  samples.weight = weight;
+  if (millisecondsPerUnit !== undefined) {
+    samples.weightType = 'tracing-ms';
+  } else if (unit === 'bytes') {
+    samples.weightType = 'bytes';
+  } else {
+    samples.weightType = 'samples';
+  }
+
+  let time = 0;
+  for (const { locationIds, values } of pprof.samples) {
+    const value = values[sampleTypeIndex];
+    if (!value) {
+      continue;
+    }
+
+    let prefix = null;
+    for (let i = locationIds.length - 1; i >= 0; i--) {
+      for (const frameIndex of _getFramesForLocation(
+        threadInfo,
+        pprof,
+        locationIds[i]
+      )) {
+        const stackKey = `${prefix === null ? '' : prefix}:${frameIndex}`;
+        let stackIndex = threadInfo.stackKeyToStackIndex.get(stackKey);
+        if (stackIndex === undefined) {
+          stackIndex = stackTable.length++;
+          stackTable.frame[stackIndex] = frameIndex;
+          stackTable.prefix[stackIndex] = prefix;
+          threadInfo.stackKeyToStackIndex.set(stackKey, stackIndex);
+        }
+        prefix = stackIndex;
+      }
+    }
+
+    const sampleIndex = samples.length++;
+    samples.stack[sampleIndex] = prefix;
+    samples.time[sampleIndex] = time;
+    samples.responsiveness[sampleIndex] = 0;
+    weight[sampleIndex] =
+      millisecondsPerUnit === undefined ? value : value * millisecondsPerUnit;
+    time +=
+      millisecondsPerUnit === undefined
+        ? SYNTHETIC_INTERVAL
+        : value * millisecondsPerUnit;
+  }
+  return thread;
+}
+
+/**
+ * Convert a decompressed pprof profile into a processed profile, with a thread
+ * per sample type. The default sample type comes first.
+ */
+export function convertPprofProfile(bytes: Uint8Array): Profile {
+  const pprof = _decodedProfiles.get(bytes) || _decodeProfile(bytes);
+  const sampleTypeIndexes = pprof.sampleTypes.map((_, index) => index);
+  const defaultIndex = pprof.sampleTypes.findIndex(
+    ({ type }) => type === pprof.defaultSampleType
+  );
+  if (defaultIndex !== -1) {
+    sampleTypeIndexes.splice(defaultIndex, 1);
+    sampleTypeIndexes.unshift(defaultIndex);
+  }
+  const threads = sampleTypeIndexes.map(index =>
+    _processSampleType(pprof, index)
+  );
+
+  const profile = getEmptyProfile();
+  profile.meta.product = 'pprof';
+  profile.meta.startTime = pprof.timeNanos / 1e6;
+  // Samples that are counted last for the sampling period, when it's a duration.
+  const millisecondsPerPeriodUnit =
+    MILLISECONDS_PER_UNIT[pprof.periodType.unit];
+  profile.meta.interval =
+    millisecondsPerPeriodUnit !== undefined && pprof.period > 0
+      ? pprof.period * millisecondsPerPeriodUnit
+      : SYNTHETIC_INTERVAL;
+  profile.threads = threads;
+  return profile;
+}
@@ -0,0 +1,377 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// @flow
+import {
+  getEmptyProfile,
+  getEmptyThread,
+  getIntervalFromSamples,
+} from '../profile-data';
+import {
+  getCpuProfileImportInfo,
+  getResourceForUrl,
+  addTracingMarkers,
+} from './chrome';
+
+import type {
+  Profile,
+  Thread,
+  IndexIntoFuncTable,
+  IndexIntoStackTable,
+} from '../../types/profile';
+import type { Milliseconds } from '../../types/units';
+import type { CpuProfileImportInfo, TracingInterval } from './chrome';
+
+/**
+ * speedscope (https://www.speedscope.app) has its own file format, which is
+ * described here:
+ * https://github.com/jlfwong/speedscope/blob/master/src/lib/file-format-spec.ts
+ *
+ * A file holds a list of frames that are shared between all of its profiles.
+ * There are two kinds of profiles:
+ *
+ *  - "sampled" profiles contain a list of stacks, each with a weight.
+ *  - "evented" profiles contain a list of events that open and close frames.
+ *
+ * Every profile becomes a thread. The samples of sampled profiles keep their
+ * weight, and are laid out one after the other, each lasting for its weight.
+ * Evented profiles become tracing markers, one per opened and closed frame, and
+ * are also sampled at a fixed interval, so that the call tree and the flame
+ * graph work for them.
+ */
+
+type SpeedscopeFrame = {
+  name: string,
+  file?: string,
+  line?: number,
+  col?: number,
+};
+
+type SpeedscopeUnit =
+  | 'none'
+  | 'nanoseconds'
+  | 'microseconds'
+  | 'milliseconds'
+  | 'seconds'
+  | 'bytes';
+
+type SpeedscopeEvent = {
+  type: 'O' | 'C',
+  at: number,
+  frame: number,
+};
+
+type SpeedscopeEventedProfile = {
+  type: 'evented',
+  name: string,
+  unit: SpeedscopeUnit,
+  startValue: number,
+  endValue: number,
+  events: SpeedscopeEvent[],
+};
+
+type SpeedscopeSampledProfile = {
+  type: 'sampled',
+  name: string,
+  unit: SpeedscopeUnit,
+  startValue: number,
+  endValue: number,
+  samples: Array<number[]>,
+  weights: number[],
+};
+
+type SpeedscopeFile = {
+  $schema: string,
+  shared: { frames: SpeedscopeFrame[] },
+  profiles: Array<SpeedscopeEventedProfile | SpeedscopeSampledProfile>,
+  name?: string,
+  exporter?: string,
+};
+
+/**
+ * The information needed to add the stacks of a speedscope profile to a thread.
+ */
+type ThreadInfo = {|
+  importInfo: CpuProfileImportInfo,
+  frameToFuncIndex: Map<number, IndexIntoFuncTable>,
+  stackKeyToStackIndex: Map<string, IndexIntoStackTable>,
+|};
+
+const SPEEDSCOPE_SCHEMA = 'https://www.speedscope.app/file-format-schema.json';
+
+// Evented profiles are sampled with this interval, unless they are too short
+// or too long for it, see _getSyntheticInterval.
+const SYNTHETIC_INTERVAL: Milliseconds = 1;
+const MIN_SYNTHETIC_SAMPLE_COUNT = 1000;
+const MAX_SYNTHETIC_SAMPLE_COUNT = 100000;
+
+export function isSpeedscopeProfile(json: mixed): boolean {
+  return (
+    json !== null &&
+    typeof json === 'object' &&
+    json.$schema === SPEEDSCOPE_SCHEMA
+  );
+}
+
+/**
+ * Returns the number of milliseconds in one unit, or null if the unit isn't a
+ * unit of time.
+ */
+function _getMillisecondsPerUnit(unit: SpeedscopeUnit): Milliseconds | null {
+  switch (unit) {
+    case 'nanoseconds':
+      return 1e-6;
+    case 'microseconds':
+      return 1e-3;
+    case 'milliseconds':
+      return 1;
+    case 'seconds':
+      return 1000;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Returns null for profiles without any duration, as there is nothing to sample
+ * then.
+ */
+function _getSyntheticInterval(duration: Milliseconds): Milliseconds | null {
+  if (!(duration > 0)) {
+    return null;
+  }
+  return Math.min(
+    Math.max(SYNTHETIC_INTERVAL, duration / MAX_SYNTHETIC_SAMPLE_COUNT),
+    duration / MIN_SYNTHETIC_SAMPLE_COUNT
+  );
+}
+
+function _getThreadInfo(thread: Thread): ThreadInfo {
+  return {
+    importInfo: getCpuProfileImportInfo(thread),
+    frameToFuncIndex: new Map(),
+    stackKeyToStackIndex: new Map(),
+  };
+}
+
+/**
+ * Find or create the func for a shared frame. There is only a single frame per
+ * func, and the frame index is the same as the func index.
+ */
+function _getFuncForFrame(
+  threadInfo: ThreadInfo,
+  frames: SpeedscopeFrame[],
+  frameIndex: number
+): IndexIntoFuncTable {
+  let funcIndex = threadInfo.frameToFuncIndex.get(frameIndex);
+  if (funcIndex === undefined) {
+    const { importInfo } = threadInfo;
+    const { funcTable, frameTable, stringTable } = importInfo.thread;
+    const frame = frames[frameIndex] || { name: `Frame ${frameIndex}` };
+    const { name, file } = frame;
+    const line = typeof frame.line === 'number' ? frame.line : null;
+
+    funcIndex = funcTable.length++;
+    funcTable.name[funcIndex] = stringTable.indexForString(name);
+    funcTable.address[funcIndex] = -1;
+    funcTable.isJS[funcIndex] = false;
+    funcTable.resource[funcIndex] = file
+      ? getResourceForUrl(importInfo, file)
+      : -1;
+    funcTable.fileName[funcIndex] = file
+      ? stringTable.indexForString(file)
+      : null;
+    funcTable.lineNumber[funcIndex] = line;
+
+    frameTable.length++;
+    frameTable.address[funcIndex] = -1;
+    frameTable.category[funcIndex] = null;
+    frameTable.func[funcIndex] = funcIndex;
+    frameTable.implementation[funcIndex] = null;
+    frameTable.line[funcIndex] = line;
+    frameTable.optimizations[funcIndex] = null;
+
+    threadInfo.frameToFuncIndex.set(frameIndex, funcIndex);
+  }
+  return funcIndex;
+}
+
+function _getStack(
+  threadInfo: ThreadInfo,
+  prefix: IndexIntoStackTable | null,
+  frameIndex: IndexIntoFuncTable
+): IndexIntoStackTable {
+  const { stackTable } = threadInfo.importInfo.thread;
+  const stackKey = `${prefix === null ? '' : prefix}:${frameIndex}`;
+  let stackIndex = threadInfo.stackKeyToStackIndex.get(stackKey);
+  if (stackIndex === undefined) {
+    stackIndex = stackTable.length++;
+    stackTable.frame[stackIndex] = frameIndex;
+    stackTable.prefix[stackIndex] = prefix;
+    threadInfo.stackKeyToStackIndex.set(stackKey, stackIndex);
+  }
+  return stackIndex;
+}
+
+function _addSample(
+  thread: Thread,
+  stack: IndexIntoStackTable | null,
+  time: Milliseconds
+) {
+  const { samples } = thread;
+  const sampleIndex = samples.length++;
+  samples.stack[sampleIndex] = stack;
+  samples.time[sampleIndex] = time;
+  samples.responsiveness[sampleIndex] = 0;
+}
+
+function _processSampledProfile(
+  profile: SpeedscopeSampledProfile,
+  frames: SpeedscopeFrame[]
+): Thread {
+  const thread = getEmptyThread({ name: profile.name });
+  const threadInfo = _getThreadInfo(thread);
+  const millisecondsPerUnit = _getMillisecondsPerUnit(profile.unit);
+  const weight = [];
+  thread.samples.weight = weight;
+  if (millisecondsPerUnit !== null) {
+    thread.samples.weightType = 'tracing-ms';
+  } else if (profile.unit === 'bytes') {
+    thread.samples.weightType = 'bytes';
+  } else {
+    thread.samples.weightType = 'samples';
+  }
+
+  let time = 0;
+  profile.samples.forEach((frameIndexes, sampleIndex) => {
+    let stack = null;
+    for (const frameIndex of frameIndexes) {
+      stack = _getStack(
+        threadInfo,
+        stack,
+        _getFuncForFrame(threadInfo, frames, frameIndex)
+      );
+    }
+    _addSample(thread, stack, time);
+    const sampleWeight = profile.weights[sampleIndex];
+    weight.push(
+      millisecondsPerUnit === null
+        ? sampleWeight
+        : sampleWeight * millisecondsPerUnit
+    );
+    // Without a unit of time, e.g. for allocations in bytes, every sample lasts
+    // for the same time.
+    time +=
+      millisecondsPerUnit === null
+        ? SYNTHETIC_INTERVAL
+        : sampleWeight * millisecondsPerUnit;
+  });
+  return thread;
+}
+
+function _processEventedProfile(
+  profile: SpeedscopeEventedProfile,
+  frames: SpeedscopeFrame[]
+): Thread {
+  const thread = getEmptyThread({ name: profile.name });
+  const threadInfo = _getThreadInfo(thread);
+  const millisecondsPerUnit = _getMillisecondsPerUnit(profile.unit) || 1;
+  const toMilliseconds = (value: number): Milliseconds =>
+    (value - profile.startValue) * millisecondsPerUnit;
+  // Events past the end value would otherwise be sampled past the duration.
+  const duration = profile.events.reduce(
+    (duration, event) => Math.max(duration, toMilliseconds(event.at)),
+    toMilliseconds(profile.endValue)
+  );
+  const interval = _getSyntheticInterval(duration);
+  // The interval depends on the duration of each profile, so the samples carry
+  // their duration instead of relying on the interval of the whole profile.
+  const weight = [];
+  thread.samples.weight = weight;
+  thread.samples.weightType = 'tracing-ms';
+
+  const intervals: TracingInterval[] = [];
+  // The stack of open frames, with the tracing interval of each.
+  const openFrames: Array<{|
+    frameIndex: number,
+    stack: IndexIntoStackTable,
+    interval: TracingInterval,
+  |}> = [];
+  // The sample times are computed from the count so that adding up the interval
+  // doesn't accumulate rounding errors.
+  let sampleCount = 0;
+  const addSamplesUntil = (time: Milliseconds) => {
+    if (interval === null) {
+      return;
+    }
+    const stack = openFrames.length
+      ? openFrames[openFrames.length - 1].stack
+      : null;
+    for (; sampleCount * interval < time; sampleCount++) {
+      _addSample(thread, stack, sampleCount * interval);
+      weight.push(interval);
+    }
+  };
+
+  for (const event of profile.events) {
+    const time = toMilliseconds(event.at);
+    addSamplesUntil(time);
+    if (event.type === 'O') {
+      const prefix = openFrames.length
+        ? openFrames[openFrames.length - 1].stack
+        : null;
+      const funcIndex = _getFuncForFrame(threadInfo, frames, event.frame);
+      const interval = {
+        name: thread.stringTable.getString(thread.funcTable.name[funcIndex]),
+        category: 'speedscope',
+        start: time,
+        end: null,
+      };
+      intervals.push(interval);
+      openFrames.push({
+        frameIndex: event.frame,
+        stack: _getStack(threadInfo, prefix, funcIndex),
+        interval,
+      });
+    } else {
+      // Frames are supposed to be closed in order. If they aren't, close all of
+      // the frames that were opened after the closed one.
+      const index = openFrames
+        .map(open => open.frameIndex)
+        .lastIndexOf(event.frame);
+      if (index !== -1) {
+        for (const open of openFrames.splice(index)) {
+          open.interval.end = time;
+        }
+      }
+    }
+  }
+  addSamplesUntil(duration);
+
+  addTracingMarkers(thread, intervals);
+  return thread;
+}
+
+/**
+ * Convert a speedscope file into a processed profile.
+ */
+export function convertSpeedscopeProfile(json: SpeedscopeFile): Profile {
+  const { frames } = json.shared;
+  const threads = json.profiles.map(profile => {
+    switch (profile.type) {
+      case 'sampled':
+        return _processSampledProfile(profile, frames);
+      case 'evented':
+        return _processEventedProfile(profile, frames);
+      default:
+        throw new Error(`Unknown speedscope profile type: ${profile.type}`);
+    }
+  });
+
+  const profile = getEmptyProfile();
+  profile.meta.product = json.exporter || json.name || 'speedscope';
+  profile.meta.interval = getIntervalFromSamples(threads, SYNTHETIC_INTERVAL);
+  profile.threads = threads;
+  return profile;
+}
@@ -0,0 +1,67 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// @flow
+import {
+  getEmptyProfile,
+  getEmptyThread,
+  getIntervalFromSamples,
+} from '../profile-data';
+import {
+  getCpuProfileImportInfo,
+  processCpuProfile,
+  sortSamplesByTime,
+} from './chrome';
+
+import type { Profile } from '../../types/profile';
+import type { Microseconds } from '../../types/units';
+import type { CpuProfileNode } from './chrome';
+
+/**
+ * The .cpuprofile format is written by the JavaScript profiler of the Chrome
+ * DevTools, by `node --cpu-prof`, and by the `Profiler.stop` command of the
+ * DevTools protocol. It contains a single V8 CPU profile: a tree of nodes, the
+ * node of each sample, and the time elapsed between two samples.
+ *
+ * This is the same data that the "ProfileChunk" events of the Chrome trace event
+ * format contain, so the conversion is shared with ./chrome.js.
+ */
+
+type V8CpuProfile = {
+  nodes: CpuProfileNode[],
+  startTime: Microseconds,
+  endTime: Microseconds,
+  samples: number[],
+  timeDeltas: Microseconds[],
+};
+
+export function isV8CpuProfile(json: mixed): boolean {
+  return (
+    json !== null &&
+    typeof json === 'object' &&
+    Array.isArray(json.nodes) &&
+    Array.isArray(json.samples) &&
+    Array.isArray(json.timeDeltas) &&
+    typeof json.startTime === 'number'
+  );
+}
+
+/**
+ * Convert a .cpuprofile file into a processed profile with a single thread.
+ */
+export function convertV8CpuProfile(cpuProfile: V8CpuProfile): Profile {
+  const thread = getEmptyThread({ name: 'V8 CPU Profile' });
+  processCpuProfile(
+    getCpuProfileImportInfo(thread),
+    cpuProfile,
+    cpuProfile.startTime
+  );
+  sortSamplesByTime(thread);
+
+  const profile = getEmptyProfile();
+  profile.meta.product = 'V8';
+  profile.meta.interval = getIntervalFromSamples([thread], 1);
+  profile.threads.push(thread);
+  return profile;
+}
@@ -0,0 +1,75 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// @flow
+import type {
+  Thread,
+  IndexIntoFuncTable,
+  IndexIntoStackTable,
+} from '../types/profile';
+
+/**
+ * The weight of the samples that are attributed to the lines of a function, or
+ * their count when they aren't weighted. A sample counts for the self weight of
+ * a line when it's the line of the leaf frame, and for the total weight of every
+ * line of the function in its stack. A line is only counted once per sample,
+ * even with recursive calls.
+ */
+export type LineTimings = {|
+  +func: IndexIntoFuncTable,
+  +selfWeight: Map<number, number>,
+  +totalWeight: Map<number, number>,
+|};
+
+const NO_LINES = [];
+
+/**
+ * Compute the sample weights for the lines of a function. The thread is expected
+ * not to be inverted, so that the frame of a stack is its leaf.
+ */
+export function getLineTimings(
+  { stackTable, frameTable, samples }: Thread,
+  func: IndexIntoFuncTable
+): LineTimings {
+  // The lines of the function in each stack, including its prefixes. The
+  // prefix of a stack always comes before it, so this is done in one pass.
+  const stackLines: Array<number[]> = new Array(stackTable.length);
+  for (let stackIndex = 0; stackIndex < stackTable.length; stackIndex++) {
+    const prefix = stackTable.prefix[stackIndex];
+    const prefixLines = prefix === null ? NO_LINES : stackLines[prefix];
+    const frameIndex = stackTable.frame[stackIndex];
+    const line = frameTable.line[frameIndex];
+    stackLines[stackIndex] =
+      frameTable.func[frameIndex] === func &&
+      line !== null &&
+      !prefixLines.includes(line)
+        ? [...prefixLines, line]
+        : prefixLines;
+  }
+
+  const selfWeight = new Map();
+  const totalWeight = new Map();
+  const addWeight = (
+    weights: Map<number, number>,
+    line: number,
+    weight: number
+  ) => weights.set(line, (weights.get(line) || 0) + weight);
+  for (let sampleIndex = 0; sampleIndex < samples.length; sampleIndex++) {
+    const stackIndex: IndexIntoStackTable | null = samples.stack[sampleIndex];
+    if (stackIndex === null) {
+      continue;
+    }
+    const weight = samples.weight ? samples.weight[sampleIndex] : 1;
+    for (const line of stackLines[stackIndex]) {
+      addWeight(totalWeight, line, weight);
+    }
+    const frameIndex = stackTable.frame[stackIndex];
+    const line = frameTable.line[frameIndex];
+    if (frameTable.func[frameIndex] === func && line !== null) {
+      addWeight(selfWeight, line, weight);
+    }
+  }
+
+  return { func, selfWeight, totalWeight };
+}
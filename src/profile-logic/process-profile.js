@@ -18,6 +18,21 @@ import {
   isOldCleopatraFormat,
   convertOldCleopatraProfile,
 } from './old-cleopatra-profile-format';
+import { isChromeProfile, convertChromeProfile } from './import/chrome';
+import { isV8CpuProfile, convertV8CpuProfile } from './import/v8-cpuprofile';
+import {
+  isPerfScriptFormat,
+  convertPerfScriptProfile,
+} from './import/linux-perf';
+import {
+  isFoldedStackFormat,
+  convertFoldedStackProfile,
+} from './import/folded';
+import {
+  isSpeedscopeProfile,
+  convertSpeedscopeProfile,
+} from './import/speedscope';
+import { isPprofProfile, convertPprofProfile } from './import/pprof';
 import { convertPhaseTimes } from './convert-markers';
 import type {
   Profile,
@@ -322,7 +337,7 @@ function _extractCppFunction(
   if (resourceIndex === undefined) {
     resourceIndex = resourceTable.length++;
     libNameToResourceIndex.set(libraryNameStringIndex, resourceIndex);
-    resourceTable.lib[resourceIndex] = -1;
+    resourceTable.lib[resourceIndex] = null;
     resourceTable.name[resourceIndex] = libraryNameStringIndex;
     resourceTable.host[resourceIndex] = undefined;
     resourceTable.type[resourceIndex] = resourceTypes.library;
@@ -359,7 +374,7 @@ function _addExtensionOrigin(
 
     const idIndex = stringTable.indexForString(extensions.id[index]);
 
-    resourceTable.lib[resourceIndex] = undefined;
+    resourceTable.lib[resourceIndex] = null;
     resourceTable.name[resourceIndex] = stringTable.indexForString(name);
     resourceTable.host[resourceIndex] = idIndex;
     resourceTable.type[resourceIndex] = resourceTypes.addon;
@@ -428,14 +443,14 @@ function _extractJsFunction(
     originToResourceIndex.set(origin, resourceIndex);
     if (host) {
       // This is a webhost URL.
-      resourceTable.lib[resourceIndex] = undefined;
+      resourceTable.lib[resourceIndex] = null;
       resourceTable.name[resourceIndex] = originStringIndex;
       resourceTable.host[resourceIndex] = stringTable.indexForString(host);
       resourceTable.type[resourceIndex] = resourceTypes.webhost;
     } else {
       // This is a URL, but it doesn't point to something on the web, e.g. a
       // chrome url.
-      resourceTable.lib[resourceIndex] = undefined;
+      resourceTable.lib[resourceIndex] = null;
       resourceTable.name[resourceIndex] = stringTable.indexForString(scriptURI);
       resourceTable.host[resourceIndex] = undefined;
       resourceTable.type[resourceIndex] = resourceTypes.url;
@@ -862,9 +877,26 @@ function _unserializeProfile(profile: Object): Profile {
  * the processed profile format.
  */
 export function unserializeProfileOfArbitraryFormat(
-  jsonStringOrObject: string | Object
+  jsonStringOrObject: string | Uint8Array | Object
 ): Profile {
   try {
+    if (jsonStringOrObject instanceof Uint8Array) {
+      // The only supported binary format is pprof. Anything else is the text of
+      // a decompressed file.
+      if (isPprofProfile(jsonStringOrObject)) {
+        return convertPprofProfile(jsonStringOrObject);
+      }
+      jsonStringOrObject = new TextDecoder().decode(jsonStringOrObject);
+    }
+    if (typeof jsonStringOrObject === 'string') {
+      // Some of the supported formats are text, not JSON.
+      if (isPerfScriptFormat(jsonStringOrObject)) {
+        return convertPerfScriptProfile(jsonStringOrObject);
+      }
+      if (isFoldedStackFormat(jsonStringOrObject)) {
+        return convertFoldedStackProfile(jsonStringOrObject);
+      }
+    }
     let profile =
       typeof jsonStringOrObject === 'string'
         ? JSON.parse(jsonStringOrObject)
@@ -872,6 +904,18 @@ export function unserializeProfileOfArbitraryFormat(
     if (isOldCleopatraFormat(profile)) {
       profile = convertOldCleopatraProfile(profile); // outputs preprocessed profile
     }
+    if (isChromeProfile(profile)) {
+      // This outputs a processed profile of the current version.
+      return convertChromeProfile(profile);
+    }
+    if (isV8CpuProfile(profile)) {
+      // This outputs a processed profile of the current version.
+      return convertV8CpuProfile(profile);
+    }
+    if (isSpeedscopeProfile(profile)) {
+      // This outputs a processed profile of the current version.
+      return convertSpeedscopeProfile(profile);
+    }
     if (isProcessedProfile(profile)) {
       upgradeProcessedProfileToCurrentVersion(profile);
       return _unserializeProfile(profile);
@@ -22,7 +22,7 @@ import {
 import { UniqueStringArray } from '../utils/unique-string-array';
 import { timeCode } from '../utils/time-code';
 
-export const CURRENT_VERSION = 10; // The current version of the "processed" profile format.
+export const CURRENT_VERSION = 11; // The current version of the "processed" profile format.
 
 // Processed profiles before version 1 did not have a profile.meta.preprocessedProfileVersion
 // field. Treat those as version zero.
@@ -433,5 +433,26 @@ const _upgraders = {
       }
     }
   },
+  [11]: profile => {
+    // The resources that have no library used to have either undefined, null
+    // or -1 as their lib, and some stored profiles have indexes that point past
+    // the end of the libs. Starting with version 11, the lib is always either a
+    // valid index into the thread's libs, or null.
+    // See https://github.com/devtools-html/perf.html/issues/652
+    for (const thread of profile.threads) {
+      const { resourceTable, libs } = thread;
+      for (
+        let resourceIndex = 0;
+        resourceIndex < resourceTable.length;
+        resourceIndex++
+      ) {
+        const libIndex = resourceTable.lib[resourceIndex];
+        resourceTable.lib[resourceIndex] =
+          Number.isInteger(libIndex) && libIndex >= 0 && libIndex < libs.length
+            ? libIndex
+            : null;
+      }
+    }
+  },
 };
 /* eslint-enable no-useless-computed-key */
@@ -19,6 +19,7 @@ import type {
   IndexIntoMarkersTable,
   IndexIntoStackTable,
   ThreadIndex,
+  WeightType,
 } from '../types/profile';
 import type {
   CallNodeInfo,
@@ -27,16 +28,17 @@ import type {
   IndexIntoCallNodeTable,
   TracingMarker,
 } from '../types/profile-derived';
-import type { BailoutPayload } from '../types/markers';
+import type { BailoutPayload, TraceEventMarkerPayload } from '../types/markers';
 import { CURRENT_VERSION as GECKO_PROFILE_VERSION } from './gecko-profile-versioning';
 import { CURRENT_VERSION as PROCESSED_PROFILE_VERSION } from './processed-profile-versioning';
 
-import type { StartEndRange } from '../types/units';
+import type { Milliseconds, StartEndRange } from '../types/units';
 import { timeCode } from '../utils/time-code';
 import { hashPath } from '../utils/path';
 import type { ImplementationFilter } from '../types/actions';
 import bisection from 'bisection';
-import type { UniqueStringArray } from '../utils/unique-string-array';
+import escapeStringRegexp from 'escape-string-regexp';
+import { UniqueStringArray } from '../utils/unique-string-array';
 
 /**
  * Various helpers for dealing with the profile as a data structure.
@@ -147,6 +149,10 @@ export function getSampleCallNodes(
   });
 }
 
+export function getWeightType(samples: SamplesTable): WeightType {
+  return samples.weightType || 'samples';
+}
+
 function _getTimeRangeForThread(
   thread: Thread,
   interval: number
@@ -427,6 +433,99 @@ export function collapsePlatformStackFrames(thread: Thread): Thread {
   });
 }
 
+export type SearchField = 'any' | 'lib' | 'file' | 'origin';
+
+/**
+ * A term of the call tree search, once parsed. Plain terms match anywhere in
+ * the function name, its file name or its resource name, but they can be
+ * restricted to a field with a qualifier like "lib:xul", and excluded with a
+ * leading "-".
+ */
+export type SearchTerm = {|
+  +field: SearchField,
+  +negated: boolean,
+  +regExp: RegExp,
+|};
+
+const SEARCH_FIELD_QUALIFIERS: SearchField[] = ['lib', 'file', 'origin'];
+
+/**
+ * Split the call tree search into its terms, which are separated by commas. The
+ * commas of a regular expression term, e.g. "/a{1,2}/", don't separate terms.
+ */
+export function splitSearchString(searchString: string): string[] {
+  const terms = [];
+  let term = '';
+  let isInRegExp = false;
+  for (let i = 0; i < searchString.length; i++) {
+    const char = searchString[i];
+    if (isInRegExp) {
+      if (char === '\\' && i + 1 < searchString.length) {
+        term += char + searchString[++i];
+        continue;
+      }
+      isInRegExp = char !== '/';
+    } else if (char === ',') {
+      terms.push(term);
+      term = '';
+      continue;
+    } else if (char === '/' && /^\s*-?(\w+:)?$/.test(term)) {
+      // A regular expression starts the value of the term.
+      isInRegExp = true;
+    }
+    term += char;
+  }
+  terms.push(term);
+  return terms.map(term => term.trim()).filter(term => term);
+}
+
+/**
+ * Parse a term of the call tree search, e.g. "-lib:/^lib(c|m)$/". The value is
+ * either a regular expression between slashes, a case-insensitive glob where
+ * "*" matches anything, e.g. "file:*.js", or a case-insensitive substring when
+ * there is no "*". Like a glob on the command line, a glob matches the whole
+ * field, so that "file:*.js" doesn't match "foo.json". A value that is only
+ * made of "*" is searched for as is. A regular expression that doesn't compile
+ * is searched for as a substring instead.
+ */
+export function parseSearchString(searchString: string): SearchTerm {
+  let value = searchString;
+  const negated = value.length > 1 && value.startsWith('-');
+  if (negated) {
+    value = value.slice(1);
+  }
+
+  let field = 'any';
+  const qualifierMatch = /^(\w+):(.+)$/.exec(value);
+  if (qualifierMatch) {
+    const qualifier = SEARCH_FIELD_QUALIFIERS.find(
+      field => field === qualifierMatch[1].toLowerCase()
+    );
+    if (qualifier) {
+      field = qualifier;
+      value = qualifierMatch[2];
+    }
+  }
+
+  if (value.length > 2 && value.startsWith('/') && value.endsWith('/')) {
+    try {
+      return { field, negated, regExp: new RegExp(value.slice(1, -1), 'i') };
+    } catch (error) {
+      // Fall back to a substring search below.
+    }
+  }
+  const regExpSource =
+    value.includes('*') && !/^\*+$/.test(value)
+      ? '^' +
+        value
+          .split('*')
+          .map(escapeStringRegexp)
+          .join('.*') +
+        '$'
+      : escapeStringRegexp(value);
+  return { field, negated, regExp: new RegExp(regExpSource, 'i') };
+}
+
 export function filterThreadToSearchStrings(
   thread: Thread,
   searchStrings: string[] | null
@@ -440,6 +539,11 @@ export function filterThreadToSearchStrings(
   });
 }
 
+/**
+ * Keep the samples whose stack has a function matching the search term, or
+ * that have none when the term is negated. The other samples are dropped by
+ * nulling their stack.
+ */
 export function filterThreadToSearchString(
   thread: Thread,
   searchString: string
@@ -447,7 +551,7 @@ export function filterThreadToSearchString(
   if (!searchString) {
     return thread;
   }
-  const lowercaseSearchString = searchString.toLowerCase();
+  const { field, negated, regExp } = parseSearchString(searchString);
   const {
     samples,
     funcTable,
@@ -455,19 +559,64 @@ export function filterThreadToSearchString(
     stackTable,
     stringTable,
     resourceTable,
+    libs,
   } = thread;
 
+  function getLibName(func): string | null {
+    const resourceIndex = funcTable.resource[func];
+    if (resourceIndex === -1) {
+      return null;
+    }
+    const libIndex = resourceTable.lib[resourceIndex];
+    if (libIndex !== null) {
+      return libs[libIndex].name;
+    }
+    const resourceNameIndex = resourceTable.name[resourceIndex];
+    if (
+      resourceTable.type[resourceIndex] === resourceTypes.library &&
+      resourceNameIndex !== -1
+    ) {
+      return stringTable.getString(resourceNameIndex);
+    }
+    return null;
+  }
+
   function computeFuncMatchesFilter(func) {
+    switch (field) {
+      case 'lib': {
+        const libName = getLibName(func);
+        return libName !== null && regExp.test(libName);
+      }
+      case 'file': {
+        const fileNameIndex = funcTable.fileName[func];
+        return (
+          fileNameIndex !== null &&
+          regExp.test(stringTable.getString(fileNameIndex))
+        );
+      }
+      case 'origin':
+        return regExp.test(
+          getOriginAnnotationForFunc(
+            func,
+            funcTable,
+            resourceTable,
+            stringTable
+          )
+        );
+      default:
+        break;
+    }
+
     const nameIndex = funcTable.name[func];
     const nameString = stringTable.getString(nameIndex);
-    if (nameString.toLowerCase().includes(lowercaseSearchString)) {
+    if (regExp.test(nameString)) {
       return true;
     }
 
     const fileNameIndex = funcTable.fileName[func];
     if (fileNameIndex !== null) {
       const fileNameString = stringTable.getString(fileNameIndex);
-      if (fileNameString.toLowerCase().includes(lowercaseSearchString)) {
+      if (regExp.test(fileNameString)) {
         return true;
       }
     }
@@ -476,7 +625,7 @@ export function filterThreadToSearchString(
     const resourceNameIndex = resourceTable.name[resourceIndex];
     if (resourceNameIndex !== undefined) {
       const resourceNameString = stringTable.getString(resourceNameIndex);
-      if (resourceNameString.toLowerCase().includes(lowercaseSearchString)) {
+      if (regExp.test(resourceNameString)) {
         return true;
       }
     }
@@ -516,7 +665,9 @@ export function filterThreadToSearchString(
 
   return Object.assign({}, thread, {
     samples: Object.assign({}, samples, {
-      stack: samples.stack.map(s => (stackMatchesFilter(s) ? s : null)),
+      stack: samples.stack.map(
+        s => (stackMatchesFilter(s) !== negated ? s : null)
+      ),
     }),
   });
 }
@@ -570,7 +721,7 @@ export function filterThreadToRange(
     rangeStart,
     rangeEnd
   );
-  const newSamples = {
+  const newSamples: SamplesTable = {
     length: sEnd - sBegin,
     time: samples.time.slice(sBegin, sEnd),
     stack: samples.stack.slice(sBegin, sEnd),
@@ -578,6 +729,13 @@ export function filterThreadToRange(
     rss: samples.rss.slice(sBegin, sEnd),
     uss: samples.uss.slice(sBegin, sEnd),
   };
+  if (samples.weight) {
+    newSamples.weight = samples.weight.slice(sBegin, sEnd);
+    newSamples.weightType = samples.weightType;
+  }
+  if (samples.isDifference) {
+    newSamples.isDifference = true;
+  }
   const [mBegin, mEnd] = _getMarkerIndexRangeForSelection(
     markers,
     rangeStart,
@@ -1068,6 +1226,26 @@ export function extractMarkerDataFromName(thread: Thread): Thread {
   return Object.assign({}, thread, { markers: newMarkers });
 }
 
+/**
+ * Imported events that started before the recording get a negative start, and
+ * the ones that ended after it get an infinite duration, like the tracing markers
+ * that miss their "start" or "end" marker.
+ */
+function _getTraceEventAsTracingMarker(
+  name: string,
+  data: TraceEventMarkerPayload
+): TracingMarker {
+  const { startTime, endTime } = data;
+  const start = startTime === null ? -1 : startTime;
+  return {
+    start,
+    dur: endTime === null ? Infinity : endTime - start,
+    name,
+    title: null,
+    data,
+  };
+}
+
 export function getTracingMarkers(thread: Thread): TracingMarker[] {
   const { stringTable, markers } = thread;
   const tracingMarkers: TracingMarker[] = [];
@@ -1141,6 +1319,13 @@ export function getTracingMarkers(thread: Thread): TracingMarker[] {
         }
         tracingMarkers.push(marker);
       }
+    } else if (data.type === 'TraceEvent') {
+      tracingMarkers.push(
+        _getTraceEventAsTracingMarker(
+          stringTable.getString(markers.name[i]),
+          data
+        )
+      );
     } else if ('startTime' in data && 'endTime' in data) {
       const { startTime, endTime } = data;
       if (typeof startTime === 'number' && typeof endTime === 'number') {
@@ -1179,6 +1364,65 @@ export function filterTracingMarkersToRange(
   );
 }
 
+/**
+ * Give a single marker of the markers table the shape of a tracing marker, using
+ * the start and end times of its payload when it has them.
+ */
+export function getMarkerAsTracingMarker(
+  stringTable: UniqueStringArray,
+  markers: MarkersTable,
+  markerIndex: IndexIntoMarkersTable
+): TracingMarker {
+  const data = markers.data[markerIndex];
+  const name = stringTable.getString(markers.name[markerIndex]);
+  if (data && data.type === 'TraceEvent') {
+    return _getTraceEventAsTracingMarker(name, data);
+  }
+  if (
+    data &&
+    data.type !== 'tracing' &&
+    'startTime' in data &&
+    'endTime' in data
+  ) {
+    const { startTime, endTime } = data;
+    if (typeof startTime === 'number' && typeof endTime === 'number') {
+      return {
+        start: startTime,
+        dur: endTime - startTime,
+        name,
+        title: null,
+        data,
+      };
+    }
+  }
+  return {
+    start: markers.time[markerIndex],
+    dur: 0,
+    name,
+    title: null,
+    data,
+  };
+}
+
+/**
+ * The other tracing markers that were running at the same time as a marker,
+ * for instance the DOM events during a paint. The marker itself is compared by
+ * value, because the one of the marker table is built separately.
+ */
+export function getRelatedTracingMarkers(
+  tracingMarkers: TracingMarker[],
+  marker: TracingMarker
+): TracingMarker[] {
+  const { start, dur, name } = marker;
+  const end = start + dur;
+  return tracingMarkers.filter(
+    tm =>
+      tm.start <= end &&
+      tm.start + tm.dur >= start &&
+      !(tm.start === start && tm.dur === dur && tm.name === name)
+  );
+}
+
 export function getFriendlyThreadName(
   threads: Thread[],
   thread: Thread
@@ -1255,6 +1499,97 @@ export function getEmptyProfile(): Profile {
   };
 }
 
+/**
+ * Create a thread with empty tables. Importers for foreign profile formats use
+ * this as a starting point, and then fill in the tables.
+ */
+export function getEmptyThread(overrides: ?Object): Thread {
+  return Object.assign(
+    {
+      processType: 'default',
+      processStartupTime: 0,
+      processShutdownTime: null,
+      registerTime: 0,
+      unregisterTime: null,
+      pausedRanges: [],
+      name: 'Empty',
+      pid: undefined,
+      tid: undefined,
+      samples: {
+        responsiveness: [],
+        stack: [],
+        time: [],
+        rss: [],
+        uss: [],
+        length: 0,
+      },
+      markers: {
+        data: [],
+        name: [],
+        time: [],
+        length: 0,
+      },
+      stackTable: {
+        frame: [],
+        prefix: [],
+        length: 0,
+      },
+      frameTable: {
+        address: [],
+        category: [],
+        func: [],
+        implementation: [],
+        line: [],
+        optimizations: [],
+        length: 0,
+      },
+      stringTable: new UniqueStringArray(),
+      libs: [],
+      funcTable: {
+        address: [],
+        isJS: [],
+        name: [],
+        resource: [],
+        fileName: [],
+        lineNumber: [],
+        length: 0,
+      },
+      resourceTable: {
+        length: 0,
+        lib: [],
+        name: [],
+        host: [],
+        type: [],
+      },
+    },
+    overrides
+  );
+}
+
+/**
+ * Not all profile formats record the sampling interval. Guess it as the median of
+ * the time between two consecutive samples of the same thread.
+ */
+export function getIntervalFromSamples(
+  threads: Thread[],
+  defaultInterval: Milliseconds
+): Milliseconds {
+  const deltas = [];
+  for (const { samples } of threads) {
+    for (let i = 1; i < samples.length; i++) {
+      const delta = samples.time[i] - samples.time[i - 1];
+      if (delta > 0) {
+        deltas.push(delta);
+      }
+    }
+  }
+  if (deltas.length === 0) {
+    return defaultInterval;
+  }
+  deltas.sort((a, b) => a - b);
+  return deltas[Math.floor(deltas.length / 2)];
+}
+
 /**
  * This function returns the source origin for a function. This can be:
  * - a filename (javascript or object file)
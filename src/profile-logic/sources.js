@@ -0,0 +1,69 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+// @flow
+
+import type { JSZipFile } from 'jszip';
+import type { ZipFileTable } from './zip-files';
+
+/**
+ * Split the file name of a function into its path parts. The file name can be a
+ * URL, e.g. "http://localhost:8000/js/app.js", or a path, e.g.
+ * "/home/user/src/app.js" or "C:\src\app.js".
+ */
+export function getSourcePathParts(fileName: string): string[] {
+  // Windows paths like "C:\src\app.js" are valid URLs too, so only the file
+  // names with "://" are considered as URLs.
+  const path = /^[a-z][a-z0-9+.-]*:\/\//i.test(fileName)
+    ? new URL(fileName).pathname
+    : fileName;
+  return path.split(/[/\\]/).filter(part => part);
+}
+
+/**
+ * Find the file of the zip that is the most likely to be the source of a file
+ * name. The path of the file in the zip needs to be the end of the path of the
+ * file name, and the longest one wins.
+ *
+ * e.g. for "http://localhost:8000/js/app.js", "src/js/app.js" doesn't match,
+ * "js/app.js" matches better than "app.js".
+ */
+export function findSourceInZip(
+  zipFileTable: ZipFileTable,
+  fileName: string
+): JSZipFile | null {
+  const sourceParts = getSourcePathParts(fileName);
+  let bestFile = null;
+  let bestLength = 0;
+  for (let index = 0; index < zipFileTable.length; index++) {
+    const file = zipFileTable.file[index];
+    if (file === null) {
+      continue;
+    }
+    const zipParts = zipFileTable.path[index].split('/');
+    if (
+      zipParts.length > bestLength &&
+      zipParts.length <= sourceParts.length &&
+      zipParts.every(
+        (part, i) =>
+          part === sourceParts[sourceParts.length - zipParts.length + i]
+      )
+    ) {
+      bestFile = file;
+      bestLength = zipParts.length;
+    }
+  }
+  return bestFile;
+}
+
+/**
+ * Only the sources that are served by the same origin as perf.html can be
+ * fetched, e.g. when both are served by the same local server.
+ */
+export function isSameOriginUrl(fileName: string, origin: string): boolean {
+  try {
+    return new URL(fileName).origin === origin;
+  } catch (e) {
+    return false;
+  }
+}
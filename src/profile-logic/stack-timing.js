@@ -50,6 +50,15 @@ import type { GetCategory } from './color-categories';
 export type StackTimingDepth = number;
 export type IndexIntoStackTiming = number;
 
+/**
+ * A box of the stack chart. It's identified by its start time instead of its
+ * index, so that it can still be found after the stack timing is recomputed.
+ */
+export type StackChartBox = {|
+  +depth: StackTimingDepth,
+  +start: Milliseconds,
+|};
+
 export type StackTimingByDepth = Array<{
   start: Milliseconds[],
   end: Milliseconds[],
@@ -265,3 +274,19 @@ function getNearestJSFrame(
   }
   return stackIndex;
 }
+
+/**
+ * Find the index of a box of the stack chart in its depth, or null when the
+ * stack timing doesn't have it anymore.
+ */
+export function findStackChartBox(
+  stackTimingByDepth: StackTimingByDepth,
+  { depth, start }: StackChartBox
+): IndexIntoStackTiming | null {
+  const stackTiming = stackTimingByDepth[depth];
+  if (!stackTiming) {
+    return null;
+  }
+  const index = stackTiming.start.indexOf(start);
+  return index === -1 ? null : index;
+}
@@ -10,10 +10,18 @@ import {
 import {
   toValidImplementationFilter,
   getCallNodeIndexFromPath,
+  getSearchFilteredMarkers,
+  getTracingMarkers,
+  resourceTypes,
 } from './profile-data';
 import { timeCode } from '../utils/time-code';
 import { assertExhaustiveCheck, convertToTransformType } from '../utils/flow';
 import { CallTree } from '../profile-logic/call-tree';
+import {
+  implementationCategoryMap,
+  implementationCategories,
+  getImplementationCategoryIndex,
+} from './color-categories';
 
 import type {
   Thread,
@@ -23,6 +31,8 @@ import type {
   IndexIntoFuncTable,
   IndexIntoStackTable,
   IndexIntoResourceTable,
+  IndexIntoLibs,
+  MarkersTable,
 } from '../types/profile';
 import type {
   CallNodePath,
@@ -34,6 +44,7 @@ import type {
   Transform,
   TransformType,
   TransformStack,
+  IndexIntoTransformStack,
 } from '../types/transforms';
 
 /**
@@ -47,10 +58,14 @@ const SHORT_KEY_TO_TRANSFORM: { [string]: TransformType } = {};
 [
   'focus-subtree',
   'focus-function',
+  'focus-category',
   'merge-call-node',
   'merge-function',
+  'merge-matching-functions',
   'drop-function',
+  'filter-samples-by-marker',
   'collapse-resource',
+  'collapse-lib',
   'collapse-direct-recursion',
   'collapse-function-subtree',
 ].forEach((transform: TransformType) => {
@@ -64,18 +79,30 @@ const SHORT_KEY_TO_TRANSFORM: { [string]: TransformType } = {};
     case 'focus-function':
       shortKey = 'ff';
       break;
+    case 'focus-category':
+      shortKey = 'fc';
+      break;
     case 'merge-call-node':
       shortKey = 'mcn';
       break;
     case 'merge-function':
       shortKey = 'mf';
       break;
+    case 'merge-matching-functions':
+      shortKey = 'mmf';
+      break;
     case 'drop-function':
       shortKey = 'df';
       break;
+    case 'filter-samples-by-marker':
+      shortKey = 'fsm';
+      break;
     case 'collapse-resource':
       shortKey = 'cr';
       break;
+    case 'collapse-lib':
+      shortKey = 'cl';
+      break;
     case 'collapse-direct-recursion':
       shortKey = 'rec';
       break;
@@ -142,6 +169,22 @@ export function parseTransforms(stringValue: string = ''): TransformStack {
 
         break;
       }
+      case 'collapse-lib': {
+        // e.g. "cl-combined-2-8"
+        const [, implementation, libIndexRaw, collapsedFuncIndexRaw] = tuple;
+        const libIndex = parseInt(libIndexRaw, 10);
+        const collapsedFuncIndex = parseInt(collapsedFuncIndexRaw, 10);
+        if (isNaN(libIndex) || isNaN(collapsedFuncIndex) || libIndex < 0) {
+          break;
+        }
+        transforms.push({
+          type,
+          libIndex,
+          collapsedFuncIndex,
+          implementation: toValidImplementationFilter(implementation),
+        });
+        break;
+      }
       case 'collapse-direct-recursion': {
         // e.g. "rec-js-325"
         const [, implementation, funcIndexRaw] = tuple;
@@ -156,6 +199,33 @@ export function parseTransforms(stringValue: string = ''): TransformStack {
         });
         break;
       }
+      case 'merge-matching-functions': {
+        // e.g. "mmf-%5Emozilla%3A%3Adetail%3A%3A"
+        const pattern = _deserializeString(tuple[1]);
+        if (pattern !== null && getRegExpForPattern(pattern) !== null) {
+          transforms.push({ type, pattern });
+        }
+        break;
+      }
+      case 'focus-category': {
+        // e.g. "fc-JS%20Baseline"
+        const category = _deserializeString(tuple[1]);
+        if (
+          category !== null &&
+          implementationCategoryMap.hasOwnProperty(category)
+        ) {
+          transforms.push({ type, category });
+        }
+        break;
+      }
+      case 'filter-samples-by-marker': {
+        // e.g. "fsm-click"
+        const searchString = _deserializeString(tuple[1]);
+        if (searchString !== null) {
+          transforms.push({ type, searchString });
+        }
+        break;
+      }
       case 'merge-function':
       case 'focus-function':
       case 'drop-function':
@@ -258,10 +328,20 @@ export function stringifyTransforms(transforms: TransformStack = []): string {
         case 'collapse-function-subtree':
         case 'focus-function':
           return `${shortKey}-${transform.funcIndex}`;
+        case 'merge-matching-functions':
+          return `${shortKey}-${_serializeString(transform.pattern)}`;
+        case 'focus-category':
+          return `${shortKey}-${_serializeString(transform.category)}`;
+        case 'filter-samples-by-marker':
+          return `${shortKey}-${_serializeString(transform.searchString)}`;
         case 'collapse-resource':
           return `${shortKey}-${transform.implementation}-${
             transform.resourceIndex
           }-${transform.collapsedFuncIndex}`;
+        case 'collapse-lib':
+          return `${shortKey}-${transform.implementation}-${
+            transform.libIndex
+          }-${transform.collapsedFuncIndex}`;
         case 'collapse-direct-recursion':
           return `${shortKey}-${transform.implementation}-${
             transform.funcIndex
@@ -285,6 +365,182 @@ export function stringifyTransforms(transforms: TransformStack = []): string {
     .join('~');
 }
 
+/**
+ * The disabled transforms are indexes into the transform stack, shift the ones
+ * following a removed transform so that they keep pointing to the same ones.
+ */
+export function removeFromDisabledTransforms(
+  disabledTransforms: IndexIntoTransformStack[],
+  removedIndex: IndexIntoTransformStack
+): IndexIntoTransformStack[] {
+  return disabledTransforms
+    .filter(index => index !== removedIndex)
+    .map(index => (index > removedIndex ? index - 1 : index));
+}
+
+/**
+ * The transforms of the URL are parsed before the profile is loaded, check that
+ * the library or the resource they refer to is in the thread. The functions
+ * aren't checked, a transform can refer to a function that is created by the
+ * transforms before it.
+ */
+export function isTransformValidForThread(
+  transform: Transform,
+  thread: Thread
+): boolean {
+  switch (transform.type) {
+    case 'collapse-lib':
+      return transform.libIndex < thread.libs.length;
+    case 'collapse-resource':
+      return transform.resourceIndex < thread.resourceTable.length;
+    default:
+      return true;
+  }
+}
+
+export function toggleDisabledTransform(
+  disabledTransforms: IndexIntoTransformStack[],
+  toggledIndex: IndexIntoTransformStack
+): IndexIntoTransformStack[] {
+  return disabledTransforms.includes(toggledIndex)
+    ? disabledTransforms.filter(index => index !== toggledIndex)
+    : [...disabledTransforms, toggledIndex].sort((a, b) => a - b);
+}
+
+/**
+ * The collapse transforms add a function at the end of the func table, its index
+ * is recorded in the transform when it's pushed on the stack.
+ */
+function _getCollapsedFuncIndex(
+  transform: Transform
+): IndexIntoFuncTable | null {
+  switch (transform.type) {
+    case 'collapse-resource':
+    case 'collapse-lib':
+      return transform.collapsedFuncIndex;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Change the functions a transform refers to, including the function added by a
+ * collapse transform. Null is returned if one of them is mapped to null.
+ */
+function _mapTransformFuncs(
+  transform: Transform,
+  mapFunc: IndexIntoFuncTable => IndexIntoFuncTable | null
+): Transform | null {
+  let changes;
+  switch (transform.type) {
+    case 'focus-subtree':
+    case 'merge-call-node': {
+      const callNodePath = transform.callNodePath.map(mapFunc);
+      changes = callNodePath.includes(null) ? null : { callNodePath };
+      break;
+    }
+    case 'focus-function':
+    case 'merge-function':
+    case 'drop-function':
+    case 'collapse-direct-recursion':
+    case 'collapse-function-subtree': {
+      const funcIndex = mapFunc(transform.funcIndex);
+      changes = funcIndex === null ? null : { funcIndex };
+      break;
+    }
+    case 'collapse-resource':
+    case 'collapse-lib': {
+      const collapsedFuncIndex = mapFunc(transform.collapsedFuncIndex);
+      changes = collapsedFuncIndex === null ? null : { collapsedFuncIndex };
+      break;
+    }
+    case 'merge-matching-functions':
+    case 'focus-category':
+    case 'filter-samples-by-marker':
+      return transform;
+    default:
+      throw assertExhaustiveCheck(transform);
+  }
+  // Flow can't check that the changes keep the transform of the same type.
+  return changes === null ? null : (Object.assign({}, transform, changes): any);
+}
+
+/**
+ * Remove a single transform of the stack. If it's an enabled collapse transform,
+ * its function isn't added anymore: the following transforms that refer to it
+ * are removed too, and the functions added after it move down in the func table.
+ */
+export function removeTransformAndDependents(
+  transforms: TransformStack,
+  disabledTransforms: IndexIntoTransformStack[],
+  removedIndex: IndexIntoTransformStack
+): {|
+  transforms: TransformStack,
+  disabledTransforms: IndexIntoTransformStack[],
+|} {
+  const removedFuncs = [];
+  const removedIndexes = [];
+  const remainingTransforms = [];
+  transforms.forEach((transform, transformIndex) => {
+    const mappedTransform =
+      transformIndex === removedIndex
+        ? null
+        : _mapTransformFuncs(
+            transform,
+            funcIndex =>
+              removedFuncs.includes(funcIndex)
+                ? null
+                : funcIndex -
+                  removedFuncs.filter(removedFunc => removedFunc < funcIndex)
+                    .length
+          );
+    if (mappedTransform === null) {
+      const collapsedFuncIndex = _getCollapsedFuncIndex(transform);
+      if (
+        collapsedFuncIndex !== null &&
+        !disabledTransforms.includes(transformIndex)
+      ) {
+        removedFuncs.push(collapsedFuncIndex);
+      }
+      removedIndexes.push(transformIndex);
+    } else {
+      remainingTransforms.push(mappedTransform);
+    }
+  });
+  return {
+    transforms: remainingTransforms,
+    // Go backwards so that the indexes to remove aren't shifted yet.
+    disabledTransforms: removedIndexes.reduceRight(
+      removeFromDisabledTransforms,
+      disabledTransforms
+    ),
+  };
+}
+
+/**
+ * A collapse transform can't be toggled when a following transform refers to its
+ * function or adds another one, as they rely on the func table it leads to.
+ */
+export function canToggleTransform(
+  transforms: TransformStack,
+  transformIndex: IndexIntoTransformStack
+): boolean {
+  const collapsedFuncIndex = _getCollapsedFuncIndex(transforms[transformIndex]);
+  if (collapsedFuncIndex === null) {
+    return true;
+  }
+  return transforms
+    .slice(transformIndex + 1)
+    .every(
+      transform =>
+        _getCollapsedFuncIndex(transform) === null &&
+        _mapTransformFuncs(
+          transform,
+          funcIndex => (funcIndex < collapsedFuncIndex ? funcIndex : null)
+        ) !== null
+    );
+}
+
 export function getTransformLabels(
   thread: Thread,
   threadName: string,
@@ -296,7 +552,7 @@ export function getTransformLabels(
     if (transform.type === 'collapse-resource') {
       const libIndex = resourceTable.lib[transform.resourceIndex];
       let resourceName;
-      if (libIndex === undefined || libIndex === null || libIndex === -1) {
+      if (libIndex === null) {
         const nameIndex = resourceTable.name[transform.resourceIndex];
         if (nameIndex === -1) {
           throw new Error('Attempting to collapse a resource without a name');
@@ -308,6 +564,22 @@ export function getTransformLabels(
       return `Collapse: ${resourceName}`;
     }
 
+    if (transform.type === 'collapse-lib') {
+      return `Collapse library: ${libs[transform.libIndex].name}`;
+    }
+
+    if (transform.type === 'merge-matching-functions') {
+      return `Merge: /${transform.pattern}/`;
+    }
+
+    if (transform.type === 'focus-category') {
+      return `Focus category: ${transform.category}`;
+    }
+
+    if (transform.type === 'filter-samples-by-marker') {
+      return `Markers: ${transform.searchString}`;
+    }
+
     // Lookup function name.
     let funcIndex;
     switch (transform.type) {
@@ -368,11 +640,30 @@ export function applyTransformToCallNodePath(
       return _mergeNodeInCallNodePath(transform.callNodePath, callNodePath);
     case 'merge-function':
       return _mergeFunctionInCallNodePath(transform.funcIndex, callNodePath);
+    case 'merge-matching-functions':
+      return _mergeMatchingFunctionsInCallNodePath(
+        transform.pattern,
+        transformedThread,
+        callNodePath
+      );
     case 'drop-function':
       return _dropFunctionInCallNodePath(transform.funcIndex, callNodePath);
-    case 'collapse-resource':
-      return _collapseResourceInCallNodePath(
-        transform.resourceIndex,
+    case 'focus-category':
+    case 'filter-samples-by-marker':
+      // Only samples are dropped, the remaining call nodes keep their paths.
+      return callNodePath;
+    case 'collapse-resource': {
+      const resourceIndexToCollapse = transform.resourceIndex;
+      return _collapseResourcesInCallNodePath(
+        resourceIndex => resourceIndex === resourceIndexToCollapse,
+        transform.collapsedFuncIndex,
+        transformedThread.funcTable,
+        callNodePath
+      );
+    }
+    case 'collapse-lib':
+      return _collapseResourcesInCallNodePath(
+        _getResourceIsInLib(transformedThread, transform.libIndex),
         transform.collapsedFuncIndex,
         transformedThread.funcTable,
         callNodePath
@@ -425,6 +716,15 @@ function _mergeFunctionInCallNodePath(
   return callNodePath.filter(nodeFunc => nodeFunc !== funcIndex);
 }
 
+function _mergeMatchingFunctionsInCallNodePath(
+  pattern: string,
+  thread: Thread,
+  callNodePath: CallNodePath
+): CallNodePath {
+  const funcMatchesPattern = _getFuncMatchesPattern(thread, pattern);
+  return callNodePath.filter(funcIndex => !funcMatchesPattern(funcIndex));
+}
+
 function _dropFunctionInCallNodePath(
   funcIndex: IndexIntoFuncTable,
   callNodePath: CallNodePath
@@ -433,8 +733,8 @@ function _dropFunctionInCallNodePath(
   return callNodePath.includes(funcIndex) ? [] : callNodePath;
 }
 
-function _collapseResourceInCallNodePath(
-  resourceIndex: IndexIntoResourceTable,
+function _collapseResourcesInCallNodePath(
+  shouldCollapseResource: IndexIntoResourceTable => boolean,
   collapsedFuncIndex: IndexIntoFuncTable,
   funcTable: FuncTable,
   callNodePath: CallNodePath
@@ -443,7 +743,7 @@ function _collapseResourceInCallNodePath(
     callNodePath
       // Map any collapsed functions into the collapsedFuncIndex
       .map(pathFuncIndex => {
-        return funcTable.resource[pathFuncIndex] === resourceIndex
+        return shouldCollapseResource(funcTable.resource[pathFuncIndex])
           ? collapsedFuncIndex
           : pathFuncIndex;
       })
@@ -652,6 +952,21 @@ export function mergeCallNode(
 export function mergeFunction(
   thread: Thread,
   funcIndexToMerge: IndexIntoFuncTable
+) {
+  return _mergeFunctions(thread, funcIndex => funcIndex === funcIndexToMerge);
+}
+
+/**
+ * Merge every function whose name matches the pattern, as if they were merged one
+ * after the other.
+ */
+export function mergeMatchingFunctions(thread: Thread, pattern: string) {
+  return _mergeFunctions(thread, _getFuncMatchesPattern(thread, pattern));
+}
+
+function _mergeFunctions(
+  thread: Thread,
+  shouldMergeFunc: IndexIntoFuncTable => boolean
 ) {
   const { stackTable, frameTable, samples } = thread;
   const oldStackToNewStack: Map<
@@ -671,7 +986,7 @@ export function mergeFunction(
     const frameIndex = stackTable.frame[stackIndex];
     const funcIndex = frameTable.func[frameIndex];
 
-    if (funcIndex === funcIndexToMerge) {
+    if (shouldMergeFunc(funcIndex)) {
       const newStackPrefix = oldStackToNewStack.get(prefix);
       oldStackToNewStack.set(
         stackIndex,
@@ -703,6 +1018,72 @@ export function mergeFunction(
   });
 }
 
+/**
+ * Keep only the samples whose leaf frame is in the implementation category. The
+ * stacks aren't changed.
+ */
+export function focusCategory(thread: Thread, category: string) {
+  const { stackTable, samples } = thread;
+  const stackMatchesCategory: boolean[] = [];
+  for (let stackIndex = 0; stackIndex < stackTable.length; stackIndex++) {
+    const frameIndex = stackTable.frame[stackIndex];
+    stackMatchesCategory[stackIndex] =
+      implementationCategories[
+        getImplementationCategoryIndex(thread, frameIndex)
+      ].name === category;
+  }
+  const stack = samples.stack.map(
+    stack => (stack !== null && stackMatchesCategory[stack] ? stack : null)
+  );
+  return Object.assign({}, thread, {
+    samples: Object.assign({}, samples, { stack }),
+  });
+}
+
+/**
+ * Keep only the samples that are in the time range of a tracing marker matching
+ * the search string. The stacks aren't changed. The markers are the ones of the
+ * thread before its range is filtered, which drops the markers that start before
+ * the range, even when they last into it.
+ */
+export function filterSamplesByMarker(
+  thread: Thread,
+  searchString: string,
+  unfilteredMarkers: MarkersTable
+) {
+  const { samples } = thread;
+  const tracingMarkers = getTracingMarkers(
+    Object.assign({}, thread, {
+      markers: getSearchFilteredMarkers(
+        Object.assign({}, thread, { markers: unfilteredMarkers }),
+        searchString
+      ),
+    })
+  );
+
+  // The tracing markers are sorted by start time, and so are the samples. Go
+  // through both of them at once, tracking the end of the markers that started
+  // before the current sample.
+  const stack = [];
+  let markerIndex = 0;
+  let markersEnd = -Infinity;
+  for (let sampleIndex = 0; sampleIndex < samples.length; sampleIndex++) {
+    const time = samples.time[sampleIndex];
+    while (
+      markerIndex < tracingMarkers.length &&
+      tracingMarkers[markerIndex].start <= time
+    ) {
+      const { start, dur } = tracingMarkers[markerIndex];
+      markersEnd = Math.max(markersEnd, start + dur);
+      markerIndex++;
+    }
+    stack[sampleIndex] = time <= markersEnd ? samples.stack[sampleIndex] : null;
+  }
+  return Object.assign({}, thread, {
+    samples: Object.assign({}, samples, { stack }),
+  });
+}
+
 /**
  * Drop any samples that contain the given function.
  */
@@ -743,9 +1124,68 @@ export function collapseResource(
   thread: Thread,
   resourceIndexToCollapse: IndexIntoResourceTable,
   implementation: ImplementationFilter
+): Thread {
+  return _collapseResources(
+    thread,
+    resourceIndex => resourceIndex === resourceIndexToCollapse,
+    implementation
+  );
+}
+
+export function collapseLib(
+  thread: Thread,
+  libIndexToCollapse: IndexIntoLibs,
+  implementation: ImplementationFilter
+): Thread {
+  return _collapseResources(
+    thread,
+    _getResourceIsInLib(thread, libIndexToCollapse),
+    implementation
+  );
+}
+
+/**
+ * Returns a function telling if a resource belongs to a library. Besides the
+ * resources pointing to the library, this includes the library resources that
+ * only know the name of their library, e.g. the ones created for the functions
+ * named like "functionName (in libxul.so)".
+ */
+function _getResourceIsInLib(
+  thread: Thread,
+  libIndex: IndexIntoLibs
+): IndexIntoResourceTable => boolean {
+  const { resourceTable, libs, stringTable } = thread;
+  const lib = libs[libIndex];
+  const resourceIsInLib = [];
+  for (
+    let resourceIndex = 0;
+    resourceIndex < resourceTable.length;
+    resourceIndex++
+  ) {
+    const resourceLibIndex = resourceTable.lib[resourceIndex];
+    const nameIndex = resourceTable.name[resourceIndex];
+    resourceIsInLib[resourceIndex] =
+      resourceLibIndex === null
+        ? lib !== undefined &&
+          resourceTable.type[resourceIndex] === resourceTypes.library &&
+          nameIndex !== -1 &&
+          stringTable.getString(nameIndex) === lib.name
+        : resourceLibIndex === libIndex;
+  }
+  return resourceIndex =>
+    resourceIndex !== -1 && resourceIsInLib[resourceIndex];
+}
+
+/**
+ * Collapse the consecutive functions of the resources matching the predicate
+ * into a single function, named after the first of these resources.
+ */
+function _collapseResources(
+  thread: Thread,
+  shouldCollapseResource: IndexIntoResourceTable => boolean,
+  implementation: ImplementationFilter
 ): Thread {
   const { stackTable, funcTable, frameTable, resourceTable, samples } = thread;
-  const resourceNameIndex = resourceTable.name[resourceIndexToCollapse];
   const newFrameTable: FrameTable = {
     address: frameTable.address.slice(),
     category: frameTable.category.slice(),
@@ -798,7 +1238,7 @@ export function collapseResource(
     if (newStackPrefix === undefined) {
       throw new Error('newStackPrefix must not be undefined');
     }
-    if (resourceIndex === resourceIndexToCollapse) {
+    if (shouldCollapseResource(resourceIndex)) {
       // The stack matches this resource.
       if (!collapsedStacks.has(newStackPrefix)) {
         // The prefix is not a collapsed stack. So this stack will not collapse into its
@@ -834,7 +1274,7 @@ export function collapseResource(
             // Add the psuedo-func
             newFuncTable.address.push(funcTable.address[funcIndex]);
             newFuncTable.isJS.push(funcTable.isJS[funcIndex]);
-            newFuncTable.name.push(resourceNameIndex);
+            newFuncTable.name.push(resourceTable.name[resourceIndex]);
             newFuncTable.resource.push(funcTable.resource[funcIndex]);
             newFuncTable.fileName.push(funcTable.fileName[funcIndex]);
             newFuncTable.lineNumber.push(null);
@@ -864,7 +1304,7 @@ export function collapseResource(
         const prefixFunc = newFrameTable.func[prefixFrame];
         const prefixResource = newFuncTable.resource[prefixFunc];
 
-        if (prefixResource === resourceIndexToCollapse) {
+        if (shouldCollapseResource(prefixResource)) {
           // This stack's prefix did match the collapsed resource, map the stack
           // to the already collapsed stack and move on.
           oldStackToNewStack.set(stackIndex, newStackPrefix);
@@ -1383,3 +1823,52 @@ export function funcHasRecursiveCall(
   }
   return false;
 }
+
+/**
+ * Compile the pattern of a "merge-matching-functions" transform, or return null
+ * when it's not a valid regular expression.
+ */
+export function getRegExpForPattern(pattern: string): RegExp | null {
+  try {
+    return new RegExp(pattern);
+  } catch (error) {
+    return null;
+  }
+}
+
+function _getFuncMatchesPattern(
+  { funcTable, stringTable }: Thread,
+  pattern: string
+): IndexIntoFuncTable => boolean {
+  const regExp = getRegExpForPattern(pattern);
+  const matchCache: Map<IndexIntoFuncTable, boolean> = new Map();
+  return funcIndex => {
+    if (regExp === null) {
+      return false;
+    }
+    let matches = matchCache.get(funcIndex);
+    if (matches === undefined) {
+      matches = regExp.test(stringTable.getString(funcTable.name[funcIndex]));
+      matchCache.set(funcIndex, matches);
+    }
+    return matches;
+  };
+}
+
+/**
+ * The strings in the transforms, e.g. the patterns, can contain the "-" and "~"
+ * separators of the serialized transforms, so they are percent-encoded as well.
+ */
+function _serializeString(string: string): string {
+  return encodeURIComponent(string)
+    .replace(/-/g, '%2D')
+    .replace(/~/g, '%7E');
+}
+
+function _deserializeString(serializedString: string = ''): string | null {
+  try {
+    return decodeURIComponent(serializedString) || null;
+  } catch (error) {
+    return null;
+  }
+}
@@ -9,6 +9,7 @@ import urlState from './url-state';
 import stackChart from './stack-chart';
 import icons from './icons';
 import zippedProfiles from './zipped-profiles';
+import sources from './sources';
 import { combineReducers } from 'redux';
 
 export default combineReducers({
@@ -18,4 +19,5 @@ export default combineReducers({
   stackChart,
   icons,
   zippedProfiles,
+  sources,
 });
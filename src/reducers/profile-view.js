@@ -18,6 +18,10 @@ import * as StackTiming from '../profile-logic/stack-timing';
 import * as FlameGraph from '../profile-logic/flame-graph';
 import * as MarkerTiming from '../profile-logic/marker-timing';
 import * as CallTree from '../profile-logic/call-tree';
+import * as Butterfly from '../profile-logic/butterfly';
+import * as FunctionList from '../profile-logic/function-list';
+import * as LineTimings from '../profile-logic/line-timings';
+import * as CallNodeBreakdown from '../profile-logic/call-node-breakdown';
 import { assertExhaustiveCheck, ensureExists } from '../utils/flow';
 import { arePathsEqual, PathSet } from '../utils/path';
 
@@ -27,6 +31,7 @@ import type {
   ThreadIndex,
   SamplesTable,
   MarkersTable,
+  IndexIntoFuncTable,
 } from '../types/profile';
 import type {
   TracingMarker,
@@ -36,7 +41,11 @@ import type {
   MarkerTimingRows,
 } from '../types/profile-derived';
 import type { Milliseconds, StartEndRange } from '../types/units';
-import type { Action, ProfileSelection } from '../types/actions';
+import type {
+  Action,
+  ProfileSelection,
+  FunctionListSort,
+} from '../types/actions';
 import type {
   State,
   Reducer,
@@ -44,8 +53,14 @@ import type {
   RequestedLib,
   SymbolicationStatus,
   ThreadViewOptions,
+  CallNodePathsSnapshot,
 } from '../types/reducers';
-import type { Transform, TransformStack } from '../types/transforms';
+import type {
+  Transform,
+  TransformStack,
+  TransformReplay,
+  IndexIntoTransformStack,
+} from '../types/transforms';
 
 function profile(state: Profile | null = null, action: Action): Profile | null {
   switch (action.type) {
@@ -97,6 +112,71 @@ function symbolicationStatus(
   }
 }
 
+function _applyTransformToCallNodePaths(
+  { selectedCallNodePath, expandedCallNodePaths }: CallNodePathsSnapshot,
+  transform: Transform,
+  transformedThread: Thread
+): CallNodePathsSnapshot {
+  return {
+    selectedCallNodePath: Transforms.applyTransformToCallNodePath(
+      selectedCallNodePath,
+      transform,
+      transformedThread
+    ),
+    expandedCallNodePaths: new PathSet(
+      Array.from(expandedCallNodePaths)
+        .map(path =>
+          Transforms.applyTransformToCallNodePath(
+            path,
+            transform,
+            transformedThread
+          )
+        )
+        .filter(path => path.length > 0)
+    ),
+  };
+}
+
+/**
+ * Recompute the call node paths after the transform stack was changed from
+ * the index firstReplayedIndex, by replaying the following transforms on the
+ * paths from before the transform that was at this index. The transforms from
+ * the URL have no such paths, then the paths are reset.
+ */
+function _replayTransformsOnCallNodePaths(
+  threadViewOptions: ThreadViewOptions,
+  firstReplayedIndex: IndexIntoTransformStack,
+  replay: TransformReplay
+): ThreadViewOptions {
+  const oldCallNodePathsBeforeTransforms =
+    threadViewOptions.callNodePathsBeforeTransforms;
+  const callNodePathsBeforeTransforms = oldCallNodePathsBeforeTransforms.slice(
+    0,
+    firstReplayedIndex
+  );
+  let callNodePaths = oldCallNodePathsBeforeTransforms[firstReplayedIndex];
+  if (callNodePaths === undefined) {
+    return Object.assign({}, threadViewOptions, {
+      selectedCallNodePath: [],
+      expandedCallNodePaths: new PathSet(),
+      callNodePathsBeforeTransforms,
+    });
+  }
+  for (const { transform, transformedThread } of replay) {
+    callNodePathsBeforeTransforms.push(callNodePaths);
+    if (transformedThread !== null) {
+      callNodePaths = _applyTransformToCallNodePaths(
+        callNodePaths,
+        transform,
+        transformedThread
+      );
+    }
+  }
+  return Object.assign({}, threadViewOptions, callNodePaths, {
+    callNodePathsBeforeTransforms,
+  });
+}
+
 function viewOptionsPerThread(
   state: ThreadViewOptions[] = [],
   action: Action
@@ -106,7 +186,12 @@ function viewOptionsPerThread(
       return action.profile.threads.map(() => ({
         selectedCallNodePath: [],
         expandedCallNodePaths: new PathSet(),
+        callNodePathsBeforeTransforms: [],
         selectedMarker: -1,
+        selectedFunction: null,
+        hoveredCallNodePath: [],
+        selectedStackChartBox: null,
+        selectedTracingMarker: -1,
       }));
     case 'COALESCED_FUNCTIONS_UPDATE': {
       const { functionsUpdatePerThread } = action;
@@ -130,7 +215,31 @@ function viewOptionsPerThread(
               oldPath.map(mapOldFuncToNewFunc)
             )
           ),
+          callNodePathsBeforeTransforms: threadViewOptions.callNodePathsBeforeTransforms.map(
+            callNodePaths =>
+              callNodePaths === undefined
+                ? undefined
+                : {
+                    selectedCallNodePath: callNodePaths.selectedCallNodePath.map(
+                      mapOldFuncToNewFunc
+                    ),
+                    expandedCallNodePaths: new PathSet(
+                      Array.from(callNodePaths.expandedCallNodePaths).map(
+                        oldPath => oldPath.map(mapOldFuncToNewFunc)
+                      )
+                    ),
+                  }
+          ),
           selectedMarker: threadViewOptions.selectedMarker,
+          selectedFunction:
+            threadViewOptions.selectedFunction === null
+              ? null
+              : mapOldFuncToNewFunc(threadViewOptions.selectedFunction),
+          hoveredCallNodePath: threadViewOptions.hoveredCallNodePath.map(
+            mapOldFuncToNewFunc
+          ),
+          selectedStackChartBox: threadViewOptions.selectedStackChartBox,
+          selectedTracingMarker: threadViewOptions.selectedTracingMarker,
         };
       });
     }
@@ -167,15 +276,30 @@ function viewOptionsPerThread(
         );
       }
 
+      // The butterfly view follows the function of the selected call node.
+      const selectedFunction =
+        selectedCallNodePath.length > 0
+          ? selectedCallNodePath[selectedCallNodePath.length - 1]
+          : threadState.selectedFunction;
+
       return [
         ...state.slice(0, threadIndex),
         Object.assign({}, state[threadIndex], {
           selectedCallNodePath,
           expandedCallNodePaths,
+          selectedFunction,
         }),
         ...state.slice(threadIndex + 1),
       ];
     }
+    case 'CHANGE_SELECTED_FUNCTION': {
+      const { threadIndex, selectedFunction } = action;
+      return [
+        ...state.slice(0, threadIndex),
+        Object.assign({}, state[threadIndex], { selectedFunction }),
+        ...state.slice(threadIndex + 1),
+      ];
+    }
     case 'CHANGE_INVERT_CALLSTACK': {
       const { callTree, callNodeTable, selectedThreadIndex } = action;
       return state.map((viewOptions, threadIndex) => {
@@ -196,9 +320,14 @@ function viewOptionsPerThread(
           return Object.assign({}, viewOptions, {
             selectedCallNodePath,
             expandedCallNodePaths,
+            callNodePathsBeforeTransforms: [],
           });
         }
-        return viewOptions;
+        // The paths saved before the transforms are in the tree that isn't
+        // inverted, forget them so that the replayed transforms reset the paths.
+        return Object.assign({}, viewOptions, {
+          callNodePathsBeforeTransforms: [],
+        });
       });
     }
     case 'CHANGE_EXPANDED_CALL_NODES': {
@@ -219,48 +348,102 @@ function viewOptionsPerThread(
         ...state.slice(threadIndex + 1),
       ];
     }
+    case 'CHANGE_HOVERED_CALL_NODE': {
+      const { threadIndex, hoveredCallNodePath } = action;
+      if (
+        arePathsEqual(
+          hoveredCallNodePath,
+          state[threadIndex].hoveredCallNodePath
+        )
+      ) {
+        return state;
+      }
+      return [
+        ...state.slice(0, threadIndex),
+        Object.assign({}, state[threadIndex], { hoveredCallNodePath }),
+        ...state.slice(threadIndex + 1),
+      ];
+    }
+    case 'CHANGE_SELECTED_STACK_CHART_BOX': {
+      const { threadIndex, selectedStackChartBox } = action;
+      return [
+        ...state.slice(0, threadIndex),
+        Object.assign({}, state[threadIndex], { selectedStackChartBox }),
+        ...state.slice(threadIndex + 1),
+      ];
+    }
+    case 'CHANGE_SELECTED_TRACING_MARKER': {
+      const { threadIndex, selectedTracingMarker } = action;
+      return [
+        ...state.slice(0, threadIndex),
+        Object.assign({}, state[threadIndex], { selectedTracingMarker }),
+        ...state.slice(threadIndex + 1),
+      ];
+    }
     case 'ADD_TRANSFORM_TO_STACK': {
-      const { threadIndex, transform, transformedThread } = action;
-      const expandedCallNodePaths = new PathSet(
-        Array.from(state[threadIndex].expandedCallNodePaths)
-          .map(path =>
-            Transforms.applyTransformToCallNodePath(
-              path,
-              transform,
-              transformedThread
-            )
-          )
-          .filter(path => path.length > 0)
-      );
-
-      const selectedCallNodePath = Transforms.applyTransformToCallNodePath(
-        state[threadIndex].selectedCallNodePath,
+      const {
+        threadIndex,
         transform,
-        transformedThread
+        transformIndex,
+        transformedThread,
+      } = action;
+      const threadViewOptions = state[threadIndex];
+      const callNodePaths = {
+        selectedCallNodePath: threadViewOptions.selectedCallNodePath,
+        expandedCallNodePaths: threadViewOptions.expandedCallNodePaths,
+      };
+      const callNodePathsBeforeTransforms = threadViewOptions.callNodePathsBeforeTransforms.slice(
+        0,
+        transformIndex
       );
+      callNodePathsBeforeTransforms[transformIndex] = callNodePaths;
 
       return [
         ...state.slice(0, threadIndex),
-        Object.assign({}, state[threadIndex], {
-          selectedCallNodePath,
-          expandedCallNodePaths,
-        }),
+        Object.assign(
+          {},
+          threadViewOptions,
+          _applyTransformToCallNodePaths(
+            callNodePaths,
+            transform,
+            transformedThread
+          ),
+          { callNodePathsBeforeTransforms }
+        ),
         ...state.slice(threadIndex + 1),
       ];
     }
     case 'POP_TRANSFORMS_FROM_STACK': {
       // Simply reset the selected and expanded paths until this bug is fixed:
       // https://github.com/devtools-html/perf.html/issues/882
-      const { threadIndex } = action;
+      const { threadIndex, firstRemovedFilterIndex } = action;
       return [
         ...state.slice(0, threadIndex),
         Object.assign({}, state[threadIndex], {
           selectedCallNodePath: [],
           expandedCallNodePaths: new PathSet(),
+          callNodePathsBeforeTransforms: state[
+            threadIndex
+          ].callNodePathsBeforeTransforms.slice(0, firstRemovedFilterIndex),
         }),
         ...state.slice(threadIndex + 1),
       ];
     }
+    case 'REMOVE_TRANSFORM_FROM_STACK':
+    case 'TOGGLE_TRANSFORM': {
+      // In both cases the paths from before the transform at this index are
+      // the ones to replay the following transforms on.
+      const { threadIndex, transformIndex, replay } = action;
+      return [
+        ...state.slice(0, threadIndex),
+        _replayTransformsOnCallNodePaths(
+          state[threadIndex],
+          transformIndex,
+          replay
+        ),
+        ...state.slice(threadIndex + 1),
+      ];
+    }
     case 'CHANGE_IMPLEMENTATION_FILTER': {
       const {
         transformedThread,
@@ -306,14 +489,20 @@ function viewOptionsPerThread(
         expandedCallNodePaths.add(selectedCallNodePath.slice(0, i));
       }
 
-      return [
-        ...state.slice(0, threadIndex),
-        Object.assign({}, state[threadIndex], {
-          selectedCallNodePath,
-          expandedCallNodePaths,
-        }),
-        ...state.slice(threadIndex + 1),
-      ];
+      // Like when inverting the call tree, the paths saved before the transforms
+      // are for the previous implementation.
+      return state.map(
+        (viewOptions, i) =>
+          i === threadIndex
+            ? Object.assign({}, viewOptions, {
+                selectedCallNodePath,
+                expandedCallNodePaths,
+                callNodePathsBeforeTransforms: [],
+              })
+            : Object.assign({}, viewOptions, {
+                callNodePathsBeforeTransforms: [],
+              })
+      );
     }
     default:
       return state;
@@ -392,7 +581,7 @@ function zeroAt(state: Milliseconds = 0, action: Action) {
   }
 }
 
-function tabOrder(state: number[] = [0, 1, 2, 3, 4], action: Action) {
+function tabOrder(state: number[] = [0, 1, 2, 3, 4, 5, 6], action: Action) {
   switch (action.type) {
     case 'CHANGE_TAB_ORDER':
       return action.tabOrder;
@@ -419,6 +608,18 @@ function isCallNodeContextMenuVisible(state: boolean = false, action: Action) {
   }
 }
 
+function functionListSort(
+  state: FunctionListSort = { column: 'totalTime', descending: true },
+  action: Action
+): FunctionListSort {
+  switch (action.type) {
+    case 'CHANGE_FUNCTION_LIST_SORT':
+      return action.sort;
+    default:
+      return state;
+  }
+}
+
 /**
  * Provide a mechanism to wrap the reducer in a special function that can reset
  * the state to the default values. This is useful when viewing multiple profiles
@@ -454,6 +655,7 @@ export default wrapReducerInResetter(
       tabOrder,
       rightClickedThread,
       isCallNodeContextMenuVisible,
+      functionListSort,
     }),
     profile,
   })
@@ -491,6 +693,9 @@ export const getTabOrder = createSelector(
   viewOptions => viewOptions.tabOrder
 );
 
+export const getFunctionListSort = (state: State): FunctionListSort =>
+  getProfileViewOptions(state).functionListSort;
+
 export const getDisplayRange = createSelector(
   (state: State) => getProfileViewOptions(state).rootRange,
   (state: State) => getProfileViewOptions(state).zeroAt,
@@ -525,12 +730,27 @@ export const getRightClickedThreadIndex = (state: State) =>
   getProfileViewOptions(state).rightClickedThread;
 export const getSelection = (state: State) =>
   getProfileViewOptions(state).selection;
+/**
+ * The range of the preview selection, or the committed range when there is no
+ * preview selection.
+ */
+export const getSelectionOrDisplayRange = createSelector(
+  getSelection,
+  getDisplayRange,
+  (selection, displayRange): StartEndRange =>
+    selection.hasSelection
+      ? { start: selection.selectionStart, end: selection.selectionEnd }
+      : displayRange
+);
 
 export type SelectorsForThread = {
   getThread: State => Thread,
   getViewOptions: State => ThreadViewOptions,
   getTransformStack: State => TransformStack,
+  getDisabledTransforms: State => IndexIntoTransformStack[],
   getTransformLabels: State => string[],
+  getDisabledTransformItems: State => number[],
+  getUntoggleableTransformItems: State => number[],
   getRangeFilteredThread: State => Thread,
   getRangeAndTransformFilteredThread: State => Thread,
   getJankInstances: State => TracingMarker[],
@@ -548,15 +768,120 @@ export type SelectorsForThread = {
   getExpandedCallNodePaths: State => PathSet,
   getExpandedCallNodeIndexes: State => Array<IndexIntoCallNodeTable | null>,
   getCallTree: State => CallTree.CallTree,
+  getSelectedCallNodeBreakdown: State => CallNodeBreakdown.CallNodeBreakdown | null,
+  getHoveredCallNodeIndex: State => IndexIntoCallNodeTable | null,
+  getHoveredOrSelectedCallNodeIndex: State => IndexIntoCallNodeTable | null,
+  getHoveredOrSelectedCallNodeBreakdown: State => CallNodeBreakdown.CallNodeBreakdown | null,
   getStackTimingByDepth: State => StackTiming.StackTimingByDepth,
+  getSelectedStackChartBoxIndex: State => StackTiming.IndexIntoStackTiming | null,
   getCallNodeMaxDepthForFlameGraph: State => number,
   getFlameGraphTiming: State => FlameGraph.FlameGraphTiming,
+  getSelectedFunction: State => IndexIntoFuncTable | null,
+  getButterfly: State => Butterfly.Butterfly | null,
+  getFunctionList: State => FunctionList.FunctionList,
+  getSelectedCallNodeFunction: State => IndexIntoFuncTable | null,
+  getSelectedCallNodeLineTimings: State => LineTimings.LineTimings | null,
   getFriendlyThreadName: State => string,
   getThreadProcessDetails: State => string,
   getSearchFilteredMarkers: State => MarkersTable,
+  getSelectedTracingMarker: State => TracingMarker | null,
+  getSelectedTracingMarkerRelatedMarkers: State => TracingMarker[],
+  getSelectedTableMarker: State => TracingMarker | null,
+  getSelectedTableMarkerRelatedMarkers: State => TracingMarker[],
   unfilteredSamplesRange: State => StartEndRange | null,
 };
 
+const applyTransform = (
+  thread: Thread,
+  transform: Transform,
+  unfilteredMarkers: MarkersTable
+) => {
+  switch (transform.type) {
+    case 'focus-subtree':
+      return transform.inverted
+        ? Transforms.focusInvertedSubtree(
+            thread,
+            transform.callNodePath,
+            transform.implementation
+          )
+        : Transforms.focusSubtree(
+            thread,
+            transform.callNodePath,
+            transform.implementation
+          );
+    case 'merge-call-node':
+      return Transforms.mergeCallNode(
+        thread,
+        transform.callNodePath,
+        transform.implementation
+      );
+    case 'merge-function':
+      return Transforms.mergeFunction(thread, transform.funcIndex);
+    case 'merge-matching-functions':
+      return Transforms.mergeMatchingFunctions(thread, transform.pattern);
+    case 'drop-function':
+      return Transforms.dropFunction(thread, transform.funcIndex);
+    case 'filter-samples-by-marker':
+      return Transforms.filterSamplesByMarker(
+        thread,
+        transform.searchString,
+        unfilteredMarkers
+      );
+    case 'focus-function':
+      return Transforms.focusFunction(thread, transform.funcIndex);
+    case 'focus-category':
+      return Transforms.focusCategory(thread, transform.category);
+    case 'collapse-resource':
+      return Transforms.collapseResource(
+        thread,
+        transform.resourceIndex,
+        transform.implementation
+      );
+    case 'collapse-lib':
+      return Transforms.collapseLib(
+        thread,
+        transform.libIndex,
+        transform.implementation
+      );
+    case 'collapse-direct-recursion':
+      return Transforms.collapseDirectRecursion(
+        thread,
+        transform.funcIndex,
+        transform.implementation
+      );
+    case 'collapse-function-subtree':
+      return Transforms.collapseFunctionSubtree(thread, transform.funcIndex);
+    default:
+      throw assertExhaustiveCheck(transform);
+  }
+};
+
+// It becomes very expensive to apply each transform over and over again as they
+// typically take around 100ms to run per transform on a fast machine. Memoize
+// memoize each step individually so that they transform stack can be pushed and
+// popped frequently and easily.
+const applyTransformMemoized = memoize(applyTransform, {
+  cache: new WeakTupleMap(),
+});
+
+/**
+ * Apply a transform stack to a thread. It's also used to know what a changed
+ * stack will transform, before the URL state is updated. The markers of the
+ * thread before its range was filtered are needed to filter the samples by
+ * marker.
+ */
+export const applyTransforms = (
+  startingThread: Thread,
+  transforms: TransformStack,
+  unfilteredMarkers: MarkersTable
+): Thread =>
+  transforms.reduce(
+    // Apply the reducer using an arrow function to ensure correct memoization.
+    (thread, transform) =>
+      applyTransformMemoized(thread, transform, unfilteredMarkers),
+    startingThread
+  );
+
 const selectorsForThreads: { [key: ThreadIndex]: SelectorsForThread } = {};
 
 export const selectorsForThread = (
@@ -584,71 +909,24 @@ export const selectorsForThread = (
         return ProfileData.filterThreadToRange(thread, start, end);
       }
     );
-    const applyTransform = (thread: Thread, transform: Transform) => {
-      switch (transform.type) {
-        case 'focus-subtree':
-          return transform.inverted
-            ? Transforms.focusInvertedSubtree(
-                thread,
-                transform.callNodePath,
-                transform.implementation
-              )
-            : Transforms.focusSubtree(
-                thread,
-                transform.callNodePath,
-                transform.implementation
-              );
-        case 'merge-call-node':
-          return Transforms.mergeCallNode(
-            thread,
-            transform.callNodePath,
-            transform.implementation
-          );
-        case 'merge-function':
-          return Transforms.mergeFunction(thread, transform.funcIndex);
-        case 'drop-function':
-          return Transforms.dropFunction(thread, transform.funcIndex);
-        case 'focus-function':
-          return Transforms.focusFunction(thread, transform.funcIndex);
-        case 'collapse-resource':
-          return Transforms.collapseResource(
-            thread,
-            transform.resourceIndex,
-            transform.implementation
-          );
-        case 'collapse-direct-recursion':
-          return Transforms.collapseDirectRecursion(
-            thread,
-            transform.funcIndex,
-            transform.implementation
-          );
-        case 'collapse-function-subtree':
-          return Transforms.collapseFunctionSubtree(
-            thread,
-            transform.funcIndex
-          );
-        default:
-          throw assertExhaustiveCheck(transform);
-      }
-    };
-    // It becomes very expensive to apply each transform over and over again as they
-    // typically take around 100ms to run per transform on a fast machine. Memoize
-    // memoize each step individually so that they transform stack can be pushed and
-    // popped frequently and easily.
-    const applyTransformMemoized = memoize(applyTransform, {
-      cache: new WeakTupleMap(),
-    });
     const getTransformStack = (state: State): TransformStack =>
       UrlState.getTransformStack(state, threadIndex);
+    const getDisabledTransforms = (state: State): IndexIntoTransformStack[] =>
+      UrlState.getDisabledTransforms(state, threadIndex);
+    const _getEnabledTransformStack = createSelector(
+      getTransformStack,
+      getDisabledTransforms,
+      (transforms, disabledTransforms): TransformStack =>
+        disabledTransforms.length === 0
+          ? transforms
+          : transforms.filter((_, i) => !disabledTransforms.includes(i))
+    );
     const getRangeAndTransformFilteredThread = createSelector(
       getRangeFilteredThread,
-      getTransformStack,
-      (startingThread, transforms): Thread =>
-        transforms.reduce(
-          // Apply the reducer using an arrow function to ensure correct memoization.
-          (thread, transform) => applyTransformMemoized(thread, transform),
-          startingThread
-        )
+      _getEnabledTransformStack,
+      getThread,
+      (thread, transforms, unfilteredThread): Thread =>
+        applyTransforms(thread, transforms, unfilteredThread.markers)
     );
     const _getImplementationFilteredThread = createSelector(
       getRangeAndTransformFilteredThread,
@@ -704,6 +982,26 @@ export const selectorsForThread = (
       getTransformStack,
       Transforms.getTransformLabels
     );
+    // The items of the transform navigator start with the complete thread, so
+    // the transform at index i in the stack is the item at index i + 1.
+    const getDisabledTransformItems: (
+      state: State
+    ) => number[] = createSelector(
+      getDisabledTransforms,
+      (disabledTransforms): number[] =>
+        disabledTransforms.map(transformIndex => transformIndex + 1)
+    );
+    const getUntoggleableTransformItems: (
+      state: State
+    ) => number[] = createSelector(getTransformStack, (transforms): number[] =>
+      transforms
+        .map((_, transformIndex) => transformIndex)
+        .filter(
+          transformIndex =>
+            !Transforms.canToggleTransform(transforms, transformIndex)
+        )
+        .map(transformIndex => transformIndex + 1)
+    );
     const _getRangeFilteredThreadSamples = createSelector(
       getRangeFilteredThread,
       (thread): SamplesTable => thread.samples
@@ -784,8 +1082,63 @@ export const selectorsForThread = (
       getCallNodeInfo,
       UrlState.getImplementationFilter,
       UrlState.getInvertCallstack,
+      UrlState.getCallTreeSortBy,
       CallTree.getCallTree
     );
+    /**
+     * The breakdown of the samples of the call node that is returned by
+     * getCallNodeIndex, for the sidebars.
+     */
+    const _getCallNodeBreakdownSelector = (
+      getCallNodeIndex: State => IndexIntoCallNodeTable | null
+    ) =>
+      createSelector(
+        getRangeSelectionFilteredThread,
+        getCallNodeInfo,
+        getCallNodeIndex,
+        getSelectionOrDisplayRange,
+        UrlState.getInvertCallstack,
+        (
+          thread,
+          callNodeInfo,
+          callNodeIndex,
+          range,
+          invertCallstack
+        ): CallNodeBreakdown.CallNodeBreakdown | null =>
+          // The signed weights of a comparison aren't broken down.
+          callNodeIndex === null || thread.samples.isDifference
+            ? null
+            : CallNodeBreakdown.getCallNodeBreakdown(
+                thread,
+                callNodeInfo,
+                callNodeIndex,
+                range,
+                invertCallstack
+              )
+      );
+    const getSelectedCallNodeBreakdown = _getCallNodeBreakdownSelector(
+      getSelectedCallNodeIndex
+    );
+    const getHoveredCallNodeIndex = createSelector(
+      getCallNodeInfo,
+      (state: State) => getViewOptions(state).hoveredCallNodePath,
+      (callNodeInfo, callNodePath): IndexIntoCallNodeTable | null =>
+        ProfileData.getCallNodeIndexFromPath(
+          callNodePath,
+          callNodeInfo.callNodeTable
+        )
+    );
+    const getHoveredOrSelectedCallNodeIndex = (
+      state: State
+    ): IndexIntoCallNodeTable | null => {
+      const hoveredCallNodeIndex = getHoveredCallNodeIndex(state);
+      return hoveredCallNodeIndex === null
+        ? getSelectedCallNodeIndex(state)
+        : hoveredCallNodeIndex;
+    };
+    const getHoveredOrSelectedCallNodeBreakdown = _getCallNodeBreakdownSelector(
+      getHoveredOrSelectedCallNodeIndex
+    );
     const getStackTimingByDepth = createSelector(
       getFilteredThread,
       getCallNodeInfo,
@@ -793,6 +1146,17 @@ export const selectorsForThread = (
       getProfileInterval,
       StackTiming.getStackTimingByDepth
     );
+    const getSelectedStackChartBoxIndex = createSelector(
+      getStackTimingByDepth,
+      (state: State) => getViewOptions(state).selectedStackChartBox,
+      (
+        stackTimingByDepth,
+        selectedBox
+      ): StackTiming.IndexIntoStackTiming | null =>
+        selectedBox === null
+          ? null
+          : StackTiming.findStackChartBox(stackTimingByDepth, selectedBox)
+    );
     const getCallNodeMaxDepthForFlameGraph = createSelector(
       getRangeSelectionFilteredThread,
       getCallNodeInfo,
@@ -802,11 +1166,151 @@ export const selectorsForThread = (
       getCallTree,
       FlameGraph.getFlameGraphTiming
     );
+    const getSelectedFunction = (state: State): IndexIntoFuncTable | null =>
+      getViewOptions(state).selectedFunction;
+    /**
+     * The butterfly view and the function list aggregate the call nodes by
+     * function, which needs the callers to come before the callees. They always
+     * use the thread and the call nodes that aren't inverted. When the call tree
+     * isn't inverted, they are the same as the call tree's.
+     */
+    const _computeNonInvertedRangeSelectionFilteredThread = createSelector(
+      _getImplementationAndSearchFilteredThread,
+      getSelection,
+      (thread, selection): Thread => {
+        if (!selection.hasSelection) {
+          return thread;
+        }
+        const { selectionStart, selectionEnd } = selection;
+        return ProfileData.filterThreadToRange(
+          thread,
+          selectionStart,
+          selectionEnd
+        );
+      }
+    );
+    const _computeNonInvertedCallNodeInfo = createSelector(
+      _getImplementationAndSearchFilteredThread,
+      ({ stackTable, frameTable, funcTable }: Thread): CallNodeInfo => {
+        return ProfileData.getCallNodeInfo(stackTable, frameTable, funcTable);
+      }
+    );
+    const _getNonInvertedThread = (state: State): Thread =>
+      UrlState.getInvertCallstack(state)
+        ? _computeNonInvertedRangeSelectionFilteredThread(state)
+        : getRangeSelectionFilteredThread(state);
+    const _getNonInvertedCallNodeInfo = (state: State): CallNodeInfo =>
+      UrlState.getInvertCallstack(state)
+        ? _computeNonInvertedCallNodeInfo(state)
+        : getCallNodeInfo(state);
+    const _getNonInvertedCountsAndTimings = createSelector(
+      _getNonInvertedThread,
+      _getNonInvertedCallNodeInfo,
+      getProfileInterval,
+      (thread, callNodeInfo, interval): CallTree.CallTreeCountsAndTimings =>
+        CallTree.computeCallTreeCountsAndTimings(
+          thread,
+          callNodeInfo,
+          interval,
+          false
+        )
+    );
+    const getButterfly = createSelector(
+      _getNonInvertedCallNodeInfo,
+      _getNonInvertedCountsAndTimings,
+      getSelectedFunction,
+      (
+        { callNodeTable },
+        countsAndTimings,
+        selectedFunction
+      ): Butterfly.Butterfly | null =>
+        selectedFunction === null
+          ? null
+          : Butterfly.getButterfly(
+              callNodeTable,
+              countsAndTimings,
+              selectedFunction
+            )
+    );
+    const _getFunctionTimings = createSelector(
+      _getNonInvertedThread,
+      _getNonInvertedCallNodeInfo,
+      _getNonInvertedCountsAndTimings,
+      (thread, { callNodeTable }, countsAndTimings) =>
+        FunctionList.computeFunctionTimings(
+          thread,
+          callNodeTable,
+          countsAndTimings
+        )
+    );
+    const getFunctionList = createSelector(
+      _getNonInvertedThread,
+      getProfileInterval,
+      _getFunctionTimings,
+      getFunctionListSort,
+      UrlState.getImplementationFilter,
+      FunctionList.getFunctionList
+    );
+    /**
+     * The source view shows the function of the selected call node, which can
+     * differ from the function selected in the function list.
+     */
+    const getSelectedCallNodeFunction = createSelector(
+      getSelectedCallNodePath,
+      (callNodePath): IndexIntoFuncTable | null =>
+        callNodePath.length === 0 ? null : callNodePath[callNodePath.length - 1]
+    );
+    const getSelectedCallNodeLineTimings = createSelector(
+      _getNonInvertedThread,
+      getSelectedCallNodeFunction,
+      (thread, func): LineTimings.LineTimings | null =>
+        func === null ? null : LineTimings.getLineTimings(thread, func)
+    );
     const getSearchFilteredMarkers = createSelector(
       getRangeSelectionFilteredThread,
       UrlState.getMarkersSearchString,
       ProfileData.getSearchFilteredMarkers
     );
+    const getSelectedTracingMarker = createSelector(
+      getTracingMarkers,
+      (state: State) => getViewOptions(state).selectedTracingMarker,
+      (markers, selectedTracingMarker): TracingMarker | null =>
+        selectedTracingMarker === -1 ? null : markers[selectedTracingMarker]
+    );
+    const getSelectedTracingMarkerRelatedMarkers = createSelector(
+      getTracingMarkers,
+      getSelectedTracingMarker,
+      (markers, marker): TracingMarker[] =>
+        marker === null
+          ? []
+          : ProfileData.getRelatedTracingMarkers(markers, marker)
+    );
+    /**
+     * The marker table lists the raw markers, the one that is selected is
+     * converted to a tracing marker so that it can be shown like the ones of
+     * the marker chart.
+     */
+    const getSelectedTableMarker = createSelector(
+      getRangeSelectionFilteredThread,
+      getSearchFilteredMarkers,
+      (state: State) => getViewOptions(state).selectedMarker,
+      (thread, markers, selectedMarker): TracingMarker | null =>
+        selectedMarker === -1 || selectedMarker >= markers.length
+          ? null
+          : ProfileData.getMarkerAsTracingMarker(
+              thread.stringTable,
+              markers,
+              selectedMarker
+            )
+    );
+    const getSelectedTableMarkerRelatedMarkers = createSelector(
+      getTracingMarkers,
+      getSelectedTableMarker,
+      (markers, marker): TracingMarker[] =>
+        marker === null
+          ? []
+          : ProfileData.getRelatedTracingMarkers(markers, marker)
+    );
     /**
      * The buffers of the samples can be cleared out. This function lets us know the
      * absolute range of samples that we have collected.
@@ -827,7 +1331,10 @@ export const selectorsForThread = (
       getThread,
       getViewOptions,
       getTransformStack,
+      getDisabledTransforms,
       getTransformLabels,
+      getDisabledTransformItems,
+      getUntoggleableTransformItems,
       getRangeFilteredThread,
       getRangeAndTransformFilteredThread,
       getJankInstances,
@@ -845,12 +1352,26 @@ export const selectorsForThread = (
       getExpandedCallNodePaths,
       getExpandedCallNodeIndexes,
       getCallTree,
+      getSelectedCallNodeBreakdown,
+      getHoveredCallNodeIndex,
+      getHoveredOrSelectedCallNodeIndex,
+      getHoveredOrSelectedCallNodeBreakdown,
       getStackTimingByDepth,
+      getSelectedStackChartBoxIndex,
       getCallNodeMaxDepthForFlameGraph,
       getFlameGraphTiming,
+      getSelectedFunction,
+      getButterfly,
+      getFunctionList,
+      getSelectedCallNodeFunction,
+      getSelectedCallNodeLineTimings,
       getFriendlyThreadName,
       getThreadProcessDetails,
       getSearchFilteredMarkers,
+      getSelectedTracingMarker,
+      getSelectedTracingMarkerRelatedMarkers,
+      getSelectedTableMarker,
+      getSelectedTableMarkerRelatedMarkers,
       unfilteredSamplesRange,
     };
   }
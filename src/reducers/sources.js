@@ -0,0 +1,41 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// @flow
+import type { Action } from '../types/actions';
+import type {
+  State,
+  Reducer,
+  SourcesState,
+  SourceState,
+} from '../types/reducers';
+
+/**
+ * The source files that were requested by the source view, by their file name.
+ */
+function sources(state: SourcesState = {}, action: Action): SourcesState {
+  switch (action.type) {
+    case 'REQUEST_SOURCE':
+      return { ...state, [action.fileName]: { phase: 'LOADING' } };
+    case 'RECEIVE_SOURCE':
+      return {
+        ...state,
+        [action.fileName]: { phase: 'LOADED', source: action.source },
+      };
+    case 'ERROR_RECEIVING_SOURCE':
+      return {
+        ...state,
+        [action.fileName]: { phase: 'ERROR', error: action.error },
+      };
+    default:
+      return state;
+  }
+}
+
+const sourcesReducer: Reducer<SourcesState> = sources;
+export default sourcesReducer;
+
+export const getSources = (state: State): SourcesState => state.sources;
+export const getSource = (state: State, fileName: string): SourceState | null =>
+  getSources(state)[fileName] || null;
@@ -4,29 +4,43 @@
 
 // @flow
 import { combineReducers } from 'redux';
-import escapeStringRegexp from 'escape-string-regexp';
 import { createSelector } from 'reselect';
 
-import { defaultThreadOrder } from '../profile-logic/profile-data';
+import {
+  defaultThreadOrder,
+  parseSearchString,
+  splitSearchString,
+} from '../profile-logic/profile-data';
+import { DEFAULT_CALL_TREE_COLUMNS } from '../profile-logic/call-tree';
 import { urlFromState } from '../url-handling';
 import * as RangeFilters from '../profile-logic/range-filters';
+import {
+  removeFromDisabledTransforms,
+  toggleDisabledTransform,
+  isTransformValidForThread,
+} from '../profile-logic/transforms';
 
-import type { ThreadIndex } from '../types/profile';
+import type { Profile, ThreadIndex } from '../types/profile';
 import type { StartEndRange } from '../types/units';
 import type {
   TransformStacksPerThread,
   TransformStack,
+  DisabledTransformsPerThread,
+  IndexIntoTransformStack,
 } from '../types/transforms';
 import type {
   Action,
   DataSource,
   ImplementationFilter,
   TabSlug,
+  CallTreeColumn,
+  CallTreeSortBy,
 } from '../types/actions';
 import type { State, UrlState, Reducer } from '../types/reducers';
 
 // Pre-allocate an array to help with strict equality tests in the selectors.
 const EMPTY_TRANSFORM_STACK = [];
+const EMPTY_DISABLED_TRANSFORMS = [];
 
 function dataSource(state: DataSource = 'none', action: Action) {
   switch (action.type) {
@@ -55,6 +69,19 @@ function profileUrl(state: string = '', action: Action) {
   }
 }
 
+function profilesToCompare(
+  state: string[] | null = null,
+  action: Action
+): string[] | null {
+  switch (action.type) {
+    case 'PROFILE_PUBLISHED':
+      // The published profile is the comparison, and is viewed on its own.
+      return null;
+    default:
+      return state;
+  }
+}
+
 function selectedTab(state: TabSlug = 'calltree', action: Action) {
   switch (action.type) {
     case 'CHANGE_SELECTED_TAB':
@@ -64,6 +91,23 @@ function selectedTab(state: TabSlug = 'calltree', action: Action) {
   }
 }
 
+function closedSidebars(state: TabSlug[] = [], action: Action) {
+  switch (action.type) {
+    case 'CHANGE_SIDEBAR_OPEN_STATE': {
+      const { tab, isOpen } = action;
+      const isClosed = state.includes(tab);
+      if (isOpen === !isClosed) {
+        return state;
+      }
+      return isOpen
+        ? state.filter(closedTab => closedTab !== tab)
+        : [...state, tab];
+    }
+    default:
+      return state;
+  }
+}
+
 function rangeFilters(state: StartEndRange[] = [], action: Action) {
   switch (action.type) {
     case 'ADD_RANGE_FILTER': {
@@ -163,6 +207,46 @@ function transforms(state: TransformStacksPerThread = {}, action: Action) {
         [threadIndex]: transforms.slice(0, firstRemovedFilterIndex),
       });
     }
+    case 'REMOVE_TRANSFORM_FROM_STACK': {
+      const { threadIndex, transforms } = action;
+      return Object.assign({}, state, {
+        [threadIndex]: transforms,
+      });
+    }
+    default:
+      return state;
+  }
+}
+
+function disabledTransforms(
+  state: DisabledTransformsPerThread = {},
+  action: Action
+) {
+  switch (action.type) {
+    case 'POP_TRANSFORMS_FROM_STACK': {
+      const { threadIndex, firstRemovedFilterIndex } = action;
+      const disabledTransforms = state[threadIndex] || [];
+      return Object.assign({}, state, {
+        [threadIndex]: disabledTransforms.filter(
+          index => index < firstRemovedFilterIndex
+        ),
+      });
+    }
+    case 'REMOVE_TRANSFORM_FROM_STACK': {
+      const { threadIndex, disabledTransforms } = action;
+      return Object.assign({}, state, {
+        [threadIndex]: disabledTransforms,
+      });
+    }
+    case 'TOGGLE_TRANSFORM': {
+      const { threadIndex, transformIndex } = action;
+      return Object.assign({}, state, {
+        [threadIndex]: toggleDisabledTransform(
+          state[threadIndex] || [],
+          transformIndex
+        ),
+      });
+    }
     default:
       return state;
   }
@@ -193,6 +277,31 @@ function invertCallstack(state: boolean = false, action: Action) {
   }
 }
 
+function callTreeColumns(
+  state: CallTreeColumn[] = DEFAULT_CALL_TREE_COLUMNS,
+  action: Action
+) {
+  switch (action.type) {
+    case 'CHANGE_CALL_TREE_COLUMNS':
+      return action.columns;
+    default:
+      return state;
+  }
+}
+
+/**
+ * The siblings of the call tree are sorted by this column, the heaviest first,
+ * or alphabetically for the names.
+ */
+function callTreeSortBy(state: CallTreeSortBy = 'totalTime', action: Action) {
+  switch (action.type) {
+    case 'CHANGE_CALL_TREE_SORT':
+      return action.sortBy;
+    default:
+      return state;
+  }
+}
+
 function threadOrder(state: ThreadIndex[] = [], action: Action) {
   switch (action.type) {
     case 'VIEW_PROFILE': {
@@ -250,10 +359,56 @@ function pathInZipFile(
   }
 }
 
+type ProfileSpecificUrlState = $PropertyType<UrlState, 'profileSpecific'>;
+
+/**
+ * Like the other values of the URL, the transforms are checked once the profile
+ * is viewed. The ones that don't apply to their thread are dropped, and the
+ * disabled transforms are shifted accordingly.
+ */
+function _dropInvalidTransforms(
+  state: ProfileSpecificUrlState,
+  profile: Profile
+): ProfileSpecificUrlState {
+  let { transforms, disabledTransforms } = state;
+  for (const key of Object.keys(state.transforms)) {
+    const threadIndex = Number(key);
+    const thread = profile.threads[threadIndex];
+    const transformStack = state.transforms[threadIndex];
+    if (thread === undefined) {
+      continue;
+    }
+    let threadDisabledTransforms = disabledTransforms[threadIndex] || [];
+    // Go backwards so that the disabled indexes of the remaining transforms are
+    // shifted correctly.
+    for (let i = transformStack.length - 1; i >= 0; i--) {
+      if (!isTransformValidForThread(transformStack[i], thread)) {
+        threadDisabledTransforms = removeFromDisabledTransforms(
+          threadDisabledTransforms,
+          i
+        );
+      }
+    }
+    const validTransformStack = transformStack.filter(transform =>
+      isTransformValidForThread(transform, thread)
+    );
+    if (validTransformStack.length !== transformStack.length) {
+      transforms = { ...transforms, [threadIndex]: validTransformStack };
+      disabledTransforms = {
+        ...disabledTransforms,
+        [threadIndex]: threadDisabledTransforms,
+      };
+    }
+  }
+  return transforms === state.transforms
+    ? state
+    : { ...state, transforms, disabledTransforms };
+}
+
 /**
  * These values are specific to an individual profile.
  */
-const profileSpecific = combineReducers({
+const combinedProfileSpecific = combineReducers({
   implementation,
   invertCallstack,
   rangeFilters,
@@ -263,8 +418,18 @@ const profileSpecific = combineReducers({
   hiddenThreads,
   markersSearchString,
   transforms,
+  disabledTransforms,
+  callTreeColumns,
+  callTreeSortBy,
 });
 
+const profileSpecific: Reducer<ProfileSpecificUrlState> = (state, action) => {
+  const newState = combinedProfileSpecific(state, action);
+  return action.type === 'VIEW_PROFILE'
+    ? _dropInvalidTransforms(newState, action.profile)
+    : newState;
+};
+
 /**
  * Provide a mechanism to wrap the UrlState reducer in a special function that can swap
  * out the entire UrlState with a new one coming from the History API. Also provide a
@@ -283,7 +448,7 @@ const wrapReducerInResetter = (
       case 'RETURN_TO_ZIP_FILE_LIST':
         // Invalidate all information that would be specific to an individual profile.
         return Object.assign(regularUrlStateReducer(state, action), {
-          profileSpecific: profileSpecific(undefined, state),
+          profileSpecific: profileSpecific(undefined, action),
         });
       default:
         return regularUrlStateReducer(state, action);
@@ -296,7 +461,9 @@ const urlStateReducer = wrapReducerInResetter(
     dataSource,
     hash,
     profileUrl,
+    profilesToCompare,
     selectedTab,
+    closedSidebars,
     pathInZipFile,
     profileSpecific,
   })
@@ -311,24 +478,49 @@ export const getProfileSpecificState = (state: State) =>
 export const getDataSource = (state: State) => getUrlState(state).dataSource;
 export const getHash = (state: State) => getUrlState(state).hash;
 export const getProfileUrl = (state: State) => getUrlState(state).profileUrl;
+export const getProfilesToCompare = (state: State) =>
+  getUrlState(state).profilesToCompare;
 export const getRangeFilters = (state: State) =>
   getProfileSpecificState(state).rangeFilters;
 export const getImplementationFilter = (state: State) =>
   getProfileSpecificState(state).implementation;
 export const getInvertCallstack = (state: State) =>
   getProfileSpecificState(state).invertCallstack;
+export const getCallTreeColumns = (state: State) =>
+  getProfileSpecificState(state).callTreeColumns;
+export const getCallTreeSortBy = (state: State) =>
+  getProfileSpecificState(state).callTreeSortBy;
 export const getCurrentSearchString = (state: State) =>
   getProfileSpecificState(state).callTreeSearchString;
+function _getGroupCount(regExp: RegExp): number {
+  // The empty alternative always matches, with every group of the expression.
+  const result = new RegExp('|' + regExp.source).exec('');
+  return result === null ? 0 : result.length - 1;
+}
+
+/**
+ * The capture groups of the search terms are renumbered once they're joined,
+ * renumber their backreferences too. Escapes in character classes aren't
+ * backreferences, and neither are the numbers above the term's group count.
+ */
+function _offsetBackreferences(regExp: RegExp, offset: number): string {
+  const groupCount = _getGroupCount(regExp);
+  return regExp.source.replace(
+    /\[(?:\\.|[^\]\\])*\]|\\(\d+)|\\./g,
+    (match, number) =>
+      number !== undefined && Number(number) <= groupCount
+        ? '\\' + (Number(number) + offset)
+        : match
+  );
+}
+
 export const getSearchStrings = createSelector(
   getCurrentSearchString,
   searchString => {
     if (!searchString) {
       return null;
     }
-    const result = searchString
-      .split(',')
-      .map(part => part.trim())
-      .filter(part => part);
+    const result = splitSearchString(searchString);
 
     if (result.length) {
       return result;
@@ -343,14 +535,30 @@ export const getSearchStringsAsRegExp = createSelector(
     if (!strings || !strings.length) {
       return null;
     }
-    const regexpStr = strings.map(escapeStringRegexp).join('|');
-    return new RegExp(regexpStr, 'gi');
+    // Highlight what the terms searched for, except for the negated ones that
+    // can't appear in the results.
+    const sources = [];
+    let groupCount = 0;
+    for (const { negated, regExp } of strings.map(parseSearchString)) {
+      if (!negated) {
+        sources.push(_offsetBackreferences(regExp, groupCount));
+        groupCount += _getGroupCount(regExp);
+      }
+    }
+    if (!sources.length) {
+      return null;
+    }
+    return new RegExp(sources.join('|'), 'gi');
   }
 );
 export const getMarkersSearchString = (state: State) =>
   getProfileSpecificState(state).markersSearchString;
 
 export const getSelectedTab = (state: State) => getUrlState(state).selectedTab;
+export const getClosedSidebars = (state: State) =>
+  getUrlState(state).closedSidebars;
+export const getIsSidebarOpen = (state: State) =>
+  !getClosedSidebars(state).includes(getSelectedTab(state));
 export const getSelectedThreadIndex = (state: State) => {
   const threadIndex = getProfileSpecificState(state).selectedThread;
   if (threadIndex === null) {
@@ -369,6 +577,15 @@ export const getTransformStack = (
     EMPTY_TRANSFORM_STACK
   );
 };
+export const getDisabledTransforms = (
+  state: State,
+  threadIndex: ThreadIndex
+): IndexIntoTransformStack[] => {
+  return (
+    getProfileSpecificState(state).disabledTransforms[threadIndex] ||
+    EMPTY_DISABLED_TRANSFORMS
+  );
+};
 export const getThreadOrder = (state: State) =>
   getProfileSpecificState(state).threadOrder;
 export const getHiddenThreads = (state: State) =>
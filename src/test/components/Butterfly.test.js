@@ -0,0 +1,63 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// @flow
+
+import * as React from 'react';
+import { Provider } from 'react-redux';
+import { mount } from 'enzyme';
+
+import Butterfly from '../../components/butterfly/Butterfly';
+import { changeSelectedCallNode } from '../../actions/profile-view';
+import { selectedThreadSelectors } from '../../reducers/profile-view';
+import { storeWithProfile } from '../fixtures/stores';
+import { getProfileFromTextSamples } from '../fixtures/profiles/make-profile';
+
+describe('Butterfly', function() {
+  function setup() {
+    const { profile, funcNamesDictPerThread } = getProfileFromTextSamples(`
+      A A A
+      B B C
+      C C D
+      D E
+    `);
+    const store = storeWithProfile(profile);
+    const view = mount(
+      <Provider store={store}>
+        <Butterfly />
+      </Provider>
+    );
+    return { store, view, funcNamesDict: funcNamesDictPerThread[0] };
+  }
+
+  it('asks to select a function', () => {
+    const { view } = setup();
+    expect(view.find('.butterflyEmpty').text()).toContain('Select a function');
+  });
+
+  it('shows the callers and the callees of the selected function', () => {
+    const { store, view, funcNamesDict: { A, B, C } } = setup();
+    store.dispatch(changeSelectedCallNode(0, [A, B, C]));
+    view.update();
+    expect(view).toMatchSnapshot();
+  });
+
+  it('selects the callers and the callees', () => {
+    const { store, view, funcNamesDict: { A, B, C, D } } = setup();
+    store.dispatch(changeSelectedCallNode(0, [A, B, C]));
+    view.update();
+
+    view
+      .find('.butterflyCallees .butterflyCall')
+      .first()
+      .simulate('click');
+    expect(selectedThreadSelectors.getSelectedFunction(store.getState())).toBe(
+      D
+    );
+    // The call tree keeps its selection.
+    expect(
+      selectedThreadSelectors.getSelectedCallNodePath(store.getState())
+    ).toEqual([A, B, C]);
+  });
+});
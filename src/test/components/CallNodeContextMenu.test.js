@@ -84,6 +84,7 @@ describe('calltree/CallNodeContextMenu', function() {
       'focus-function',
       'collapse-function-subtree',
       'collapse-resource',
+      'collapse-lib',
       'collapse-direct-recursion',
       'drop-function',
     ]) {
@@ -97,6 +98,50 @@ describe('calltree/CallNodeContextMenu', function() {
     }
   });
 
+  it('can focus on the samples spent in a category', function() {
+    const { store: { getState }, wrapper } = setup();
+    wrapper
+      .find(MenuItem)
+      .filterWhere(n => n.props().data.category === 'JS Interpreter')
+      .simulate('click');
+    expect(selectedThreadSelectors.getTransformStack(getState())).toEqual([
+      { type: 'focus-category', category: 'JS Interpreter' },
+    ]);
+  });
+
+  describe('merging the functions matching a pattern', function() {
+    it('asks for the pattern, starting with the selected function', function() {
+      const { store: { getState }, wrapper, findMenuItem } = setup();
+      findMenuItem('merge-matching-functions').simulate('click');
+      const input = wrapper.find('input.callNodeContextMenuPatternInput');
+      expect(input.prop('value')).toBe('^B:library');
+      (input.getDOMNode(): any).value = '^B:';
+      input.simulate('change');
+      wrapper.find('form.callNodeContextMenuPatternPanel').simulate('submit');
+      expect(selectedThreadSelectors.getTransformStack(getState())).toEqual([
+        { type: 'merge-matching-functions', pattern: '^B:' },
+      ]);
+      expect(wrapper.find('.callNodeContextMenuPatternPanel')).toHaveLength(0);
+    });
+
+    it('does nothing when the pattern is cancelled or invalid', function() {
+      const { store: { getState }, wrapper, findMenuItem } = setup();
+      findMenuItem('merge-matching-functions').simulate('click');
+      const input = wrapper.find('input.callNodeContextMenuPatternInput');
+      (input.getDOMNode(): any).value = '(';
+      input.simulate('change');
+      expect(
+        wrapper
+          .find('input.callNodeContextMenuPatternOkButton')
+          .prop('disabled')
+      ).toBe(true);
+      wrapper.find('form.callNodeContextMenuPatternPanel').simulate('submit');
+      input.simulate('keydown', { key: 'Escape' });
+      expect(wrapper.find('.callNodeContextMenuPatternPanel')).toHaveLength(0);
+      expect(selectedThreadSelectors.getTransformStack(getState())).toEqual([]);
+    });
+  });
+
   describe('clicking on the rest of the menu items', function() {
     it('can expand all call nodes in the call tree', function() {
       const { store: { getState }, findMenuItem } = setup();
@@ -158,5 +203,22 @@ describe('calltree/CallNodeContextMenu', function() {
       findMenuItem('copy-stack').simulate('click');
       expect(copy).toBeCalledWith(`B:library\nA\n`);
     });
+
+    it('can copy the expanded call tree or the full one', function() {
+      const { findMenuItem } = setup();
+      findMenuItem('copy-expanded-call-tree').simulate('click');
+      const expandedRows = copy.mock.calls[copy.mock.calls.length - 1][0]
+        .trim()
+        .split('\n');
+      // The header, A and B:library are the visible rows.
+      expect(expandedRows).toHaveLength(3);
+      expect(expandedRows[2]).toEqual('1\tB:library\tlibrary\t3\t0\t100');
+
+      findMenuItem('copy-full-call-tree').simulate('click');
+      const fullRows = copy.mock.calls[copy.mock.calls.length - 1][0]
+        .trim()
+        .split('\n');
+      expect(fullRows).toHaveLength(12);
+    });
   });
 });
@@ -56,4 +56,58 @@ describe('CallTreeSidebar', function() {
     view.update();
     expect(view).toMatchSnapshot();
   });
+
+  function getDetails(view): string[] {
+    return Array.from(
+      view.find('.sidebar-details').getDOMNode().children,
+      element => element.textContent
+    );
+  }
+
+  it('shows the details and the breakdowns of the selected node', () => {
+    const { profile, funcNamesDictPerThread } = getProfileFromTextSamples(`
+      A      A      A
+      B.js   B.js   C
+      C:libc D:libd
+    `);
+    const { A } = funcNamesDictPerThread[0];
+    const B = funcNamesDictPerThread[0]['B.js'];
+    const C = funcNamesDictPerThread[0]['C:libc'];
+    const { funcTable, stringTable } = profile.threads[0];
+    funcTable.fileName[B] = stringTable.indexForString('http://a.org/b.js');
+    funcTable.lineNumber[B] = 42;
+    const store = storeWithProfile(profile);
+    store.dispatch(changeSelectedCallNode(0, [A, B]));
+
+    const view = mount(
+      <Provider store={store}>
+        <CallTreeSidebar />
+      </Provider>
+    );
+    expect(getDetails(view)).toEqual([
+      'Running Time:',
+      '2ms',
+      'Self Time:',
+      '—',
+      'Sample count:',
+      '2',
+      'Percentage of range:',
+      '67%',
+      'File:',
+      'http://a.org/b.js:42',
+    ]);
+    const breakdowns = view.find('.sidebar-breakdown').map(breakdown =>
+      breakdown
+        .find('.sidebar-breakdown-row')
+        .map(row => row.text())
+        .join(', ')
+    );
+    expect(breakdowns).toEqual(['Interpreter100%', 'libc50%, libd50%']);
+    expect(view.find('.sidebar-histogram-bar')).toHaveLength(50);
+
+    // The origin of a function is the name of its resource.
+    store.dispatch(changeSelectedCallNode(0, [A, B, C]));
+    view.update();
+    expect(getDetails(view)).toContain('libc');
+  });
 });
@@ -0,0 +1,61 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// @flow
+
+import * as React from 'react';
+import { Provider } from 'react-redux';
+import { mount } from 'enzyme';
+
+import FlameGraphSidebar from '../../components/sidebar/FlameGraphSidebar';
+import {
+  changeSelectedCallNode,
+  changeHoveredCallNode,
+} from '../../actions/profile-view';
+import { storeWithProfile } from '../fixtures/stores';
+import { getProfileFromTextSamples } from '../fixtures/profiles/make-profile';
+
+describe('FlameGraphSidebar', function() {
+  function setup() {
+    const {
+      profile,
+      funcNamesDictPerThread: [funcNamesDict],
+    } = getProfileFromTextSamples(`
+      A A A
+      B B C
+    `);
+    const store = storeWithProfile(profile);
+    const view = mount(
+      <Provider store={store}>
+        <FlameGraphSidebar />
+      </Provider>
+    );
+    return { store, view, funcNamesDict };
+  }
+
+  it('asks to hover or select a box', function() {
+    const { view } = setup();
+    expect(view.text()).toBe(
+      'Hover or select a box to display some information about it.'
+    );
+  });
+
+  it('shows the hovered box, and falls back to the selected one', function() {
+    const { store, view, funcNamesDict: { A, B, C } } = setup();
+    store.dispatch(changeSelectedCallNode(0, [A, B]));
+    view.update();
+    expect(view.find('.sidebar-title').text()).toBe('B');
+
+    store.dispatch(changeHoveredCallNode(0, [A, C]));
+    view.update();
+    expect(view.find('.sidebar-title').text()).toBe('C');
+    expect(
+      view.find('.sidebar-breakdown-name').map(node => node.text())
+    ).toEqual(['C++', 'Unknown']);
+
+    store.dispatch(changeHoveredCallNode(0, []));
+    view.update();
+    expect(view.find('.sidebar-title').text()).toBe('B');
+  });
+});
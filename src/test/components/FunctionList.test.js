@@ -0,0 +1,85 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// @flow
+
+import * as React from 'react';
+import { Provider } from 'react-redux';
+import { mount } from 'enzyme';
+
+import FunctionList from '../../components/function-list/FunctionList';
+import { storeWithProfile } from '../fixtures/stores';
+import { getProfileFromTextSamples } from '../fixtures/profiles/make-profile';
+import {
+  selectedThreadSelectors,
+  getFunctionListSort,
+} from '../../reducers/profile-view';
+import { getBoundingBox } from '../fixtures/utils';
+
+describe('FunctionList', function() {
+  function setup() {
+    const { profile, funcNamesDictPerThread } = getProfileFromTextSamples(`
+      A A A
+      B B C
+      C C
+    `);
+    const store = storeWithProfile(profile);
+    // Set an arbitrary size that will not kick in any virtualization behavior.
+    jest
+      .spyOn(HTMLElement.prototype, 'getBoundingClientRect')
+      .mockImplementation(() => getBoundingBox(2000, 1000));
+    const view = mount(
+      <Provider store={store}>
+        <FunctionList />
+      </Provider>
+    );
+    return { store, view, funcNamesDict: funcNamesDictPerThread[0] };
+  }
+
+  afterEach(function() {
+    jest.restoreAllMocks();
+  });
+
+  it('renders the functions sorted by total time', () => {
+    const { view } = setup();
+    expect(
+      view
+        .find('.treeViewRowScrolledColumns > .treeViewMainColumn')
+        .map(node => node.text())
+    ).toEqual(['A', 'C', 'B']);
+  });
+
+  it('sorts the functions when clicking on a column header', () => {
+    const { store, view } = setup();
+    view.find('.treeViewHeaderColumn.selfTime').simulate('click');
+    expect(getFunctionListSort(store.getState())).toEqual({
+      column: 'selfTime',
+      descending: true,
+    });
+    view.find('.treeViewHeaderColumn.selfTime').simulate('click');
+    expect(getFunctionListSort(store.getState())).toEqual({
+      column: 'selfTime',
+      descending: false,
+    });
+    view.update();
+    expect(
+      view
+        .find('.treeViewRowScrolledColumns > .treeViewMainColumn')
+        .map(node => node.text())
+    ).toEqual(['A', 'B', 'C']);
+  });
+
+  it('focuses on a function when double clicking on it', () => {
+    const { store, view, funcNamesDict: { C } } = setup();
+    const row = view.find('.treeViewRowScrolledColumns').at(1);
+    row.simulate('mousedown', { detail: 1, button: 0 });
+    expect(selectedThreadSelectors.getSelectedFunction(store.getState())).toBe(
+      C
+    );
+    row.simulate('mousedown', { detail: 2, button: 0 });
+    expect(selectedThreadSelectors.getTransformStack(store.getState())).toEqual(
+      [{ type: 'focus-function', funcIndex: C }]
+    );
+  });
+});
@@ -0,0 +1,122 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// @flow
+
+import * as React from 'react';
+import { Provider } from 'react-redux';
+import { mount } from 'enzyme';
+
+import MarkerChartSidebar from '../../components/sidebar/MarkerChartSidebar';
+import MarkerTableSidebar from '../../components/sidebar/MarkerTableSidebar';
+import {
+  changeSelectedTracingMarker,
+  changeSelectedMarker,
+} from '../../actions/profile-view';
+import { storeWithProfile } from '../fixtures/stores';
+import {
+  addMarkersToProfileReplacingSamples,
+  getProfileFromTextSamples,
+} from '../fixtures/profiles/make-profile';
+
+describe('MarkerChartSidebar and MarkerTableSidebar', function() {
+  function setup(Sidebar) {
+    // The stacks of the samples are used by the cause of the first marker.
+    const { profile } = getProfileFromTextSamples(`
+      A
+      B
+    `);
+    addMarkersToProfileReplacingSamples(
+      [
+        [
+          'DOMEvent',
+          2,
+          {
+            type: 'DOMEvent',
+            startTime: 2,
+            endTime: 4,
+            eventType: 'click',
+            phase: 2,
+          },
+        ],
+        [
+          'Rasterize',
+          3,
+          {
+            type: 'tracing',
+            category: 'Paint',
+            interval: 'start',
+            cause: { time: 1, stack: 1 },
+          },
+        ],
+        [
+          'Rasterize',
+          6,
+          { type: 'tracing', category: 'Paint', interval: 'end' },
+        ],
+        ['Navigation', 8, null],
+      ],
+      profile
+    );
+    const store = storeWithProfile(profile);
+    const view = mount(
+      <Provider store={store}>
+        <Sidebar />
+      </Provider>
+    );
+    return { store, view };
+  }
+
+  function getTexts(view, selector): string[] {
+    return view.find(selector).map(node => node.text());
+  }
+
+  function getDetails(view): string[] {
+    return Array.from(
+      view.find('.sidebar-details').getDOMNode().children,
+      element => element.textContent
+    );
+  }
+
+  it('asks to select a marker', function() {
+    const { view } = setup(MarkerChartSidebar);
+    expect(view.text()).toBe(
+      'Select a marker to display some information about it.'
+    );
+  });
+
+  it('shows the payload, the cause and the related markers of the selected tracing marker', function() {
+    const { store, view } = setup(MarkerChartSidebar);
+    // The tracing markers are sorted by start time.
+    store.dispatch(changeSelectedTracingMarker(0, 1));
+    view.update();
+
+    expect(view.find('.sidebar-title').text()).toBe('Rasterize');
+    expect(view.find('.sidebar-subtitle').text()).toBe('tracing');
+    expect(getDetails(view).slice(2)).toEqual(['Duration:', '3.000ms']);
+    expect(view.find('.sidebar-marker-payload-json').text()).toContain(
+      '"category": "Paint"'
+    );
+    expect(view.find('.sidebar-marker-cause h3').text()).toBe(
+      'Cause, 2.0ms before'
+    );
+    expect(view.find('.backtraceStackFrame')).toHaveLength(2);
+    expect(getTexts(view, '.sidebar-related-marker-name')).toEqual([
+      'DOMEvent',
+    ]);
+  });
+
+  it('shows the selected marker of the marker table', function() {
+    const { store, view } = setup(MarkerTableSidebar);
+    store.dispatch(changeSelectedMarker(0, 0));
+    view.update();
+
+    expect(view.find('.sidebar-title').text()).toBe('DOMEvent');
+    expect(getDetails(view).slice(2)).toEqual(['Duration:', '2.000ms']);
+    expect(view.find('.sidebar-marker-cause')).toHaveLength(0);
+    expect(getTexts(view, '.sidebar-related-marker-name')).toEqual([
+      'Rasterize',
+    ]);
+  });
+});
@@ -0,0 +1,67 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// @flow
+import * as React from 'react';
+import { mount } from 'enzyme';
+import { Provider } from 'react-redux';
+import { MenuItem } from 'react-contextmenu';
+import MarkerTableContextMenu from '../../components/marker-table/ContextMenu';
+import { storeWithProfile } from '../fixtures/stores';
+import { getProfileWithMarkers } from '../fixtures/profiles/make-profile';
+import { changeSelectedMarker } from '../../actions/profile-view';
+import { selectedThreadSelectors } from '../../reducers/profile-view';
+
+describe('MarkerTableContextMenu', function() {
+  function setup(selectedMarker) {
+    const profile = getProfileWithMarkers([
+      [
+        'DOMEvent',
+        1,
+        {
+          type: 'DOMEvent',
+          startTime: 1,
+          endTime: 2,
+          eventType: 'click',
+          phase: 2,
+        },
+      ],
+      ['Rasterize', 1.2, null],
+    ]);
+    const store = storeWithProfile(profile);
+    store.dispatch(changeSelectedMarker(0, selectedMarker));
+    const view = mount(
+      <Provider store={store}>
+        <MarkerTableContextMenu />
+      </Provider>
+    );
+    const findFilterMenuItem = () =>
+      view
+        .find(MenuItem)
+        .filterWhere(n => n.props().data.type === 'filterSamplesByMarker');
+    return { ...store, findFilterMenuItem };
+  }
+
+  it('filters the samples by the event type of a DOMEvent', function() {
+    const { getState, findFilterMenuItem } = setup(0);
+    expect(findFilterMenuItem().text()).toContain('click');
+    findFilterMenuItem().simulate('click');
+    expect(selectedThreadSelectors.getTransformStack(getState())).toEqual([
+      { type: 'filter-samples-by-marker', searchString: 'click' },
+    ]);
+  });
+
+  it('filters the samples by the name of the other markers', function() {
+    const { getState, findFilterMenuItem } = setup(1);
+    findFilterMenuItem().simulate('click');
+    expect(selectedThreadSelectors.getTransformStack(getState())).toEqual([
+      { type: 'filter-samples-by-marker', searchString: 'Rasterize' },
+    ]);
+  });
+
+  it('has no filter without a selected marker', function() {
+    const { findFilterMenuItem } = setup(-1);
+    expect(findFilterMenuItem()).toHaveLength(0);
+  });
+});
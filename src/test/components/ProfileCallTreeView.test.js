@@ -7,6 +7,7 @@ import * as React from 'react';
 import ProfileCallTreeView from '../../components/calltree/ProfileCallTreeView';
 import renderer from 'react-test-renderer';
 import { Provider } from 'react-redux';
+import { mount } from 'enzyme';
 import { storeWithProfile } from '../fixtures/stores';
 import {
   getProfileFromTextSamples,
@@ -18,7 +19,13 @@ import {
   changeImplementationFilter,
   changeInvertCallstack,
   addRangeFilter,
+  addTransformToStack,
 } from '../../actions/profile-view';
+import {
+  getCallTreeColumns,
+  getCallTreeSortBy,
+} from '../../reducers/url-state';
+import { selectedThreadSelectors } from '../../reducers/profile-view';
 import { getBoundingBox } from '../fixtures/utils';
 
 describe('calltree/ProfileCallTreeView', function() {
@@ -150,6 +157,193 @@ describe('calltree/ProfileCallTreeView EmptyReasons', function() {
   });
 });
 
+describe('calltree/ProfileCallTreeView columns and sort', function() {
+  function setup() {
+    const { profile } = getProfileFromTextSamples(`
+      A A A A
+      Z Z X C
+      Y Y
+    `);
+    const store = storeWithProfile(profile);
+    // Set an arbitrary size that will not kick in any virtualization behavior.
+    jest
+      .spyOn(HTMLElement.prototype, 'getBoundingClientRect')
+      .mockImplementation(() => getBoundingBox(2000, 1000));
+    const view = mount(
+      <Provider store={store}>
+        <ProfileCallTreeView />
+      </Provider>
+    );
+    const getRowNames = () => {
+      view.update();
+      return view
+        .find('.treeViewRowScrolledColumns > .treeViewMainColumn')
+        .map(node => node.text());
+    };
+    return { store, view, getRowNames };
+  }
+
+  afterEach(function() {
+    jest.restoreAllMocks();
+  });
+
+  it('sorts the siblings when clicking on a column header', function() {
+    const { store, view, getRowNames } = setup();
+    expect(getRowNames()).toEqual(['A', 'Z', 'Y', 'X', 'C']);
+
+    view.find('.treeViewHeaderColumn.selfTime').simulate('click');
+    expect(getCallTreeSortBy(store.getState())).toBe('selfTime');
+    expect(getRowNames()).toEqual(['A', 'X', 'C', 'Z', 'Y']);
+
+    view.find('.treeViewHeaderColumn.name').simulate('click');
+    expect(getCallTreeSortBy(store.getState())).toBe('name');
+    expect(getRowNames()).toEqual(['A', 'C', 'X', 'Z', 'Y']);
+  });
+
+  it('shows and hides the optional columns', function() {
+    const { store, view } = setup();
+    expect(view.find('.treeViewHeaderColumn.samples')).toHaveLength(0);
+
+    const toggleColumn = (column, checked) => {
+      const checkbox = view.find(
+        `.callTreeColumnSettingsCheckbox[value="${column}"]`
+      );
+      (checkbox.getDOMNode(): any).checked = checked;
+      checkbox.simulate('change');
+    };
+    toggleColumn('samples', true);
+    toggleColumn('lib', false);
+    expect(getCallTreeColumns(store.getState())).toEqual([
+      'samples',
+      'totalTimePercent',
+    ]);
+    view.update();
+    expect(
+      view
+        .find('.treeViewRowFixedColumns > .treeViewFixedColumn.samples')
+        .map(node => node.text())
+    ).toEqual(['4', '2', '2', '1', '1']);
+    expect(view.find('.treeViewAppendageColumn')).toHaveLength(0);
+  });
+});
+
+describe('calltree/ProfileCallTreeView transform navigator', function() {
+  function setup() {
+    const {
+      profile,
+      funcNamesPerThread: [funcNames],
+    } = getProfileFromTextSamples(`
+      A A
+      B C
+    `);
+    const store = storeWithProfile(profile);
+    store.dispatch(
+      addTransformToStack(0, {
+        type: 'merge-function',
+        funcIndex: funcNames.indexOf('B'),
+      })
+    );
+    store.dispatch(
+      addTransformToStack(0, {
+        type: 'merge-function',
+        funcIndex: funcNames.indexOf('C'),
+      })
+    );
+    jest
+      .spyOn(HTMLElement.prototype, 'getBoundingClientRect')
+      .mockImplementation(() => getBoundingBox(2000, 1000));
+    const view = mount(
+      <Provider store={store}>
+        <ProfileCallTreeView />
+      </Provider>
+    );
+    const getItem = index =>
+      view
+        .find('.calltreeTransformNavigator li.filterNavigatorBarItem')
+        .at(index);
+    return { store, view, getItem };
+  }
+
+  afterEach(function() {
+    jest.restoreAllMocks();
+  });
+
+  it('has no buttons on the root item', function() {
+    const { getItem } = setup();
+    expect(getItem(0).find('button')).toHaveLength(0);
+    expect(getItem(1).find('button')).toHaveLength(2);
+  });
+
+  it('disables and enables a transform', function() {
+    const { store, view, getItem } = setup();
+    getItem(1)
+      .find('.filterNavigatorBarToggleButton')
+      .simulate('click');
+    expect(
+      selectedThreadSelectors.getDisabledTransforms(store.getState())
+    ).toEqual([0]);
+    // The click doesn't pop the transforms after this item.
+    expect(
+      selectedThreadSelectors.getTransformStack(store.getState())
+    ).toHaveLength(2);
+    view.update();
+    expect(getItem(1).hasClass('filterNavigatorBarDisabledItem')).toBe(true);
+
+    getItem(1)
+      .find('.filterNavigatorBarToggleButton')
+      .simulate('click');
+    expect(
+      selectedThreadSelectors.getDisabledTransforms(store.getState())
+    ).toEqual([]);
+  });
+
+  it('removes a single transform', function() {
+    const { store, getItem } = setup();
+    getItem(1)
+      .find('.filterNavigatorBarRemoveButton')
+      .simulate('click');
+    expect(
+      selectedThreadSelectors.getTransformLabels(store.getState())
+    ).toEqual(['Complete "Empty"', 'Merge: C']);
+  });
+
+  it('disables the toggle button of a collapse used by the next transforms', function() {
+    const {
+      profile,
+      funcNamesPerThread: [funcNames],
+    } = getProfileFromTextSamples(`
+      A
+      B:libb
+    `);
+    const store = storeWithProfile(profile);
+    const libb = funcNames.length;
+    store.dispatch(
+      addTransformToStack(0, {
+        type: 'collapse-resource',
+        resourceIndex: 0,
+        collapsedFuncIndex: libb,
+        implementation: 'combined',
+      })
+    );
+    const view = mount(
+      <Provider store={store}>
+        <ProfileCallTreeView />
+      </Provider>
+    );
+    const getToggleButton = () =>
+      view
+        .find('.calltreeTransformNavigator .filterNavigatorBarToggleButton')
+        .at(0);
+    expect(getToggleButton().prop('disabled')).toBe(false);
+
+    store.dispatch(
+      addTransformToStack(0, { type: 'merge-function', funcIndex: libb })
+    );
+    view.update();
+    expect(getToggleButton().prop('disabled')).toBe(true);
+  });
+});
+
 /**
  * Mock out any created refs for the call tree components with relevant information.
  */
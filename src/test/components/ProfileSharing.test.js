@@ -7,7 +7,12 @@ import * as React from 'react';
 import ProfileSharing from '../../components/app/ProfileSharing';
 import renderer from 'react-test-renderer';
 import { Provider } from 'react-redux';
+import { mount } from 'enzyme';
+import { TextEncoder } from 'text-encoding';
 import { storeWithProfile } from '../fixtures/stores';
+import * as foldedExport from '../../profile-logic/export/folded';
+import * as CallTree from '../../profile-logic/call-tree';
+import { changeCallTreeSortBy } from '../../actions/profile-view';
 import {
   startSymbolicating,
   doneSymbolicating,
@@ -44,4 +49,63 @@ describe('app/ProfileSharing', function() {
     store.dispatch(doneSymbolicating());
     expect(profileSharing).toMatchSnapshot();
   });
+
+  describe('exported files', function() {
+    beforeEach(function() {
+      // The full profile is compressed when the panel opens.
+      (window: any).TextEncoder = TextEncoder;
+      (URL: any).createObjectURL = jest.fn(() => 'blob:exported-file');
+      // jsdom doesn't implement the navigation that follows the links.
+      jest
+        .spyOn(HTMLAnchorElement.prototype, 'click')
+        .mockImplementation(() => {});
+      jest.spyOn(foldedExport, 'getFoldedStacks');
+    });
+
+    afterEach(function() {
+      delete (window: any).TextEncoder;
+      delete (URL: any).createObjectURL;
+      jest.restoreAllMocks();
+    });
+
+    function openPanel(store = storeWithProfile()) {
+      const view = mount(
+        <Provider store={store}>
+          <ProfileSharing />
+        </Provider>
+      );
+      view
+        .find(
+          '.profileSharingProfileDownloadButton input.buttonWithPanelButton'
+        )
+        .simulate('click');
+      view.update();
+      return view;
+    }
+
+    it('are only computed when they are downloaded', function() {
+      const view = openPanel();
+      expect(foldedExport.getFoldedStacks).not.toHaveBeenCalled();
+
+      const button = view
+        .find('.profileSharingExportButton')
+        .filterWhere(button => button.text().endsWith('.folded'));
+      button.simulate('click');
+      expect(foldedExport.getFoldedStacks).toHaveBeenCalledTimes(1);
+      expect(HTMLAnchorElement.prototype.click).toHaveBeenCalledTimes(1);
+    });
+
+    it('sorts the call tree like the one on screen', function() {
+      const getCallTree = jest.spyOn(CallTree, 'getCallTree');
+      const store = storeWithProfile();
+      store.dispatch(changeCallTreeSortBy('name'));
+      const view = openPanel(store);
+      view
+        .find('.profileSharingExportButton')
+        .filterWhere(button => button.text().endsWith('.csv'))
+        .simulate('click');
+      expect(getCallTree).toHaveBeenCalledTimes(1);
+      expect(getCallTree.mock.calls[0][5]).toBe('name');
+    });
+  });
 });
@@ -7,7 +7,7 @@ import * as React from 'react';
 import { shallowWithStore } from '../fixtures/enzyme';
 
 import ProfileViewerContainer from '../../components/app/ProfileViewerContainer';
-import { changeSelectedTab } from '../../actions/app';
+import { changeSelectedTab, changeSidebarOpenState } from '../../actions/app';
 import { storeWithProfile } from '../fixtures/stores';
 import { getProfileFromTextSamples } from '../fixtures/profiles/make-profile';
 
@@ -46,4 +46,13 @@ describe('app/ProfileViewerContainer', function() {
       expect(view.dive()).toMatchSnapshot();
     });
   });
+
+  it('hides the sidebar when it is closed', () => {
+    const store = storeWithProfile(profile);
+    store.dispatch(changeSelectedTab('flame-graph'));
+    store.dispatch(changeSidebarOpenState('flame-graph', false));
+
+    const view = shallowWithStore(<ProfileViewerContainer />, store);
+    expect(view.dive().find('Connect(FlameGraphSidebar)')).toHaveLength(0);
+  });
 });
@@ -0,0 +1,152 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// @flow
+
+import * as React from 'react';
+import { Provider } from 'react-redux';
+import { mount } from 'enzyme';
+
+import SourceView from '../../components/source-view/SourceView';
+import {
+  addTransformToStack,
+  changeSelectedCallNode,
+  changeSelectedFunction,
+} from '../../actions/profile-view';
+import { storeWithProfile } from '../fixtures/stores';
+import { getProfileFromTextSamples } from '../fixtures/profiles/make-profile';
+
+describe('SourceView', function() {
+  const FILE_NAME = 'http://localhost:8000/js/app.js';
+
+  function setup() {
+    const {
+      profile,
+      funcNamesDictPerThread: [funcNamesDict],
+    } = getProfileFromTextSamples(`
+      A A A
+      B B C
+        B
+    `);
+    const { B } = funcNamesDict;
+    const {
+      funcTable,
+      frameTable,
+      stackTable,
+      stringTable,
+    } = profile.threads[0];
+    funcTable.fileName[B] = stringTable.indexForString(FILE_NAME);
+    funcTable.lineNumber[B] = 2;
+    // The first B is on line 3, the recursive one on line 5.
+    let line = 3;
+    for (let stackIndex = 0; stackIndex < stackTable.length; stackIndex++) {
+      const frameIndex = stackTable.frame[stackIndex];
+      if (frameTable.func[frameIndex] === B) {
+        frameTable.line[frameIndex] = line;
+        line += 2;
+      }
+    }
+
+    const store = storeWithProfile(profile);
+    const view = mount(
+      <Provider store={store}>
+        <SourceView />
+      </Provider>
+    );
+    return { store, view, funcNamesDict };
+  }
+
+  it('is hidden without a selected call node', function() {
+    const { view } = setup();
+    expect(view.find('.sourceView')).toHaveLength(0);
+  });
+
+  it('lists the lines with samples without the source', function() {
+    const { store, view, funcNamesDict: { A, B } } = setup();
+    store.dispatch(changeSelectedCallNode(0, [A, B]));
+    view.update();
+    expect(view.find('.sourceViewFileName').text()).toBe(FILE_NAME);
+    expect(
+      view
+        .find('.sourceViewRow')
+        .map(row => row.find('td').map(td => td.text()))
+    ).toEqual([['3', '1', '2', ''], ['5', '1', '1', '']]);
+  });
+
+  it('shows the source of the function', function() {
+    const { store, view, funcNamesDict: { A, B } } = setup();
+    store.dispatch({
+      type: 'RECEIVE_SOURCE',
+      fileName: FILE_NAME,
+      source: [
+        '// app.js',
+        'function B() {',
+        '  a();',
+        '  b();',
+        '  B();',
+        '}',
+      ].join('\n'),
+    });
+    store.dispatch(changeSelectedCallNode(0, [A, B]));
+    view.update();
+    expect(view.find('.sourceViewStatus').text()).toBe('');
+    expect(
+      view
+        .find('.sourceViewRow')
+        .map(row => row.find('td').map(td => td.text()))
+    ).toEqual([
+      ['2', '', '', 'function B() {'],
+      ['3', '1', '2', '  a();'],
+      ['4', '', '', '  b();'],
+      ['5', '1', '1', '  B();'],
+    ]);
+  });
+
+  it('shows the function of the selected call node', function() {
+    const { store, view, funcNamesDict: { A, B, C } } = setup();
+    store.dispatch(changeSelectedCallNode(0, [A, B]));
+    // Selecting a function in the function list doesn't change the source view.
+    store.dispatch(changeSelectedFunction(0, C));
+    view.update();
+    expect(view.find('.sourceViewFileName').text()).toBe(FILE_NAME);
+    expect(view.find('.sourceViewRow')).toHaveLength(2);
+  });
+
+  it('explains when there is no line information', function() {
+    const { store, view, funcNamesDict: { A, C } } = setup();
+    store.dispatch(changeSelectedCallNode(0, [A, C]));
+    view.update();
+    expect(view.find('.sourceViewFileName').text()).toBe('Unknown file');
+    expect(view.find('.sourceViewEmpty').text()).toContain(
+      'no line information'
+    );
+  });
+
+  it('shows the function added by a collapse transform', function() {
+    const {
+      profile,
+      funcNamesPerThread: [funcNames],
+    } = getProfileFromTextSamples(`
+      A
+      B:libb
+    `);
+    const libb = funcNames.length;
+    const store = storeWithProfile(profile);
+    store.dispatch(
+      addTransformToStack(0, {
+        type: 'collapse-resource',
+        resourceIndex: 0,
+        collapsedFuncIndex: libb,
+        implementation: 'combined',
+      })
+    );
+    store.dispatch(changeSelectedCallNode(0, [funcNames.indexOf('A'), libb]));
+    const view = mount(
+      <Provider store={store}>
+        <SourceView />
+      </Provider>
+    );
+    expect(view.find('.sourceViewFileName').text()).toBe('Unknown file');
+  });
+});
@@ -0,0 +1,66 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// @flow
+
+import * as React from 'react';
+import { Provider } from 'react-redux';
+import { mount } from 'enzyme';
+
+import StackChartSidebar from '../../components/sidebar/StackChartSidebar';
+import { changeSelectedStackChartBox } from '../../actions/profile-view';
+import { storeWithProfile } from '../fixtures/stores';
+import { getProfileFromTextSamples } from '../fixtures/profiles/make-profile';
+
+describe('StackChartSidebar', function() {
+  function setup() {
+    const { profile } = getProfileFromTextSamples(`
+      A A A A
+      B B C B
+    `);
+    const store = storeWithProfile(profile);
+    const view = mount(
+      <Provider store={store}>
+        <StackChartSidebar />
+      </Provider>
+    );
+    return { store, view };
+  }
+
+  function getDetails(view): string[] {
+    return Array.from(
+      view.find('.sidebar-details').getDOMNode().children,
+      element => element.textContent
+    );
+  }
+
+  it('shows the timing of the selected box', function() {
+    const { store, view } = setup();
+    expect(view.text()).toBe(
+      'Select a box to display some information about it.'
+    );
+
+    // The second box of B, after the box of C.
+    store.dispatch(changeSelectedStackChartBox(0, { depth: 1, start: 3 }));
+    view.update();
+    expect(view.find('.sidebar-title').text()).toBe('B');
+    expect(getDetails(view).slice(0, 8)).toEqual([
+      'Start:',
+      '3.000ms',
+      'End:',
+      '4.000ms',
+      'Duration:',
+      '1.000ms',
+      'Depth:',
+      '1',
+    ]);
+  });
+
+  it('forgets the boxes that are not in the stack chart anymore', function() {
+    const { store, view } = setup();
+    store.dispatch(changeSelectedStackChartBox(0, { depth: 1, start: 1 }));
+    view.update();
+    expect(view.find('.sidebar-title')).toHaveLength(0);
+  });
+});
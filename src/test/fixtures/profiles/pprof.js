@@ -0,0 +1,139 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+// @flow
+import { TextEncoder } from 'text-encoding';
+
+/**
+ * A tiny protocol buffer encoder, to create pprof profiles for the tests.
+ * A message is a list of [fieldNumber, value] pairs, where numbers are encoded as
+ * varints, and strings, byte arrays and nested messages as length-delimited
+ * fields.
+ */
+type Message = Array<[number, number | string | Uint8Array | Message]>;
+
+function _encodeVarint(value: number): number[] {
+  const bytes = [];
+  do {
+    let byte = value % 128;
+    value = Math.floor(value / 128);
+    if (value > 0) {
+      byte |= 0x80;
+    }
+    bytes.push(byte);
+  } while (value > 0);
+  return bytes;
+}
+
+function _encodeMessage(message: Message): Uint8Array {
+  const bytes = [];
+  for (const [fieldNumber, value] of message) {
+    if (typeof value === 'number') {
+      bytes.push(..._encodeVarint(fieldNumber * 8), ..._encodeVarint(value));
+      continue;
+    }
+    let encoded;
+    if (typeof value === 'string') {
+      encoded = new TextEncoder().encode(value);
+    } else if (value instanceof Uint8Array) {
+      encoded = value;
+    } else {
+      encoded = _encodeMessage(value);
+    }
+    bytes.push(
+      ..._encodeVarint(fieldNumber * 8 + 2),
+      ..._encodeVarint(encoded.length),
+      ...encoded
+    );
+  }
+  return new Uint8Array(bytes);
+}
+
+function _packVarints(values: number[]): Uint8Array {
+  const bytes = [];
+  for (const value of values) {
+    bytes.push(..._encodeVarint(value));
+  }
+  return new Uint8Array(bytes);
+}
+
+/**
+ * A heap profile of a Go program, with two sample types. The call stacks are:
+ *
+ *   main.main -> main.parse -> (inlined) main.readFile
+ *   main.main -> main.render
+ *   main.main -> 0x4000 (not symbolicated)
+ */
+export default function getPprofProfile(): Uint8Array {
+  const strings = [
+    '',
+    'alloc_objects',
+    'count',
+    'alloc_space',
+    'bytes',
+    'main.main',
+    'main.parse',
+    'main.readFile',
+    'main.render',
+    '/home/user/app/main.go',
+    '/usr/bin/app',
+    'abcdef',
+  ];
+  const s = (string: string) => strings.indexOf(string);
+
+  const sample = (locationIds: number[], values: number[]) => [
+    2,
+    [[1, _packVarints(locationIds)], [2, _packVarints(values)]],
+  ];
+  const location = (id: number, address: number, lines: number[][]) => [
+    4,
+    [
+      [1, id],
+      [2, 1],
+      [3, address],
+      ...lines.map(([functionId, line]) => [4, [[1, functionId], [2, line]]]),
+    ],
+  ];
+  const func = (id: number, name: string, startLine: number) => [
+    5,
+    [
+      [1, id],
+      [2, s(name)],
+      [3, s(name)],
+      [4, s('/home/user/app/main.go')],
+      [5, startLine],
+    ],
+  ];
+
+  const message: Message = [
+    [1, [[1, s('alloc_objects')], [2, s('count')]]],
+    [1, [[1, s('alloc_space')], [2, s('bytes')]]],
+    sample([2, 1], [1, 512]),
+    sample([3, 1], [2, 1024]),
+    sample([4, 1], [0, 2048]),
+    [
+      3,
+      [
+        [1, 1],
+        [2, 0x1000],
+        [3, 0x9000],
+        [4, 0],
+        [5, s('/usr/bin/app')],
+        [6, s('abcdef')],
+      ],
+    ],
+    location(1, 0x1100, [[1, 10]]),
+    // main.readFile was inlined into main.parse.
+    location(2, 0x1200, [[3, 30], [2, 20]]),
+    location(3, 0x1300, [[4, 40]]),
+    location(4, 0x4000, []),
+    func(1, 'main.main', 5),
+    func(2, 'main.parse', 15),
+    func(3, 'main.readFile', 25),
+    func(4, 'main.render', 35),
+    ...strings.map(string => [6, string]),
+    [9, 1500000000000000000],
+    [14, s('alloc_space')],
+  ];
+  return _encodeMessage(message);
+}
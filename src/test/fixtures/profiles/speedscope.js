@@ -0,0 +1,48 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+// @flow
+
+/**
+ * A speedscope file with an evented and a sampled profile, sharing their frames.
+ */
+export default function getSpeedscopeProfile(): Object {
+  return {
+    $schema: 'https://www.speedscope.app/file-format-schema.json',
+    exporter: 'speedscope@1.0.0',
+    name: 'Example profile',
+    shared: {
+      frames: [
+        { name: 'main', file: 'https://example.com/main.js', line: 1 },
+        { name: 'parse', file: 'https://example.com/parser.js', line: 10 },
+        { name: 'render' },
+      ],
+    },
+    profiles: [
+      {
+        type: 'evented',
+        name: 'Evented Thread',
+        unit: 'milliseconds',
+        startValue: 100,
+        endValue: 4100,
+        events: [
+          { type: 'O', frame: 0, at: 100 },
+          { type: 'O', frame: 1, at: 1100 },
+          { type: 'C', frame: 1, at: 2100 },
+          { type: 'O', frame: 2, at: 2100 },
+          { type: 'C', frame: 2, at: 3100 },
+          { type: 'C', frame: 0, at: 4100 },
+        ],
+      },
+      {
+        type: 'sampled',
+        name: 'Sampled Thread',
+        unit: 'microseconds',
+        startValue: 0,
+        endValue: 6000,
+        samples: [[0, 1], [0, 1], [0, 2], [0]],
+        weights: [1000, 1000, 2000, 2000],
+      },
+    ],
+  };
+}
@@ -66,6 +66,8 @@ describe('app actions', function() {
         2,
         3,
         4,
+        5,
+        6,
       ]);
       dispatch(AppActions.changeTabOrder([2, 3, 1, 4, 0]));
       expect(ProfileViewSelectors.getTabOrder(getState())).toEqual([
@@ -429,6 +429,53 @@ describe('actions/ProfileView', function() {
     });
   });
 
+  describe('changeSelectedFunction', function() {
+    it('follows the function of the selected call node', function() {
+      const {
+        profile,
+        funcNamesDictPerThread: [{ A, B, C }],
+      } = getProfileFromTextSamples(`
+        A
+        B
+        C
+      `);
+      const { dispatch, getState } = storeWithProfile(profile);
+
+      expect(selectedThreadSelectors.getSelectedFunction(getState())).toBe(
+        null
+      );
+      dispatch(ProfileView.changeSelectedCallNode(0, [A, B]));
+      expect(selectedThreadSelectors.getSelectedFunction(getState())).toBe(B);
+      dispatch(ProfileView.changeSelectedFunction(0, C));
+      expect(selectedThreadSelectors.getSelectedFunction(getState())).toBe(C);
+      expect(
+        selectedThreadSelectors.getSelectedCallNodePath(getState())
+      ).toEqual([A, B]);
+    });
+
+    it('computes the butterfly of the thread that is not inverted', function() {
+      const {
+        profile,
+        funcNamesDictPerThread: [{ A, B, C }],
+      } = getProfileFromTextSamples(`
+        A  A
+        B  B
+        C
+      `);
+      const { dispatch, getState } = storeWithProfile(profile);
+      dispatch(ProfileView.changeInvertCallstack(true));
+      dispatch(ProfileView.changeSelectedFunction(0, B));
+      expect(selectedThreadSelectors.getButterfly(getState())).toEqual({
+        func: B,
+        totalTime: 2,
+        selfTime: 1,
+        rootTotalTime: 2,
+        callers: [{ func: A, totalTime: 2 }],
+        callees: [{ func: C, totalTime: 1 }],
+      });
+    });
+  });
+
   describe('changeMarkersSearchString', function() {
     it('changes the search string', function() {
       const profile = getProfileWithMarkers([['a', 0, null], ['b', 1, null]]);
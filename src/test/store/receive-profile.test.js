@@ -14,11 +14,14 @@ import {
   retrieveProfileFromAddon,
   retrieveProfileFromStore,
   retrieveProfileOrZipFromUrl,
+  retrieveProfilesToCompare,
   _fetchProfile,
 } from '../../actions/receive-profile';
 
 import preprocessedProfile from '../fixtures/profiles/profile-2d-canvas.json';
 import getGeckoProfile from '../fixtures/profiles/gecko-profile';
+import getSpeedscopeProfile from '../fixtures/profiles/speedscope';
+import getPprofProfile from '../fixtures/profiles/pprof';
 import { getEmptyProfile } from '../../profile-logic/profile-data';
 import JSZip from 'jszip';
 import { serializeProfile } from '../../profile-logic/process-profile';
@@ -292,10 +295,12 @@ describe('actions/receive-profile', function() {
       window.fetch.resolves(fetch403Response);
 
       sinon.stub(window, 'setTimeout').yieldsAsync(); // will call its argument asynchronously
+      window.TextDecoder = TextDecoder;
     });
 
     afterEach(function() {
       delete window.fetch;
+      delete window.TextDecoder;
       window.setTimeout.restore();
     });
 
@@ -316,6 +321,48 @@ describe('actions/receive-profile', function() {
       expect(ProfileViewSelectors.getProfile(state).threads.length).toBe(3); // not empty
     });
 
+    it('can retrieve a speedscope profile from the web', async function() {
+      const expectedUrl = 'https://profiles.club/speedscope.json';
+      window.fetch.withArgs(expectedUrl).resolves({
+        ...fetch200Response,
+        json: () => Promise.resolve(getSpeedscopeProfile()),
+      });
+
+      const store = blankStore();
+      await store.dispatch(retrieveProfileOrZipFromUrl(expectedUrl));
+
+      const state = store.getState();
+      expect(getView(state)).toEqual({ phase: 'DATA_LOADED' });
+      expect(
+        ProfileViewSelectors.getProfile(state).threads.map(
+          thread => thread.name
+        )
+      ).toEqual(['Evented Thread', 'Sampled Thread']);
+    });
+
+    it('can retrieve a pprof profile from the web', async function() {
+      const expectedUrl = 'https://profiles.club/heap.pb';
+      window.fetch.withArgs(expectedUrl).resolves({
+        ok: true,
+        status: 200,
+        headers: {
+          get: () => 'application/octet-stream',
+        },
+        arrayBuffer: () => Promise.resolve(getPprofProfile().buffer),
+      });
+
+      const store = blankStore();
+      await store.dispatch(retrieveProfileOrZipFromUrl(expectedUrl));
+
+      const state = store.getState();
+      expect(getView(state)).toEqual({ phase: 'DATA_LOADED' });
+      expect(
+        ProfileViewSelectors.getProfile(state).threads.map(
+          thread => thread.name
+        )
+      ).toEqual(['alloc_space (bytes)', 'alloc_objects (count)']);
+    });
+
     it('requests several times in case of 403', async function() {
       const expectedUrl = 'https://profiles.club/shared.json';
       // The first call will still be a 403 -- remember, it's the default return value.
@@ -387,6 +434,63 @@ describe('actions/receive-profile', function() {
     });
   });
 
+  describe('retrieveProfilesToCompare', function() {
+    const fetch200Response = {
+      ok: true,
+      status: 200,
+      headers: {
+        get: () => 'application/json',
+      },
+      json: () => Promise.resolve(getGeckoProfile()),
+    };
+
+    beforeEach(function() {
+      window.fetch = sinon.stub();
+      window.fetch.resolves({ ok: false, status: 500 });
+      sinon.stub(window, 'setTimeout').yieldsAsync(); // will call its argument asynchronously
+    });
+
+    afterEach(function() {
+      delete window.fetch;
+      window.setTimeout.restore();
+    });
+
+    it('views the comparison of both profiles', async function() {
+      const url1 = 'https://profiles.club/before.json';
+      const url2 = 'https://profiles.club/after.json';
+      window.fetch.withArgs(url1).resolves(fetch200Response);
+      window.fetch.withArgs(url2).resolves(fetch200Response);
+
+      const store = blankStore();
+      await store.dispatch(retrieveProfilesToCompare([url1, url2]));
+
+      const state = store.getState();
+      expect(getView(state)).toEqual({ phase: 'DATA_LOADED' });
+      const { threads } = ProfileViewSelectors.getProfile(state);
+      expect(threads.length).toBe(3);
+      expect(threads.every(thread => thread.samples.isDifference)).toBe(true);
+      expect(
+        ProfileViewSelectors.selectedThreadSelectors
+          .getCallTree(state)
+          .isDifference()
+      ).toBe(true);
+    });
+
+    it('fails when one of the profiles can not be downloaded', async function() {
+      const url1 = 'https://profiles.club/before.json';
+      window.fetch.withArgs(url1).resolves(fetch200Response);
+
+      const store = blankStore();
+      await store.dispatch(
+        retrieveProfilesToCompare([url1, 'https://profiles.club/after.json'])
+      );
+      expect(getView(store.getState())).toEqual({
+        phase: 'FATAL_ERROR',
+        error: expect.any(Error),
+      });
+    });
+  });
+
   /**
    * _fetchProfile is a helper function for the actions, but it is tested separately
    * since it has a decent amount of complexity around different issues with loading
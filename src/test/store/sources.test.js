@@ -0,0 +1,99 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+// @flow
+
+import {
+  getSourcePathParts,
+  findSourceInZip,
+  isSameOriginUrl,
+} from '../../profile-logic/sources';
+import { createZipTable } from '../../profile-logic/zip-files';
+import { getSource } from '../../reducers/sources';
+import { loadSource, loadSourceFromFile } from '../../actions/sources';
+import { receiveZipFile } from '../../actions/receive-profile';
+import { getZippedProfiles } from '../fixtures/profiles/zip-file';
+import createStore from '../../create-store';
+
+describe('profile-logic/sources', function() {
+  it('splits the URLs and the paths', function() {
+    expect(getSourcePathParts('http://localhost:8000/js/app.js?v=1')).toEqual([
+      'js',
+      'app.js',
+    ]);
+    expect(getSourcePathParts('/home/user/src/app.js')).toEqual([
+      'home',
+      'user',
+      'src',
+      'app.js',
+    ]);
+    expect(getSourcePathParts('C:\\src\\app.js')).toEqual([
+      'C:',
+      'src',
+      'app.js',
+    ]);
+  });
+
+  it('finds the file of the zip with the longest matching path', function() {
+    const zip = getZippedProfiles(['app.js', 'js/app.js', 'src/js/app.js']);
+    const zipFileTable = createZipTable(zip);
+    expect(
+      findSourceInZip(zipFileTable, 'http://localhost:8000/js/app.js')
+    ).toBe(zip.files['js/app.js']);
+    expect(findSourceInZip(zipFileTable, '/other/app.js')).toBe(
+      zip.files['app.js']
+    );
+    expect(findSourceInZip(zipFileTable, '/js/other.js')).toBe(null);
+  });
+
+  it('only accepts the URLs of the same origin', function() {
+    const origin = 'http://localhost:4242';
+    expect(isSameOriginUrl('http://localhost:4242/js/app.js', origin)).toBe(
+      true
+    );
+    expect(isSameOriginUrl('http://localhost:8000/js/app.js', origin)).toBe(
+      false
+    );
+    expect(isSameOriginUrl('/js/app.js', origin)).toBe(false);
+  });
+});
+
+describe('actions/sources', function() {
+  const FILE_NAME = 'http://localhost:8000/js/app.js';
+
+  function setup() {
+    const zip = getZippedProfiles(['profile.json']);
+    zip.file('js/app.js', 'function app() {}\n');
+    const store = createStore();
+    store.dispatch(receiveZipFile(zip));
+    return store;
+  }
+
+  it('loads the source from the zip file', async function() {
+    const { dispatch, getState } = setup();
+    const promise = dispatch(loadSource(FILE_NAME));
+    expect(getSource(getState(), FILE_NAME)).toEqual({ phase: 'LOADING' });
+    await promise;
+    expect(getSource(getState(), FILE_NAME)).toEqual({
+      phase: 'LOADED',
+      source: 'function app() {}\n',
+    });
+  });
+
+  it('does nothing when the source is not found', async function() {
+    const { dispatch, getState } = createStore();
+    await dispatch(loadSource(FILE_NAME));
+    expect(getSource(getState(), FILE_NAME)).toBe(null);
+  });
+
+  it('loads the source from a local file', async function() {
+    const { dispatch, getState } = createStore();
+    await dispatch(
+      loadSourceFromFile(FILE_NAME, new Blob(['function local() {}']))
+    );
+    expect(getSource(getState(), FILE_NAME)).toEqual({
+      phase: 'LOADED',
+      source: 'function local() {}',
+    });
+  });
+});
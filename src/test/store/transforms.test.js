@@ -11,11 +11,15 @@ import { assertSetContainsOnly } from '../fixtures/custom-assertions';
 import {
   addTransformToStack,
   popTransformsFromStack,
+  removeTransformFromStack,
+  toggleTransform,
   changeInvertCallstack,
   changeImplementationFilter,
   changeSelectedCallNode,
+  addRangeFilter,
 } from '../../actions/profile-view';
 import { selectedThreadSelectors } from '../../reducers/profile-view';
+import { resourceTypes } from '../../profile-logic/profile-data';
 
 describe('"focus-subtree" transform', function() {
   describe('on a call tree', function() {
@@ -485,6 +489,213 @@ describe('"merge-function" transform', function() {
   });
 });
 
+describe('"merge-matching-functions" transform', function() {
+  /**
+   * Assert this transformation:
+   *
+   *                     A:3,0                              A:3,0
+   *                       |                                  |
+   *                       v          merge /^C|^D/           v
+   *                     B:3,0           -->                B:3,0
+   *                     /    \                           /   |   \
+   *                    v      v                         v    v    v
+   *                C:2,0     H:1,0                 E:1,1   F:1,0   H:1,1
+   *               /      \         \                         |
+   *              v        v         v                        v
+   *            D:1,0     F:1,0     C:1,1                   G:1,1
+   *            |           |
+   *            v           v
+   *          E:1,1       G:1,1
+   */
+  const {
+    profile,
+    funcNamesPerThread: [funcNames],
+  } = getProfileFromTextSamples(`
+    A A A
+    B B B
+    C C H
+    D F C
+    E G
+  `);
+  const threadIndex = 0;
+  const mergeTransform = {
+    type: 'merge-matching-functions',
+    pattern: '^C|^D',
+  };
+
+  it('merges every matching function into its callers', function() {
+    const { dispatch, getState } = storeWithProfile(profile);
+    dispatch(addTransformToStack(threadIndex, mergeTransform));
+    expect(formatTree(selectedThreadSelectors.getCallTree(getState()))).toEqual(
+      [
+        '- A (total: 3, self: —)',
+        '  - B (total: 3, self: —)',
+        '    - E (total: 1, self: 1)',
+        '    - F (total: 1, self: —)',
+        '      - G (total: 1, self: 1)',
+        '    - H (total: 1, self: 1)',
+      ]
+    );
+  });
+
+  it('removes the merged functions from the selected CallNodePath', function() {
+    const { dispatch, getState } = storeWithProfile(profile);
+    dispatch(
+      changeSelectedCallNode(
+        threadIndex,
+        ['A', 'B', 'C', 'D', 'E'].map(name => funcNames.indexOf(name))
+      )
+    );
+    dispatch(addTransformToStack(threadIndex, mergeTransform));
+    expect(selectedThreadSelectors.getSelectedCallNodePath(getState())).toEqual(
+      ['A', 'B', 'E'].map(name => funcNames.indexOf(name))
+    );
+  });
+});
+
+describe('"focus-category" transform', function() {
+  function setup() {
+    const {
+      profile,
+      funcNamesPerThread: [funcNames],
+    } = getProfileFromTextSamples(`
+      A     A     A     A
+      B.js  B.js  B.js  C
+      D.js  D.js  E.js
+            F.js
+    `);
+    const [thread] = profile.threads;
+    const { frameTable, stringTable } = thread;
+    // Make the frames of E.js and F.js JIT frames.
+    for (let frameIndex = 0; frameIndex < frameTable.length; frameIndex++) {
+      const funcName = funcNames[frameTable.func[frameIndex]];
+      if (funcName === 'E.js' || funcName === 'F.js') {
+        frameTable.implementation[frameIndex] = stringTable.indexForString(
+          'ion'
+        );
+      }
+    }
+    return { ...storeWithProfile(profile), funcNames };
+  }
+
+  it('keeps only the samples with a leaf frame in the category', function() {
+    const { dispatch, getState } = setup();
+    dispatch(
+      addTransformToStack(0, { type: 'focus-category', category: 'JIT' })
+    );
+    expect(formatTree(selectedThreadSelectors.getCallTree(getState()))).toEqual(
+      [
+        '- A (total: 2, self: —)',
+        '  - B.js (total: 2, self: —)',
+        '    - D.js (total: 1, self: —)',
+        '      - F.js (total: 1, self: 1)',
+        '    - E.js (total: 1, self: 1)',
+      ]
+    );
+  });
+
+  it('can be stacked with other transforms', function() {
+    const { dispatch, getState, funcNames } = setup();
+    const D = funcNames.indexOf('D.js');
+    dispatch(
+      addTransformToStack(0, { type: 'focus-category', category: 'JIT' })
+    );
+    dispatch(addTransformToStack(0, { type: 'merge-function', funcIndex: D }));
+    expect(formatTree(selectedThreadSelectors.getCallTree(getState()))).toEqual(
+      [
+        '- A (total: 2, self: —)',
+        '  - B.js (total: 2, self: —)',
+        '    - F.js (total: 1, self: 1)',
+        '    - E.js (total: 1, self: 1)',
+      ]
+    );
+    expect(selectedThreadSelectors.getTransformLabels(getState())).toEqual([
+      'Complete "Empty"',
+      'Focus category: JIT',
+      'Merge: D.js',
+    ]);
+  });
+});
+
+describe('"filter-samples-by-marker" transform', function() {
+  function setup() {
+    const { profile } = getProfileFromTextSamples(`
+      A  A  A  A  A  A  A
+      B  B  C  C  B  B  B
+    `);
+    const { markers, stringTable } = profile.threads[0];
+    // The samples are at 0, 1, 2, ...
+    [['click', 1, 2], ['keydown', 3, 4], ['click', 5.5, 6]].forEach(
+      ([eventType, startTime, endTime]) => {
+        markers.name.push(stringTable.indexForString('DOMEvent'));
+        markers.time.push(startTime);
+        markers.data.push({
+          type: 'DOMEvent',
+          startTime,
+          endTime,
+          eventType,
+          phase: 2,
+        });
+        markers.length++;
+      }
+    );
+    return storeWithProfile(profile);
+  }
+
+  it('keeps only the samples during the matching markers', function() {
+    const { dispatch, getState } = setup();
+    dispatch(
+      addTransformToStack(0, {
+        type: 'filter-samples-by-marker',
+        searchString: 'click',
+      })
+    );
+    expect(formatTree(selectedThreadSelectors.getCallTree(getState()))).toEqual(
+      [
+        '- A (total: 3, self: —)',
+        '  - B (total: 2, self: 2)',
+        '  - C (total: 1, self: 1)',
+      ]
+    );
+    expect(selectedThreadSelectors.getTransformLabels(getState())).toEqual([
+      'Complete "Empty"',
+      'Markers: click',
+    ]);
+  });
+
+  it('keeps the samples during the markers that start before the range', function() {
+    const { dispatch, getState } = setup();
+    dispatch(addRangeFilter(1.5, 7));
+    dispatch(
+      addTransformToStack(0, {
+        type: 'filter-samples-by-marker',
+        searchString: 'click',
+      })
+    );
+    // The sample at 2 is during the first click, which starts at 1.
+    expect(formatTree(selectedThreadSelectors.getCallTree(getState()))).toEqual(
+      [
+        '- A (total: 2, self: —)',
+        '  - B (total: 1, self: 1)',
+        '  - C (total: 1, self: 1)',
+      ]
+    );
+  });
+
+  it('drops every sample when no marker matches', function() {
+    const { dispatch, getState } = setup();
+    dispatch(
+      addTransformToStack(0, {
+        type: 'filter-samples-by-marker',
+        searchString: 'scroll',
+      })
+    );
+    expect(formatTree(selectedThreadSelectors.getCallTree(getState()))).toEqual(
+      []
+    );
+  });
+});
+
 describe('"drop-function" transform', function() {
   describe('on a call tree', function() {
     const {
@@ -809,6 +1020,88 @@ describe('"collapse-resource" transform', function() {
   });
 });
 
+describe('"collapse-lib" transform', function() {
+  /**
+   * C:libxul is turned into a library resource that only knows the name of its
+   * library, like the ones of the functions named "C (in libxul)".
+   *
+   *               A                                   A
+   *             /   \                                 |
+   *            v     v        Collapse libxul         v
+   *    B:libxul    E:libxul        ->              libxul
+   *        |            |                         /      \
+   *        v            v                        D        F
+   *    C:other          F
+   *        |
+   *        v
+   *        D
+   */
+  const {
+    profile,
+    funcNamesPerThread: [funcNames],
+  } = getProfileFromTextSamples(`
+    A          A
+    B:libxul   E:libxul
+    C:other    F
+    D
+  `);
+  const collapsedFuncNames = [...funcNames, 'libxul'];
+  const threadIndex = 0;
+  const thread = profile.threads[threadIndex];
+  const { resourceTable, stringTable, libs } = thread;
+  const libIndex = libs.findIndex(lib => lib.name === 'libxul');
+  const otherResourceIndex = resourceTable.name.indexOf(
+    stringTable.indexForString('other')
+  );
+  resourceTable.lib[otherResourceIndex] = null;
+  resourceTable.type[otherResourceIndex] = resourceTypes.library;
+  resourceTable.name[otherResourceIndex] = stringTable.indexForString('libxul');
+  const collapseTransform = {
+    type: 'collapse-lib',
+    libIndex,
+    collapsedFuncIndex: thread.funcTable.length,
+    implementation: 'combined',
+  };
+
+  it('can collapse all of the resources of the "libxul" library', function() {
+    const { dispatch, getState } = storeWithProfile(profile);
+    dispatch(addTransformToStack(threadIndex, collapseTransform));
+    expect(formatTree(selectedThreadSelectors.getCallTree(getState()))).toEqual(
+      [
+        '- A (total: 2, self: —)',
+        '  - libxul (total: 2, self: —)',
+        '    - D (total: 1, self: 1)',
+        '    - F (total: 1, self: 1)',
+      ]
+    );
+  });
+
+  it('can apply the transform to the selected CallNodePaths', function() {
+    const { dispatch, getState } = storeWithProfile(profile);
+    dispatch(
+      changeSelectedCallNode(
+        threadIndex,
+        ['A', 'B:libxul', 'C:other', 'D'].map(name =>
+          collapsedFuncNames.indexOf(name)
+        )
+      )
+    );
+    dispatch(addTransformToStack(threadIndex, collapseTransform));
+    expect(selectedThreadSelectors.getSelectedCallNodePath(getState())).toEqual(
+      ['A', 'libxul', 'D'].map(name => collapsedFuncNames.indexOf(name))
+    );
+  });
+
+  it('has a label with the name of the library', function() {
+    const { dispatch, getState } = storeWithProfile(profile);
+    dispatch(addTransformToStack(threadIndex, collapseTransform));
+    expect(selectedThreadSelectors.getTransformLabels(getState())).toEqual([
+      'Complete "Empty"',
+      'Collapse library: libxul',
+    ]);
+  });
+});
+
 describe('"collapse-function-subtree" transform', function() {
   /**
    *                  A:4,0                             A:4,0
@@ -1267,3 +1560,289 @@ describe('expanded and selected CallNodePaths on inverted trees', function() {
     );
   });
 });
+
+describe('editing the transform stack', function() {
+  const {
+    profile,
+    funcNamesPerThread: [funcNames],
+  } = getProfileFromTextSamples(`
+    A
+    B
+    C
+    D
+    E
+  `);
+
+  const threadIndex = 0;
+  const A = funcNames.indexOf('A');
+  const B = funcNames.indexOf('B');
+  const C = funcNames.indexOf('C');
+  const D = funcNames.indexOf('D');
+
+  function setup() {
+    const { dispatch, getState } = storeWithProfile(profile);
+    dispatch(changeSelectedCallNode(threadIndex, [A, B, C, D]));
+    dispatch(
+      addTransformToStack(threadIndex, { type: 'merge-function', funcIndex: B })
+    );
+    dispatch(
+      addTransformToStack(threadIndex, { type: 'focus-function', funcIndex: C })
+    );
+    dispatch(
+      addTransformToStack(threadIndex, { type: 'merge-function', funcIndex: D })
+    );
+    return { dispatch, getState };
+  }
+
+  it('starts with all the transforms applied', function() {
+    const { getState } = setup();
+    expect(formatTree(selectedThreadSelectors.getCallTree(getState()))).toEqual(
+      ['- C (total: 1, self: —)', '  - E (total: 1, self: 1)']
+    );
+    expect(selectedThreadSelectors.getSelectedCallNodePath(getState())).toEqual(
+      [C]
+    );
+  });
+
+  it('can remove a transform from the middle of the stack', function() {
+    const { dispatch, getState } = setup();
+    dispatch(removeTransformFromStack(1));
+    expect(selectedThreadSelectors.getTransformLabels(getState())).toEqual([
+      'Complete "Empty"',
+      'Merge: B',
+      'Merge: D',
+    ]);
+    expect(formatTree(selectedThreadSelectors.getCallTree(getState()))).toEqual(
+      [
+        '- A (total: 1, self: —)',
+        '  - C (total: 1, self: —)',
+        '    - E (total: 1, self: 1)',
+      ]
+    );
+    // The following transforms are replayed on the paths from before the
+    // removed one.
+    expect(selectedThreadSelectors.getSelectedCallNodePath(getState())).toEqual(
+      [A, C]
+    );
+    assertSetContainsOnly(
+      selectedThreadSelectors.getExpandedCallNodePaths(getState()),
+      [[A], [A, C]]
+    );
+  });
+
+  it('can disable a transform and enable it again', function() {
+    const { dispatch, getState } = setup();
+    dispatch(toggleTransform(2));
+    expect(selectedThreadSelectors.getDisabledTransforms(getState())).toEqual([
+      2,
+    ]);
+    // The disabled transform is still in the stack.
+    expect(selectedThreadSelectors.getTransformStack(getState())).toHaveLength(
+      3
+    );
+    expect(formatTree(selectedThreadSelectors.getCallTree(getState()))).toEqual(
+      [
+        '- C (total: 1, self: —)',
+        '  - D (total: 1, self: —)',
+        '    - E (total: 1, self: 1)',
+      ]
+    );
+    expect(selectedThreadSelectors.getSelectedCallNodePath(getState())).toEqual(
+      [C, D]
+    );
+
+    dispatch(toggleTransform(2));
+    expect(selectedThreadSelectors.getDisabledTransforms(getState())).toEqual(
+      []
+    );
+    expect(formatTree(selectedThreadSelectors.getCallTree(getState()))).toEqual(
+      ['- C (total: 1, self: —)', '  - E (total: 1, self: 1)']
+    );
+    expect(selectedThreadSelectors.getSelectedCallNodePath(getState())).toEqual(
+      [C]
+    );
+  });
+
+  it('keeps the disabled transforms when removing another one', function() {
+    const { dispatch, getState } = setup();
+    dispatch(toggleTransform(2));
+    dispatch(removeTransformFromStack(1));
+    expect(selectedThreadSelectors.getDisabledTransforms(getState())).toEqual([
+      1,
+    ]);
+    expect(formatTree(selectedThreadSelectors.getCallTree(getState()))).toEqual(
+      [
+        '- A (total: 1, self: —)',
+        '  - C (total: 1, self: —)',
+        '    - D (total: 1, self: —)',
+        '      - E (total: 1, self: 1)',
+      ]
+    );
+    expect(selectedThreadSelectors.getSelectedCallNodePath(getState())).toEqual(
+      [A, C, D]
+    );
+  });
+
+  it('resets the paths when removing a transform after inverting the tree', function() {
+    const { dispatch, getState } = setup();
+    dispatch(changeInvertCallstack(true));
+    dispatch(removeTransformFromStack(1));
+    // The paths saved before the transform are in the tree that isn't inverted.
+    expect(selectedThreadSelectors.getSelectedCallNodePath(getState())).toEqual(
+      []
+    );
+    assertSetContainsOnly(
+      selectedThreadSelectors.getExpandedCallNodePaths(getState()),
+      []
+    );
+  });
+
+  describe('with collapse transforms', function() {
+    const {
+      profile,
+      funcNamesPerThread: [funcNames],
+    } = getProfileFromTextSamples(`
+      A
+      B:libb
+      C:libb
+      D
+      E:libe
+    `);
+    const A = funcNames.indexOf('A');
+    const B = funcNames.indexOf('B:libb');
+    const C = funcNames.indexOf('C:libb');
+    const D = funcNames.indexOf('D');
+    const E = funcNames.indexOf('E:libe');
+    // The collapse transforms add these functions.
+    const libb = funcNames.length;
+    const libe = funcNames.length + 1;
+
+    function setupWithCollapse() {
+      const { dispatch, getState } = storeWithProfile(profile);
+      dispatch(changeSelectedCallNode(threadIndex, [A, B, C, D, E]));
+      dispatch(
+        addTransformToStack(threadIndex, {
+          type: 'collapse-resource',
+          resourceIndex: 0,
+          collapsedFuncIndex: libb,
+          implementation: 'combined',
+        })
+      );
+      dispatch(
+        addTransformToStack(threadIndex, {
+          type: 'collapse-resource',
+          resourceIndex: 1,
+          collapsedFuncIndex: libe,
+          implementation: 'combined',
+        })
+      );
+      dispatch(
+        addTransformToStack(threadIndex, {
+          type: 'focus-function',
+          funcIndex: libb,
+        })
+      );
+      dispatch(
+        addTransformToStack(threadIndex, {
+          type: 'merge-function',
+          funcIndex: libe,
+        })
+      );
+      return { dispatch, getState };
+    }
+
+    it('removes the transforms using the function of a removed collapse', function() {
+      const { dispatch, getState } = setupWithCollapse();
+      expect(
+        selectedThreadSelectors.getSelectedCallNodePath(getState())
+      ).toEqual([libb, D]);
+
+      dispatch(removeTransformFromStack(0));
+      // The focus on libb is removed, and the function of the libe collapse is
+      // now added where the libb one was.
+      expect(selectedThreadSelectors.getTransformStack(getState())).toEqual([
+        {
+          type: 'collapse-resource',
+          resourceIndex: 1,
+          collapsedFuncIndex: libb,
+          implementation: 'combined',
+        },
+        { type: 'merge-function', funcIndex: libb },
+      ]);
+      expect(selectedThreadSelectors.getTransformLabels(getState())).toEqual([
+        'Complete "Empty"',
+        'Collapse: libe',
+        'Merge: libe',
+      ]);
+      expect(
+        formatTree(selectedThreadSelectors.getCallTree(getState()))
+      ).toEqual([
+        '- A (total: 1, self: —)',
+        '  - B:libb (total: 1, self: —)',
+        '    - C:libb (total: 1, self: —)',
+        '      - D (total: 1, self: 1)',
+      ]);
+      expect(
+        selectedThreadSelectors.getSelectedCallNodePath(getState())
+      ).toEqual([A, B, C, D]);
+    });
+
+    it('gives the items of the transform navigator that can be toggled', function() {
+      const { dispatch, getState } = setupWithCollapse();
+      dispatch(toggleTransform(3));
+      const disabledItems = selectedThreadSelectors.getDisabledTransformItems(
+        getState()
+      );
+      const untoggleableItems = selectedThreadSelectors.getUntoggleableTransformItems(
+        getState()
+      );
+      // The first item is the complete thread.
+      expect(disabledItems).toEqual([4]);
+      expect(untoggleableItems).toEqual([1, 2]);
+
+      // The items are kept when the transforms don't change, so that the
+      // navigator isn't rendered again.
+      dispatch(changeSelectedCallNode(threadIndex, [libb]));
+      expect(
+        selectedThreadSelectors.getDisabledTransformItems(getState())
+      ).toBe(disabledItems);
+      expect(
+        selectedThreadSelectors.getUntoggleableTransformItems(getState())
+      ).toBe(untoggleableItems);
+    });
+
+    it('shifts the disabled transforms after the removed ones', function() {
+      const { dispatch, getState } = setupWithCollapse();
+      dispatch(toggleTransform(3));
+      dispatch(removeTransformFromStack(0));
+      expect(selectedThreadSelectors.getDisabledTransforms(getState())).toEqual(
+        [1]
+      );
+    });
+
+    it("doesn't toggle a collapse that following transforms rely on", function() {
+      const { dispatch, getState } = setupWithCollapse();
+      dispatch(toggleTransform(0));
+      dispatch(toggleTransform(1));
+      expect(selectedThreadSelectors.getDisabledTransforms(getState())).toEqual(
+        []
+      );
+
+      // Once the transforms using it are removed, it can be toggled.
+      dispatch(removeTransformFromStack(3));
+      dispatch(toggleTransform(1));
+      expect(selectedThreadSelectors.getDisabledTransforms(getState())).toEqual(
+        [1]
+      );
+    });
+  });
+
+  it('forgets the disabled transforms that are popped', function() {
+    const { dispatch, getState } = setup();
+    dispatch(toggleTransform(2));
+    dispatch(popTransformsFromStack(2));
+    expect(selectedThreadSelectors.getDisabledTransforms(getState())).toEqual(
+      []
+    );
+  });
+});
@@ -0,0 +1,94 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+// @flow
+
+import { getButterfly } from '../../profile-logic/butterfly';
+import { computeCallTreeCountsAndTimings } from '../../profile-logic/call-tree';
+import { getCallNodeInfo } from '../../profile-logic/profile-data';
+import { getProfileFromTextSamples } from '../fixtures/profiles/make-profile';
+
+import type { Thread, IndexIntoFuncTable } from '../../types/profile';
+
+function _getButterfly(thread: Thread, func: IndexIntoFuncTable) {
+  const callNodeInfo = getCallNodeInfo(
+    thread.stackTable,
+    thread.frameTable,
+    thread.funcTable
+  );
+  return getButterfly(
+    callNodeInfo.callNodeTable,
+    computeCallTreeCountsAndTimings(thread, callNodeInfo, 1, false),
+    func
+  );
+}
+
+describe('butterfly', function() {
+  it('aggregates the callers and the callees over all call paths', function() {
+    const {
+      profile,
+      funcNamesDictPerThread: [{ A, B, C, D, E }],
+    } = getProfileFromTextSamples(`
+      A    A    A    A    E
+      B    C    C    C    C
+      C    D    D         D
+      D
+    `);
+    expect(_getButterfly(profile.threads[0], C)).toEqual({
+      func: C,
+      totalTime: 5,
+      selfTime: 1,
+      rootTotalTime: 5,
+      callers: [
+        { func: A, totalTime: 3 },
+        { func: B, totalTime: 1 },
+        { func: E, totalTime: 1 },
+      ],
+      callees: [{ func: D, totalTime: 4 }],
+    });
+  });
+
+  it('only counts the time of recursive calls once', function() {
+    const {
+      profile,
+      funcNamesDictPerThread: [{ A, B, C }],
+    } = getProfileFromTextSamples(`
+      A    A    A
+      B    B    C
+      A    B
+      B
+      C
+    `);
+    expect(_getButterfly(profile.threads[0], B)).toEqual({
+      func: B,
+      totalTime: 2,
+      selfTime: 1,
+      rootTotalTime: 3,
+      // The call from A to B in A > B > A > B is nested in the first one, but
+      // B > B is a different call.
+      callers: [{ func: A, totalTime: 2 }, { func: B, totalTime: 1 }],
+      callees: [
+        { func: A, totalTime: 1 },
+        { func: C, totalTime: 1 },
+        { func: B, totalTime: 1 },
+      ],
+    });
+    expect(_getButterfly(profile.threads[0], A).callees).toEqual([
+      { func: B, totalTime: 2 },
+      { func: C, totalTime: 1 },
+    ]);
+  });
+
+  it('has no callers for the roots', function() {
+    const {
+      profile,
+      funcNamesDictPerThread: [{ A, B }],
+    } = getProfileFromTextSamples(`
+      A
+      B
+    `);
+    const butterfly = _getButterfly(profile.threads[0], A);
+    expect(butterfly.callers).toEqual([]);
+    expect(butterfly.callees).toEqual([{ func: B, totalTime: 1 }]);
+  });
+});
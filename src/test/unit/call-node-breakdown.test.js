@@ -0,0 +1,166 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+// @flow
+
+import {
+  getCallNodeBreakdown,
+  HISTOGRAM_BUCKET_COUNT,
+} from '../../profile-logic/call-node-breakdown';
+import {
+  getCallNodeInfo,
+  getCallNodeIndexFromPath,
+  invertCallstack,
+} from '../../profile-logic/profile-data';
+import { getProfileFromTextSamples } from '../fixtures/profiles/make-profile';
+
+import type { Thread } from '../../types/profile';
+import type { CallNodePath } from '../../types/profile-derived';
+
+function _getBreakdown(
+  thread: Thread,
+  callNodePath: CallNodePath,
+  isInverted: boolean = false
+) {
+  const callNodeInfo = getCallNodeInfo(
+    thread.stackTable,
+    thread.frameTable,
+    thread.funcTable
+  );
+  const callNodeIndex = getCallNodeIndexFromPath(
+    callNodePath,
+    callNodeInfo.callNodeTable
+  );
+  if (callNodeIndex === null) {
+    throw new Error('The call node path is not in the thread.');
+  }
+  return getCallNodeBreakdown(
+    thread,
+    callNodeInfo,
+    callNodeIndex,
+    { start: 0, end: 5 },
+    isInverted
+  );
+}
+
+/**
+ * The text samples only have one frame per stack, give another implementation
+ * to the frame of a stack in a sample by copying the stacks of this sample.
+ */
+function _setImplementation(
+  thread: Thread,
+  sampleIndex: number,
+  depth: number,
+  implementation: string
+) {
+  const { stackTable, samples, stringTable } = thread;
+  const frameTable: Object = thread.frameTable;
+  const stacks = [];
+  for (
+    let stackIndex = samples.stack[sampleIndex];
+    stackIndex !== null;
+    stackIndex = stackTable.prefix[stackIndex]
+  ) {
+    stacks.unshift(stackIndex);
+  }
+  let prefix = depth === 0 ? null : stacks[depth - 1];
+  for (let i = depth; i < stacks.length; i++) {
+    let frameIndex = stackTable.frame[stacks[i]];
+    if (i === depth) {
+      for (const column of Object.keys(frameTable)) {
+        if (column !== 'length') {
+          frameTable[column].push(frameTable[column][frameIndex]);
+        }
+      }
+      frameIndex = frameTable.length++;
+      frameTable.implementation[frameIndex] = stringTable.indexForString(
+        implementation
+      );
+    }
+    stackTable.frame.push(frameIndex);
+    stackTable.prefix.push(prefix);
+    prefix = stackTable.length++;
+  }
+  samples.stack[sampleIndex] = prefix;
+}
+
+describe('getCallNodeBreakdown', function() {
+  function setup() {
+    const {
+      profile,
+      funcNamesDictPerThread: [funcNamesDict],
+    } = getProfileFromTextSamples(`
+      A        A        A        A        A
+      B.js     B.js     B.js     B.js     C
+      C:libc   D:libd   C:libc   B.js     B.js
+    `);
+    return { thread: profile.threads[0], funcNamesDict };
+  }
+
+  it('breaks down the samples by implementation and by library', function() {
+    const { thread, funcNamesDict } = setup();
+    const { A } = funcNamesDict;
+    const B = funcNamesDict['B.js'];
+    _setImplementation(thread, 1, 1, 'baseline');
+    _setImplementation(thread, 2, 1, 'ion');
+    const { weight, byImplementation, byLibrary } = _getBreakdown(thread, [
+      A,
+      B,
+    ]);
+    expect(weight).toBe(4);
+    expect(byImplementation).toEqual([
+      { name: 'Interpreter', weight: 2 },
+      { name: 'Baseline', weight: 1 },
+      { name: 'Ion', weight: 1 },
+    ]);
+    expect(byLibrary).toEqual([
+      { name: 'libc', weight: 2 },
+      { name: 'libd', weight: 1 },
+      { name: 'Unknown', weight: 1 },
+    ]);
+  });
+
+  it('uses the frame of the call node for the implementation', function() {
+    const { thread, funcNamesDict: { A } } = setup();
+    const { byImplementation } = _getBreakdown(thread, [A]);
+    expect(byImplementation).toEqual([{ name: 'C++', weight: 5 }]);
+  });
+
+  it('distributes the samples over the range', function() {
+    const { thread, funcNamesDict } = setup();
+    const { A } = funcNamesDict;
+    const B = funcNamesDict['B.js'];
+    const { histogram } = _getBreakdown(thread, [A, B]);
+    expect(histogram).toHaveLength(HISTOGRAM_BUCKET_COUNT);
+    // The samples are at 0, 1, 2 and 3 over a range of 5.
+    const expected = new Array(HISTOGRAM_BUCKET_COUNT).fill(0);
+    expected[0] = expected[10] = expected[20] = expected[30] = 1;
+    expect(histogram).toEqual(expected);
+  });
+
+  it('works with inverted call nodes', function() {
+    const { thread, funcNamesDict } = setup();
+    const B = funcNamesDict['B.js'];
+    const { weight, byLibrary } = _getBreakdown(
+      invertCallstack(thread),
+      [B],
+      true
+    );
+    expect(weight).toBe(2);
+    expect(byLibrary).toEqual([{ name: 'Unknown', weight: 2 }]);
+  });
+
+  it('uses the leaf frames of the inverted stacks for the library', function() {
+    const { thread, funcNamesDict } = setup();
+    const C = funcNamesDict['C:libc'];
+    // The roots of the inverted stacks are their leaf frames, unlike the A
+    // frames at the end of the inverted stacks.
+    const { weight, byLibrary } = _getBreakdown(
+      invertCallstack(thread),
+      [C],
+      true
+    );
+    expect(weight).toBe(2);
+    expect(byLibrary).toEqual([{ name: 'libc', weight: 2 }]);
+  });
+});
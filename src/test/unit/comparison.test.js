@@ -0,0 +1,246 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+// @flow
+
+import { RED_60, BLUE_60, GREY_20 } from 'photon-colors';
+
+import { getComparisonProfile } from '../../profile-logic/comparison';
+import { getCallTree } from '../../profile-logic/call-tree';
+import {
+  getFlameGraphTiming,
+  getDifferenceBackgroundColor,
+} from '../../profile-logic/flame-graph';
+import {
+  getCallNodeInfo,
+  getCallNodeIndexFromPath,
+  filterThreadToRange,
+  invertCallstack,
+} from '../../profile-logic/profile-data';
+import { getFoldedStacks } from '../../profile-logic/export/folded';
+import { getCallgrindProfile } from '../../profile-logic/export/callgrind';
+import { getProfileFromTextSamples } from '../fixtures/profiles/make-profile';
+import { storeWithProfile } from '../fixtures/stores';
+import { changeSelectedCallNode } from '../../actions/profile-view';
+import { selectedThreadSelectors } from '../../reducers/profile-view';
+
+import type { Profile, Thread } from '../../types/profile';
+
+function _getProfiles(): { baselineProfile: Profile, profile: Profile } {
+  const { profile: baselineProfile } = getProfileFromTextSamples(`
+    A    A    A    A
+    B    B    B    D
+    C    C
+  `);
+  const { profile } = getProfileFromTextSamples(`
+    A    A    A    A    A
+    B    B    E    E    E
+    C
+  `);
+  return { baselineProfile, profile };
+}
+
+function _getCallTree(thread: Thread, invertCallstack: boolean = false) {
+  const callNodeInfo = getCallNodeInfo(
+    thread.stackTable,
+    thread.frameTable,
+    thread.funcTable
+  );
+  return {
+    callTree: getCallTree(thread, 1, callNodeInfo, 'combined', invertCallstack),
+    getCallNodeIndex: (funcNames: string[]) => {
+      const { funcTable, stringTable } = thread;
+      const callNodePath = funcNames.map(funcName => {
+        for (let funcIndex = 0; funcIndex < funcTable.length; funcIndex++) {
+          if (stringTable.getString(funcTable.name[funcIndex]) === funcName) {
+            return funcIndex;
+          }
+        }
+        throw new Error(`No function named ${funcName}`);
+      });
+      const callNodeIndex = getCallNodeIndexFromPath(
+        callNodePath,
+        callNodeInfo.callNodeTable
+      );
+      if (callNodeIndex === null) {
+        throw new Error(`No call node for ${funcNames.join(' > ')}`);
+      }
+      return callNodeIndex;
+    },
+  };
+}
+
+describe('comparing two profiles', function() {
+  it('merges the functions of both threads', function() {
+    const { baselineProfile, profile } = _getProfiles();
+    const [thread] = getComparisonProfile(baselineProfile, profile).threads;
+    const { funcTable, stringTable } = thread;
+    expect(
+      funcTable.name.map(nameIndex => stringTable.getString(nameIndex))
+    ).toEqual(['A', 'B', 'C', 'D', 'E']);
+    expect(thread.samples.isDifference).toBe(true);
+    expect(thread.samples.weightType).toBe('tracing-ms');
+    // The samples of the baseline come first when they have the same time.
+    expect(thread.samples.weight).toEqual([-1, 1, -1, 1, -1, 1, -1, 1, 1]);
+  });
+
+  it('computes the times of both profiles and their difference', function() {
+    const { baselineProfile, profile } = _getProfiles();
+    const [thread] = getComparisonProfile(baselineProfile, profile).threads;
+    const { callTree, getCallNodeIndex } = _getCallTree(thread);
+    expect(callTree.isDifference()).toBe(true);
+
+    const ABC = getCallNodeIndex(['A', 'B', 'C']);
+    expect(callTree.getNodeData(ABC).totalTime).toEqual(1);
+    expect(callTree.getNodeDifference(ABC)).toEqual({
+      totalTimeDelta: -1,
+      selfTimeDelta: -1,
+      totalTimeDeltaRelative: -0.25,
+      combinedTotalTimeRelative: 3 / 9,
+      change: -1 / 3,
+    });
+    expect(callTree.getDisplayData(ABC)).toMatchObject({
+      totalTime: '1.0',
+      totalTimeDelta: '-1.0',
+      selfTimeDelta: '-1.0',
+      totalTimeDeltaPercent: '-25.0%',
+    });
+
+    // D is only in the baseline profile, and E only in the other profile.
+    const AD = getCallNodeIndex(['A', 'D']);
+    const AE = getCallNodeIndex(['A', 'E']);
+    expect(callTree.getDisplayData(AD)).toMatchObject({
+      totalTime: '0.0',
+      totalTimeDelta: '-1.0',
+      totalTimeDeltaPercent: '-25.0%',
+    });
+    expect(callTree.getDisplayData(AE)).toMatchObject({
+      totalTime: '3.0',
+      totalTimeDelta: '+3.0',
+      totalTimeDeltaPercent: '+75.0%',
+    });
+    // Only the samples of the new profile are counted.
+    expect(callTree.getDisplayData(ABC).samples).toBe('1');
+    expect(callTree.getDisplayData(AD).samples).toBe('0');
+    expect(callTree.getDisplayData(AE).samples).toBe('3');
+    // The children are ordered by their time in both profiles.
+    const A = getCallNodeIndex(['A']);
+    expect(callTree.getChildren(A)).toEqual([
+      getCallNodeIndex(['A', 'B']),
+      AE,
+      AD,
+    ]);
+  });
+
+  it('compares the inverted call trees', function() {
+    const { baselineProfile, profile } = _getProfiles();
+    const [thread] = getComparisonProfile(baselineProfile, profile).threads;
+    const { callTree } = _getCallTree(invertCallstack(thread), true);
+    const rootNames = callTree
+      .getRoots()
+      .map(callNodeIndex => callTree.getDisplayData(callNodeIndex))
+      .map(({ name, totalTimeDelta }) => [name, totalTimeDelta]);
+    expect(rootNames).toEqual([
+      ['C', '-1.0'],
+      ['E', '+3.0'],
+      // B is the leaf of a sample in both profiles.
+      ['B', '—'],
+      ['D', '-1.0'],
+    ]);
+  });
+
+  it('keeps comparing the samples of a range', function() {
+    const { baselineProfile, profile } = _getProfiles();
+    const [thread] = getComparisonProfile(baselineProfile, profile).threads;
+    const rangeThread = filterThreadToRange(thread, 2, 5);
+    expect(rangeThread.samples.isDifference).toBe(true);
+    const { callTree, getCallNodeIndex } = _getCallTree(rangeThread);
+    // The samples at 2 and 3 of both profiles, and the one at 4 of the second.
+    expect(
+      callTree.getDisplayData(getCallNodeIndex(['A'])).totalTimeDelta
+    ).toEqual('+1.0');
+  });
+
+  it('colors the flame graph by the change of the total time', function() {
+    const { baselineProfile, profile } = _getProfiles();
+    const [thread] = getComparisonProfile(baselineProfile, profile).threads;
+    const { callTree } = _getCallTree(thread);
+    const flameGraphTiming = getFlameGraphTiming(callTree);
+    // The boxes are as wide as the total time in both profiles, and are sorted
+    // by name: B, D, then E.
+    expect(
+      flameGraphTiming[1].start.map(start => Math.round(start * 9))
+    ).toEqual([0, 5, 6]);
+    expect(flameGraphTiming[1].change).toEqual([-1 / 5, -1, 1]);
+    expect(flameGraphTiming[1].display[2].totalTimeDelta).toEqual('+3.0');
+
+    expect(getDifferenceBackgroundColor(0)).toEqual(GREY_20);
+    expect(getDifferenceBackgroundColor(1)).toEqual(RED_60);
+    expect(getDifferenceBackgroundColor(-1)).toEqual(BLUE_60);
+  });
+
+  it('converts the samples into durations', function() {
+    const { baselineProfile, profile } = _getProfiles();
+    baselineProfile.meta.interval = 2;
+    profile.threads[0].samples.weight = [1, 1, 1, 1, 0.5];
+    profile.threads[0].samples.weightType = 'tracing-ms';
+    const [thread] = getComparisonProfile(baselineProfile, profile).threads;
+    expect(thread.samples.weight).toEqual([-2, 1, -2, 1, -2, 1, -2, 1, 0.5]);
+  });
+
+  it('only compares the threads that are in both profiles', function() {
+    const { baselineProfile, profile } = _getProfiles();
+    baselineProfile.threads[0].name = 'GeckoMain';
+    profile.threads[0].name = 'Compositor';
+    expect(() => getComparisonProfile(baselineProfile, profile)).toThrow(
+      'The profiles have no thread in common'
+    );
+    profile.threads.push({ ...profile.threads[0], name: 'GeckoMain' });
+    const comparisonProfile = getComparisonProfile(baselineProfile, profile);
+    expect(comparisonProfile.threads.map(thread => thread.name)).toEqual([
+      'GeckoMain',
+    ]);
+  });
+
+  it('does not compare sizes with durations', function() {
+    const { baselineProfile, profile } = _getProfiles();
+    profile.threads[0].samples.weight = [1, 2, 3, 4, 5];
+    profile.threads[0].samples.weightType = 'bytes';
+    expect(() => getComparisonProfile(baselineProfile, profile)).toThrow(
+      'Unable to compare a profile of sizes with a profile of durations.'
+    );
+  });
+
+  it('is not exported in formats without negative weights', function() {
+    const { baselineProfile, profile } = _getProfiles();
+    const [thread] = getComparisonProfile(baselineProfile, profile).threads;
+    const callNodeInfo = getCallNodeInfo(
+      thread.stackTable,
+      thread.frameTable,
+      thread.funcTable
+    );
+    expect(() => getFoldedStacks(thread, callNodeInfo)).toThrow(
+      'The folded stacks of a comparison cannot be exported.'
+    );
+    expect(() => getCallgrindProfile(thread, callNodeInfo)).toThrow(
+      'The call graph of a comparison cannot be exported.'
+    );
+  });
+
+  it('does not break down the signed weights of the call nodes', function() {
+    const { baselineProfile, profile } = _getProfiles();
+    const comparisonProfile = getComparisonProfile(baselineProfile, profile);
+    const { getState, dispatch } = storeWithProfile(comparisonProfile);
+    const { funcTable, stringTable } = comparisonProfile.threads[0];
+    const A = funcTable.name.findIndex(
+      name => stringTable.getString(name) === 'A'
+    );
+    dispatch(changeSelectedCallNode(0, [A]));
+    expect(
+      selectedThreadSelectors.getSelectedCallNodeIndex(getState())
+    ).not.toBe(null);
+    expect(
+      selectedThreadSelectors.getSelectedCallNodeBreakdown(getState())
+    ).toBe(null);
+  });
+});
@@ -0,0 +1,75 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+// @flow
+
+import { getCallTreeAsDelimitedText } from '../../profile-logic/export/call-tree';
+import { getCallTree } from '../../profile-logic/call-tree';
+import {
+  getCallNodeInfo,
+  getCallNodeIndexFromPath,
+} from '../../profile-logic/profile-data';
+import { getProfileFromTextSamples } from '../fixtures/profiles/make-profile';
+
+describe('exporting the call tree as delimited text', function() {
+  const {
+    profile,
+    funcNamesDictPerThread: [{ A, B }],
+  } = getProfileFromTextSamples(`
+    A    A    A    A
+    B    B    B    "C,D"
+    E    E    F
+  `);
+  const [thread] = profile.threads;
+  const callNodeInfo = getCallNodeInfo(
+    thread.stackTable,
+    thread.frameTable,
+    thread.funcTable
+  );
+  const callTree = getCallTree(
+    thread,
+    profile.meta.interval,
+    callNodeInfo,
+    'combined',
+    false
+  );
+
+  it('exports the full tree as CSV', function() {
+    expect(getCallTreeAsDelimitedText(callTree, 'csv')).toEqual(
+      [
+        'Depth,Function,Library,Running Time (ms),Self Time (ms),Running Time (%)',
+        '0,A,,4,0,100',
+        '1,B,,3,0,75',
+        '2,E,,2,2,50',
+        '2,F,,1,1,25',
+        // Fields containing the separator or quotes are escaped.
+        '1,"""C,D""",,1,1,25',
+        '',
+      ].join('\n')
+    );
+  });
+
+  it('exports the expanded call nodes as TSV', function() {
+    const expandedCallNodeIndexes = [
+      getCallNodeIndexFromPath([A], callNodeInfo.callNodeTable),
+    ];
+    expect(
+      getCallTreeAsDelimitedText(callTree, 'tsv', expandedCallNodeIndexes)
+    ).toEqual(
+      [
+        'Depth\tFunction\tLibrary\tRunning Time (ms)\tSelf Time (ms)\tRunning Time (%)',
+        '0\tA\t\t4\t0\t100',
+        '1\tB\t\t3\t0\t75',
+        '1\t"C,D"\t\t1\t1\t25',
+        '',
+      ].join('\n')
+    );
+
+    expandedCallNodeIndexes.push(
+      getCallNodeIndexFromPath([A, B], callNodeInfo.callNodeTable)
+    );
+    expect(
+      getCallTreeAsDelimitedText(callTree, 'tsv', expandedCallNodeIndexes)
+    ).toEqual(getCallTreeAsDelimitedText(callTree, 'tsv'));
+  });
+});
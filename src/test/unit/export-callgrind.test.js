@@ -0,0 +1,110 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+// @flow
+
+import { getCallgrindProfile } from '../../profile-logic/export/callgrind';
+import { getCallNodeInfo } from '../../profile-logic/profile-data';
+import { getProfileFromTextSamples } from '../fixtures/profiles/make-profile';
+
+import type { Thread } from '../../types/profile';
+
+function _getCallgrindProfile(thread: Thread): string {
+  const { stackTable, frameTable, funcTable } = thread;
+  return getCallgrindProfile(
+    thread,
+    getCallNodeInfo(stackTable, frameTable, funcTable)
+  );
+}
+
+describe('exporting the call graph in the Callgrind format', function() {
+  it('has the costs of the functions and of their calls', function() {
+    const {
+      profile,
+      funcNamesDictPerThread: [{ C }],
+    } = getProfileFromTextSamples(`
+      A    A    A    A    A
+      B    B    B    C    C
+      C    C    D         B
+    `);
+    const [thread] = profile.threads;
+    thread.name = 'GeckoMain';
+    thread.funcTable.fileName[C] = thread.stringTable.indexForString('c.cpp');
+    thread.funcTable.lineNumber[C] = 12;
+
+    expect(_getCallgrindProfile(thread).split('\n')).toEqual([
+      '# callgrind format',
+      'version: 1',
+      'creator: perf.html',
+      'cmd: GeckoMain',
+      'positions: line',
+      'events: Samples',
+      '',
+      'fl=(1) ???',
+      'fn=(1) A',
+      '0 0',
+      'cfi=(1)',
+      'cfn=(2) B',
+      'calls=3 0',
+      '0 3',
+      'cfi=(2) c.cpp',
+      'cfn=(3) C',
+      'calls=2 12',
+      '0 2',
+      '',
+      'fl=(1)',
+      'fn=(2)',
+      // B is called by A and by C, and only has self time when called by C.
+      '0 1',
+      'cfi=(2)',
+      'cfn=(3)',
+      'calls=2 12',
+      '0 2',
+      'cfi=(1)',
+      'cfn=(4) D',
+      'calls=1 0',
+      '0 1',
+      '',
+      'fl=(2)',
+      'fn=(3)',
+      '12 3',
+      'cfi=(1)',
+      'cfn=(2)',
+      'calls=1 0',
+      '12 1',
+      '',
+      'fl=(1)',
+      'fn=(4)',
+      '0 1',
+      '',
+    ]);
+  });
+
+  it('specifies the libraries of the functions', function() {
+    const { profile } = getProfileFromTextSamples(`
+      A         A
+      B:libxul  C
+    `);
+    const lines = _getCallgrindProfile(profile.threads[0]).split('\n');
+    expect(lines.filter(line => /^c?ob=/.test(line))).toEqual([
+      'ob=(1) ???',
+      'cob=(2) libxul',
+      'cob=(1)',
+      'ob=(2)',
+      // The object needs to be specified again after a function of a library.
+      'ob=(1)',
+    ]);
+  });
+
+  it('expresses durations in microseconds', function() {
+    const { profile } = getProfileFromTextSamples(`
+      A    A
+    `);
+    const [thread] = profile.threads;
+    thread.samples.weight = [0.5, 1.25];
+    thread.samples.weightType = 'tracing-ms';
+    const lines = _getCallgrindProfile(thread).split('\n');
+    expect(lines).toContain('events: Time_us');
+    expect(lines).toContain('0 1750');
+  });
+});
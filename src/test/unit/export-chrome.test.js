@@ -0,0 +1,193 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+// @flow
+
+import {
+  getChromeTraceEvents,
+  serializeProfileAsChromeTrace,
+} from '../../profile-logic/export/chrome';
+import {
+  isChromeProfile,
+  convertChromeProfile,
+  addTracingMarkers,
+} from '../../profile-logic/import/chrome';
+import { getTracingMarkers } from '../../profile-logic/profile-data';
+import { getProfileFromTextSamples } from '../fixtures/profiles/make-profile';
+
+import type { Thread, IndexIntoStackTable } from '../../types/profile';
+import type { TraceEvent } from '../../profile-logic/import/chrome';
+
+function _getProfile() {
+  const { profile } = getProfileFromTextSamples(`
+    A  A  A  A
+    B  B  C  B
+    C     D
+  `);
+  const [thread] = profile.threads;
+  thread.name = 'GeckoMain';
+  thread.pid = 12;
+  thread.tid = 34;
+  addTracingMarkers(thread, [
+    { name: 'Layout', category: 'Paint', start: 1, end: 2.5 },
+    { name: 'Reflow', category: 'Paint', start: 1.5, end: 2 },
+  ]);
+  return profile;
+}
+
+function _getStackNames(thread: Thread, stack: IndexIntoStackTable | null) {
+  const { stackTable, frameTable, funcTable, stringTable } = thread;
+  const names = [];
+  for (
+    let stackIndex = stack;
+    stackIndex !== null;
+    stackIndex = stackTable.prefix[stackIndex]
+  ) {
+    const funcIndex = frameTable.func[stackTable.frame[stackIndex]];
+    names.unshift(stringTable.getString(funcTable.name[funcIndex]));
+  }
+  return names.join(';');
+}
+
+function _getEventData(event: TraceEvent): Object {
+  if (!event.args) {
+    throw new Error('The event has no arguments.');
+  }
+  return event.args.data;
+}
+
+describe('exporting to the Chrome trace event format', function() {
+  it('names the thread and the process', function() {
+    const events = getChromeTraceEvents(_getProfile());
+    expect(events.filter(event => event.ph === 'M')).toEqual([
+      {
+        pid: 12,
+        tid: 34,
+        ts: 0,
+        ph: 'M',
+        name: 'thread_name',
+        args: { name: 'GeckoMain' },
+      },
+      {
+        pid: 12,
+        tid: 34,
+        ts: 0,
+        ph: 'M',
+        name: 'process_name',
+        args: { name: 'default' },
+      },
+    ]);
+  });
+
+  it('exports the samples as a CPU profile', function() {
+    const events = getChromeTraceEvents(_getProfile());
+    const profileEvents = events.filter(event => event.ph === 'P');
+    expect(profileEvents.map(event => event.name)).toEqual([
+      'Profile',
+      'ProfileChunk',
+    ]);
+    const chunk = profileEvents[1];
+    expect(chunk.id).toEqual(profileEvents[0].id);
+    const { cpuProfile, timeDeltas } = _getEventData(chunk);
+    expect(
+      cpuProfile.nodes.map(({ id, parent, callFrame }) => [
+        id,
+        parent,
+        callFrame.functionName,
+      ])
+    ).toEqual([
+      [1, undefined, '(root)'],
+      [2, 1, 'A'],
+      [3, 2, 'B'],
+      [4, 3, 'C'],
+      [5, 2, 'C'],
+      [6, 5, 'D'],
+    ]);
+    expect(cpuProfile.samples).toEqual([4, 3, 6, 3]);
+    expect(timeDeltas).toEqual([0, 1000, 1000, 1000]);
+  });
+
+  it('splits the samples into chunks', function() {
+    const profile = _getProfile();
+    const { samples } = profile.threads[0];
+    for (let i = samples.length; i < 250; i++) {
+      samples.stack.push(samples.stack[i % 4]);
+      samples.time.push(i);
+      samples.responsiveness.push(0);
+      samples.length++;
+    }
+    const chunks = getChromeTraceEvents(profile).filter(
+      event => event.name === 'ProfileChunk'
+    );
+    expect(
+      chunks.map(chunk => _getEventData(chunk).cpuProfile.samples.length)
+    ).toEqual([100, 100, 50]);
+    // The nodes are only part of the first chunk that uses them.
+    expect(
+      chunks.map(chunk => _getEventData(chunk).cpuProfile.nodes.length)
+    ).toEqual([6, 0, 0]);
+  });
+
+  it('exports the tracing markers as complete events', function() {
+    const events = getChromeTraceEvents(_getProfile());
+    expect(events.filter(event => event.ph === 'X')).toEqual([
+      {
+        pid: 12,
+        tid: 34,
+        ts: 1000,
+        ph: 'X',
+        name: 'Layout',
+        cat: 'Paint',
+        dur: 1500,
+        args: {},
+      },
+      {
+        pid: 12,
+        tid: 34,
+        ts: 1500,
+        ph: 'X',
+        name: 'Reflow',
+        cat: 'Paint',
+        dur: 500,
+        args: {},
+      },
+    ]);
+  });
+
+  it('clamps the unfinished markers to the samples', function() {
+    const { profile } = getProfileFromTextSamples('A  A  A  A');
+    addTracingMarkers(profile.threads[0], [
+      { name: 'Load', category: 'Network', start: null, end: 2 },
+      { name: 'Paint', category: 'Paint', start: 3, end: null },
+    ]);
+    const events = getChromeTraceEvents(profile).filter(
+      event => event.ph === 'X'
+    );
+    // The samples are at 0, 1, 2 and 3, with an interval of 1ms.
+    expect(events.map(({ name, ts, dur }) => [name, ts, dur])).toEqual([
+      ['Load', 0, 2000],
+      ['Paint', 3000, 1000],
+    ]);
+    expect(JSON.stringify(events)).not.toContain('null');
+  });
+
+  it('can be imported again', function() {
+    const json = JSON.parse(serializeProfileAsChromeTrace(_getProfile()));
+    expect(isChromeProfile(json)).toBe(true);
+
+    const profile = convertChromeProfile(json);
+    expect(profile.threads).toHaveLength(1);
+    const [thread] = profile.threads;
+    expect(thread.name).toEqual('GeckoMain');
+    expect(
+      thread.samples.stack.map(stack => _getStackNames(thread, stack))
+    ).toEqual(['A;B;C', 'A;B', 'A;C;D', 'A;B']);
+    expect(
+      getTracingMarkers(thread).map(({ name, start, dur }) => [
+        name,
+        start,
+        dur,
+      ])
+    ).toEqual([['Layout', 1, 1.5], ['Reflow', 1.5, 0.5]]);
+  });
+});
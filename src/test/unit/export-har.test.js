@@ -0,0 +1,103 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+// @flow
+
+import {
+  getHarLog,
+  serializeNetworkMarkersAsHar,
+} from '../../profile-logic/export/har';
+import { getProfileWithMarkers } from '../fixtures/profiles/make-profile';
+
+function _getProfile() {
+  const profile = getProfileWithMarkers([
+    [
+      'Load 1234',
+      10.5,
+      {
+        type: 'Network',
+        startTime: 10.5,
+        endTime: 111,
+        status: 'STATUS_START',
+        URI: 'https://example.org/script.js?a=1&b=c=d',
+        id: 1234,
+      },
+    ],
+    [
+      'Load 1234',
+      111,
+      {
+        type: 'Network',
+        startTime: 111,
+        endTime: 121.5,
+        status: 'STATUS_READING',
+        id: 1234,
+      },
+    ],
+    ['Rasterize', 115, null],
+  ]);
+  profile.meta.startTime = Date.UTC(2018, 5, 1);
+  profile.threads[0].name = 'GeckoMain';
+
+  const [otherThread] = getProfileWithMarkers([
+    [
+      'Load 5',
+      5,
+      {
+        type: 'Network',
+        startTime: 5,
+        endTime: 8,
+        status: 'STATUS_START',
+        URI: 'https://example.org/',
+        id: 5,
+      },
+    ],
+  ]).threads;
+  otherThread.name = 'Socket Thread';
+  profile.threads.push(otherThread);
+  return profile;
+}
+
+describe('exporting network markers as HAR', function() {
+  it('converts the markers of a load into a single entry', function() {
+    const { log } = getHarLog(_getProfile(), [0]);
+    expect(log.version).toEqual('1.2');
+    expect(log.entries).toHaveLength(1);
+    const [entry] = log.entries;
+    expect(entry.startedDateTime).toEqual('2018-06-01T00:00:00.010Z');
+    expect(entry.time).toEqual(111);
+    expect(entry.timings).toEqual({
+      blocked: -1,
+      dns: -1,
+      connect: -1,
+      ssl: -1,
+      send: 0,
+      wait: 100.5,
+      receive: 10.5,
+    });
+    expect(entry.request.url).toEqual(
+      'https://example.org/script.js?a=1&b=c=d'
+    );
+    expect(entry.request.queryString).toEqual([
+      { name: 'a', value: '1' },
+      { name: 'b', value: 'c=d' },
+    ]);
+    expect(entry._thread).toEqual('GeckoMain');
+  });
+
+  it('sorts the entries of all threads by start time', function() {
+    const { log } = getHarLog(_getProfile(), [0, 1]);
+    expect(log.entries.map(entry => [entry._thread, entry.time])).toEqual([
+      ['Socket Thread', 3],
+      ['GeckoMain', 111],
+    ]);
+  });
+
+  it('serializes nothing when there are no network markers', function() {
+    const profile = getProfileWithMarkers([['Rasterize', 115, null]]);
+    expect(serializeNetworkMarkersAsHar(profile, [0])).toBe(null);
+    expect(
+      JSON.parse(serializeNetworkMarkersAsHar(_getProfile(), [0]) || '')
+    ).toEqual(getHarLog(_getProfile(), [0]));
+  });
+});
@@ -0,0 +1,132 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+// @flow
+
+import {
+  getFlameGraphSvg,
+  getStackChartSvg,
+} from '../../profile-logic/export/svg';
+import {
+  getFlameGraphTiming,
+  getBackgroundColor,
+} from '../../profile-logic/flame-graph';
+import { getCallTree } from '../../profile-logic/call-tree';
+import { getStackTimingByDepth } from '../../profile-logic/stack-timing';
+import {
+  getCallNodeInfo,
+  computeCallNodeMaxDepth,
+} from '../../profile-logic/profile-data';
+import { getFunctionName } from '../../profile-logic/labeling-strategies';
+import { getCategoryByImplementation } from '../../profile-logic/color-categories';
+import { getProfileFromTextSamples } from '../fixtures/profiles/make-profile';
+
+function _getProfile() {
+  const { profile } = getProfileFromTextSamples(`
+    A    A    A    A
+    B    B    B    C
+    D<T> D<T> E
+  `);
+  const [thread] = profile.threads;
+  const callNodeInfo = getCallNodeInfo(
+    thread.stackTable,
+    thread.frameTable,
+    thread.funcTable
+  );
+  return { thread, callNodeInfo, interval: profile.meta.interval };
+}
+
+function _getTitles(svg: string): string[] {
+  const titles = [];
+  const regExp = /<title>([^<]*)<\/title>/g;
+  let match;
+  while ((match = regExp.exec(svg))) {
+    titles.push(match[1]);
+  }
+  return titles;
+}
+
+describe('exporting the flame graph as SVG', function() {
+  const { thread, callNodeInfo, interval } = _getProfile();
+  const callTree = getCallTree(
+    thread,
+    interval,
+    callNodeInfo,
+    'combined',
+    false
+  );
+  const svg = getFlameGraphSvg(
+    'Flame graph',
+    thread,
+    callNodeInfo,
+    getFlameGraphTiming(callTree)
+  );
+
+  it('is a standalone SVG document', function() {
+    expect(svg.startsWith('<?xml')).toBe(true);
+    expect(svg).toContain(
+      '<svg version="1.1" xmlns="http://www.w3.org/2000/svg"'
+    );
+    expect(svg).toContain('<script type="text/ecmascript"><![CDATA[');
+    expect(svg.trim().endsWith('</svg>')).toBe(true);
+  });
+
+  it('has a tooltip for every box', function() {
+    expect(_getTitles(svg)).toEqual([
+      'A (100.00%)\nRunning Time (ms): 4\nSelf (ms): —',
+      'B (75.00%)\nRunning Time (ms): 3\nSelf (ms): —',
+      'C (25.00%)\nRunning Time (ms): 1\nSelf (ms): 1',
+      // The names are escaped.
+      'D&lt;T&gt; (50.00%)\nRunning Time (ms): 2\nSelf (ms): 2',
+      'E (25.00%)\nRunning Time (ms): 1\nSelf (ms): 1',
+    ]);
+  });
+
+  it('can zoom into a box', function() {
+    expect(svg).toContain(
+      '<g class="box" data-name="B" data-x="0" data-width="900">'
+    );
+    expect(svg).toContain("boxes[i].addEventListener('click'");
+    expect(svg).toContain('<text id="unzoom"');
+    expect(svg).toContain("unzoomButton.addEventListener('click'");
+  });
+
+  it('uses the colors of the flame graph', function() {
+    expect(svg).toContain(
+      `<rect x="0" y="24" width="600" height="15" fill="${getBackgroundColor(
+        'native',
+        0.5
+      )}"`
+    );
+  });
+});
+
+describe('exporting the stack chart as SVG', function() {
+  const { thread, callNodeInfo, interval } = _getProfile();
+  const stackTimingByDepth = getStackTimingByDepth(
+    thread,
+    callNodeInfo,
+    computeCallNodeMaxDepth(thread, callNodeInfo),
+    interval
+  );
+
+  it('only contains the boxes of the range', function() {
+    const svg = getStackChartSvg(
+      'Stack chart',
+      thread,
+      stackTimingByDepth,
+      getFunctionName,
+      getCategoryByImplementation,
+      2,
+      4
+    );
+    expect(_getTitles(svg)).toEqual([
+      'A (4.0ms)',
+      'B (3.0ms)',
+      'C (1.0ms)',
+      'E (1.0ms)',
+    ]);
+    // B is cut at the start of the range.
+    expect(svg).toContain('<rect x="0" y="40" width="600" height="15"');
+  });
+});
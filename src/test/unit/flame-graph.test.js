@@ -20,7 +20,7 @@ import {
   getBackgroundColor,
   getForegroundColor,
   getHoverBackgroundColor,
-} from '../../components/flame-graph/Canvas';
+} from '../../profile-logic/flame-graph';
 
 describe('colors for native stack type', function() {
   it('has the correct starting colors', function() {
@@ -0,0 +1,98 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+// @flow
+
+import {
+  isFoldedStackFormat,
+  convertFoldedStackProfile,
+} from '../../profile-logic/import/folded';
+import { getFoldedStacks } from '../../profile-logic/export/folded';
+import { unserializeProfileOfArbitraryFormat } from '../../profile-logic/process-profile';
+import {
+  getCallNodeInfo,
+  filterThreadToRange,
+} from '../../profile-logic/profile-data';
+import { mergeFunction } from '../../profile-logic/transforms';
+import { getProfileFromTextSamples } from '../fixtures/profiles/make-profile';
+
+import type { Thread } from '../../types/profile';
+
+function _getFoldedStacks(thread: Thread): string {
+  const { stackTable, frameTable, funcTable } = thread;
+  return getFoldedStacks(
+    thread,
+    getCallNodeInfo(stackTable, frameTable, funcTable)
+  );
+}
+
+describe('importing folded stacks', function() {
+  const text = ['main 1', 'main;parse;readFile 2', 'main;render 3', ''].join(
+    '\n'
+  );
+
+  it('detects the format', function() {
+    expect(isFoldedStackFormat(text)).toBe(true);
+    expect(isFoldedStackFormat('{\n  "meta": {}\n}')).toBe(false);
+    expect(isFoldedStackFormat('')).toBe(false);
+  });
+
+  it('creates a sample weighted by the count of each line', function() {
+    const profile = convertFoldedStackProfile(text);
+    expect(profile.threads).toHaveLength(1);
+    const [thread] = profile.threads;
+    expect(thread.samples.time).toEqual([0, 1, 2]);
+    expect(thread.samples.weight).toEqual([1, 2, 3]);
+    expect(thread.samples.weightType).toBe('samples');
+    expect(profile.meta.interval).toBe(1);
+  });
+
+  it('does not expand large counts into as many samples', function() {
+    const [thread] = convertFoldedStackProfile('main;parse 1000000\n').threads;
+    expect(thread.samples.length).toBe(1);
+    expect(_getFoldedStacks(thread)).toEqual('main;parse 1000000\n');
+  });
+
+  it('can be exported again', function() {
+    const [thread] = convertFoldedStackProfile(text).threads;
+    expect(_getFoldedStacks(thread)).toEqual(text);
+  });
+
+  it('is used when unserializing a profile of an arbitrary format', function() {
+    const profile = unserializeProfileOfArbitraryFormat(text);
+    expect(profile.threads[0].samples.length).toBe(3);
+  });
+});
+
+describe('exporting folded stacks', function() {
+  const {
+    profile,
+    funcNamesDictPerThread: [{ B }],
+  } = getProfileFromTextSamples(`
+    A    A    A    A
+    B    B    B    C
+    C;D  C;D  E
+  `);
+  const getThread = () => profile.threads[0];
+
+  it('aggregates the samples by call node', function() {
+    expect(_getFoldedStacks(getThread())).toEqual(
+      // Semicolons are the separator of the format, they are replaced.
+      ['A;B;C:D 2', 'A;B;E 1', 'A;C 1', ''].join('\n')
+    );
+  });
+
+  it('exports the transformed thread', function() {
+    const transformedThread = mergeFunction(getThread(), B);
+    expect(_getFoldedStacks(transformedThread)).toEqual(
+      ['A;C:D 2', 'A;E 1', 'A;C 1', ''].join('\n')
+    );
+  });
+
+  it('exports only the samples of the range', function() {
+    const thread = filterThreadToRange(getThread(), 2, 4);
+    expect(_getFoldedStacks(thread)).toEqual(
+      ['A;B;E 1', 'A;C 1', ''].join('\n')
+    );
+  });
+});
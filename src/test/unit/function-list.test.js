@@ -0,0 +1,92 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+// @flow
+
+import {
+  computeFunctionTimings,
+  getFunctionList,
+} from '../../profile-logic/function-list';
+import { computeCallTreeCountsAndTimings } from '../../profile-logic/call-tree';
+import { getCallNodeInfo } from '../../profile-logic/profile-data';
+import { getProfileFromTextSamples } from '../fixtures/profiles/make-profile';
+
+import type { Thread } from '../../types/profile';
+import type { FunctionListSort } from '../../types/actions';
+
+function _getFunctionList(
+  thread: Thread,
+  sort: FunctionListSort = { column: 'totalTime', descending: true }
+) {
+  const callNodeInfo = getCallNodeInfo(
+    thread.stackTable,
+    thread.frameTable,
+    thread.funcTable
+  );
+  const timings = computeFunctionTimings(
+    thread,
+    callNodeInfo.callNodeTable,
+    computeCallTreeCountsAndTimings(thread, callNodeInfo, 1, false)
+  );
+  return getFunctionList(thread, 1, timings, sort, 'combined');
+}
+
+describe('function list', function() {
+  const {
+    profile,
+    funcNamesDictPerThread: [{ A, B, C, D }],
+  } = getProfileFromTextSamples(`
+    A    A    A    A
+    B    B    C    D
+    C    A    B
+         B
+         C
+  `);
+  const [thread] = profile.threads;
+
+  it('aggregates the times of the functions', function() {
+    const functionList = _getFunctionList(thread);
+    expect(functionList.getRoots()).toEqual([A, B, C, D]);
+    expect(functionList.getDisplayData(C)).toMatchObject({
+      name: 'C',
+      totalTime: '3',
+      selfTime: '2',
+      totalTimePercent: '75%',
+    });
+    expect(functionList.getDisplayData(D)).toMatchObject({
+      totalTime: '1',
+      selfTime: '1',
+    });
+  });
+
+  it('counts the time of recursive functions once', function() {
+    const functionList = _getFunctionList(thread);
+    expect(functionList.getDisplayData(A)).toMatchObject({
+      totalTime: '4',
+      selfTime: '—',
+    });
+    expect(functionList.getDisplayData(B).totalTime).toEqual('3');
+  });
+
+  it('sorts the functions', function() {
+    expect(
+      _getFunctionList(thread, {
+        column: 'selfTime',
+        descending: true,
+      }).getRoots()
+    ).toEqual([C, B, D, A]);
+    expect(
+      _getFunctionList(thread, {
+        column: 'totalTime',
+        descending: false,
+      }).getRoots()
+    ).toEqual([D, B, C, A]);
+  });
+
+  it('has no descendants', function() {
+    const functionList = _getFunctionList(thread);
+    expect(functionList.hasChildren(A)).toBe(false);
+    expect(functionList.getParent(A)).toBe(-1);
+    expect(functionList.getDepth(A)).toBe(0);
+  });
+});
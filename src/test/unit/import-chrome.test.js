@@ -0,0 +1,203 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+// @flow
+
+import {
+  isChromeProfile,
+  convertChromeProfile,
+} from '../../profile-logic/import/chrome';
+import { unserializeProfileOfArbitraryFormat } from '../../profile-logic/process-profile';
+import { getTracingMarkers } from '../../profile-logic/profile-data';
+import type { Thread, IndexIntoStackTable } from '../../types/profile';
+
+function _callFrame(functionName, url = '', lineNumber = -1) {
+  return { functionName, url, lineNumber, columnNumber: -1, scriptId: 0 };
+}
+
+function _getTraceEvents() {
+  return [
+    {
+      pid: 1,
+      tid: 2,
+      ts: 0,
+      ph: 'M',
+      cat: '__metadata',
+      name: 'thread_name',
+      args: { name: 'CrRendererMain' },
+    },
+    {
+      pid: 1,
+      tid: 0,
+      ts: 0,
+      ph: 'M',
+      cat: '__metadata',
+      name: 'process_name',
+      args: { name: 'Renderer' },
+    },
+    { pid: 1, tid: 2, ts: 1000, ph: 'X', dur: 3000, cat: 'v8', name: 'Task' },
+    { pid: 1, tid: 2, ts: 1000, ph: 'X', dur: 1000, cat: 'v8', name: 'Task' },
+    { pid: 1, tid: 2, ts: 1500, ph: 'B', cat: 'blink', name: 'Layout' },
+    { pid: 1, tid: 2, ts: 1800, ph: 'E', cat: 'blink', name: 'Layout' },
+    {
+      pid: 1,
+      tid: 2,
+      ts: 1000,
+      ph: 'P',
+      id: '0x1',
+      name: 'Profile',
+      args: { data: { startTime: 1000 } },
+    },
+    {
+      pid: 1,
+      tid: 3,
+      ts: 1100,
+      ph: 'P',
+      id: '0x1',
+      name: 'ProfileChunk',
+      args: {
+        data: {
+          cpuProfile: {
+            nodes: [
+              { id: 1, callFrame: _callFrame('(root)') },
+              {
+                id: 2,
+                parent: 1,
+                callFrame: _callFrame('main', 'https://example.com/a.js', 9),
+              },
+              {
+                id: 3,
+                parent: 2,
+                callFrame: _callFrame('', 'https://example.com/b.js', 0),
+              },
+            ],
+            samples: [2, 3],
+          },
+          timeDeltas: [100, 1000],
+        },
+      },
+    },
+    {
+      pid: 1,
+      tid: 3,
+      ts: 3200,
+      ph: 'P',
+      id: '0x1',
+      name: 'ProfileChunk',
+      args: {
+        data: {
+          cpuProfile: {
+            nodes: [{ id: 4, parent: 1, callFrame: _callFrame('(idle)') }],
+            samples: [4, 2],
+          },
+          timeDeltas: [1000, -500],
+        },
+      },
+    },
+  ];
+}
+
+function _getStackFuncNames(
+  thread: Thread,
+  stackIndex: IndexIntoStackTable | null
+): string[] {
+  const { stackTable, frameTable, funcTable, stringTable } = thread;
+  const funcNames = [];
+  while (stackIndex !== null) {
+    const funcIndex = frameTable.func[stackTable.frame[stackIndex]];
+    funcNames.unshift(stringTable.getString(funcTable.name[funcIndex]));
+    stackIndex = stackTable.prefix[stackIndex];
+  }
+  return funcNames;
+}
+
+describe('importing the Chrome trace event format', function() {
+  it('detects traces', function() {
+    const events = _getTraceEvents();
+    expect(isChromeProfile(events)).toBe(true);
+    expect(isChromeProfile({ traceEvents: events })).toBe(true);
+    expect(isChromeProfile([])).toBe(false);
+    expect(isChromeProfile({ meta: {}, threads: [] })).toBe(false);
+  });
+
+  it('creates a thread for each pid and tid with events', function() {
+    const profile = convertChromeProfile(_getTraceEvents());
+    // The thread with tid 3 only contains profile chunks, which belong to the
+    // thread of the "Profile" event.
+    expect(profile.threads).toHaveLength(1);
+    const [thread] = profile.threads;
+    expect(thread.name).toBe('CrRendererMain');
+    expect(thread.processType).toBe('Renderer');
+    expect(thread.pid).toBe(1);
+    expect(thread.tid).toBe(2);
+    expect(profile.meta.product).toBe('Chrome');
+  });
+
+  it('converts duration events to tracing markers', function() {
+    const [thread] = convertChromeProfile(_getTraceEvents()).threads;
+    const markers = getTracingMarkers(thread).map(({ name, start, dur }) => [
+      name,
+      start,
+      Math.round(dur * 1000),
+    ]);
+    expect(markers).toEqual([
+      ['Task', 0, 3000],
+      ['Task', 0, 1000],
+      ['Layout', 0.5, 300],
+    ]);
+  });
+
+  it('keeps the times of interleaved events of the same name', function() {
+    const [thread] = convertChromeProfile([
+      { pid: 1, tid: 2, ts: 0, ph: 'X', dur: 10, name: 'Fetch' },
+      { pid: 1, tid: 2, ts: 5, ph: 'X', dur: 20, name: 'Fetch' },
+      { pid: 1, tid: 2, ts: 30, ph: 'E', name: 'Parse' },
+      { pid: 1, tid: 2, ts: 40, ph: 'B', name: 'Parse' },
+    ]).threads;
+    const [parseEnd, ...markers] = getTracingMarkers(thread);
+    expect(
+      markers.map(({ name, start, dur }) => [name, start * 1000, dur * 1000])
+    ).toEqual([['Fetch', 0, 10], ['Fetch', 5, 20], ['Parse', 40, Infinity]]);
+    // Like the tracing markers without a "start" marker, the event missing its
+    // beginning gets a negative start.
+    expect(parseEnd.name).toBe('Parse');
+    expect(parseEnd.start).toBeLessThan(0);
+  });
+
+  it('converts the CPU profile to samples', function() {
+    const [thread] = convertChromeProfile(_getTraceEvents()).threads;
+    const { samples } = thread;
+    // The samples are sorted, even though the last time delta is negative.
+    expect(samples.time).toEqual([0.1, 1.1, 1.6, 2.1]);
+    expect(
+      samples.stack.map(stack => _getStackFuncNames(thread, stack))
+    ).toEqual([['main'], ['main', '(anonymous)'], ['main'], ['(idle)']]);
+  });
+
+  it('keeps the script information of the functions', function() {
+    const [thread] = convertChromeProfile(_getTraceEvents()).threads;
+    const { funcTable, resourceTable, stringTable } = thread;
+    const funcIndex = funcTable.name.indexOf(
+      stringTable.indexForString('main')
+    );
+    expect(funcTable.isJS[funcIndex]).toBe(true);
+    expect(funcTable.lineNumber[funcIndex]).toBe(10);
+    expect(funcTable.fileName[funcIndex]).toBe(
+      stringTable.indexForString('https://example.com/a.js')
+    );
+    const resourceIndex = funcTable.resource[funcIndex];
+    expect(stringTable.getString(resourceTable.name[resourceIndex])).toBe(
+      'https://example.com'
+    );
+    // Both scripts share the same origin.
+    expect(resourceTable.length).toBe(1);
+  });
+
+  it('is used when unserializing a profile of an arbitrary format', function() {
+    const profile = unserializeProfileOfArbitraryFormat(
+      JSON.stringify({ traceEvents: _getTraceEvents() })
+    );
+    expect(profile.threads[0].name).toBe('CrRendererMain');
+    expect(profile.threads[0].samples.length).toBe(4);
+  });
+});
@@ -0,0 +1,117 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+// @flow
+
+import {
+  isPerfScriptFormat,
+  convertPerfScriptProfile,
+} from '../../profile-logic/import/linux-perf';
+import { unserializeProfileOfArbitraryFormat } from '../../profile-logic/process-profile';
+import { resourceTypes } from '../../profile-logic/profile-data';
+import type { Thread, IndexIntoSamplesTable } from '../../types/profile';
+
+const PERF_SCRIPT_OUTPUT = `
+# ========
+# captured on    : Thu Jun  7 10:22:31 2018
+# ========
+#
+        firefox  4321/4321 [002] 81536.500000:     250000 cpu-clock:
+	    7f62f2b5e2e0 moz_xmalloc+0x10 (/usr/lib/firefox/libmozglue.so)
+	    55c2a8e0d1b4 main (/usr/lib/firefox/firefox)
+
+  Web Content  4400/4410 [001] 81536.501000:     250000 cpu-clock:
+	ffffffff8e2a1fd5 clear_page_erms ([kernel.kallsyms])
+	    7f0000001234 [unknown] ([unknown])
+
+        firefox  4321/4321 [002] 81536.501000:     250000 cpu-clock:
+	    7f62f2b5e2f0 moz_xmalloc+0x20 (/usr/lib/firefox/libmozglue.so)
+	    55c2a8e0d1b4 main (/usr/lib/firefox/firefox)
+
+        firefox  4321/4321 [002] 81536.502000:     250000 cpu-clock:
+	    55c2a8e0d1b4 main (/usr/lib/firefox/firefox)
+`;
+
+function _getLeafToRootNames(
+  thread: Thread,
+  sampleIndex: IndexIntoSamplesTable
+): string[] {
+  const { samples, stackTable, frameTable, funcTable, stringTable } = thread;
+  const names = [];
+  let stackIndex = samples.stack[sampleIndex];
+  while (stackIndex !== null) {
+    const funcIndex = frameTable.func[stackTable.frame[stackIndex]];
+    names.push(stringTable.getString(funcTable.name[funcIndex]));
+    stackIndex = stackTable.prefix[stackIndex];
+  }
+  return names;
+}
+
+describe('importing the output of perf script', function() {
+  it('detects the format', function() {
+    expect(isPerfScriptFormat(PERF_SCRIPT_OUTPUT)).toBe(true);
+    expect(isPerfScriptFormat('{"meta": {}, "threads": []}')).toBe(false);
+  });
+
+  it('creates a thread per pid and tid', function() {
+    const profile = convertPerfScriptProfile(PERF_SCRIPT_OUTPUT);
+    expect(
+      profile.threads.map(({ name, pid, tid }) => [name, pid, tid])
+    ).toEqual([['firefox', 4321, 4321], ['Web Content', 4400, 4410]]);
+  });
+
+  it('builds the stacks and sample times', function() {
+    const profile = convertPerfScriptProfile(PERF_SCRIPT_OUTPUT);
+    const [firefox, content] = profile.threads;
+    expect(firefox.samples.time.map(time => Math.round(time))).toEqual([
+      0,
+      1,
+      2,
+    ]);
+    expect(_getLeafToRootNames(firefox, 0)).toEqual(['moz_xmalloc', 'main']);
+    // The offsets into the function are removed, so both samples share a stack.
+    expect(firefox.samples.stack[1]).toBe(firefox.samples.stack[0]);
+    expect(_getLeafToRootNames(firefox, 2)).toEqual(['main']);
+    expect(_getLeafToRootNames(content, 0)).toEqual([
+      'clear_page_erms',
+      '0x7f0000001234',
+    ]);
+  });
+
+  it('sets the interval from the sample spacing', function() {
+    const profile = convertPerfScriptProfile(PERF_SCRIPT_OUTPUT);
+    expect(profile.meta.interval).toBeCloseTo(1);
+  });
+
+  it('turns the DSOs into libraries', function() {
+    const [firefox, content] = convertPerfScriptProfile(
+      PERF_SCRIPT_OUTPUT
+    ).threads;
+    expect(firefox.libs.map(lib => [lib.name, lib.path])).toEqual([
+      ['firefox', '/usr/lib/firefox/firefox'],
+      ['libmozglue.so', '/usr/lib/firefox/libmozglue.so'],
+    ]);
+    const { funcTable, resourceTable, stringTable } = firefox;
+    const funcIndex = funcTable.name.indexOf(
+      stringTable.indexForString('moz_xmalloc')
+    );
+    const resourceIndex = funcTable.resource[funcIndex];
+    expect(resourceTable.type[resourceIndex]).toBe(resourceTypes.library);
+    expect(resourceTable.lib[resourceIndex]).toBe(1);
+    expect(stringTable.getString(resourceTable.name[resourceIndex])).toBe(
+      'libmozglue.so'
+    );
+
+    // Frames without a DSO have no resource.
+    expect(content.libs.map(lib => lib.name)).toEqual(['[kernel.kallsyms]']);
+    const unknownFuncIndex = content.funcTable.name.indexOf(
+      content.stringTable.indexForString('0x7f0000001234')
+    );
+    expect(content.funcTable.resource[unknownFuncIndex]).toBe(-1);
+  });
+
+  it('is used when unserializing a profile of an arbitrary format', function() {
+    const profile = unserializeProfileOfArbitraryFormat(PERF_SCRIPT_OUTPUT);
+    expect(profile.threads).toHaveLength(2);
+  });
+});
@@ -0,0 +1,138 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+// @flow
+
+import { TextDecoder } from 'text-encoding';
+import {
+  isPprofProfile,
+  convertPprofProfile,
+} from '../../profile-logic/import/pprof';
+import { unserializeProfileOfArbitraryFormat } from '../../profile-logic/process-profile';
+import { resourceTypes } from '../../profile-logic/profile-data';
+import getPprofProfile from '../fixtures/profiles/pprof';
+import type { Thread, IndexIntoSamplesTable } from '../../types/profile';
+
+function _getLeafToRootNames(
+  thread: Thread,
+  sampleIndex: IndexIntoSamplesTable
+): string[] {
+  const { samples, stackTable, frameTable, funcTable, stringTable } = thread;
+  const names = [];
+  let stackIndex = samples.stack[sampleIndex];
+  while (stackIndex !== null) {
+    const funcIndex = frameTable.func[stackTable.frame[stackIndex]];
+    names.push(stringTable.getString(funcTable.name[funcIndex]));
+    stackIndex = stackTable.prefix[stackIndex];
+  }
+  return names;
+}
+
+describe('importing pprof profiles', function() {
+  beforeEach(function() {
+    window.TextDecoder = TextDecoder;
+  });
+
+  afterEach(function() {
+    delete window.TextDecoder;
+  });
+
+  it('detects the format', function() {
+    expect(isPprofProfile(getPprofProfile())).toBe(true);
+    expect(isPprofProfile(new Uint8Array([0x7b, 0x7d]))).toBe(false);
+    // This starts like a profile, but is truncated.
+    expect(isPprofProfile(getPprofProfile().subarray(0, 10))).toBe(false);
+  });
+
+  it('decodes the profile only once when unserializing it', function() {
+    const createTextDecoder = jest.fn(() => new TextDecoder());
+    (window: any).TextDecoder = createTextDecoder;
+    const profile = unserializeProfileOfArbitraryFormat(getPprofProfile());
+    expect(profile.threads).toHaveLength(2);
+    // Each decoding of the profile creates a decoder for its strings.
+    expect(createTextDecoder).toHaveBeenCalledTimes(1);
+  });
+
+  it('creates a thread per sample type, starting with the default one', function() {
+    const profile = convertPprofProfile(getPprofProfile());
+    expect(profile.threads.map(thread => thread.name)).toEqual([
+      'alloc_space (bytes)',
+      'alloc_objects (count)',
+    ]);
+    expect(profile.meta.product).toBe('pprof');
+    expect(profile.meta.startTime).toBeCloseTo(1.5e12, 0);
+  });
+
+  it('skips the samples without a value for the sample type', function() {
+    const [allocSpace, allocObjects] = convertPprofProfile(
+      getPprofProfile()
+    ).threads;
+    expect(allocSpace.samples.length).toBe(3);
+    expect(allocObjects.samples.length).toBe(2);
+  });
+
+  it('weights the samples by their values', function() {
+    const profile = convertPprofProfile(getPprofProfile());
+    const [allocSpace, allocObjects] = profile.threads;
+    expect(allocSpace.samples.weightType).toBe('bytes');
+    expect(allocSpace.samples.weight).toEqual([512, 1024, 2048]);
+    expect(allocObjects.samples.weightType).toBe('samples');
+    expect(allocObjects.samples.weight).toEqual([1, 2]);
+    // The sampling period of this profile isn't a duration.
+    expect(profile.meta.interval).toBe(1);
+  });
+
+  it('expands the inlined functions of locations', function() {
+    const [thread] = convertPprofProfile(getPprofProfile()).threads;
+    expect(_getLeafToRootNames(thread, 0)).toEqual([
+      'main.readFile',
+      'main.parse',
+      'main.main',
+    ]);
+    expect(_getLeafToRootNames(thread, 1)).toEqual([
+      'main.render',
+      'main.main',
+    ]);
+    expect(_getLeafToRootNames(thread, 2)).toEqual(['0x4000', 'main.main']);
+
+    const { frameTable, funcTable, stringTable } = thread;
+    const readFile = funcTable.name.indexOf(
+      stringTable.indexForString('main.readFile')
+    );
+    expect(stringTable.getString((funcTable.fileName[readFile]: any))).toBe(
+      '/home/user/app/main.go'
+    );
+    expect(funcTable.lineNumber[readFile]).toBe(25);
+    const frameIndex = frameTable.func.indexOf(readFile);
+    expect(frameTable.line[frameIndex]).toBe(30);
+    expect(frameTable.address[frameIndex]).toBe(0x1200);
+  });
+
+  it('turns the mappings into libraries', function() {
+    const [thread] = convertPprofProfile(getPprofProfile()).threads;
+    const { libs, funcTable, resourceTable, stringTable } = thread;
+    expect(libs).toEqual([
+      {
+        start: 0x1000,
+        end: 0x9000,
+        offset: 0,
+        arch: '',
+        name: 'app',
+        path: '/usr/bin/app',
+        debugName: 'app',
+        debugPath: '/usr/bin/app',
+        breakpadId: 'abcdef',
+      },
+    ]);
+    expect(resourceTable.length).toBe(1);
+    expect(resourceTable.type[0]).toBe(resourceTypes.library);
+    expect(resourceTable.lib[0]).toBe(0);
+    expect(stringTable.getString(resourceTable.name[0])).toBe('app');
+    expect(funcTable.resource.every(resource => resource === 0)).toBe(true);
+  });
+
+  it('is used when unserializing a profile of an arbitrary format', function() {
+    const profile = unserializeProfileOfArbitraryFormat(getPprofProfile());
+    expect(profile.threads).toHaveLength(2);
+  });
+});
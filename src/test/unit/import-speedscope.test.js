@@ -0,0 +1,184 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+// @flow
+
+import {
+  isSpeedscopeProfile,
+  convertSpeedscopeProfile,
+} from '../../profile-logic/import/speedscope';
+import { unserializeProfileOfArbitraryFormat } from '../../profile-logic/process-profile';
+import {
+  getTracingMarkers,
+  resourceTypes,
+} from '../../profile-logic/profile-data';
+import getSpeedscopeProfile from '../fixtures/profiles/speedscope';
+import type { Thread, IndexIntoSamplesTable } from '../../types/profile';
+
+function _getLeafToRootNames(
+  thread: Thread,
+  sampleIndex: IndexIntoSamplesTable
+): string[] {
+  const { samples, stackTable, frameTable, funcTable, stringTable } = thread;
+  const names = [];
+  let stackIndex = samples.stack[sampleIndex];
+  while (stackIndex !== null) {
+    const funcIndex = frameTable.func[stackTable.frame[stackIndex]];
+    names.push(stringTable.getString(funcTable.name[funcIndex]));
+    stackIndex = stackTable.prefix[stackIndex];
+  }
+  return names;
+}
+
+describe('importing speedscope files', function() {
+  it('detects the format', function() {
+    expect(isSpeedscopeProfile(getSpeedscopeProfile())).toBe(true);
+    expect(isSpeedscopeProfile({ meta: {}, threads: [] })).toBe(false);
+    expect(isSpeedscopeProfile(null)).toBe(false);
+  });
+
+  it('creates a thread per profile', function() {
+    const profile = convertSpeedscopeProfile(getSpeedscopeProfile());
+    expect(profile.threads.map(thread => thread.name)).toEqual([
+      'Evented Thread',
+      'Sampled Thread',
+    ]);
+    expect(profile.meta.product).toBe('speedscope@1.0.0');
+  });
+
+  it('lays out the samples of sampled profiles by their weight', function() {
+    const [, thread] = convertSpeedscopeProfile(getSpeedscopeProfile()).threads;
+    expect(thread.samples.time).toEqual([0, 1, 2, 4]);
+    expect(thread.samples.weightType).toBe('tracing-ms');
+    expect(thread.samples.weight).toEqual([1, 1, 2, 2]);
+    expect(_getLeafToRootNames(thread, 0)).toEqual(['parse', 'main']);
+    expect(thread.samples.stack[1]).toBe(thread.samples.stack[0]);
+    expect(_getLeafToRootNames(thread, 2)).toEqual(['render', 'main']);
+    expect(_getLeafToRootNames(thread, 3)).toEqual(['main']);
+  });
+
+  it('turns the events of evented profiles into tracing markers', function() {
+    const [thread] = convertSpeedscopeProfile(getSpeedscopeProfile()).threads;
+    const markers = getTracingMarkers(thread);
+    expect(markers.map(({ name, start, dur }) => [name, start, dur])).toEqual([
+      ['main', 0, 4000],
+      ['parse', 1000, 1000],
+      ['render', 2000, 1000],
+    ]);
+  });
+
+  it('samples evented profiles at a fixed interval', function() {
+    const [thread] = convertSpeedscopeProfile(getSpeedscopeProfile()).threads;
+    // The profile lasts for 4 seconds, this is sampled every millisecond.
+    expect(thread.samples.length).toBe(4000);
+    expect(thread.samples.time[1]).toBe(1);
+    expect(_getLeafToRootNames(thread, 0)).toEqual(['main']);
+    expect(_getLeafToRootNames(thread, 1500)).toEqual(['parse', 'main']);
+    expect(_getLeafToRootNames(thread, 2500)).toEqual(['render', 'main']);
+    expect(_getLeafToRootNames(thread, 3500)).toEqual(['main']);
+  });
+
+  it('does not sample evented profiles without any duration', function() {
+    const json = getSpeedscopeProfile();
+    json.profiles = [
+      {
+        type: 'evented',
+        name: 'Empty Thread',
+        unit: 'milliseconds',
+        startValue: 100,
+        endValue: 100,
+        events: [
+          { type: 'O', frame: 0, at: 100 },
+          { type: 'C', frame: 0, at: 100 },
+        ],
+      },
+    ];
+    const [thread] = convertSpeedscopeProfile(json).threads;
+    expect(thread.samples.length).toBe(0);
+    expect(
+      getTracingMarkers(thread).map(({ name, start, dur }) => [
+        name,
+        start,
+        dur,
+      ])
+    ).toEqual([['main', 0, 0]]);
+  });
+
+  it('samples evented profiles until their last event', function() {
+    const json = getSpeedscopeProfile();
+    json.profiles = [
+      {
+        type: 'evented',
+        name: 'Thread',
+        unit: 'milliseconds',
+        // Some exporters don't fill in the end value.
+        startValue: 0,
+        endValue: 0,
+        events: [
+          { type: 'O', frame: 0, at: 0 },
+          { type: 'C', frame: 0, at: 2000 },
+        ],
+      },
+    ];
+    const [thread] = convertSpeedscopeProfile(json).threads;
+    expect(thread.samples.length).toBe(2000);
+    expect(_getLeafToRootNames(thread, 1999)).toEqual(['main']);
+  });
+
+  it('weights the samples of evented profiles by their own interval', function() {
+    const json = getSpeedscopeProfile();
+    const getEventedProfile = (name, endValue) => ({
+      type: 'evented',
+      name,
+      unit: 'milliseconds',
+      startValue: 0,
+      endValue,
+      events: [
+        { type: 'O', frame: 0, at: 0 },
+        { type: 'C', frame: 0, at: endValue },
+      ],
+    });
+    // 10ms and 1000s are sampled at very different intervals.
+    json.profiles = [
+      getEventedProfile('Short Thread', 10),
+      getEventedProfile('Long Thread', 1000000),
+    ];
+    const [shortThread, longThread] = convertSpeedscopeProfile(json).threads;
+    for (const [thread, duration] of [
+      [shortThread, 10],
+      [longThread, 1000000],
+    ]) {
+      const { weight, weightType } = thread.samples;
+      expect(weightType).toBe('tracing-ms');
+      if (!weight) {
+        throw new Error('The samples should have a weight.');
+      }
+      expect(weight.reduce((total, w) => total + w, 0)).toBeCloseTo(
+        duration,
+        5
+      );
+    }
+  });
+
+  it('uses the files of the frames as resources', function() {
+    const [thread] = convertSpeedscopeProfile(getSpeedscopeProfile()).threads;
+    const { funcTable, resourceTable, stringTable } = thread;
+    expect(resourceTable.length).toBe(1);
+    expect(resourceTable.type[0]).toBe(resourceTypes.webhost);
+    expect(stringTable.getString(resourceTable.name[0])).toBe(
+      'https://example.com'
+    );
+    const renderIndex = funcTable.name.indexOf(
+      stringTable.indexForString('render')
+    );
+    expect(funcTable.resource[renderIndex]).toBe(-1);
+    expect(funcTable.fileName[renderIndex]).toBe(null);
+  });
+
+  it('is used when unserializing a profile of an arbitrary format', function() {
+    const profile = unserializeProfileOfArbitraryFormat(
+      JSON.stringify(getSpeedscopeProfile())
+    );
+    expect(profile.threads).toHaveLength(2);
+  });
+});
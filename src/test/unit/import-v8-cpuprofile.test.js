@@ -0,0 +1,105 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+// @flow
+
+import {
+  isV8CpuProfile,
+  convertV8CpuProfile,
+} from '../../profile-logic/import/v8-cpuprofile';
+import { unserializeProfileOfArbitraryFormat } from '../../profile-logic/process-profile';
+import { resourceTypes } from '../../profile-logic/profile-data';
+
+function _getCpuProfile() {
+  const callFrame = (functionName, url, lineNumber) => ({
+    functionName,
+    scriptId: '0',
+    url,
+    lineNumber,
+    columnNumber: 0,
+  });
+  return {
+    nodes: [
+      { id: 1, callFrame: callFrame('(root)', '', -1), children: [2, 4] },
+      {
+        id: 2,
+        callFrame: callFrame('main', 'file:///srv/app/index.js', 4),
+        children: [3],
+      },
+      {
+        id: 3,
+        callFrame: callFrame('fetch', 'https://cdn.example.com/lib.js', 99),
+      },
+      { id: 4, callFrame: callFrame('(garbage collector)', '', -1) },
+    ],
+    startTime: 5000000,
+    endTime: 5004000,
+    samples: [2, 3, 3, 4],
+    timeDeltas: [1000, 1000, 1000, 1000],
+  };
+}
+
+describe('importing V8 .cpuprofile files', function() {
+  it('detects the format', function() {
+    expect(isV8CpuProfile(_getCpuProfile())).toBe(true);
+    expect(isV8CpuProfile({ meta: {}, threads: [] })).toBe(false);
+  });
+
+  it('converts the samples', function() {
+    const profile = convertV8CpuProfile(_getCpuProfile());
+    expect(profile.threads).toHaveLength(1);
+    const [thread] = profile.threads;
+    expect(thread.samples.time).toEqual([1, 2, 3, 4]);
+    expect(profile.meta.interval).toBe(1);
+
+    const { stackTable, frameTable, funcTable, stringTable } = thread;
+    const leafNames = thread.samples.stack.map(stackIndex => {
+      if (stackIndex === null) {
+        return null;
+      }
+      const funcIndex = frameTable.func[stackTable.frame[stackIndex]];
+      return stringTable.getString(funcTable.name[funcIndex]);
+    });
+    expect(leafNames).toEqual([
+      'main',
+      'fetch',
+      'fetch',
+      '(garbage collector)',
+    ]);
+  });
+
+  it('maps the call frames to files, lines and resources', function() {
+    const [thread] = convertV8CpuProfile(_getCpuProfile()).threads;
+    const { funcTable, resourceTable, stringTable } = thread;
+    const getFunc = name =>
+      funcTable.name.indexOf(stringTable.indexForString(name));
+
+    const main = getFunc('main');
+    expect(funcTable.fileName[main]).toBe(
+      stringTable.indexForString('file:///srv/app/index.js')
+    );
+    expect(funcTable.lineNumber[main]).toBe(5);
+    expect(resourceTable.type[funcTable.resource[main]]).toBe(
+      resourceTypes.url
+    );
+
+    const fetch = getFunc('fetch');
+    const fetchResource = funcTable.resource[fetch];
+    expect(resourceTable.type[fetchResource]).toBe(resourceTypes.webhost);
+    expect(stringTable.getString(resourceTable.name[fetchResource])).toBe(
+      'https://cdn.example.com'
+    );
+
+    const gc = getFunc('(garbage collector)');
+    expect(funcTable.fileName[gc]).toBe(null);
+    expect(funcTable.resource[gc]).toBe(-1);
+    expect(funcTable.isJS[gc]).toBe(false);
+  });
+
+  it('is used when unserializing a profile of an arbitrary format', function() {
+    const profile = unserializeProfileOfArbitraryFormat(
+      JSON.stringify(_getCpuProfile())
+    );
+    expect(profile.threads[0].samples.length).toBe(4);
+  });
+});
@@ -0,0 +1,86 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+// @flow
+
+import { getLineTimings } from '../../profile-logic/line-timings';
+import { getProfileFromTextSamples } from '../fixtures/profiles/make-profile';
+
+import type { Thread, IndexIntoFuncTable } from '../../types/profile';
+
+/**
+ * The text samples don't have any line, give a line to each frame of a function
+ * depending on the depth of its stack.
+ */
+function _setLines(
+  thread: Thread,
+  func: IndexIntoFuncTable,
+  getLine: (depth: number) => number
+) {
+  const { stackTable, frameTable } = thread;
+  const depths = [];
+  for (let stackIndex = 0; stackIndex < stackTable.length; stackIndex++) {
+    const prefix = stackTable.prefix[stackIndex];
+    depths[stackIndex] = prefix === null ? 0 : depths[prefix] + 1;
+    const frameIndex = stackTable.frame[stackIndex];
+    if (frameTable.func[frameIndex] === func) {
+      frameTable.line[frameIndex] = getLine(depths[stackIndex]);
+    }
+  }
+}
+
+describe('getLineTimings', function() {
+  function setup() {
+    const {
+      profile,
+      funcNamesDictPerThread: [funcNamesDict],
+    } = getProfileFromTextSamples(`
+      A    A    A    A    A
+      B    B    B    C    B
+           B    B    B
+                C
+    `);
+    return { thread: profile.threads[0], funcNamesDict };
+  }
+
+  it('counts the samples of each line of a function', function() {
+    const { thread, funcNamesDict: { B } } = setup();
+    _setLines(thread, B, depth => 10 + depth);
+    expect(getLineTimings(thread, B)).toEqual({
+      func: B,
+      selfWeight: new Map([[11, 2], [12, 2]]),
+      totalWeight: new Map([[11, 4], [12, 3]]),
+    });
+  });
+
+  it('counts a line only once per sample with recursive calls', function() {
+    const { thread, funcNamesDict: { B } } = setup();
+    _setLines(thread, B, () => 20);
+    expect(getLineTimings(thread, B)).toEqual({
+      func: B,
+      selfWeight: new Map([[20, 4]]),
+      totalWeight: new Map([[20, 5]]),
+    });
+  });
+
+  it('adds up the weights of weighted samples', function() {
+    const { thread, funcNamesDict: { B } } = setup();
+    _setLines(thread, B, () => 20);
+    thread.samples.weight = [1, 2, 3, 4, 0.5];
+    thread.samples.weightType = 'tracing-ms';
+    expect(getLineTimings(thread, B)).toEqual({
+      func: B,
+      selfWeight: new Map([[20, 7.5]]),
+      totalWeight: new Map([[20, 10.5]]),
+    });
+  });
+
+  it('ignores the frames without a line', function() {
+    const { thread, funcNamesDict: { A } } = setup();
+    expect(getLineTimings(thread, A)).toEqual({
+      func: A,
+      selfWeight: new Map(),
+      totalWeight: new Map(),
+    });
+  });
+});
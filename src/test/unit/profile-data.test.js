@@ -22,6 +22,9 @@ import {
   getCallNodePathFromIndex,
   getSampleIndexClosestToTime,
   convertStackToCallNodePath,
+  filterThreadToSearchStrings,
+  parseSearchString,
+  splitSearchString,
 } from '../../profile-logic/profile-data';
 import getGeckoProfile from '.././fixtures/profiles/gecko-profile';
 import profileWithJS from '.././fixtures/profiles/timings-with-js';
@@ -830,6 +833,32 @@ describe('upgrades', function() {
     );
     compareProcessedProfiles(upgradedProfile9, afterUpgradeReference);
   });
+  it('should normalize the libs of the resources when upgrading a processed profile', function() {
+    const { profile } = getProfileFromTextSamples(`
+      A:liba
+      B:libb
+      C:libc
+      D:libd
+    `);
+    // Store the thread as it could be in version 10: its 4 resources have a
+    // valid lib, -1, a lib past the end of the libs, and no lib at all.
+    const serializedProfile = JSON.parse(serializeProfile(profile));
+    serializedProfile.meta.preprocessedProfileVersion = 10;
+    const { resourceTable, libs } = serializedProfile.threads[0];
+    expect(resourceTable.length).toBe(4);
+    expect(libs).toHaveLength(4);
+    resourceTable.lib = [2, -1, 4];
+
+    const upgradedProfile = unserializeProfileOfArbitraryFormat(
+      serializedProfile
+    );
+    expect(upgradedProfile.threads[0].resourceTable.lib).toEqual([
+      2,
+      null,
+      null,
+      null,
+    ]);
+  });
   it('should import an old Gecko profile and upgrade it to be the same as the newest Gecko profile', function() {
     const afterUpgradeGeckoReference = require('../fixtures/upgrades/gecko-9.json');
     // Uncomment this to output your next ./upgrades/gecko-X.json
@@ -1000,3 +1029,106 @@ describe('convertStackToCallNodePath', function() {
     expect(callNodePath).toEqual([5, 3, 2, 1, 0]);
   });
 });
+
+describe('filterThreadToSearchStrings', function() {
+  function setup() {
+    const {
+      profile,
+      funcNamesDictPerThread: [funcNamesDict],
+    } = getProfileFromTextSamples(`
+      Alpha         Alpha          Alpha
+      Beta:libxul   Gamma:libmoz   Delta.js
+    `);
+    const [thread] = profile.threads;
+    thread.funcTable.fileName[
+      funcNamesDict['Delta.js']
+    ] = thread.stringTable.indexForString('https://example.com/script.js');
+    return thread;
+  }
+
+  function getKeptSamples(searchStrings: string[]) {
+    const { samples } = filterThreadToSearchStrings(setup(), searchStrings);
+    return samples.stack
+      .map((stack, sampleIndex) => (stack === null ? null : sampleIndex))
+      .filter(sampleIndex => sampleIndex !== null);
+  }
+
+  it('searches the names, files and resources as substrings', function() {
+    expect(getKeptSamples(['beta'])).toEqual([0]);
+    expect(getKeptSamples(['example.com'])).toEqual([2]);
+    expect(getKeptSamples(['libmoz'])).toEqual([1]);
+  });
+
+  it('searches with regular expressions', function() {
+    expect(getKeptSamples(['/^(beta|gamma)/'])).toEqual([0, 1]);
+    expect(getKeptSamples(['/^lib/'])).toEqual([0, 1]);
+  });
+
+  it('excludes the samples matching a negated term', function() {
+    expect(getKeptSamples(['-gamma'])).toEqual([0, 2]);
+    expect(getKeptSamples(['-alpha'])).toEqual([]);
+  });
+
+  it('restricts the terms to a field with a qualifier', function() {
+    expect(getKeptSamples(['lib:xul'])).toEqual([0]);
+    expect(getKeptSamples(['-lib:xul'])).toEqual([1, 2]);
+    expect(getKeptSamples(['file:*.js'])).toEqual([2]);
+    expect(getKeptSamples(['origin:https://example.com'])).toEqual([2]);
+    // The function names aren't searched with a qualifier.
+    expect(getKeptSamples(['lib:alpha'])).toEqual([]);
+  });
+
+  it('combines the terms', function() {
+    expect(getKeptSamples(['alpha', '-lib:/xul|moz/'])).toEqual([2]);
+  });
+});
+
+describe('parseSearchString', function() {
+  it('parses the negation, the qualifier and the value', function() {
+    const { field, negated, regExp } = parseSearchString('-lib:/^x(u)l$/');
+    expect({ field, negated, source: regExp.source }).toEqual({
+      field: 'lib',
+      negated: true,
+      source: '^x(u)l$',
+    });
+  });
+
+  it('keeps unknown qualifiers and invalid regular expressions as text', function() {
+    expect(parseSearchString('foo::bar').regExp.test('foo::bar')).toBe(true);
+    expect(parseSearchString('foo::bar').field).toBe('any');
+    expect(parseSearchString('/(/').regExp.test('a/(/b')).toBe(true);
+    expect(parseSearchString('-').negated).toBe(false);
+  });
+
+  it('matches the whole field with the values that have wildcards', function() {
+    expect(parseSearchString('*').regExp.test('operator*')).toBe(true);
+    expect(parseSearchString('*').regExp.test('operator')).toBe(false);
+    const { regExp } = parseSearchString('file:*.js');
+    expect(regExp.test('resource://foo/x.js')).toBe(true);
+    expect(regExp.test('x.json')).toBe(false);
+    expect(regExp.test('x.jsm')).toBe(false);
+    expect(parseSearchString('a*b').regExp.test('a::b')).toBe(true);
+    expect(parseSearchString('a*b').regExp.test('xa::b')).toBe(false);
+    // Without wildcards, the value is a substring.
+    expect(parseSearchString('js').regExp.test('x.json')).toBe(true);
+  });
+});
+
+describe('splitSearchString', function() {
+  it('splits the terms on commas', function() {
+    expect(splitSearchString('foo, bar,,-lib:xul')).toEqual([
+      'foo',
+      'bar',
+      '-lib:xul',
+    ]);
+  });
+
+  it('does not split the regular expressions', function() {
+    expect(splitSearchString('/a{1,2}/,-file:/[,\\/]x/,path/a,b')).toEqual([
+      '/a{1,2}/',
+      '-file:/[,\\/]x/',
+      'path/a',
+      'b',
+    ]);
+  });
+});
@@ -6,6 +6,7 @@ import { getProfileFromTextSamples } from '../fixtures/profiles/make-profile';
 import {
   getCallTree,
   computeCallTreeCountsAndTimings,
+  getTimingLabels,
   CallTree,
 } from '../../profile-logic/call-tree';
 import {
@@ -14,10 +15,12 @@ import {
   resourceTypes,
   getCallNodeIndexFromPath,
   getOriginAnnotationForFunc,
+  filterThreadToRange,
 } from '../../profile-logic/profile-data';
 import { formatTree } from '../fixtures/utils';
 
-import type { Profile } from '../../types/profile';
+import type { Profile, WeightType } from '../../types/profile';
+import type { CallTreeSortBy } from '../../types/actions';
 
 describe('unfiltered call tree', function() {
   // These values are hoisted at the top for the ease of access. In the profile fixture
@@ -78,11 +81,14 @@ describe('unfiltered call tree', function() {
       ).toEqual({
         rootCount: 1,
         rootTotalTime: 3,
+        baselineRootTotalTime: 0,
         callNodeChildCount: new Uint32Array([1, 2, 2, 1, 0, 1, 0, 1, 0]),
         callNodeTimes: {
           selfTime: new Float32Array([0, 0, 0, 0, 1, 0, 1, 0, 1]),
           totalTime: new Float32Array([3, 3, 2, 1, 1, 1, 1, 1, 1]),
+          sampleCount: new Uint32Array([3, 3, 2, 1, 1, 1, 1, 1, 1]),
         },
+        baselineCallNodeTimes: null,
       });
     });
   });
@@ -243,7 +249,9 @@ describe('unfiltered call tree', function() {
           icon: null,
           lib: '',
           name: 'A',
+          samples: '3',
           selfTime: '—',
+          selfTimePercent: '—',
           totalTime: '3',
           totalTimePercent: '100%',
         });
@@ -395,6 +403,154 @@ describe('inverted call tree', function() {
   });
 });
 
+describe('sorted call tree', function() {
+  function formatSortedTree(sortBy: CallTreeSortBy): string[] {
+    const { profile } = getProfileFromTextSamples(`
+      A A A A A A
+      Z Z Z X X C
+      Y Y Y
+    `);
+    const [thread] = profile.threads;
+    const callNodeInfo = getCallNodeInfo(
+      thread.stackTable,
+      thread.frameTable,
+      thread.funcTable
+    );
+    const callTree = getCallTree(
+      thread,
+      profile.meta.interval,
+      callNodeInfo,
+      'combined',
+      false,
+      sortBy
+    );
+    return formatTree(callTree);
+  }
+
+  it('sorts the siblings by their total time by default', function() {
+    expect(formatSortedTree('totalTime')).toEqual([
+      '- A (total: 6, self: —)',
+      '  - Z (total: 3, self: —)',
+      '    - Y (total: 3, self: 3)',
+      '  - X (total: 2, self: 2)',
+      '  - C (total: 1, self: 1)',
+    ]);
+  });
+
+  it('sorts the siblings by their self time', function() {
+    expect(formatSortedTree('selfTime')).toEqual([
+      '- A (total: 6, self: —)',
+      '  - X (total: 2, self: 2)',
+      '  - C (total: 1, self: 1)',
+      '  - Z (total: 3, self: —)',
+      '    - Y (total: 3, self: 3)',
+    ]);
+  });
+
+  it('sorts the siblings by their name', function() {
+    expect(formatSortedTree('name')).toEqual([
+      '- A (total: 6, self: —)',
+      '  - C (total: 1, self: 1)',
+      '  - X (total: 2, self: 2)',
+      '  - Z (total: 3, self: —)',
+      '    - Y (total: 3, self: 3)',
+    ]);
+  });
+});
+
+describe('weighted samples', function() {
+  function getWeightedProfile(
+    weightType: WeightType,
+    weight: number[]
+  ): Profile {
+    const { profile } = getProfileFromTextSamples(`
+      A A A
+      B B C
+    `);
+    profile.meta.interval = 2;
+    const { samples } = profile.threads[0];
+    samples.weight = weight;
+    samples.weightType = weightType;
+    return profile;
+  }
+
+  function callTreeFromProfile(profile: Profile, inverted: boolean): CallTree {
+    const thread = inverted
+      ? invertCallstack(profile.threads[0])
+      : profile.threads[0];
+    const callNodeInfo = getCallNodeInfo(
+      thread.stackTable,
+      thread.frameTable,
+      thread.funcTable
+    );
+    return getCallTree(
+      thread,
+      profile.meta.interval,
+      callNodeInfo,
+      'combined',
+      inverted
+    );
+  }
+
+  it('counts the samples for the interval', function() {
+    const profile = getWeightedProfile('samples', [1, 2, 3]);
+    expect(formatTree(callTreeFromProfile(profile, false))).toEqual([
+      '- A (total: 12, self: —)',
+      '  - B (total: 6, self: 6)',
+      '  - C (total: 6, self: 6)',
+    ]);
+  });
+
+  it('counts the samples regardless of their weights', function() {
+    const profile = getWeightedProfile('tracing-ms', [0.5, 1, 4]);
+    const callTree = callTreeFromProfile(profile, false);
+    const [A] = callTree.getRoots();
+    const [C, B] = callTree.getChildren(A);
+    expect(callTree.getDisplayData(A).samples).toBe('3');
+    expect(callTree.getDisplayData(B).samples).toBe('2');
+    expect(callTree.getDisplayData(C).samples).toBe('1');
+  });
+
+  it('uses traced durations as is', function() {
+    const profile = getWeightedProfile('tracing-ms', [0.5, 1, 4]);
+    const callTree = callTreeFromProfile(profile, false);
+    expect(formatTree(callTree)).toEqual([
+      '- A (total: 5.5, self: —)',
+      '  - C (total: 4.0, self: 4.0)',
+      '  - B (total: 1.5, self: 1.5)',
+    ]);
+    expect(callTree.getWeightType()).toBe('tracing-ms');
+  });
+
+  it('uses sizes as is, for the inverted tree too', function() {
+    const profile = getWeightedProfile('bytes', [100, 200, 1000]);
+    expect(formatTree(callTreeFromProfile(profile, true))).toEqual([
+      '- C (total: 1,000, self: 1,000)',
+      '  - A (total: 1,000, self: —)',
+      '- B (total: 300, self: 300)',
+      '  - A (total: 300, self: —)',
+    ]);
+  });
+
+  it('keeps the weights when filtering the samples to a range', function() {
+    const profile = getWeightedProfile('bytes', [100, 200, 1000]);
+    const { samples } = filterThreadToRange(profile.threads[0], 1, 3);
+    expect(samples.weight).toEqual([200, 1000]);
+    expect(samples.weightType).toBe('bytes');
+  });
+
+  it('has labels for the weight types', function() {
+    expect(getTimingLabels('samples').unit).toBe('ms');
+    expect(getTimingLabels('tracing-ms').unit).toBe('ms');
+    expect(getTimingLabels('bytes')).toEqual({
+      total: 'Total Size',
+      self: 'Self Size',
+      unit: 'bytes',
+      suffix: ' bytes',
+    });
+  });
+});
+
 describe('origin annotation', function() {
   const {
     profile: { threads: [thread] },
@@ -18,8 +18,10 @@ import getGeckoProfile from './fixtures/profiles/gecko-profile';
 import { processProfile } from '../profile-logic/process-profile';
 import { viewProfile } from '../actions/receive-profile';
 import { selectedThreadSelectors } from '../reducers/profile-view';
+import { changeSidebarOpenState } from '../actions/app';
 import type { Profile } from '../types/profile';
 import getProfile from './fixtures/profiles/call-nodes';
+import { getProfileFromTextSamples } from './fixtures/profiles/make-profile';
 
 function _getStoreWithURL(
   settings: {
@@ -158,6 +160,144 @@ describe('search strings', function() {
       'bar',
     ]);
   });
+
+  it('round-trips the search syntax', function() {
+    const searchString = '/^js::/,-lib:xul,file:*.js';
+    const { getState } = _getStoreWithURL({
+      search: `?search=${encodeURIComponent(searchString)}`,
+    });
+    expect(urlStateReducers.getSearchStrings(getState())).toEqual([
+      '/^js::/',
+      '-lib:xul',
+      'file:*.js',
+    ]);
+    const { query }: Object = urlStateToUrlObject(
+      urlStateReducers.getUrlState(getState())
+    );
+    expect(query.search).toBe(searchString);
+    // The negated terms aren't highlighted.
+    const regExp = urlStateReducers.getSearchStringsAsRegExp(getState());
+    expect(regExp && regExp.source).toBe('^js::|^.*\\.js$');
+  });
+
+  it('keeps the backreferences of the terms', function() {
+    const searchString = '/(a)\\1/,/(b)(c)\\2/';
+    const { getState } = _getStoreWithURL({
+      search: `?search=${encodeURIComponent(searchString)}`,
+    });
+    const regExp = urlStateReducers.getSearchStringsAsRegExp(getState());
+    expect(regExp && regExp.source).toBe('(a)\\1|(b)(c)\\3');
+    expect(regExp && 'xbccx'.match(regExp)).toEqual(['bcc']);
+  });
+});
+
+describe('call tree columns and sort', function() {
+  function getQuery(state): Object {
+    return urlStateToUrlObject(urlStateReducers.getUrlState(state)).query;
+  }
+
+  it('uses the default columns and sort without any parameter', function() {
+    const { getState } = _getStoreWithURL({});
+    expect(urlStateReducers.getCallTreeColumns(getState())).toEqual([
+      'totalTimePercent',
+      'lib',
+    ]);
+    expect(urlStateReducers.getCallTreeSortBy(getState())).toBe('totalTime');
+    const query = getQuery(getState());
+    expect(query.columns).toBeUndefined();
+    expect(query.sort).toBeUndefined();
+  });
+
+  it('reads and re-serializes the columns and the sort', function() {
+    const { getState } = _getStoreWithURL({
+      search: '?columns=samples,selfTimePercent&sort=name',
+    });
+    expect(urlStateReducers.getCallTreeColumns(getState())).toEqual([
+      'samples',
+      'selfTimePercent',
+    ]);
+    expect(urlStateReducers.getCallTreeSortBy(getState())).toBe('name');
+    const query = getQuery(getState());
+    expect(query.columns).toBe('samples,selfTimePercent');
+    expect(query.sort).toBe('name');
+  });
+
+  it('can hide all of the optional columns', function() {
+    const { getState } = _getStoreWithURL({ search: '?columns=' });
+    expect(urlStateReducers.getCallTreeColumns(getState())).toEqual([]);
+    const query = getQuery(getState());
+    expect(query.columns).toBe('');
+  });
+
+  it('ignores the unknown columns and sorts', function() {
+    const { getState } = _getStoreWithURL({
+      search: '?columns=lib,unknown,samples&sort=unknown',
+    });
+    expect(urlStateReducers.getCallTreeColumns(getState())).toEqual([
+      'samples',
+      'lib',
+    ]);
+    expect(urlStateReducers.getCallTreeSortBy(getState())).toBe('totalTime');
+  });
+
+  it('keeps the columns and the sort in the tabs of the call tree', function() {
+    for (const tab of ['flame-graph', 'function-list', 'butterfly']) {
+      const { getState } = _getStoreWithURL({
+        pathname: `/public/1ecd7a421948995171a4bb483b7bcc8e1868cc57/${tab}/`,
+        search: '?columns=samples&sort=selfTime',
+      });
+      const query = getQuery(getState());
+      expect(query.columns).toBe('samples');
+      expect(query.sort).toBe('selfTime');
+    }
+  });
+
+  it("doesn't serialize the columns and the sort in the marker table", function() {
+    const { getState } = _getStoreWithURL({
+      pathname:
+        '/public/1ecd7a421948995171a4bb483b7bcc8e1868cc57/marker-table/',
+      search: '?columns=samples&sort=selfTime',
+    });
+    const query = getQuery(getState());
+    expect(query.columns).toBeUndefined();
+    expect(query.sort).toBeUndefined();
+  });
+});
+
+describe('closed sidebars', function() {
+  function getQuery(state): Object {
+    return urlStateToUrlObject(urlStateReducers.getUrlState(state)).query;
+  }
+
+  it('opens all of the sidebars without any parameter', function() {
+    const { getState } = _getStoreWithURL({});
+    expect(urlStateReducers.getClosedSidebars(getState())).toEqual([]);
+    expect(urlStateReducers.getIsSidebarOpen(getState())).toBe(true);
+    expect(getQuery(getState()).closedSidebars).toBeUndefined();
+  });
+
+  it('reads and re-serializes the closed sidebars', function() {
+    const { getState } = _getStoreWithURL({
+      search: '?closedSidebars=calltree,unknown,marker-chart',
+    });
+    expect(urlStateReducers.getClosedSidebars(getState())).toEqual([
+      'calltree',
+      'marker-chart',
+    ]);
+    expect(urlStateReducers.getIsSidebarOpen(getState())).toBe(false);
+    expect(getQuery(getState()).closedSidebars).toBe('calltree,marker-chart');
+  });
+
+  it('keeps the state of the sidebar of each tab', function() {
+    const { dispatch, getState } = _getStoreWithURL({});
+    dispatch(changeSidebarOpenState('flame-graph', false));
+    expect(urlStateReducers.getIsSidebarOpen(getState())).toBe(true);
+    dispatch(changeSidebarOpenState('calltree', false));
+    expect(urlStateReducers.getIsSidebarOpen(getState())).toBe(false);
+    expect(getQuery(getState()).closedSidebars).toBe('flame-graph,calltree');
+    dispatch(changeSidebarOpenState('flame-graph', true));
+    expect(getQuery(getState()).closedSidebars).toBe('calltree');
+  });
 });
 
 describe('url upgrading', function() {
@@ -254,10 +394,17 @@ describe('url upgrading', function() {
 describe('URL serialization of the transform stack', function() {
   const transformString =
     'f-combined-012~mcn-combined-234~f-js-345-i~mf-6~ff-7~cr-combined-8-9~' +
-    'rec-combined-10~df-11~cfs-12';
-  const { getState } = _getStoreWithURL({
-    search: '?transforms=' + transformString,
-  });
+    'rec-combined-10~df-11~cfs-12~mmf-%5Emozilla%3A%3A%7Cx%2Dy~' +
+    'fc-JS%20Baseline~fsm-click~cl-cpp-1-13';
+  // The collapse transforms are dropped when their library or resource doesn't
+  // exist in the thread, so use a profile with a library for each function.
+  const { profile } = getProfileFromTextSamples(
+    Array.from({ length: 9 }, (_, i) => `f${i}:lib${i}`).join(' ')
+  );
+  const { getState } = _getStoreWithURL(
+    { search: '?transforms=' + encodeURIComponent(transformString) },
+    profile
+  );
 
   it('deserializes focus subtree transforms', function() {
     const transformStack = selectedThreadSelectors.getTransformStack(
@@ -310,6 +457,24 @@ describe('URL serialization of the transform stack', function() {
         type: 'collapse-function-subtree',
         funcIndex: 12,
       },
+      {
+        type: 'merge-matching-functions',
+        pattern: '^mozilla::|x-y',
+      },
+      {
+        type: 'focus-category',
+        category: 'JS Baseline',
+      },
+      {
+        type: 'filter-samples-by-marker',
+        searchString: 'click',
+      },
+      {
+        type: 'collapse-lib',
+        libIndex: 1,
+        collapsedFuncIndex: 13,
+        implementation: 'cpp',
+      },
     ]);
   });
 
@@ -319,6 +484,61 @@ describe('URL serialization of the transform stack', function() {
     );
     expect(query.transforms).toBe(transformString);
   });
+
+  it('ignores the invalid merge patterns and categories', function() {
+    const { getState } = _getStoreWithURL({
+      search:
+        '?transforms=' + encodeURIComponent('mf-6~mmf-%28~mmf-~fc-Unknown'),
+    });
+    expect(selectedThreadSelectors.getTransformStack(getState())).toEqual([
+      { type: 'merge-function', funcIndex: 6 },
+    ]);
+  });
+
+  it('drops the transforms with a library or resource missing from the thread', function() {
+    const { getState } = _getStoreWithURL({
+      search:
+        '?transforms=mf-2~cl-combined-99-20~cr-combined-5-21~df-4' +
+        '&disabledTransforms=0-3',
+    });
+    expect(selectedThreadSelectors.getTransformStack(getState())).toEqual([
+      { type: 'merge-function', funcIndex: 2 },
+      { type: 'drop-function', funcIndex: 4 },
+    ]);
+    expect(selectedThreadSelectors.getDisabledTransforms(getState())).toEqual([
+      0,
+      1,
+    ]);
+    expect(selectedThreadSelectors.getTransformLabels(getState())).toEqual([
+      'Complete "Empty"',
+      'Merge: funcC',
+      'Drop: funcE',
+    ]);
+  });
+
+  it('serializes the disabled transforms', function() {
+    const { getState } = _getStoreWithURL({
+      search: '?transforms=mf-6~ff-7~df-11&disabledTransforms=0-2',
+    });
+    expect(selectedThreadSelectors.getDisabledTransforms(getState())).toEqual([
+      0,
+      2,
+    ]);
+    const { query } = urlStateToUrlObject(
+      urlStateReducers.getUrlState(getState())
+    );
+    expect(query.disabledTransforms).toBe('0-2');
+  });
+
+  it('ignores the invalid disabled transforms', function() {
+    const { getState } = _getStoreWithURL({
+      search: '?transforms=mf-6~ff-7~df-11&disabledTransforms=2-3-x-1.5--2-0',
+    });
+    expect(selectedThreadSelectors.getDisabledTransforms(getState())).toEqual([
+      0,
+      2,
+    ]);
+  });
 });
 
 describe('urlFromState', function() {
@@ -331,3 +551,36 @@ describe('urlFromState', function() {
     expect(urlFromState(newUrlState)).toMatch(`v=${CURRENT_URL_VERSION}`);
   });
 });
+
+describe('comparing two profiles', function() {
+  const url1 = 'https://example.org/before.json';
+  const url2 = 'https://example.org/after.json?token=1&v=2';
+
+  it('reads the URLs of the profiles from the query', function() {
+    const urlState = stateFromLocation({
+      pathname: '/compare/flame-graph/',
+      search:
+        '?profiles=' +
+        encodeURIComponent(url1) +
+        '&profiles=' +
+        encodeURIComponent(url2),
+      hash: '',
+    });
+    expect(urlState.dataSource).toEqual('compare');
+    expect(urlState.selectedTab).toEqual('flame-graph');
+    expect(urlState.profilesToCompare).toEqual([url1, url2]);
+    expect(
+      stateFromLocation(new URL(urlFromState(urlState), 'https://perf-html.io'))
+    ).toEqual(urlState);
+  });
+
+  it('needs the URLs of two profiles', function() {
+    expect(() =>
+      stateFromLocation({
+        pathname: '/compare/calltree/',
+        search: '?profiles=' + encodeURIComponent(url1),
+        hash: '',
+      })
+    ).toThrow('Expected the URLs of 2 profiles to compare, but got 1.');
+  });
+});
@@ -12,13 +12,23 @@ import type {
   IndexIntoMarkersTable,
   IndexIntoFuncTable,
 } from './profile';
-import type { CallNodePath, CallNodeTable } from './profile-derived';
+import type {
+  CallNodePath,
+  CallNodeTable,
+  IndexIntoTracingMarkers,
+} from './profile-derived';
 import type { GetLabel } from '../profile-logic/labeling-strategies';
 import type { GetCategory } from '../profile-logic/color-categories';
 import type { TemporaryError } from '../utils/errors';
-import type { Transform } from './transforms';
+import type {
+  Transform,
+  TransformStack,
+  TransformReplay,
+  IndexIntoTransformStack,
+} from './transforms';
 import type { IndexIntoZipFileTable } from '../profile-logic/zip-files';
 import type { UrlState } from '../types/reducers';
+import type { StackChartBox } from '../profile-logic/stack-timing';
 
 export type DataSource =
   | 'none'
@@ -26,7 +36,8 @@ export type DataSource =
   | 'from-addon'
   | 'local'
   | 'public'
-  | 'from-url';
+  | 'from-url'
+  | 'compare';
 export type ProfileSelection =
   | { hasSelection: false, isModifying: false }
   | {
@@ -51,7 +62,21 @@ export type TabSlug =
   | 'stack-chart'
   | 'marker-chart'
   | 'marker-table'
-  | 'flame-graph';
+  | 'flame-graph'
+  | 'butterfly'
+  | 'function-list';
+export type FunctionListSortColumn = 'totalTime' | 'selfTime';
+export type FunctionListSort = {|
+  +column: FunctionListSortColumn,
+  +descending: boolean,
+|};
+// The columns of the call tree that can be shown or hidden.
+export type CallTreeColumn =
+  | 'samples'
+  | 'selfTimePercent'
+  | 'totalTimePercent'
+  | 'lib';
+export type CallTreeSortBy = 'totalTime' | 'selfTime' | 'name';
 
 type ProfileAction =
   | { type: 'ROUTE_NOT_FOUND', url: string }
@@ -78,6 +103,11 @@ type ProfileAction =
       threadIndex: ThreadIndex,
       selectedCallNodePath: CallNodePath,
     }
+  | {
+      type: 'CHANGE_SELECTED_FUNCTION',
+      threadIndex: ThreadIndex,
+      selectedFunction: IndexIntoFuncTable,
+    }
   | {
       type: 'FOCUS_CALL_TREE',
     }
@@ -91,8 +121,24 @@ type ProfileAction =
       threadIndex: ThreadIndex,
       selectedMarker: IndexIntoMarkersTable | -1,
     }
+  | {
+      type: 'CHANGE_HOVERED_CALL_NODE',
+      threadIndex: ThreadIndex,
+      hoveredCallNodePath: CallNodePath,
+    }
+  | {
+      type: 'CHANGE_SELECTED_STACK_CHART_BOX',
+      threadIndex: ThreadIndex,
+      selectedStackChartBox: StackChartBox | null,
+    }
+  | {
+      type: 'CHANGE_SELECTED_TRACING_MARKER',
+      threadIndex: ThreadIndex,
+      selectedTracingMarker: IndexIntoTracingMarkers | -1,
+    }
   | { type: 'UPDATE_PROFILE_SELECTION', selection: ProfileSelection }
   | { type: 'CHANGE_TAB_ORDER', tabOrder: number[] }
+  | { type: 'CHANGE_FUNCTION_LIST_SORT', sort: FunctionListSort }
   | {
       type: 'CHANGE_SELECTED_ZIP_FILE',
       selectedZipFileIndex: IndexIntoZipFileTable | null,
@@ -155,6 +201,7 @@ type UrlStateAction =
   | { type: 'WAITING_FOR_PROFILE_FROM_FILE' }
   | { type: 'PROFILE_PUBLISHED', hash: string }
   | { type: 'CHANGE_SELECTED_TAB', selectedTab: TabSlug }
+  | { type: 'CHANGE_SIDEBAR_OPEN_STATE', tab: TabSlug, isOpen: boolean }
   | { type: 'ADD_RANGE_FILTER', start: number, end: number }
   | { type: 'POP_RANGE_FILTERS', firstRemovedFilterIndex: number }
   | { type: 'CHANGE_SELECTED_THREAD', selectedThread: ThreadIndex }
@@ -164,6 +211,7 @@ type UrlStateAction =
       type: 'ADD_TRANSFORM_TO_STACK',
       threadIndex: ThreadIndex,
       transform: Transform,
+      transformIndex: IndexIntoTransformStack,
       transformedThread: Thread,
     }
   | {
@@ -171,6 +219,23 @@ type UrlStateAction =
       threadIndex: ThreadIndex,
       firstRemovedFilterIndex: number,
     }
+  | {
+      type: 'REMOVE_TRANSFORM_FROM_STACK',
+      threadIndex: ThreadIndex,
+      transformIndex: IndexIntoTransformStack,
+      // The stack without the removed transform and the ones depending on it.
+      transforms: TransformStack,
+      disabledTransforms: IndexIntoTransformStack[],
+      // The transforms that followed the removed one.
+      replay: TransformReplay,
+    }
+  | {
+      type: 'TOGGLE_TRANSFORM',
+      threadIndex: ThreadIndex,
+      transformIndex: IndexIntoTransformStack,
+      // The toggled transform and the ones that follow it.
+      replay: TransformReplay,
+    }
   | {
       type: 'CHANGE_IMPLEMENTATION_FILTER',
       implementation: ImplementationFilter,
@@ -186,16 +251,24 @@ type UrlStateAction =
       callNodeTable: CallNodeTable,
       selectedThreadIndex: ThreadIndex,
     |}
-  | { type: 'CHANGE_MARKER_SEARCH_STRING', searchString: string };
+  | { type: 'CHANGE_MARKER_SEARCH_STRING', searchString: string }
+  | { type: 'CHANGE_CALL_TREE_COLUMNS', columns: CallTreeColumn[] }
+  | { type: 'CHANGE_CALL_TREE_SORT', sortBy: CallTreeSortBy };
 
 type IconsAction =
   | { type: 'ICON_HAS_LOADED', icon: string }
   | { type: 'ICON_IN_ERROR', icon: string };
 
+type SourcesAction =
+  | {| +type: 'REQUEST_SOURCE', +fileName: string |}
+  | {| +type: 'RECEIVE_SOURCE', +fileName: string, +source: string |}
+  | {| +type: 'ERROR_RECEIVING_SOURCE', +fileName: string, +error: Error |};
+
 export type Action =
   | ProfileAction
   | ReceiveProfileAction
   | StackChartAction
   | UrlEnhancerAction
   | UrlStateAction
-  | IconsAction;
+  | IconsAction
+  | SourcesAction;
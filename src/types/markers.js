@@ -320,6 +320,19 @@ export type StyleMarkerPayload = StyleMarkerPayload_Shared & {
   cause?: CauseBacktrace,
 };
 
+/**
+ * The events of the profiles imported from other formats, e.g. the complete and
+ * duration events of the Chrome trace event format. They keep the category of the
+ * original event, and know both of their times, unless they started before or
+ * ended after the recording.
+ */
+export type TraceEventMarkerPayload = {
+  type: 'TraceEvent',
+  category: string,
+  startTime: Milliseconds | null,
+  endTime: Milliseconds | null,
+};
+
 export type DummyForTestsMarkerPayload = {
   type: 'DummyForTests',
   startTime: Milliseconds,
@@ -342,6 +355,7 @@ export type MarkerPayload =
   | GCMajorMarkerPayload
   | GCSliceMarkerPayload
   | StyleMarkerPayload
+  | TraceEventMarkerPayload
   | DummyForTestsMarkerPayload
   | null;
 
@@ -90,6 +90,13 @@ export type CallNodeDisplayData = {
   lib: string,
   dim: boolean,
   icon: string | null,
+  // Only in call trees.
+  samples?: string,
+  selfTimePercent?: string,
+  // Only in call trees that compare two profiles.
+  totalTimeDelta?: string,
+  selfTimeDelta?: string,
+  totalTimeDeltaPercent?: string,
 };
 
 export type IndexIntoMarkerTiming = number;
@@ -43,9 +43,25 @@ export type SamplesTable = {
   time: number[],
   rss: any[], // TODO
   uss: any[], // TODO
+  // Imported profiles can give each sample a weight, see WeightType. Without this
+  // column, every sample has a weight of 1.
+  weight?: number[],
+  weightType?: WeightType,
+  // The samples of a thread that compares two profiles, where the weights of the
+  // samples of the first profile are negative. See profile-logic/comparison.js.
+  isDifference?: boolean,
   length: number,
 };
 
+/**
+ * The weight of a sample is what it contributes to the call tree:
+ *  - 'samples': a number of samples, that each last for the profile interval.
+ *    This is the default.
+ *  - 'tracing-ms': a duration in milliseconds, e.g. for traced function calls.
+ *  - 'bytes': a size in bytes, e.g. for allocations.
+ */
+export type WeightType = 'samples' | 'tracing-ms' | 'bytes';
+
 /**
  * This is the base abstract class that marker payloads inherit from. This probably isn't
  * used directly in perf.html, but is provided here for mainly documentation purposes.
@@ -108,10 +124,11 @@ export type FuncTable = {
  */
 export type ResourceTable = {
   length: number,
-  // lib SHOULD be void in this case, but some profiles in the store have null or -1
-  // here. We should investigate and provide an upgrader.
+  // The library of the "library" resources, and null for the other resources or
+  // when the library is unknown. Older profiles also had void and -1 here, they
+  // are upgraded in the processed profile version 11.
   // See https://github.com/devtools-html/perf.html/issues/652
-  lib: Array<IndexIntoLibs | void | null | -1>,
+  lib: Array<IndexIntoLibs | null>,
   name: Array<IndexIntoStringTable | -1>,
   host: Array<IndexIntoStringTable | void>,
   type: resourceTypeEnum[],
@@ -10,26 +10,58 @@ import type {
   ProfileSelection,
   ImplementationFilter,
   TabSlug,
+  FunctionListSort,
+  CallTreeColumn,
+  CallTreeSortBy,
 } from './actions';
 import type { Milliseconds, StartEndRange } from './units';
-import type { IndexIntoMarkersTable, Profile, ThreadIndex } from './profile';
-import type { CallNodePath } from './profile-derived';
+import type {
+  IndexIntoFuncTable,
+  IndexIntoMarkersTable,
+  Profile,
+  ThreadIndex,
+} from './profile';
+import type { CallNodePath, IndexIntoTracingMarkers } from './profile-derived';
 import type { Attempt } from '../utils/errors';
 import type { GetLabel } from '../profile-logic/labeling-strategies';
 import type { GetCategory } from '../profile-logic/color-categories';
-import type { TransformStacksPerThread } from './transforms';
+import type {
+  TransformStacksPerThread,
+  DisabledTransformsPerThread,
+} from './transforms';
 import type JSZip from 'jszip';
 import type { IndexIntoZipFileTable } from '../profile-logic/zip-files';
 import type { PathSet } from '../utils/path.js';
+import type { StackChartBox } from '../profile-logic/stack-timing';
 
 export type Reducer<T> = (T | void, Action) => T;
 
 export type RequestedLib = { debugName: string, breakpadId: string };
 export type SymbolicationStatus = 'DONE' | 'SYMBOLICATING';
+// The selected and expanded call node paths of a thread, as they were right
+// before a transform was pushed to its stack.
+export type CallNodePathsSnapshot = {|
+  +selectedCallNodePath: CallNodePath,
+  +expandedCallNodePaths: PathSet,
+|};
+
 export type ThreadViewOptions = {
   selectedCallNodePath: CallNodePath,
   expandedCallNodePaths: PathSet,
+  // One snapshot per transform of the stack, to replay the following transforms
+  // when one of them is removed or toggled. The transforms that come from the
+  // URL have none.
+  callNodePathsBeforeTransforms: Array<CallNodePathsSnapshot | void>,
   selectedMarker: IndexIntoMarkersTable | -1,
+  // The function that is shown in the butterfly view, and selected in the
+  // function list. It follows the selected call node, but can be changed
+  // without changing the call node.
+  selectedFunction: IndexIntoFuncTable | null,
+  // The call node of the box that is hovered in the flame graph, for its
+  // sidebar. It's empty when no box is hovered.
+  hoveredCallNodePath: CallNodePath,
+  selectedStackChartBox: StackChartBox | null,
+  selectedTracingMarker: IndexIntoTracingMarkers | -1,
 };
 export type ProfileViewState = {
   viewOptions: {
@@ -44,6 +76,7 @@ export type ProfileViewState = {
     tabOrder: number[],
     rightClickedThread: ThreadIndex,
     isCallNodeContextMenuVisible: boolean,
+    functionListSort: FunctionListSort,
   },
   profile: Profile | null,
 };
@@ -116,7 +149,13 @@ export type UrlState = {|
   dataSource: DataSource,
   hash: string,
   profileUrl: string,
+  // The URLs of the baseline profile and of the other profile, when comparing
+  // two profiles.
+  profilesToCompare: string[] | null,
   selectedTab: TabSlug,
+  // The sidebars are open by default, only the tabs whose sidebar was closed
+  // are kept.
+  closedSidebars: TabSlug[],
   pathInZipFile: string | null,
   profileSpecific: {|
     implementation: ImplementationFilter,
@@ -128,11 +167,24 @@ export type UrlState = {|
     hiddenThreads: ThreadIndex[],
     markersSearchString: string,
     transforms: TransformStacksPerThread,
+    disabledTransforms: DisabledTransformsPerThread,
+    callTreeColumns: CallTreeColumn[],
+    callTreeSortBy: CallTreeSortBy,
   |},
 |};
 
 export type IconState = Set<string>;
 
+/**
+ * The source text of a file, as referenced by the fileName of a function.
+ */
+export type SourceState =
+  | {| +phase: 'LOADING' |}
+  | {| +phase: 'LOADED', +source: string |}
+  | {| +phase: 'ERROR', +error: Error |};
+
+export type SourcesState = { +[fileName: string]: SourceState };
+
 export type StackChartState = {
   categoryColorStrategy: GetCategory,
   labelingStrategy: GetLabel,
@@ -145,6 +197,7 @@ export type State = {|
   stackChart: StackChartState,
   icons: IconState,
   zippedProfiles: ZippedProfilesState,
+  sources: SourcesState,
 |};
 
 export type IconWithClassName = {
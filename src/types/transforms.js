@@ -17,9 +17,11 @@
  * given view into a call tree.
  */
 import type {
+  Thread,
   ThreadIndex,
   IndexIntoFuncTable,
   IndexIntoResourceTable,
+  IndexIntoLibs,
 } from './profile';
 import type { CallNodePath } from './profile-derived';
 import type { ImplementationFilter } from './actions';
@@ -195,6 +197,32 @@ export type TransformDefinitions = {
     +funcIndex: IndexIntoFuncTable,
   |},
 
+  /**
+   * The MergeMatchingFunctions transform is the same as the MergeFunction, but it
+   * merges every function whose name matches a regular expression, e.g. all of the
+   * "mozilla::detail::" helpers at once. Here the pattern is "^C|^D".
+   *
+   *                 A:3,0                              A:3,0
+   *                   |                                  |
+   *                   v                                  v
+   *                 B:3,0                              B:3,0
+   *                 /    \     Merge /^C|^D/        /    |    \
+   *                v      v           -->          v     v     v
+   *            C:2,0     H:1,0                 E:1,1   F:1,0    H:1,1
+   *           /      \         \                         |
+   *          v        v         v                        v
+   *        D:1,0     F:1,0     C:1,1                   G:1,1
+   *        |           |
+   *        v           v
+   *      E:1,1       G:1,1
+   */
+  'merge-matching-functions': {|
+    +type: 'merge-matching-functions',
+    // The source of a regular expression, which is matched against the function
+    // names.
+    +pattern: string,
+  |},
+
   /**
    * The DropFunction transform removes samples from the thread that have a function
    * somewhere in its stack.
@@ -215,6 +243,45 @@ export type TransformDefinitions = {
     +funcIndex: IndexIntoFuncTable,
   |},
 
+  /**
+   * The FocusCategory transform keeps only the samples whose leaf frame is of an
+   * implementation category, i.e. a name of the implementationCategoryMap in
+   * src/profile-logic/color-categories.js. Unlike the implementation filter, it
+   * doesn't remove any frame from the stacks, so that it answers how much time is
+   * spent in the category below each node. Here with the "JIT" category, where
+   * the frames marked with "*" are JIT frames:
+   *
+   *                 A:4,0                              A:2,0
+   *                /     \      Focus category          |
+   *               v       v          JIT                 v
+   *           B:3,0     C:1,1        -->               B:2,0
+   *           /    \                                   /    \
+   *          v      v                                 v      v
+   *      D:2,1    E*:1,1                          D:1,0    E*:1,1
+   *        |                                        |
+   *        v                                        v
+   *     F*:1,1                                   F*:1,1
+   */
+  'focus-category': {|
+    +type: 'focus-category',
+    +category: string,
+  |},
+
+  /**
+   * The FilterSamplesByMarker transform keeps only the samples that happened while a
+   * tracing marker matching the search string was running, e.g. the "click"
+   * DOMEvents or a UserTiming measure. The search string is matched like in the
+   * marker table, and the stacks aren't changed.
+   *
+   *      Samples:   A   A   A   A   A   A          A   A   A
+   *                 B   B   C   C   B   B   -->    B   C   B
+   *      Markers:      [click]        [click]
+   */
+  'filter-samples-by-marker': {|
+    +type: 'filter-samples-by-marker',
+    +searchString: string,
+  |},
+
   /**
    * Collapse resource takes CallNodes that are of a consecutive library, and collapses
    * them into a new collapsed pseudo-stack. Given a call tree like below, where each node
@@ -239,6 +306,32 @@ export type TransformDefinitions = {
     +implementation: ImplementationFilter,
   |},
 
+  /**
+   * Collapse lib works like collapse resource, but for all of the resources of a
+   * library. This includes the library resources that only know the name of
+   * their library. Given a call tree like below, where each node is defined by
+   * either "function_name" or "function_name:resource_name", and where both
+   * resources belong to libxul.so:
+   *
+   *               A                                     A
+   *               |                                     |
+   *               v        Collapse libxul.so           v
+   *            B:xul           ->                    libxul
+   *               |                                     |
+   *               v                                     v
+   *         C:xul-gtk                                   D
+   *               |
+   *               v
+   *               D
+   */
+  'collapse-lib': {|
+    +type: 'collapse-lib',
+    +libIndex: IndexIntoLibs,
+    // This is the index of the newly created function that represents the collapsed stack.
+    +collapsedFuncIndex: IndexIntoFuncTable,
+    +implementation: ImplementationFilter,
+  |},
+
   /**
    * Collapse direct recursion takes a function that calls itself recursively and collapses
    * it into a single stack.
@@ -294,3 +387,18 @@ export type TransformType = $Values<$ObjMap<TransformDefinitions, ExtractType>>;
 
 export type TransformStack = Transform[];
 export type TransformStacksPerThread = { [id: ThreadIndex]: TransformStack };
+export type IndexIntoTransformStack = number;
+
+// The transforms of a stack can be temporarily disabled, they are then skipped
+// when transforming the thread. The indexes are sorted.
+export type DisabledTransformsPerThread = {
+  [id: ThreadIndex]: IndexIntoTransformStack[],
+};
+
+// When a transform is removed or toggled, the transforms that follow it are
+// replayed on the call node paths. Each of them comes with the thread it now
+// transforms, or null when it's disabled.
+export type TransformReplay = Array<{|
+  +transform: Transform,
+  +transformedThread: Thread | null,
+|}>;
@@ -12,10 +12,19 @@ import {
   stringifyTransforms,
   parseTransforms,
 } from './profile-logic/transforms';
+import {
+  CALL_TREE_COLUMNS,
+  DEFAULT_CALL_TREE_COLUMNS,
+} from './profile-logic/call-tree';
 import { assertExhaustiveCheck, toValidTabSlug } from './utils/flow';
 import { oneLine } from 'common-tags';
 import type { UrlState } from './types/reducers';
-import type { DataSource } from './types/actions';
+import type {
+  DataSource,
+  CallTreeColumn,
+  CallTreeSortBy,
+  TabSlug,
+} from './types/actions';
 
 export const CURRENT_URL_VERSION = 3;
 
@@ -32,6 +41,9 @@ function dataSourceDirs(urlState: UrlState) {
       return ['public', urlState.hash];
     case 'from-url':
       return ['from-url', encodeURIComponent(urlState.profileUrl)];
+    case 'compare':
+      // The URLs of the profiles are in the query.
+      return ['compare'];
     default:
       return [];
   }
@@ -44,14 +56,19 @@ type BaseQuery = {
   thread?: string, // "3"
   threadOrder?: string, // "3-2-0-1"
   hiddenThreads?: string | void, // "0-1"
+  closedSidebars?: string, // "calltree,marker-chart"
   react_perf?: null, // Flag to activate react's UserTimings profiler.
   transforms?: string,
+  disabledTransforms?: string, // "0-2"
+  profiles?: string[], // The URLs of the profiles to compare.
 };
 
 type CallTreeQuery = BaseQuery & {
   search?: string, // "js::RunScript"
   invertCallstack?: null | void,
   implementation?: string,
+  columns?: string, // "samples,selfTimePercent,lib"
+  sort?: string, // "selfTime"
 };
 
 type MarkersQuery = BaseQuery & {
@@ -92,6 +109,7 @@ export function urlStateToUrlObject(urlState: UrlState): UrlObject {
     thread: urlState.profileSpecific.selectedThread,
     threadOrder: urlState.profileSpecific.threadOrder.join('-'),
     file: urlState.pathInZipFile || undefined,
+    profiles: urlState.profilesToCompare || undefined,
     v: CURRENT_URL_VERSION,
   };
 
@@ -100,6 +118,11 @@ export function urlStateToUrlObject(urlState: UrlState): UrlObject {
     query.hiddenThreads = urlState.profileSpecific.hiddenThreads.join('-');
   }
 
+  // The sidebars are open by default, only the closed ones are in the URL.
+  if (urlState.closedSidebars.length > 0) {
+    query.closedSidebars = urlState.closedSidebars.join(',');
+  }
+
   if (process.env.NODE_ENV === 'development') {
     /* eslint-disable camelcase */
     query.react_perf = null;
@@ -111,6 +134,8 @@ export function urlStateToUrlObject(urlState: UrlState): UrlObject {
   switch (selectedTab) {
     case 'stack-chart':
     case 'flame-graph':
+    case 'butterfly':
+    case 'function-list':
     case 'calltree': {
       query.search = urlState.profileSpecific.callTreeSearchString || undefined;
       query.invertCallstack = urlState.profileSpecific.invertCallstack
@@ -126,7 +151,20 @@ export function urlStateToUrlObject(urlState: UrlState): UrlObject {
           stringifyTransforms(
             urlState.profileSpecific.transforms[selectedThread]
           ) || undefined;
+        const disabledTransforms =
+          urlState.profileSpecific.disabledTransforms[selectedThread] || [];
+        query.disabledTransforms =
+          disabledTransforms.length > 0
+            ? disabledTransforms.join('-')
+            : undefined;
       }
+      const columns = urlState.profileSpecific.callTreeColumns.join(',');
+      query.columns =
+        columns === DEFAULT_CALL_TREE_COLUMNS.join(',') ? undefined : columns;
+      query.sort =
+        urlState.profileSpecific.callTreeSortBy === 'totalTime'
+          ? undefined
+          : urlState.profileSpecific.callTreeSortBy;
       break;
     }
     case 'marker-table':
@@ -163,12 +201,48 @@ function getDataSourceFromPathParts(pathParts: string[]): DataSource {
     case 'local':
     case 'public':
     case 'from-url':
+    case 'compare':
       return str;
     default:
       throw new Error(`Unexpected data source ${str}`);
   }
 }
 
+/**
+ * Only keep the known columns, an empty value means that all of the optional
+ * columns are hidden.
+ */
+function _parseCallTreeColumns(
+  columns: string | null | void
+): CallTreeColumn[] {
+  if (columns === undefined) {
+    return DEFAULT_CALL_TREE_COLUMNS;
+  }
+  const columnNames = (columns || '').split(',');
+  return CALL_TREE_COLUMNS.filter(column => columnNames.includes(column));
+}
+
+function _parseCallTreeSortBy(sortBy: string | null | void): CallTreeSortBy {
+  switch (sortBy) {
+    case 'selfTime':
+    case 'name':
+      return sortBy;
+    default:
+      return 'totalTime';
+  }
+}
+
+function _parseClosedSidebars(closedSidebars: string | void): TabSlug[] {
+  const tabSlugs = [];
+  for (const tab of (closedSidebars || '').split(',')) {
+    const tabSlug = toValidTabSlug(tab);
+    if (tabSlug !== null && !tabSlugs.includes(tabSlug)) {
+      tabSlugs.push(tabSlug);
+    }
+  }
+  return tabSlugs;
+}
+
 /**
  * Define only the properties of the window.location object that the function uses
  * so that it can be mocked in tests.
@@ -196,6 +270,20 @@ export function stateFromLocation(location: Location): UrlState {
   // https://perf-html.io/from-url/{url}/calltree/
   const hasProfileUrl = ['from-url'].includes(dataSource);
 
+  // https://perf-html.io/compare/calltree/?profiles={url1}&profiles={url2}
+  let profilesToCompare = null;
+  if (dataSource === 'compare') {
+    // The query has a single string if the parameter is only present once.
+    profilesToCompare = [].concat(query.profiles || []);
+    if (profilesToCompare.length !== 2) {
+      throw new Error(
+        `Expected the URLs of 2 profiles to compare, but got ${
+          profilesToCompare.length
+        }.`
+      );
+    }
+  }
+
   // The selected tab is the last path part in the URL.
   const selectedTabPathPart = hasProfileHash || hasProfileUrl ? 2 : 1;
 
@@ -206,11 +294,23 @@ export function stateFromLocation(location: Location): UrlState {
     implementation = query.implementation;
   }
 
+  const transforms = query.transforms ? parseTransforms(query.transforms) : [];
+  // The disabled transforms are sorted indexes into the transform stack.
+  const disabledTransforms = query.disabledTransforms
+    ? Array.from(new Set(query.disabledTransforms.split('-')))
+        .filter(index => /^\d+$/.test(index))
+        .map(Number)
+        .filter(index => index < transforms.length)
+        .sort((a, b) => a - b)
+    : [];
+
   return {
     dataSource,
     hash: hasProfileHash ? pathParts[1] : '',
     profileUrl: hasProfileUrl ? decodeURIComponent(pathParts[1]) : '',
+    profilesToCompare,
     selectedTab: toValidTabSlug(pathParts[selectedTabPathPart]) || 'calltree',
+    closedSidebars: _parseClosedSidebars(query.closedSidebars),
     pathInZipFile: query.file || null,
     profileSpecific: {
       implementation,
@@ -225,10 +325,13 @@ export function stateFromLocation(location: Location): UrlState {
         ? query.hiddenThreads.split('-').map(index => Number(index))
         : [],
       markersSearchString: query.markerSearch || '',
+      callTreeColumns: _parseCallTreeColumns(query.columns),
+      callTreeSortBy: _parseCallTreeSortBy(query.sort),
       transforms: {
-        [selectedThread]: query.transforms
-          ? parseTransforms(query.transforms)
-          : [],
+        [selectedThread]: transforms,
+      },
+      disabledTransforms: {
+        [selectedThread]: disabledTransforms,
       },
     },
   };
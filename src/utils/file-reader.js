@@ -0,0 +1,32 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// @flow
+
+/**
+ * Read a file that the user provided, e.g. with a file input, as a Promise.
+ */
+export function fileReader(input: Blob) {
+  const reader = new FileReader();
+  const promise = new Promise((resolve, reject) => {
+    // Flow's definition for FileReader doesn't handle the polymorphic nature of
+    // reader.result very well, as its definition is <string | ArrayBuffer>.
+    // Here we ensure type safety by returning the proper Promise type from the
+    // methods below.
+    reader.onload = () => resolve((reader.result: any));
+    reader.onerror = () => reject(reader.error);
+  });
+
+  return {
+    asText(): Promise<string> {
+      reader.readAsText(input);
+      return promise;
+    },
+
+    asArrayBuffer(): Promise<ArrayBuffer> {
+      reader.readAsArrayBuffer(input);
+      return promise;
+    },
+  };
+}
@@ -44,6 +44,8 @@ export function toValidTabSlug(tabSlug: any): TabSlug | null {
     case 'marker-chart':
     case 'marker-table':
     case 'flame-graph':
+    case 'butterfly':
+    case 'function-list':
       return coercedTabSlug;
     default: {
       // The coerced type SHOULD be empty here. If in reality we get
@@ -80,9 +82,13 @@ export function convertToTransformType(type: string): TransformType | null {
     // we have been exhaustive.
     case 'merge-call-node':
     case 'merge-function':
+    case 'merge-matching-functions':
     case 'focus-subtree':
     case 'focus-function':
+    case 'focus-category':
+    case 'filter-samples-by-marker':
     case 'collapse-resource':
+    case 'collapse-lib':
     case 'collapse-direct-recursion':
     case 'collapse-function-subtree':
     case 'drop-function':
@@ -50,3 +50,8 @@ export function decompress(data) {
     });
   });
 }
+
+// Gzip data starts with the magic number 0x1f 0x8b.
+export function isGzip(data) {
+  return data.length >= 2 && data[0] === 0x1f && data[1] === 0x8b;
+}